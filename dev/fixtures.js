@@ -23,7 +23,23 @@ function combinations(arr, k) {
     return result;
 }
 
-async function insertPizzas(client) {
+// Menu sections, the lunch pizza is only offered on weekdays at noon
+const menuCategories = [
+    { name: "Classics", position: 1 },
+    { name: "Specials", position: 2 },
+    { name: "Lunch", description: "Weekdays from 11:00 to 14:00", position: 3 }
+];
+
+async function insertMenuCategories(client) {
+    const categories = [];
+    for (const category of menuCategories) {
+        categories.push(await client.menuCategory.create({ data: category }));
+    }
+    console.log(`Inserted ${categories.length} menu categories`);
+    return categories;
+}
+
+async function insertPizzas(client, categories) {
     const tag_combinations = combinations(pizza_tags, 2);
     const pizzas = [];
     for (let i = 0; i < tag_combinations.length; i++) {
@@ -32,6 +48,8 @@ async function insertPizzas(client) {
             data: {
                 name: `Pizza ${i + 1}`,
                 description: `A delicious pizza with ${tags.join(' and ')}`,
+                categoryId: categories[i % 2].id,
+                position: i,
                 tags: {
                     connectOrCreate: tags.map(tag => ({
                         where: { key: tag },
@@ -47,7 +65,19 @@ async function insertPizzas(client) {
         pizzas.push(pizza);
     }
     return Promise.all(pizzas)
-        .then(results => {
+        .then(async results => {
+            results.push(await client.pizza.create({
+                data: {
+                    name: "Lunch Pizza",
+                    description: "Today's lunch special",
+                    price: 7.5,
+                    categoryId: categories[2].id,
+                    availabilityWindows: {
+                        create: [{ days: ["mon", "tue", "wed", "thu", "fri"], startTime: "11:00", endTime: "14:00" }]
+                    }
+                },
+                include: { tags: true }
+            }));
             console.log(`Inserted ${results.length} pizzas`);
             return results;
         })
@@ -57,11 +87,113 @@ async function insertPizzas(client) {
         });
 }
 
+const extras = [
+    { name: "Cola", type: "drink", price: 2.00 },
+    { name: "Lemonade", type: "drink", price: 2.50 },
+    { name: "Garlic Dip", type: "sauce", price: 1.50 },
+    { name: "BBQ Dip", type: "sauce", price: 1.50 },
+    { name: "Potato Wedges", type: "side", price: 3.99 }
+];
+
+async function insertExtras(client) {
+    return client.extra.createMany({ data: extras })
+        .then(result => {
+            console.log(`Inserted ${result.count} extras`);
+            return result;
+        });
+}
+
+// Sizes and crusts are offered for every pizza
+const pizzaOptions = [
+    { type: "size", name: "Small (26 cm)", priceModifier: -2.00, position: 1 },
+    { type: "size", name: "Medium (30 cm)", priceModifier: 0, isDefault: true, position: 2 },
+    { type: "size", name: "Large (36 cm)", priceModifier: 3.00, position: 3 },
+    { type: "crust", name: "Classic", priceModifier: 0, isDefault: true, position: 1 },
+    { type: "crust", name: "Thin", priceModifier: 0, position: 2 },
+    { type: "crust", name: "Cheese-stuffed", priceModifier: 2.50, position: 3 }
+];
+
+const toppings = [
+    { name: "Mozzarella", price: 1.00 },
+    { name: "Mushrooms", price: 1.00 },
+    { name: "Onions", price: 0.50 },
+    { name: "Olives", price: 1.00 },
+    { name: "Jalapeños", price: 1.00 },
+    { name: "Salami", price: 1.50 },
+    { name: "Ham", price: 1.50 }
+];
+
+async function insertPizzaOptions(client) {
+    return client.pizzaOption.createMany({ data: pizzaOptions })
+        .then(result => {
+            console.log(`Inserted ${result.count} pizza options`);
+            return result;
+        });
+}
+
+// Every pizza comes with mozzarella, which can't be removed
+async function insertToppings(client, pizzas) {
+    await client.topping.createMany({ data: toppings });
+    const mozzarella = await client.topping.findUnique({ where: { name: "Mozzarella" } });
+    const result = await client.pizzaTopping.createMany({
+        data: pizzas.map(pizza => ({ pizzaId: pizza.id, toppingId: mozzarella.id, removable: false }))
+    });
+    console.log(`Inserted ${toppings.length} toppings`);
+    return result;
+}
+
+// Stock for a few hundred pizzas, every pizza uses dough, tomato sauce and mozzarella
+const ingredients = [
+    { name: "Dough", unit: "piece", stock: 300, lowStockThreshold: 50 },
+    { name: "Tomato sauce", unit: "ml", stock: 30000, lowStockThreshold: 5000 },
+    { name: "Mozzarella", unit: "g", stock: 40000, lowStockThreshold: 8000 }
+];
+const recipe = { "Dough": 1, "Tomato sauce": 80, "Mozzarella": 120 };
+
+async function insertIngredients(client, pizzas) {
+    await client.ingredient.createMany({ data: ingredients });
+    const stored = await client.ingredient.findMany();
+    const result = await client.recipeIngredient.createMany({
+        data: pizzas.flatMap(pizza => stored.map(ingredient => ({
+            pizzaId: pizza.id,
+            ingredientId: ingredient.id,
+            quantity: recipe[ingredient.name]
+        })))
+    });
+    console.log(`Inserted ${stored.length} ingredients`);
+    return result;
+}
+
+// Checkout needs at least one delivery zone
+const deliveryZones = [
+    { name: "Centre", postcodes: ["10115", "10117", "10119"], fee: 0, minOrder: 10 },
+    { name: "Outskirts", postcodes: ["13051", "13053", "13055"], fee: 3.50, minOrder: 20 }
+];
+
+async function insertDeliveryZones(client) {
+    return client.deliveryZone.createMany({ data: deliveryZones })
+        .then(result => {
+            console.log(`Inserted ${result.count} delivery zones`);
+            return result;
+        });
+}
+
 async function main() {
     try {
+        console.log("Inserting menu categories...");
+        const categories = await insertMenuCategories(prisma);
         console.log("Inserting pizzas...");
-        const pizzas = await insertPizzas(prisma);
+        const pizzas = await insertPizzas(prisma, categories);
         console.log("Pizzas inserted successfully:", pizzas);
+        console.log("Inserting extras...");
+        await insertExtras(prisma);
+        console.log("Inserting delivery zones...");
+        await insertDeliveryZones(prisma);
+        console.log("Inserting pizza options and toppings...");
+        await insertPizzaOptions(prisma);
+        await insertToppings(prisma, pizzas);
+        console.log("Inserting ingredients...");
+        await insertIngredients(prisma, pizzas);
     } catch (error) {
         console.error("Error during insertion:", error);
     } finally {
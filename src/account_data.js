@@ -0,0 +1,167 @@
+const prisma = require("./prisma.js");
+
+// Personal data of user accounts, for data-subject requests
+// An export contains everything stored about the user, as JSON.
+// Erasing an account anonymizes the user: orders are kept for accounting, everything else about the user is deleted.
+
+const EXPORT_FORMAT = "pizzago-account-export";
+const EXPORT_VERSION = 1;
+
+function amount(value) {
+    return value === null || value === undefined ? null : Number(value);
+}
+
+function exportLineTaxes(item) {
+    return {
+        taxRate: amount(item.taxRate),
+        netPrice: amount(item.netPrice),
+        taxAmount: amount(item.taxAmount),
+        grossPrice: amount(item.grossPrice)
+    };
+}
+
+function exportOrder(order) {
+    return {
+        id: order.id,
+        createdAt: order.createdAt,
+        status: order.status,
+        total: amount(order.total),
+        netTotal: amount(order.netTotal),
+        taxTotal: amount(order.taxTotal),
+        discount: amount(order.discount),
+        deliveryFee: amount(order.deliveryFee),
+        deliveryAddress: order.deliveryAddress,
+        paymentMethod: order.paymentMethod,
+        paymentStatus: order.paymentStatus,
+        receiptNumber: order.receiptNumber,
+        items: order.items.map(item => ({
+            pizzaId: item.pizzaId,
+            name: item.pizza ? item.pizza.name : null,
+            options: item.options,
+            quantity: item.quantity,
+            unitPrice: amount(item.unitPrice),
+            totalPrice: amount(item.totalPrice),
+            ...exportLineTaxes(item)
+        })),
+        extras: order.extras.map(item => ({
+            extraId: item.extraId,
+            name: item.extra ? item.extra.name : null,
+            quantity: item.quantity,
+            unitPrice: amount(item.unitPrice),
+            totalPrice: amount(item.totalPrice),
+            ...exportLineTaxes(item)
+        })),
+        statusHistory: order.statusHistory.map(change => ({
+            status: change.toStatus,
+            changedAt: change.createdAt,
+            note: change.note
+        })),
+        payments: order.payments.map(payment => ({
+            method: payment.method,
+            status: payment.status,
+            amount: amount(payment.amount),
+            failureReason: payment.failureReason,
+            createdAt: payment.createdAt
+        }))
+    };
+}
+
+// Collects the data of the user for an export
+// `sessions` are the sessions the user is logged in with, see GET /me/export
+async function exportAccountData(userId, sessions) {
+    const [user, addresses, identities, orders, cart] = await Promise.all([
+        prisma.user.findUnique({ where: { id: userId } }),
+        prisma.address.findMany({ where: { userId }, orderBy: { id: 'asc' } }),
+        prisma.userIdentity.findMany({ where: { userId }, orderBy: { id: 'asc' } }),
+        prisma.order.findMany({
+            where: { userId },
+            include: {
+                items: { include: { pizza: true } },
+                extras: { include: { extra: true } },
+                statusHistory: { orderBy: { createdAt: 'asc' } },
+                payments: { orderBy: { createdAt: 'asc' } }
+            },
+            orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+        }),
+        prisma.cart.findUnique({ where: { userId }, include: { items: true, extras: true } })
+    ]);
+
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date(),
+        profile: {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            phone: user.phone,
+            role: user.role,
+            verified: user.verified,
+            twoFactorEnabledAt: user.twoFactorEnabledAt,
+            createdAt: user.createdAt
+        },
+        addresses: addresses.map(address => ({
+            label: address.label,
+            recipient: address.recipient,
+            street: address.street,
+            city: address.city,
+            postcode: address.postcode,
+            phone: address.phone,
+            notes: address.notes,
+            latitude: address.latitude,
+            longitude: address.longitude,
+            createdAt: address.createdAt
+        })),
+        identities: identities.map(identity => ({
+            provider: identity.provider,
+            subject: identity.subject,
+            email: identity.email,
+            createdAt: identity.createdAt
+        })),
+        orders: orders.map(exportOrder),
+        cart: cart ? {
+            updatedAt: cart.updatedAt,
+            pizzas: cart.items.map(item => ({
+                pizzaId: item.pizzaId,
+                quantity: item.quantity,
+                sizeId: item.sizeId,
+                crustId: item.crustId,
+                removedToppingIds: item.removedToppingIds,
+                extraToppingIds: item.extraToppingIds
+            })),
+            extras: cart.extras.map(item => ({ extraId: item.extraId, quantity: item.quantity }))
+        } : null,
+        sessions
+    };
+}
+
+// Anonymizes the user and deletes their personal data, except for their orders
+// The user can't log in anymore. Sessions are stored in Redis and must be ended separately.
+function eraseAccount(userId) {
+    return prisma.$transaction([
+        prisma.emailVerification.deleteMany({ where: { userId } }),
+        prisma.passwordReset.deleteMany({ where: { userId } }),
+        prisma.address.deleteMany({ where: { userId } }),
+        prisma.userIdentity.deleteMany({ where: { userId } }),
+        prisma.recoveryCode.deleteMany({ where: { userId } }),
+        prisma.cart.deleteMany({ where: { userId } }),
+        prisma.user.update({
+            where: { id: userId },
+            data: {
+                email: null,
+                password: null,
+                name: null,
+                phone: null,
+                verified: false,
+                twoFactorSecret: null,
+                twoFactorEnabledAt: null,
+                deletedAt: new Date()
+            }
+        })
+    ]);
+}
+
+module.exports = {
+    exportAccountData,
+    eraseAccount
+};
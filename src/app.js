@@ -2,21 +2,96 @@ require("./instrument.js");
 const express = require("express");
 const cors = require("cors");
 const prisma = require("./prisma.js");
+const {Prisma} = require("@prisma/client");
+const Decimal = require("decimal.js");
 const crypto = require("crypto");
 const redisClient = require("./redis_client.js");
 const {
     hashPassword,
     verifyPassword,
-    getSecureToken
+    getSecureToken,
+    hashToken
 } = require("./security.js");
-const {sendEmail} = require("./mail.js");
+const {sendTemplateEmail} = require("./mail.js");
+const {
+    ORDER_STATUSES,
+    isOrderStatus,
+    canTransition,
+    isFinalStatus
+} = require("./order_status.js");
+const {publishOrderEvent, subscribeToOrder} = require("./order_events.js");
+const {loadUserCart, saveUserCart, mergeCarts} = require("./user_cart.js");
+const {
+    PROMO_CODE_TYPES,
+    NOT_REDEEMED_STATUSES,
+    PromoCodeError,
+    normalizePromoCode,
+    findPromoCode,
+    checkPromoCode,
+    redeemPromoCode,
+    releasePromoCode,
+    calculateDiscount
+} = require("./promo_codes.js");
+const {normalizePostcode, findDeliveryZone} = require("./delivery_zones.js");
+const {parsePizzaSearch, describeSortOrder, searchPizzas} = require("./pizza_search.js");
+const {parsePageQuery, findPage, pageLinks} = require("./pagination.js");
+const {WEEKDAYS, isValidTime, isPizzaAvailable, describeAvailability} = require("./menu_availability.js");
+const {
+    MOCK_PROVIDER_ENABLED,
+    getPaymentProvider,
+    getPaymentMethods,
+    orderPaymentStatus,
+    startPayment,
+    receivePaymentWebhook,
+    completeMockAction,
+    refundOrderPayment,
+    collectCashPayment
+} = require("./payments.js");
+const {idempotencyMiddleware} = require("./idempotency.js");
+const {TAX_CATEGORIES, loadTaxRates, splitTax, calculateTaxes} = require("./taxes.js");
+const {RECEIPT_FORMATS, canIssueReceipt, issueReceipt, buildReceipt, renderReceiptHtml, renderReceiptPdf} = require("./receipts.js");
+const {exportAccountData, eraseAccount} = require("./account_data.js");
+const {issueTokens, verifyAccessToken, redeemRefreshToken, revokeRefreshToken} = require("./auth_tokens.js");
+const {OidcError, getOidcProvider, startOidcLogin, finishOidcLogin, findOrCreateOidcUser} = require("./oidc.js");
+const {
+    CHALLENGE_LIFETIME,
+    totpUri,
+    startEnrollment,
+    completeEnrollment,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifyTwoFactorCode,
+    createLoginChallenge,
+    findLoginChallenge,
+    failLoginChallenge,
+    claimLoginChallenge
+} = require("./two_factor.js");
+const {describeDevice} = require("./user_agents.js");
+const {INGREDIENT_UNITS, OutOfStockError, isOutOfStock, takeFromStock, refreshSoldOut, refreshStockLevels, alertLowStock} = require("./inventory.js");
+const {
+    PIZZA_OPTION_TYPES,
+    normalizeCartLine,
+    cartLineKey,
+    resolvePizzaOptions,
+    loadPricingCatalog,
+    priceCartLine,
+    describeOptions
+} = require("./pizza_options.js");
 const cookieParser = require("cookie-parser");
 require('dotenv').config();
 
-const SESSION_LIFETIME = 60*60*24*3;
+const SESSION_LIFETIME = 60*60*24*3; // ... seconds a session lives after its last request
 const SESSION_PREFIX = "pizzago_session:";
+const USER_SESSIONS_PREFIX = "pizzago_user_sessions:"; // Set of session IDs a user is logged in with
+const USER_SESSION_ACTIVITY_PREFIX = "pizzago_user_session_activity:"; // Device, IP and last request of these sessions, by session ID
+const MAX_USER_AGENT_LENGTH = 256;
 const EMAIL_RATE_LIMIT = 60; // ... seconds to wait before sending another email
 const EMAIL_RATE_LIMIT_PREFIX = "email_rate_limit:";
+const PASSWORD_RESET_LIFETIME = 60*60; // ... seconds a password reset link stays valid
+const REAUTHENTICATION_WINDOW = 10*60; // ... seconds after signing in that users without a password can make sensitive changes
+const EMAIL_VERIFICATION_LIFETIME = 60*60*24; // ... seconds an email verification link stays valid
+
+const ORDER_EVENTS_HEARTBEAT = 25; // ... seconds between keep-alive comments on order event streams
 
 const BASE_DOMAIN = process.env.BASE_DOMAIN || "http://localhost:3000";
 
@@ -24,7 +99,8 @@ const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// The raw body is kept to check the signatures of payment webhooks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(cookieParser());
 
 function generateSessionId() {
@@ -42,22 +118,117 @@ function constructSessionData(sessionId){
         updatedAt: new Date(),
         cart: {
             items: [],
+            extras: [],
             total: 0
         },
         userId: null // Initially no user is associated with the session
     };
 }
 
+function userIdToSessionsKey(userId) {
+    return `${USER_SESSIONS_PREFIX}${userId}`;
+}
+
+function userIdToActivityKey(userId) {
+    return `${USER_SESSION_ACTIVITY_PREFIX}${userId}`;
+}
+
+// Queues adding the session to the user's index in the `transaction`,
+// with the device, IP and time of `req` as its last activity
+function queueUserSession(transaction, userId, sessionId, req) {
+    const activity = {
+        userAgent: (req.get("User-Agent") || "").slice(0, MAX_USER_AGENT_LENGTH) || null,
+        ip: req.ip || null,
+        lastSeenAt: new Date()
+    };
+    return transaction
+        .sAdd(userIdToSessionsKey(userId), sessionId)
+        .hSet(userIdToActivityKey(userId), sessionId, JSON.stringify(activity))
+        // The index lives as long as the most recently used session
+        .expire(userIdToSessionsKey(userId), SESSION_LIFETIME)
+        .expire(userIdToActivityKey(userId), SESSION_LIFETIME);
+}
+
+// Adds the session to the user's index, see queueUserSession
+// Called again on every request of the session, see touchSession
+async function addUserSession(userId, sessionId, req) {
+    await queueUserSession(redisClient.multi(), userId, sessionId, req).exec();
+}
+
+async function removeUserSession(userId, sessionId) {
+    await redisClient.sRem(userIdToSessionsKey(userId), sessionId);
+    await redisClient.hDel(userIdToActivityKey(userId), sessionId);
+}
+
+// Returns the sessions the user is logged in with as [{ session, activity }], see addUserSession
+// Sessions that expired since are left out, and removed from the index
+async function listUserSessions(userId) {
+    const [sessionIds, activities] = await Promise.all([
+        redisClient.sMembers(userIdToSessionsKey(userId)),
+        redisClient.hGetAll(userIdToActivityKey(userId))
+    ]);
+    const sessions = await Promise.all(sessionIds.map(getExistingSession));
+    const expiredIds = sessionIds.filter((sessionId, index) => !sessions[index]);
+    if (expiredIds.length > 0) {
+        await redisClient.sRem(userIdToSessionsKey(userId), expiredIds);
+        await redisClient.hDel(userIdToActivityKey(userId), expiredIds);
+    }
+    return sessions.filter(Boolean).map(session => ({
+        session,
+        activity: activities[session.id] ? JSON.parse(activities[session.id]) : null
+    }));
+}
+
+// Logs the user out everywhere, except in `keepSessionId` if given
+async function endUserSessions(userId, keepSessionId = null) {
+    const key = userIdToSessionsKey(userId);
+    const sessionIds = (await redisClient.sMembers(key)).filter(sessionId => sessionId !== keepSessionId);
+    if (sessionIds.length > 0) {
+        await redisClient.del(sessionIds.map(sessionIdToRedisKey));
+    }
+    if (keepSessionId) {
+        if (sessionIds.length > 0) {
+            await redisClient.sRem(key, sessionIds);
+            await redisClient.hDel(userIdToActivityKey(userId), sessionIds);
+        }
+    } else {
+        await redisClient.del([key, userIdToActivityKey(userId)]);
+    }
+}
+
+// Sessions expire SESSION_LIFETIME after their last request, rather than after their last change
+// Sent as one transaction, since this runs on every request
+async function touchSession(session, req) {
+    const transaction = redisClient.multi().expire(sessionIdToRedisKey(session.id), SESSION_LIFETIME);
+    if (session.userId) {
+        queueUserSession(transaction, session.userId, session.id, req);
+    }
+    await transaction.exec();
+}
+
+async function saveSession(session) {
+    await redisClient.set(sessionIdToRedisKey(session.id), JSON.stringify(session), { EX: SESSION_LIFETIME });
+}
+
 async function createSession(sessionId) {
     const sessionData = constructSessionData(sessionId);
-    await redisClient.set(sessionIdToRedisKey(sessionId), JSON.stringify(sessionData), 'EX', SESSION_LIFETIME); // Set expiration to 1 hour
+    await saveSession(sessionData);
     return sessionData;
 }
 
 async function getExistingSession(sessionId) {
     const sessionData = await redisClient.get(sessionIdToRedisKey(sessionId));
     if (sessionData) {
-        return JSON.parse(sessionData);
+        const session = JSON.parse(sessionData);
+        if (session.cart) {
+            // Sessions created before extras were introduced have no extras list
+            if (!session.cart.extras) {
+                session.cart.extras = [];
+            }
+            // Sessions created before pizza options were introduced have lines without options
+            session.cart.items = session.cart.items.map(normalizeCartLine);
+        }
+        return session;
     }
     return null;
 }
@@ -73,13 +244,61 @@ async function getOrCreateSession(sessionId) {
     return createSession(sessionId);
 }
 
+// Ends a session, e.g. on logout
+async function endSession(sessionId) {
+    const session = await getExistingSession(sessionId);
+    await redisClient.del(sessionIdToRedisKey(sessionId));
+    if (session && session.userId) {
+        await removeUserSession(session.userId, sessionId);
+    }
+}
+
+// The access token of a token login, see auth_tokens.js
+function getBearerToken(req) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get("Authorization") || "");
+    return match ? match[1] : null;
+}
+
+// Returns the session of a valid access token, or null
+// Ending the session revokes the token, even before it expires
+async function getSessionForAccessToken(accessToken) {
+    const claims = verifyAccessToken(accessToken);
+    if (!claims) {
+        return null;
+    }
+    const session = await getExistingSession(claims.sid);
+    if (!session || !session.tokenAuth || String(session.userId) !== claims.sub) {
+        return null;
+    }
+    return session;
+}
+
+function sendInvalidAccessToken(res) {
+    // See RFC 6750, the client should refresh the token or log in again
+    res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+    return res.status(401).json({ error: "Invalid or expired access token" });
+}
+
+// Returns the session of the access token if one is sent, otherwise the session of the cookie
+// Returns null for an invalid access token
 async function getSessionForRequest(req, res) {
+    const accessToken = getBearerToken(req);
+    if (accessToken) {
+        return getSessionForAccessToken(accessToken);
+    }
     let sessionId = req?.cookies?.session;
     if (!sessionId) {
         sessionId = generateSessionId();
         res.cookie('session', sessionId, { httpOnly: true, secure: true });
     }
-    return getOrCreateSession(sessionId);
+    const session = await getOrCreateSession(sessionId);
+    // Sessions of token logins only work with their access tokens, whose content is readable
+    if (session.tokenAuth) {
+        sessionId = generateSessionId();
+        res.cookie('session', sessionId, { httpOnly: true, secure: true });
+        return createSession(sessionId);
+    }
+    return session;
 }
 
 // Middleware
@@ -87,7 +306,11 @@ function sessionMiddleware(req, res, next) {
     // This middleware is used to get or create a session for the request
     // It will set the session cookie if it doesn't exist
     getSessionForRequest(req, res)
-        .then(session => {
+        .then(async session => {
+            if (!session) {
+                return sendInvalidAccessToken(res);
+            }
+            await touchSession(session, req);
             req.session = session; // Attach session to request
             next();
         })
@@ -97,138 +320,97 @@ function sessionMiddleware(req, res, next) {
         });
 }
 
-// Pizza routes
-
-// Helper function to perform flexible search
-
-async function findPizzasWithSingleTag(tag, offset, limit) {
-    // We use a small trick here
-    // When searching with multiple tags, we can use the `some` operator
-    // to perform search in a single query
-    // With multiple tags, we need to use raw SQL query to select pizza IDs and then select pizzas by IDs
-    // Otherwise Prisma simply won't map the results (raw query)
-    const results = prisma.pizza.findMany({
-        where: {
-            tags: {
-                some: {
-                    key: { in: [tag.toLowerCase(),] }
-                }
-            }
-        },
-        include: { tags: { select: { name: true } } }, // Select tag names
-        skip: offset,
-        take: limit,
-    });
-    const count = prisma.pizza.count({
-        where: {
-            tags: {
-                some: {
-                    key: tag.toLowerCase() // Ensure case-insensitive search
-                }
-            }
+// Logged in users see their saved cart on every device
+// Must be used after sessionMiddleware
+async function userCartMiddleware(req, res, next) {
+    if (req.session.userId) {
+        const savedCart = await loadUserCart(req.session.userId);
+        if (savedCart) {
+            req.session.cart.items = savedCart.items;
+            req.session.cart.extras = savedCart.extras;
         }
-    });
-    return Promise.all([results, count]).then(([pizzas, count]) => {
-        return {
-            pizzas,
-            count
-        };
-    });
+    }
+    next();
 }
 
-async function findPizzasWithMultipleTags(tags, offset=0, limit=20) {
-    // Raw SQL to find pizzas that have ALL specified tags
-
-    // Ensure that tags are alphanumeric and lowercase
-    tags = tags.map(tag => tag.toLowerCase().trim()).filter(tag => /^[a-z0-9]+$/.test(tag));
-    // Ensure that offset and limit are valid numbers
-    offset = parseInt(offset) || 0;
-    limit = parseInt(limit) || 20;
-
-    const keysSql = tags.map(k => `'${k}'`).join(',');
-    const rawResult = await prisma.$queryRawUnsafe(`
-        SELECT "A"
-        FROM "_PizzaTags"
-        WHERE "B" IN (${keysSql})
-        GROUP BY "A"
-        HAVING COUNT(DISTINCT "B") = ${tags.length}
-        ORDER BY "A"
-        LIMIT ${limit} OFFSET ${offset}
-    `);
-
-    const pizzaIds = rawResult.map(r => r.A);
+const cartMiddleware = [sessionMiddleware, userCartMiddleware];
 
-    const pizzas = await prisma.pizza.findMany({
-        where: { id: { in: pizzaIds } },
-        include: { tags: { select: { name: true } } }, // Select tag names
-    });
-
-    return {
-        pizzas,
-        count: pizzaIds.length
+// Restricts a route to logged in users with one of the given roles
+// Must be used after sessionMiddleware
+function requireRole(...roles) {
+    return async (req, res, next) => {
+        if (!req.session.userId) {
+            return res.status(401).json({ error: "Authentication required" });
+        }
+        const user = await prisma.user.findUnique({ where: { id: req.session.userId } });
+        if (!user || !roles.includes(user.role)) {
+            return res.status(403).json({ error: "Insufficient permissions" });
+        }
+        req.user = user; // Attach user to request
+        next();
     };
 }
 
-async function findPizzas(tagKeys, offset, limit) {
-    if (!Array.isArray(tagKeys)) {
-        throw new Error('tagKeys must be an array');
+// Restricts a route to logged in users
+// Must be used after sessionMiddleware
+function requireLogin(req, res, next) {
+    if (!req.session.userId) {
+        return res.status(401).json({ error: "Authentication required" });
     }
+    next();
+}
 
-    if (tagKeys.length === 0) {
-        // If no tags provided, return all pizzas
-        return Promise.all([
-            prisma.pizza.findMany({
-                include: { tags: { select: { name: true } } }, // Select tag names
-                skip: offset,
-                take: limit
-            }),
-            prisma.pizza.count()
-        ]).then(([pizzas, count]) => {
-            return {
-                pizzas,
-                count
-            };
-        });
-    } else if (tagKeys.length === 1) {
-        // If a single tag is provided, use the single tag search
-        return findPizzasWithSingleTag(tagKeys[0], offset, limit);
+// Sends a page of a list route, see pagination.js
+// The links to the next and previous page are in the body and in the Link header (RFC 8288)
+function sendPage(req, res, body, page) {
+    const links = pageLinks(req.path, req.query, page);
+    const header = {};
+    for (const [rel, url] of Object.entries(links)) {
+        if (url) {
+            header[rel] = url;
+        }
+    }
+    if (Object.keys(header).length > 0) {
+        res.links(header);
     }
-    // If multiple tags are provided, use the multiple tags search
-    return findPizzasWithMultipleTags(tagKeys, offset, limit);
+    res.json({
+        ...body,
+        total: page.total,
+        limit: page.limit,
+        links
+    });
 }
 
+// Pizza routes
 
 /*
- * Get all pizzas
- * Supports search by tag and paging
+ * Get all pizzas that can be ordered right now, in menu order
+ * Supports text search (`q`), category and tag filters (`tags`, "-" excludes a tag), price filters,
+ * sorting and paging, and counts the tags of the result set
 */
 app.get("/api/v1/pizzas", async (req, res) => {
-    let tags = req.query.tags ? req.query.tags.split(",") : [];
-    // Transform to lowercase and strip spaces if needed
-    tags = tags.map(tag => tag.toLowerCase().trim());
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = parseInt(req.query.page) || 0;
-
-    if (limit < 0 || limit > 100) {
-        return res.status(400).json({ error: "Limit must be between 0 and 100" });
+    const search = parsePizzaSearch(req.query);
+    if (search.error) {
+        return res.status(400).json({ error: search.error });
+    }
+    const { error, page } = parsePageQuery(req.query, { order: describeSortOrder(search.params) });
+    if (error) {
+        return res.status(400).json({ error });
     }
 
-    const { pizzas, count } = await findPizzas(tags, offset, limit);
+    const { page: pizzas, facets } = await searchPizzas(search.params, page);
 
-    res.json({
-        total: count,
-        limit: limit,
-        offset: offset,
-        results: [
-            ...pizzas.map(pizza => ({
-                id: pizza.id,
-                name: pizza.name,
-                tags: pizza.tags.map(tag => tag.name),
-                price: pizza.price,
-                description: pizza.description,
-            }))
-        ]
-    });
+    sendPage(req, res, {
+        results: pizzas.items.map(pizza => ({
+            id: pizza.id,
+            name: pizza.name,
+            category: pizza.category,
+            tags: pizza.tags.map(tag => tag.name),
+            price: pizza.price,
+            description: pizza.description,
+        })),
+        facets: { tags: facets }
+    }, pizzas);
 });
 
 app.get("/api/v1/pizzas/:id", async (req, res) => {
@@ -239,424 +421,3887 @@ app.get("/api/v1/pizzas/:id", async (req, res) => {
 
     const pizza = await prisma.pizza.findUnique({
         where: { id: pizzaId },
-        include: { tags: { include: { tag: { select: { name: true } } } } } // Select tag names
+        include: {
+            tags: { include: { tag: { select: { name: true } } } }, // Select tag names
+            toppings: { include: { topping: true } },
+            category: { select: { id: true, name: true } },
+            availabilityWindows: true
+        }
     });
 
-    if (!pizza) {
+    // Archived pizzas are kept only for past orders
+    if (!pizza || pizza.archivedAt) {
         return res.status(404).json({ error: "Pizza not found" });
     }
 
+    // Sizes, crusts and extra toppings are the same for every pizza
+    const [options, extraToppings] = await Promise.all([
+        prisma.pizzaOption.findMany({
+            where: { available: true },
+            orderBy: [{ position: 'asc' }, { id: 'asc' }]
+        }),
+        prisma.topping.findMany({
+            where: { available: true },
+            orderBy: { name: 'asc' }
+        })
+    ]);
+    const transformOption = option => ({
+        id: option.id,
+        name: option.name,
+        priceModifier: option.priceModifier,
+        isDefault: option.isDefault,
+    });
+
+    // Pizzas that can't be ordered right now are still shown, with the times they are available
     res.json({
         id: pizza.id,
         name: pizza.name,
+        category: pizza.category,
+        available: isPizzaAvailable(pizza),
+        soldOut: pizza.soldOut,
+        availability: describeAvailability(pizza),
         tags: pizza.tags.map(tag => tag.tag.name),
         ingredients: pizza.ingredients,
         price: pizza.price,
         description: pizza.description,
+        sizes: options.filter(option => option.type === "size").map(transformOption),
+        crusts: options.filter(option => option.type === "crust").map(transformOption),
+        toppings: pizza.toppings.map(({ topping, removable }) => ({
+            id: topping.id,
+            name: topping.name,
+            removable,
+        })),
+        extraToppings: extraToppings.map(topping => ({
+            id: topping.id,
+            name: topping.name,
+            price: topping.price,
+        })),
     });
 });
 
+function transformMenuCategory(category) {
+    return {
+        id: category.id,
+        name: category.name,
+        description: category.description,
+        position: category.position,
+    };
+}
+
+/*
+ * Get the menu sections in display order
+*/
+app.get("/api/v1/categories", async (req, res) => {
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const categories = await findPage(prisma.menuCategory, {
+        orderBy: [{ position: 'asc' }, { id: 'asc' }]
+    }, page);
+    sendPage(req, res, { results: categories.items.map(transformMenuCategory) }, categories);
+});
+
+// Extras routes (drinks, dips, sides)
+
+const EXTRA_TYPES = ["drink", "sauce", "side"];
+
+/*
+ * Get all available extras
+ * Supports filtering by type
+*/
+app.get("/api/v1/extras", async (req, res) => {
+    const type = req.query.type ? req.query.type.toLowerCase().trim() : null;
+    if (type && !EXTRA_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Type must be one of: ${EXTRA_TYPES.join(", ")}` });
+    }
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const where = { available: true };
+    if (type) {
+        where.type = type;
+    }
+    const extras = await findPage(prisma.extra, {
+        where,
+        orderBy: [{ type: 'asc' }, { name: 'asc' }, { id: 'asc' }]
+    }, page);
+
+    sendPage(req, res, {
+        results: extras.items.map(extra => ({
+            id: extra.id,
+            type: extra.type,
+            name: extra.name,
+            description: extra.description,
+            price: extra.price,
+        }))
+    }, extras);
+});
+
 // Cart routes
 
+// Money values are exposed with 2-digit precision
+function roundMoney(value) {
+    return Math.round(Number(value) * 100) / 100;
+}
+
+// Itemizes the cart lines with their names and prices
+// Names and prices are looked up from the database, so the cart always reflects current prices
+// Lines whose pizza or extra no longer exists (or was archived) are left out
+// Pizzas that can't be ordered right now stay in the cart, marked as not available
+async function itemizeCart(info) {
+    const now = new Date();
+    const extraIds = info.extras.map(item => item.itemId);
+    const [catalog, extras] = await Promise.all([
+        loadPricingCatalog(info.items),
+        extraIds.length > 0 ? prisma.extra.findMany({ where: { id: { in: extraIds } } }) : []
+    ]);
+
+    // Pizzas whose chosen size, crust or extra topping is no longer available are left out as well
+    const pizzaLines = [];
+    for (const item of info.items) {
+        const priced = priceCartLine(item, catalog);
+        if (!priced) {
+            continue;
+        }
+        pizzaLines.push({
+            lineId: item.lineId,
+            pizzaId: item.pizzaId,
+            name: priced.pizza.name,
+            available: isPizzaAvailable(priced.pizza, now),
+            ...priced.options,
+            quantity: item.quantity,
+            unitPrice: priced.unitPrice,
+            totalPrice: roundMoney(priced.unitPrice * item.quantity)
+        });
+    }
+
+    const extraLines = [];
+    for (const item of info.extras) {
+        const extra = extras.find(e => e.id === item.itemId);
+        if (!extra) {
+            continue;
+        }
+        extraLines.push({
+            itemId: item.itemId,
+            type: extra.type,
+            name: extra.name,
+            quantity: item.quantity,
+            unitPrice: roundMoney(extra.price),
+            totalPrice: roundMoney(extra.price * item.quantity)
+        });
+    }
+
+    const subtotal = [...pizzaLines, ...extraLines].reduce((sum, line) => sum + line.totalPrice, 0);
+    return {
+        pizzas: pizzaLines,
+        extras: extraLines,
+        subtotal: roundMoney(subtotal)
+    };
+}
+
+// Looks up the promo code applied to the cart and checks it against the itemized cart
+// Returns { promo, error, discount }, where `promo` is null if the code no longer exists
+async function evaluateCartPromo(code, itemizedCart, userId, client = prisma) {
+    const promo = await findPromoCode(code, client);
+    if (!promo) {
+        return { promo: null, error: "Promo code not found", discount: 0 };
+    }
+    const error = await checkPromoCode(promo, itemizedCart, userId, new Date(), client);
+    return { promo, error, discount: error ? 0 : calculateDiscount(promo, itemizedCart) };
+}
+
+// Tax lines ([{ category, amount }]) of itemized pizzas and extras, see taxes.js
+function cartTaxLines(pizzas, extras) {
+    return [
+        ...pizzas.map(line => ({ category: "pizza", amount: line.totalPrice })),
+        ...extras.map(line => ({ category: line.type, amount: line.totalPrice }))
+    ];
+}
+
 // This function takes internal cart info and transforms it to the format expected by the client
-function transformCartInfo(info) {
-    return info;
+// A promo code that stopped applying (e.g. the cart dropped below the minimum spend) stays on the cart
+// without a discount and with the reason, so the customer can fix the cart or remove the code
+// `tax` is the tax contained in the total, which includes the tax of exclusive rates
+async function transformCartInfo(info, userId) {
+    const cart = await itemizeCart(info);
+    cart.promoCode = null;
+    cart.discount = 0;
+    if (info.promoCode) {
+        const { promo, error, discount } = await evaluateCartPromo(info.promoCode, cart, userId);
+        cart.promoCode = {
+            code: info.promoCode,
+            description: promo ? promo.description : null,
+            error
+        };
+        cart.discount = discount;
+    }
+    const taxes = calculateTaxes(cartTaxLines(cart.pizzas, cart.extras), cart.discount, await loadTaxRates());
+    cart.tax = taxes.tax.toNumber();
+    cart.total = taxes.gross.toNumber();
+    return cart;
 }
 
-app.get("/api/v1/cart", sessionMiddleware, async (req, res) => {
-    res.json(transformCartInfo(req.session.cart));
+// Persists the cart in the session, and in the saved cart of logged in users
+async function saveCart(session) {
+    if (session.userId) {
+        await saveUserCart(session.userId, session.cart);
+    }
+    await saveSession(session);
+}
+
+// Recomputes the stored cart total, persists the cart and sends the itemized cart
+async function saveCartAndRespond(req, res) {
+    const info = await transformCartInfo(req.session.cart, req.session.userId);
+    req.session.cart.total = info.total;
+    await saveCart(req.session);
+    res.json(info);
+}
+
+// Sets the quantity of a cart line, a quantity of 0 removes the line
+function setCartLineQuantity(lines, idField, id, quantity) {
+    const index = lines.findIndex(item => item[idField] === id);
+    if (quantity === 0) {
+        if (index !== -1) {
+            lines.splice(index, 1);
+        }
+    } else if (index === -1) {
+        lines.push({ [idField]: id, quantity });
+    } else {
+        lines[index].quantity = quantity;
+    }
+}
+
+function parseQuantity(value) {
+    const quantity = Number(value);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+        return NaN;
+    }
+    return quantity;
+}
+
+app.get("/api/v1/cart", cartMiddleware, async (req, res) => {
+    const info = await transformCartInfo(req.session.cart, req.session.userId);
+    // Placing an order checks its total against the total the customer saw last
+    if (info.total !== req.session.cart.total) {
+        req.session.cart.total = info.total;
+        await saveSession(req.session);
+    }
+    res.json(info);
 });
 
-app.post("/api/v1/cart", sessionMiddleware, async (req, res) => {
-    if (!req.body || !req.body.pizzaId || !req.body.quantity) {
+async function setExtraInCart(req, res) {
+    if (req.body.quantity === undefined) {
+        return res.status(400).json({ error: "Item ID and quantity are required" });
+    }
+    const itemId = parseInt(req.body.itemId);
+    const quantity = parseQuantity(req.body.quantity);
+
+    if (!itemId || isNaN(itemId) || isNaN(quantity)) {
+        return res.status(400).json({ error: "Invalid item ID or quantity" });
+    }
+
+    if (quantity > 0) {
+        const extra = await prisma.extra.findUnique({ where: { id: itemId } });
+        if (!extra) {
+            return res.status(404).json({ error: "Extra not found" });
+        }
+        if (!extra.available) {
+            return res.status(409).json({ error: "Extra is not available" });
+        }
+    }
+
+    setCartLineQuantity(req.session.cart.extras, "itemId", itemId, quantity);
+    await saveCartAndRespond(req, res);
+}
+
+/*
+ * Add, update or remove a cart line
+ * A pizza with the same options as a line already in the cart updates that line,
+ * the given quantity replaces the current one, 0 removes the line
+*/
+app.post("/api/v1/cart", cartMiddleware, async (req, res) => {
+    if (req.body && req.body.itemId) {
+        // Extras are addressed by `itemId`, pizzas by `pizzaId`
+        return setExtraInCart(req, res);
+    }
+    if (!req.body || !req.body.pizzaId || req.body.quantity === undefined) {
         return res.status(400).json({ error: "Pizza ID and quantity are required" });
     }
     const pizzaId = parseInt(req.body.pizzaId);
-    const quantity = parseInt(req.body.quantity);
+    const quantity = parseQuantity(req.body.quantity);
 
-    if (!pizzaId || isNaN(pizzaId) || !quantity || isNaN(quantity)) {
+    if (!pizzaId || isNaN(pizzaId) || isNaN(quantity)) {
         return res.status(400).json({ error: "Invalid pizza ID or quantity" });
     }
 
-    const pizza = await prisma.pizza.findUnique({ where: { id: pizzaId } });
-    if (!pizza) {
+    const pizza = await prisma.pizza.findUnique({
+        where: { id: pizzaId },
+        include: { toppings: true, availabilityWindows: true }
+    });
+    if (!pizza || pizza.archivedAt) {
         return res.status(404).json({ error: "Pizza not found" });
     }
-
-    // Add pizza to cart
-    const existingItem = req.session.cart.items.find(item => item.pizzaId === pizzaId);
-    if (existingItem) {
-        existingItem.quantity += quantity;
-    } else {
-        req.session.cart.items.push({ pizzaId, quantity });
+    if (quantity > 0 && !isPizzaAvailable(pizza)) {
+        return res.status(409).json({ error: "Pizza is not available right now" });
     }
-    req.session.cart.total += pizza.price * quantity;
 
-    // Update session in Redis
-    await redisClient.set(sessionIdToRedisKey(req.session.id), JSON.stringify(req.session), 'EX', SESSION_LIFETIME); // Set expiration to 1 hour
+    const { error, options } = await resolvePizzaOptions(pizza, req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
 
-    res.json(transformCartInfo(req.session.cart));
+    const line = { pizzaId, quantity, ...options };
+    const index = req.session.cart.items.findIndex(item => cartLineKey(item) === cartLineKey(line));
+    if (quantity === 0) {
+        if (index !== -1) {
+            req.session.cart.items.splice(index, 1);
+        }
+    } else if (index === -1) {
+        req.session.cart.items.push({ lineId: crypto.randomUUID(), ...line });
+    } else {
+        req.session.cart.items[index].quantity = quantity;
+    }
+    await saveCartAndRespond(req, res);
 });
 
-app.delete("/api/v1/cart/:pizzaId", sessionMiddleware, async (req, res) => {
-    const pizzaId = parseInt(req.params.pizzaId);
-
-    if (isNaN(pizzaId)) {
-        return res.status(400).json({ error: "Invalid pizza ID" });
+/*
+ * Change the quantity of a pizza line, 0 removes the line
+*/
+app.patch("/api/v1/cart/pizza/:lineId", cartMiddleware, async (req, res) => {
+    const quantity = parseQuantity(req.body ? req.body.quantity : undefined);
+    if (isNaN(quantity)) {
+        return res.status(400).json({ error: "Invalid quantity" });
     }
 
-    const pizzaIndex = req.session.cart.items.findIndex(item => item.pizzaId === pizzaId);
-    if (pizzaIndex === -1) {
+    const index = req.session.cart.items.findIndex(item => item.lineId === req.params.lineId);
+    if (index === -1) {
         return res.status(404).json({ error: "Pizza not found in cart" });
     }
 
-    const pizza = await prisma.pizza.findUnique({ where: { id: pizzaId } });
-    if (!pizza) {
-        return res.status(404).json({ error: "Pizza not found" });
+    if (quantity === 0) {
+        req.session.cart.items.splice(index, 1);
+    } else {
+        req.session.cart.items[index].quantity = quantity;
     }
+    await saveCartAndRespond(req, res);
+});
 
-    // Remove pizza from cart
-    req.session.cart.total -= pizza.price * req.session.cart.items[pizzaIndex].quantity;
-    req.session.cart.items.splice(pizzaIndex, 1);
-
-    // Update session in Redis
-    await redisClient.set(sessionIdToRedisKey(req.session.id), JSON.stringify(req.session), 'EX', SESSION_LIFETIME);
+app.delete("/api/v1/cart/pizza/:lineId", cartMiddleware, async (req, res) => {
+    const index = req.session.cart.items.findIndex(item => item.lineId === req.params.lineId);
+    if (index === -1) {
+        return res.status(404).json({ error: "Pizza not found in cart" });
+    }
 
-    res.json(transformCartInfo(req.session.cart));
+    // Remove pizza from cart
+    req.session.cart.items.splice(index, 1);
+    await saveCartAndRespond(req, res);
 });
 
-app.delete("/api/v1/cart", sessionMiddleware, async (req, res) => {
-    req.session.cart.items = [];
-    req.session.cart.total = 0;
+app.delete("/api/v1/cart/extra/:itemId", cartMiddleware, async (req, res) => {
+    const itemId = parseInt(req.params.itemId);
 
-    // Update session in Redis
-    await redisClient.set(sessionIdToRedisKey(req.session.id), JSON.stringify(req.session), 'EX', SESSION_LIFETIME);
+    if (isNaN(itemId)) {
+        return res.status(400).json({ error: "Invalid item ID" });
+    }
+
+    const extraIndex = req.session.cart.extras.findIndex(item => item.itemId === itemId);
+    if (extraIndex === -1) {
+        return res.status(404).json({ error: "Extra not found in cart" });
+    }
 
-    res.json(transformCartInfo(req.session.cart));
+    // Remove extra from cart
+    req.session.cart.extras.splice(extraIndex, 1);
+    await saveCartAndRespond(req, res);
 });
 
-// Order routes
-app.post("/api/v1/orders", sessionMiddleware, async (req, res) => {
-    if (req.session.cart.items.length === 0) {
-        return res.status(400).json({ error: "Cart is empty" });
+/*
+ * Apply a promo code to the cart
+ * Replaces the code applied before, a cart holds at most one code
+*/
+app.post("/api/v1/cart/promo", cartMiddleware, async (req, res) => {
+    if (!req.body || typeof req.body.code !== "string" || req.body.code.trim().length === 0) {
+        return res.status(400).json({ error: "Promo code is required" });
     }
 
-    let pizzas = await prisma.pizza.findMany({
-        where: {
-            id: {
-                in: req.session.cart.items.map(item => item.pizzaId)
-            }
-        }
-    });
+    const promo = await findPromoCode(req.body.code);
+    if (!promo) {
+        return res.status(404).json({ error: "Promo code not found" });
+    }
+    const error = await checkPromoCode(promo, await itemizeCart(req.session.cart), req.session.userId);
+    if (error) {
+        return res.status(409).json({ error });
+    }
 
-    let cart_items = req.session.cart.items.map(item => {
-        const pizza = pizzas.find(p => p.id === item.pizzaId);
-        if (!pizza) {
-            console.log(`Pizza with ID ${item.pizzaId} not found in database`);
-            return res.status(404).json({ error: `Pizza with ID ${item.pizzaId} not found` });
-        }
-        return {
-            pizzaId: item.pizzaId,
-            quantity: item.quantity,
-            unitPrice: pizza.price, // Assuming price is stored in the pizza object
-            totalPrice: item.quantity * pizza.price // Calculate total price for the item
-        };
-    });
+    req.session.cart.promoCode = promo.code;
+    await saveCartAndRespond(req, res);
+});
 
-    // Create order in the database
-    const orderData = {
-        sessionId: req.session.id,
-        items: {
-            create: cart_items.map(item => ({
-                pizzaId: item.pizzaId,
-                quantity: item.quantity,
-                unitPrice: item.unitPrice,
-                totalPrice: item.totalPrice
-            }))
-        },
-        total: req.session.cart.total,
-        createdAt: new Date(),
-    };
-    if (req.session.userId) {
-        orderData.userId = req.session.userId;
+app.delete("/api/v1/cart/promo", cartMiddleware, async (req, res) => {
+    if (!req.session.cart.promoCode) {
+        return res.status(404).json({ error: "No promo code applied" });
     }
-    const order = await prisma.order.create({
-        data: orderData,
-        include: { items: true } // Include order items in the response
-    });
 
-    // Clear the cart
+    delete req.session.cart.promoCode;
+    await saveCartAndRespond(req, res);
+});
+
+app.delete("/api/v1/cart", cartMiddleware, async (req, res) => {
     req.session.cart.items = [];
+    req.session.cart.extras = [];
     req.session.cart.total = 0;
+    delete req.session.cart.promoCode;
 
-    // Update session in Redis
-    await redisClient.set(sessionIdToRedisKey(req.session.id), JSON.stringify(req.session), 'EX', SESSION_LIFETIME);
+    await saveCart(req.session);
 
-    res.status(201).json({
-        orderId: order.id,
-        total: Number(order.total),
-        createdAt: order.createdAt,
-        items: order.items.map(item => ({
-            pizzaId: item.pizzaId,
-            quantity: item.quantity
-        }))
-    });
+    res.json(await transformCartInfo(req.session.cart, req.session.userId));
 });
 
-app.get("/api/v1/orders", async (req, res) => {
-    const session = await getSessionForRequest(req, res);
+// Address routes (saved delivery addresses of logged in users)
 
-    // Fetch orders for the session
-    const orders = await prisma.order.findMany({
-        where: { sessionId: session.id },
-        include: { items: true }, // Include order items
-        orderBy: { createdAt: 'desc' } // Most recent first
-    });
+const MAX_ADDRESS_FIELD_LENGTH = 128;
+const REQUIRED_ADDRESS_FIELDS = ["recipient", "street", "city", "postcode"];
+const OPTIONAL_ADDRESS_FIELDS = ["label", "phone", "notes"];
 
-    res.json({
-        orders: orders.map(order => ({
-            orderId: order.id,
-            createdAt: order.createdAt,
-            total: order.total,
-            status: order.status,
-            items: order.items.map(item => ({
-                pizzaId: item.pizzaId,
-                quantity: item.quantity
-            }))
-        }))
-    });
-});
+function isEmpty(value) {
+    return value === undefined || value === null;
+}
 
-app.get("/api/v1/orders/:id", async (req, res) => {
-    const session = await getSessionForRequest(req, res);
-    const orderId = parseInt(req.params.id);
+function isNumberInRange(value, min, max) {
+    return typeof value === "number" && value >= min && value <= max;
+}
 
-    if (isNaN(orderId)) {
-        return res.status(400).json({ error: "Invalid order ID" });
+// Validates an address, returns an error message or null
+// Updates are validated merged with the stored address
+function validateAddressInput(input) {
+    if (!input || typeof input !== "object") {
+        return "Address is required";
     }
-
-    const order = await prisma.order.findUnique({
-        where: { id: orderId, sessionId: session.id },
-        include: { 
-            items: {
-                include: {
-                    pizza: true
-                }
-            }
+    for (const field of REQUIRED_ADDRESS_FIELDS) {
+        const value = input[field];
+        if (typeof value !== "string" || value.trim().length === 0 || value.length > MAX_ADDRESS_FIELD_LENGTH) {
+            return `Address ${field} is required and must be at most ${MAX_ADDRESS_FIELD_LENGTH} characters long`;
         }
-    });
+    }
+    for (const field of OPTIONAL_ADDRESS_FIELDS) {
+        const value = input[field];
+        if (!isEmpty(value) && (typeof value !== "string" || value.length > MAX_ADDRESS_FIELD_LENGTH)) {
+            return `Address ${field} must be a string of at most ${MAX_ADDRESS_FIELD_LENGTH} characters`;
+        }
+    }
+    if (isEmpty(input.latitude) !== isEmpty(input.longitude)) {
+        return "Latitude and longitude must be given together";
+    }
+    if (!isEmpty(input.latitude) && !(isNumberInRange(input.latitude, -90, 90) && isNumberInRange(input.longitude, -180, 180))) {
+        return "Latitude must be between -90 and 90, longitude between -180 and 180";
+    }
+    return null;
+}
+
+// The address fields used for delivery, also stored on orders
+function buildDeliveryAddress(input) {
+    return {
+        recipient: input.recipient.trim(),
+        street: input.street.trim(),
+        city: input.city.trim(),
+        postcode: input.postcode.trim(),
+        phone: input.phone || null,
+        notes: input.notes || null,
+        latitude: isEmpty(input.latitude) ? null : input.latitude,
+        longitude: isEmpty(input.longitude) ? null : input.longitude,
+    };
+}
+
+function transformAddress(address) {
+    return {
+        id: address.id,
+        label: address.label,
+        recipient: address.recipient,
+        street: address.street,
+        city: address.city,
+        postcode: address.postcode,
+        phone: address.phone,
+        notes: address.notes,
+        latitude: address.latitude,
+        longitude: address.longitude,
+    };
+}
+
+// Addresses are only visible to the user who saved them
+function findAddressForUser(addressId, userId) {
+    return prisma.address.findUnique({ where: { id: addressId, userId } });
+}
+
+app.get("/api/v1/addresses", sessionMiddleware, requireLogin, async (req, res) => {
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const addresses = await findPage(prisma.address, {
+        where: { userId: req.session.userId },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+    }, page);
+    sendPage(req, res, { results: addresses.items.map(transformAddress) }, addresses);
+});
+
+app.post("/api/v1/addresses", sessionMiddleware, requireLogin, async (req, res) => {
+    const error = validateAddressInput(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const address = await prisma.address.create({
+        data: {
+            userId: req.session.userId,
+            label: req.body.label || null,
+            ...buildDeliveryAddress(req.body)
+        }
+    });
+
+    res.status(201).json(transformAddress(address));
+});
+
+app.patch("/api/v1/addresses/:id", sessionMiddleware, requireLogin, async (req, res) => {
+    const addressId = parseInt(req.params.id);
+    if (isNaN(addressId)) {
+        return res.status(400).json({ error: "Invalid address ID" });
+    }
+
+    const existing = await findAddressForUser(addressId, req.session.userId);
+    if (!existing) {
+        return res.status(404).json({ error: "Address not found" });
+    }
+
+    const input = { ...transformAddress(existing), ...req.body };
+    const error = validateAddressInput(input);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const address = await prisma.address.update({
+        where: { id: addressId },
+        data: {
+            label: input.label || null,
+            ...buildDeliveryAddress(input)
+        }
+    });
+
+    res.json(transformAddress(address));
+});
+
+// Orders keep their own copy of the address, so deleting it doesn't change past orders
+app.delete("/api/v1/addresses/:id", sessionMiddleware, requireLogin, async (req, res) => {
+    const addressId = parseInt(req.params.id);
+    if (isNaN(addressId)) {
+        return res.status(400).json({ error: "Invalid address ID" });
+    }
+
+    const existing = await findAddressForUser(addressId, req.session.userId);
+    if (!existing) {
+        return res.status(404).json({ error: "Address not found" });
+    }
+
+    await prisma.address.delete({ where: { id: addressId } });
+
+    res.json({ message: "Address deleted." });
+});
+
+// Delivery zones
+
+function transformDeliveryZone(zone) {
+    return {
+        id: zone.id,
+        name: zone.name,
+        postcodes: zone.postcodes,
+        polygon: zone.polygon,
+        fee: Number(zone.fee),
+        minOrder: Number(zone.minOrder),
+    };
+}
+
+/*
+ * Get the zones we deliver to, with their fees and minimum order values
+*/
+app.get("/api/v1/delivery-zones", async (req, res) => {
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const zones = await findPage(prisma.deliveryZone, {
+        where: { active: true },
+        orderBy: [{ fee: 'asc' }, { id: 'asc' }]
+    }, page);
+    sendPage(req, res, { results: zones.items.map(transformDeliveryZone) }, zones);
+});
+
+// Order routes
+
+/*
+ * Place an order from the cart
+ * The delivery address is either a saved address of the user (`addressId`) or given inline (`address`)
+ * Retries with the same Idempotency-Key header get the response of the first request
+*/
+app.post("/api/v1/orders", cartMiddleware, idempotencyMiddleware, async (req, res) => {
+    if (req.session.cart.items.length === 0 && req.session.cart.extras.length === 0) {
+        return res.status(400).json({ error: "Cart is empty" });
+    }
+
+    let deliveryAddress;
+    if (req.body && req.body.addressId !== undefined) {
+        if (!req.session.userId) {
+            return res.status(401).json({ error: "Log in to use a saved address" });
+        }
+        const addressId = parseInt(req.body.addressId);
+        if (isNaN(addressId)) {
+            return res.status(400).json({ error: "Invalid address ID" });
+        }
+        const address = await findAddressForUser(addressId, req.session.userId);
+        if (!address) {
+            return res.status(404).json({ error: "Address not found" });
+        }
+        deliveryAddress = buildDeliveryAddress(address);
+    } else {
+        if (!req.body || !req.body.address) {
+            return res.status(400).json({ error: "Delivery address is required" });
+        }
+        const error = validateAddressInput(req.body.address);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        deliveryAddress = buildDeliveryAddress(req.body.address);
+    }
+
+    // Cash on delivery unless paying by card
+    const { paymentMethod = "cash", paymentToken } = req.body;
+    const paymentError = validatePaymentInput(paymentMethod, paymentToken);
+    if (paymentError) {
+        return res.status(400).json({ error: paymentError });
+    }
+
+    const zone = await findDeliveryZone(deliveryAddress);
+    if (!zone) {
+        return res.status(400).json({ error: "We don't deliver to this address" });
+    }
+
+    // Everything is read and written in one transaction, so the order can't mix prices from before and after a change
+    let placed;
+    try {
+        placed = await prisma.$transaction(tx => createOrderFromCart(tx, req.session, { deliveryAddress, zone, paymentMethod }));
+    } catch (err) {
+        if (err instanceof OutOfStockError) {
+            return res.status(409).json({ error: `${err.message} for this order` });
+        }
+        if (err instanceof PromoCodeError) {
+            return res.status(409).json({ error: err.message });
+        }
+        throw err;
+    }
+    if (placed.pricesChanged) {
+        // The customer confirms the new total by placing the order again
+        const cart = await transformCartInfo(req.session.cart, req.session.userId);
+        req.session.cart.total = cart.total;
+        await saveSession(req.session);
+        return res.status(409).json({ error: placed.error, cart });
+    }
+    if (placed.error) {
+        return res.status(placed.status).json({ error: placed.error });
+    }
+    const { order, promo, pizzas, extras, lowStockIngredients } = placed;
+    alertLowStock(lowStockIngredients).catch(err => console.error("Error sending low stock alert:", err));
+
+    // A declined card leaves the order unpaid, the customer can pay again with POST /orders/:id/payment
+    const { payment, nextAction } = await startOrderPayment(order, paymentMethod, paymentToken);
+
+    // Clear the cart
+    req.session.cart.items = [];
+    req.session.cart.extras = [];
+    req.session.cart.total = 0;
+    delete req.session.cart.promoCode;
+
+    // Update session in Redis
+    await saveCart(req.session);
+
+    // Guests have no email address to send a confirmation to
+    if (req.session.userId) {
+        await sendOrderConfirmation(req.session.userId, order, pizzas, extras);
+    }
+
+    res.status(201).json({
+        orderId: order.id,
+        total: Number(order.total),
+        netTotal: Number(order.netTotal),
+        taxTotal: Number(order.taxTotal),
+        discount: Number(order.discount),
+        promoCode: promo ? promo.code : null,
+        deliveryFee: Number(order.deliveryFee),
+        deliveryAddress: order.deliveryAddress,
+        createdAt: order.createdAt,
+        paymentStatus: payment ? orderPaymentStatus(payment) : "failed",
+        payment: payment ? transformPayment(payment, nextAction) : null,
+        items: order.items.map(item => ({
+            pizzaId: item.pizzaId,
+            options: item.options,
+            quantity: item.quantity
+        })),
+        extras: order.extras.map(item => ({
+            itemId: item.extraId,
+            quantity: item.quantity
+        }))
+    });
+});
+
+// Prices the cart of the session with the current prices and creates the order, inside the transaction `tx`
+// Returns { status, error } if the cart can't be ordered as it is, with `pricesChanged` set if its total changed
+// since the customer last saw the cart, otherwise { order, promo, pizzas, extras, lowStockIngredients }
+// Throws OutOfStockError if an ingredient ran out, which rolls back the transaction
+async function createOrderFromCart(tx, session, { deliveryAddress, zone, paymentMethod }) {
+    const cart = session.cart;
+    const catalog = await loadPricingCatalog(cart.items, tx);
+
+    // A pizza may have been switched off, gone out of season or left its time window since it was added
+    const now = new Date();
+    const unavailable = cart.items.find(item => {
+        const pizza = catalog.pizzas.find(p => p.id === item.pizzaId);
+        return pizza && !isPizzaAvailable(pizza, now);
+    });
+    if (unavailable) {
+        return { status: 409, error: `Pizza with ID ${unavailable.pizzaId} is no longer available` };
+    }
+
+    // Amounts are Decimal, like they are stored, so the totals are exact to the cent
+    const orderItems = [];
+    for (const item of cart.items) {
+        const priced = priceCartLine(item, catalog);
+        if (!priced) {
+            return { status: 404, error: `Pizza with ID ${item.pizzaId} not found` };
+        }
+        const unitPrice = new Decimal(priced.unitPrice);
+        orderItems.push({
+            pizzaId: item.pizzaId,
+            options: priced.options, // Stored on the order with the names and prices of today
+            quantity: item.quantity,
+            unitPrice,
+            totalPrice: unitPrice.times(item.quantity)
+        });
+    }
+
+    const extras = await tx.extra.findMany({
+        where: {
+            id: {
+                in: cart.extras.map(item => item.itemId)
+            }
+        }
+    });
+    const orderExtras = [];
+    for (const item of cart.extras) {
+        const extra = extras.find(e => e.id === item.itemId);
+        if (!extra || !extra.available) {
+            return { status: 409, error: `Extra with ID ${item.itemId} is no longer available` };
+        }
+        const unitPrice = new Decimal(extra.price);
+        orderExtras.push({
+            extraId: item.itemId,
+            quantity: item.quantity,
+            unitPrice,
+            totalPrice: unitPrice.times(item.quantity)
+        });
+    }
+    const extraTypes = orderExtras.map(item => extras.find(e => e.id === item.extraId).type);
+
+    const subtotal = [...orderItems, ...orderExtras].reduce((sum, item) => sum.plus(item.totalPrice), new Decimal(0));
+
+    // The promo code is checked again, it may have expired or run out since it was applied
+    let promo = null;
+    let discount = new Decimal(0);
+    if (cart.promoCode) {
+        const itemizedCart = {
+            pizzas: orderItems.map(item => ({ pizzaId: item.pizzaId, unitPrice: item.unitPrice.toNumber() })),
+            extras: orderExtras.map(item => ({ itemId: item.extraId, unitPrice: item.unitPrice.toNumber() })),
+            subtotal: subtotal.toNumber()
+        };
+        const evaluation = await evaluateCartPromo(cart.promoCode, itemizedCart, session.userId, tx);
+        if (evaluation.error) {
+            return { status: 409, error: evaluation.error };
+        }
+        promo = evaluation.promo;
+        discount = new Decimal(evaluation.discount);
+    }
+
+    // Every line stores its share of the order after the discount, split into net, tax and gross
+    const taxRates = await loadTaxRates(tx);
+    const taxes = calculateTaxes([
+        ...orderItems.map(item => ({ category: "pizza", amount: item.totalPrice })),
+        ...orderExtras.map((item, index) => ({ category: extraTypes[index], amount: item.totalPrice }))
+    ], discount, taxRates);
+    [...orderItems, ...orderExtras].forEach((item, index) => {
+        const line = taxes.lines[index];
+        Object.assign(item, { taxRate: line.rate, netPrice: line.net, taxAmount: line.tax, grossPrice: line.gross });
+    });
+
+    // The cart total is updated whenever the customer sees the cart, the order must not cost anything else.
+    // It also differs when the saved cart was changed on another device since.
+    const itemsTotal = taxes.gross;
+    if (!itemsTotal.equals(cart.total || 0)) {
+        return { status: 409, error: "Prices changed since the cart was last shown, check the cart and place the order again", pricesChanged: true };
+    }
+
+    if (itemsTotal.lessThan(zone.minOrder)) {
+        return {
+            status: 400,
+            error: `The minimum order for delivery to ${zone.name} is ${Number(zone.minOrder).toFixed(2)}`
+        };
+    }
+    const deliveryFee = new Decimal(zone.fee);
+    const deliveryTax = splitTax(deliveryFee, taxRates.get("delivery"));
+
+    const orderData = {
+        sessionId: session.id,
+        items: {
+            create: orderItems
+        },
+        total: itemsTotal.plus(deliveryTax.gross),
+        netTotal: taxes.net.plus(deliveryTax.net),
+        taxTotal: taxes.tax.plus(deliveryTax.tax),
+        deliveryAddress,
+        deliveryZoneId: zone.id,
+        deliveryFee,
+        deliveryTaxRate: deliveryTax.rate,
+        deliveryNet: deliveryTax.net,
+        deliveryTax: deliveryTax.tax,
+        paymentMethod,
+        createdAt: now,
+    };
+    if (promo) {
+        orderData.promoCodeId = promo.id;
+        orderData.discount = discount;
+    }
+    if (orderExtras.length > 0) {
+        orderData.extras = { create: orderExtras };
+    }
+    if (session.userId) {
+        orderData.userId = session.userId;
+    }
+    // The ingredients are taken from stock and the promo code is redeemed together with creating the order,
+    // so all or none of it happens
+    if (promo) {
+        await redeemPromoCode(tx, promo, session.userId);
+    }
+    const ingredientIds = await takeFromStock(tx, orderItems);
+    const order = await tx.order.create({
+        data: orderData,
+        include: { items: true, extras: true } // Include order items in the response
+    });
+    const lowStockIngredients = await refreshStockLevels(tx, ingredientIds);
+    return { order, promo, pizzas: catalog.pizzas, extras, lowStockIngredients };
+}
+
+// Validates the payment input of an order, returns an error message or null
+// Checked before the order is placed, so an order is never left without a way to pay for it
+function validatePaymentInput(method, token) {
+    const methods = getPaymentMethods();
+    if (!methods.includes(method)) {
+        return `Payment method must be one of: ${methods.join(", ")}`;
+    }
+    if (method === "card" && (typeof token !== "string" || token.length === 0)) {
+        return "Payment token is required for card payments";
+    }
+    return null;
+}
+
+// Starts the payment of a placed order, see startPayment
+// The order is already committed, so if the payment can't even be started, it is marked as failed
+// to be paid again, and { payment: null } is returned
+async function startOrderPayment(order, method, token) {
+    try {
+        return await startPayment(order, method, token);
+    } catch (err) {
+        console.error("Error starting payment:", err);
+        await prisma.order.update({ where: { id: order.id }, data: { paymentStatus: "failed" } });
+        return { payment: null, nextAction: null };
+    }
+}
+
+// `nextAction` tells the client what the customer has to do to complete the payment, e.g. 3-D Secure
+function transformPayment(payment, nextAction = null) {
+    return {
+        id: payment.id,
+        method: payment.method,
+        status: payment.status,
+        amount: Number(payment.amount),
+        failureReason: payment.failureReason,
+        nextAction,
+    };
+}
+
+async function sendOrderConfirmation(userId, order, pizzas, extras) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user || !user.email) {
+        return;
+    }
+    const items = [
+        ...order.items.map(item => {
+            const name = pizzas.find(p => p.id === item.pizzaId).name;
+            const options = describeOptions(item.options);
+            return {
+                name: options ? `${name} (${options})` : name,
+                quantity: item.quantity,
+                totalPrice: item.totalPrice
+            };
+        }),
+        ...order.extras.map(item => ({
+            name: extras.find(e => e.id === item.extraId).name,
+            quantity: item.quantity,
+            totalPrice: item.totalPrice
+        }))
+    ];
+    sendTemplateEmail(user.email, "orderConfirmation", {
+        orderId: order.id,
+        items,
+        discount: order.discount,
+        deliveryFee: order.deliveryFee,
+        total: order.total
+    });
+}
+
+// Summary of an order in order lists
+function transformOrderSummary(order) {
+    return {
+        orderId: order.id,
+        createdAt: order.createdAt,
+        total: order.total,
+        discount: order.discount,
+        deliveryFee: order.deliveryFee,
+        status: order.status,
+        paymentMethod: order.paymentMethod,
+        paymentStatus: order.paymentStatus,
+        items: order.items.map(item => ({
+            pizzaId: item.pizzaId,
+            options: item.options,
+            quantity: item.quantity
+        })),
+        extras: order.extras.map(item => ({
+            itemId: item.extraId,
+            quantity: item.quantity
+        }))
+    };
+}
+
+app.get("/api/v1/orders", sessionMiddleware, async (req, res) => {
+    const session = req.session;
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const orders = await findPage(prisma.order, {
+        where: orderOwnerWhere(session),
+        include: { items: true, extras: true }, // Include order items
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }] // Most recent first
+    }, page);
+
+    sendPage(req, res, { orders: orders.items.map(transformOrderSummary) }, orders);
+});
+
+// Logged in users see the orders of their account on every device, guests only the orders of their session
+function orderOwnerWhere(session) {
+    return session.userId ? { userId: session.userId } : { sessionId: session.id };
+}
+
+function findOrderForSession(orderId, session, include) {
+    return prisma.order.findUnique({
+        where: { id: orderId, ...orderOwnerWhere(session) },
+        include
+    });
+}
+
+app.get("/api/v1/orders/:id", sessionMiddleware, async (req, res) => {
+    const session = req.session;
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+        return res.status(400).json({ error: "Invalid order ID" });
+    }
+
+    const order = await findOrderForSession(orderId, session, {
+        items: {
+            include: {
+                pizza: true
+            }
+        },
+        extras: {
+            include: {
+                extra: true
+            }
+        },
+        statusHistory: {
+            orderBy: { createdAt: 'asc' }
+        }
+    });
+
+    if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+    }
+
+    res.json({
+        orderId: order.id,
+        createdAt: order.createdAt,
+        status: order.status,
+        total: order.total,
+        netTotal: order.netTotal,
+        taxTotal: order.taxTotal,
+        discount: order.discount,
+        deliveryFee: order.deliveryFee,
+        deliveryTaxRate: order.deliveryTaxRate,
+        deliveryTax: order.deliveryTax,
+        deliveryAddress: order.deliveryAddress,
+        paymentMethod: order.paymentMethod,
+        paymentStatus: order.paymentStatus,
+        receiptNumber: order.receiptNumber,
+        items: order.items.map(item => ({
+            pizzaId: item.pizzaId,
+            name: item.pizza.name,
+            options: item.options,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            totalPrice: item.totalPrice,
+            ...transformLineTaxes(item)
+        })),
+        extras: order.extras.map(item => ({
+            itemId: item.extraId,
+            type: item.extra ? item.extra.type : null,
+            name: item.extra ? item.extra.name : null,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            totalPrice: item.totalPrice,
+            ...transformLineTaxes(item)
+        })),
+        timeline: buildOrderTimeline(order)
+    });
+});
+
+// Share of an order line after the discount, null for orders placed before taxes were recorded
+function transformLineTaxes(item) {
+    return {
+        taxRate: item.taxRate,
+        netPrice: item.netPrice,
+        taxAmount: item.taxAmount,
+        grossPrice: item.grossPrice
+    };
+}
+
+// The cart line an order item was ordered with
+// Items of orders placed before options existed were ordered without options
+function orderItemCartLine(item) {
+    const options = item.options || { size: null, crust: null, removedToppings: [], extraToppings: [] };
+    return {
+        pizzaId: item.pizzaId,
+        quantity: item.quantity,
+        sizeId: options.size ? options.size.id : null,
+        crustId: options.crust ? options.crust.id : null,
+        removedToppingIds: options.removedToppings.map(topping => topping.id).sort((a, b) => a - b),
+        extraToppingIds: options.extraToppings.map(topping => topping.id).sort((a, b) => a - b)
+    };
+}
+
+// Adds the quantity to the line with the same pizza and options, or adds the line to the cart
+function addPizzaToCart(cart, line) {
+    const existing = cart.items.find(item => cartLineKey(item) === cartLineKey(line));
+    if (existing) {
+        existing.quantity += line.quantity;
+    } else {
+        cart.items.push({ lineId: crypto.randomUUID(), ...line });
+    }
+}
+
+/*
+ * Order again: adds the items of a past order to the cart, at the current prices
+ * Items that can't be ordered anymore are left out and listed in `unavailable`,
+ * items whose price changed since are listed in `priceChanges`
+*/
+app.post("/api/v1/orders/:id/reorder", cartMiddleware, async (req, res) => {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+        return res.status(400).json({ error: "Invalid order ID" });
+    }
+
+    const order = await findOrderForSession(orderId, req.session, {
+        items: { include: { pizza: true } },
+        extras: { include: { extra: true } }
+    });
+    if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+    }
+
+    const now = new Date();
+    const lines = order.items.map(orderItemCartLine);
+    const catalog = await loadPricingCatalog(lines);
+    const unavailable = [];
+    const priceChanges = [];
+    const pizzaLines = [];
+    const extraLines = [];
+    order.items.forEach((item, index) => {
+        const priced = priceCartLine(lines[index], catalog);
+        const name = item.pizza ? item.pizza.name : null;
+        if (!priced) {
+            unavailable.push({ pizzaId: item.pizzaId, name, quantity: item.quantity, reason: "Not on the menu anymore" });
+            return;
+        }
+        if (!isPizzaAvailable(priced.pizza, now)) {
+            unavailable.push({ pizzaId: item.pizzaId, name, quantity: item.quantity, reason: "Not available right now" });
+            return;
+        }
+        if (!new Decimal(item.unitPrice).equals(priced.unitPrice)) {
+            priceChanges.push({ pizzaId: item.pizzaId, name, oldUnitPrice: Number(item.unitPrice), unitPrice: priced.unitPrice });
+        }
+        pizzaLines.push(lines[index]);
+    });
+
+    const extraIds = order.extras.map(item => item.extraId);
+    const extras = extraIds.length > 0 ? await prisma.extra.findMany({ where: { id: { in: extraIds } } }) : [];
+    for (const item of order.extras) {
+        const extra = extras.find(e => e.id === item.extraId);
+        const name = item.extra ? item.extra.name : null;
+        if (!extra || !extra.available) {
+            unavailable.push({ itemId: item.extraId, name, quantity: item.quantity, reason: "Not on the menu anymore" });
+            continue;
+        }
+        if (!new Decimal(item.unitPrice).equals(extra.price)) {
+            priceChanges.push({ itemId: item.extraId, name, oldUnitPrice: Number(item.unitPrice), unitPrice: roundMoney(extra.price) });
+        }
+        extraLines.push({ itemId: item.extraId, quantity: item.quantity });
+    }
+
+    if (pizzaLines.length === 0 && extraLines.length === 0) {
+        return res.status(409).json({ error: "None of the items of this order can be ordered anymore", unavailable });
+    }
+    pizzaLines.forEach(line => addPizzaToCart(req.session.cart, line));
+    for (const { itemId, quantity } of extraLines) {
+        const existing = req.session.cart.extras.find(item => item.itemId === itemId);
+        setCartLineQuantity(req.session.cart.extras, "itemId", itemId, (existing ? existing.quantity : 0) + quantity);
+    }
+
+    const cart = await transformCartInfo(req.session.cart, req.session.userId);
+    req.session.cart.total = cart.total;
+    await saveCart(req.session);
+    res.json({ cart, unavailable, priceChanges });
+});
+
+/*
+ * Get the receipt of an order, as a printable HTML page or as a PDF
+ * The format is `format` (html or pdf), otherwise taken from the Accept header
+ * The order gets its receipt number when the receipt is first requested, once it is paid or confirmed
+*/
+app.get("/api/v1/orders/:id/receipt", sessionMiddleware, async (req, res) => {
+    const session = req.session;
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+        return res.status(400).json({ error: "Invalid order ID" });
+    }
+    const format = req.query.format || (req.accepts(RECEIPT_FORMATS) === "pdf" ? "pdf" : "html");
+    if (!RECEIPT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Format must be one of: ${RECEIPT_FORMATS.join(", ")}` });
+    }
+
+    const order = await findOrderForSession(orderId, session, {
+        items: { include: { pizza: true } },
+        extras: { include: { extra: true } }
+    });
+    if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+    }
+    if (order.status === "cancelled" || order.status === "rejected") {
+        return res.status(409).json({ error: "Cancelled and rejected orders have no receipt" });
+    }
+    if (!order.receiptNumber) {
+        if (!canIssueReceipt(order)) {
+            return res.status(409).json({ error: "The receipt is issued once the order is paid or confirmed" });
+        }
+        Object.assign(order, await issueReceipt(order.id));
+    }
+
+    const receipt = buildReceipt(order);
+    if (format === "pdf") {
+        res.type("pdf");
+        res.set("Content-Disposition", `inline; filename="receipt-${receipt.number}.pdf"`);
+        return res.send(renderReceiptPdf(receipt));
+    }
+    res.type("html").send(renderReceiptHtml(receipt));
+});
+
+/*
+ * Pay again for an order whose payment failed, e.g. with another card or cash on delivery
+*/
+app.post("/api/v1/orders/:id/payment", sessionMiddleware, async (req, res) => {
+    const session = req.session;
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+        return res.status(400).json({ error: "Invalid order ID" });
+    }
+    const { paymentMethod, paymentToken } = req.body || {};
+    const error = validatePaymentInput(paymentMethod, paymentToken);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const order = await findOrderForSession(orderId, session);
+    if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+    }
+    // Checked and claimed in one write, so concurrent retries can't both start a payment
+    const { count } = await prisma.order.updateMany({
+        where: {
+            id: orderId,
+            paymentStatus: "failed",
+            status: { notIn: ORDER_STATUSES.filter(isFinalStatus) }
+        },
+        data: { paymentMethod, paymentStatus: "unpaid" }
+    });
+    if (count === 0) {
+        return res.status(409).json({ error: "Only failed payments of open orders can be retried" });
+    }
+    const { payment, nextAction } = await startOrderPayment(order, paymentMethod, paymentToken);
+
+    res.status(201).json({
+        orderId,
+        paymentStatus: payment ? orderPaymentStatus(payment) : "failed",
+        payment: payment ? transformPayment(payment, nextAction) : null
+    });
+});
+
+function writeServerSentEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/*
+ * Live order tracking (Server-Sent Events)
+ * Sends the current status first, then every status change until the order reaches a final status
+*/
+app.get("/api/v1/orders/:id/events", sessionMiddleware, async (req, res) => {
+    const session = req.session;
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+        return res.status(400).json({ error: "Invalid order ID" });
+    }
+
+    const order = await findOrderForSession(orderId, session);
+    if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+    }
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive"
+    });
+    writeServerSentEvent(res, "status", { orderId: order.id, status: order.status });
+    if (isFinalStatus(order.status)) {
+        return res.end();
+    }
+
+    let unsubscribe = null;
+    let closed = false;
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), ORDER_EVENTS_HEARTBEAT * 1000);
+    const close = () => {
+        if (closed) {
+            return;
+        }
+        closed = true;
+        clearInterval(heartbeat);
+        if (unsubscribe) {
+            unsubscribe().catch(err => console.error("Error unsubscribing from order events:", err));
+        }
+        res.end();
+    };
+    req.on("close", close);
+
+    try {
+        unsubscribe = await subscribeToOrder(order.id, (event) => {
+            writeServerSentEvent(res, "status", event);
+            if (isFinalStatus(event.status)) {
+                close();
+            }
+        });
+    } catch (err) {
+        console.error("Error subscribing to order events:", err);
+        return close();
+    }
+    // The client may have gone away (or the order finished) while subscribing
+    if (closed) {
+        unsubscribe().catch(err => console.error("Error unsubscribing from order events:", err));
+    }
+});
+
+// Every order starts as pending, later changes are recorded in the status history
+// Staff views also show who made each change
+function buildOrderTimeline(order, withChangedBy = false) {
+    return [
+        { status: "pending", changedAt: order.createdAt, note: null },
+        ...order.statusHistory.map(entry => {
+            const event = {
+                status: entry.toStatus,
+                changedAt: entry.createdAt,
+                note: entry.note
+            };
+            if (withChangedBy) {
+                event.changedById = entry.changedById;
+            }
+            return event;
+        })
+    ];
+}
+
+// Payment routes
+
+/*
+ * Webhook of the payment provider
+ * Events are only accepted with a valid signature, see payments.js
+*/
+app.post("/api/v1/payments/webhook", async (req, res) => {
+    if (!await receivePaymentWebhook(req.rawBody, req.get("X-Payment-Signature"))) {
+        return res.status(400).json({ error: "Invalid webhook signature or event" });
+    }
+    res.json({ received: true });
+});
+
+// 3-D Secure page of the mock provider, where nextAction of a payment points to
+// Only mounted when the mock provider is configured, never in production
+function findMockIntent(req, res) {
+    const provider = getPaymentProvider();
+    const intent = provider.name === "mock" ? provider.intents.get(req.params.intentId) : null;
+    if (!intent || intent.status !== "requires_action") {
+        res.status(404).json({ error: "Payment not found or already completed" });
+        return null;
+    }
+    return intent;
+}
+
+if (MOCK_PROVIDER_ENABLED) {
+    app.get("/api/v1/payments/mock/3ds/:intentId", (req, res) => {
+        const intent = findMockIntent(req, res);
+        if (!intent) {
+            return;
+        }
+        const amount = (intent.amount / 100).toFixed(2);
+        res.type("html").send(`<!doctype html>
+<html><body>
+<h1>Mock 3-D Secure</h1>
+<p>Confirm the payment of ${amount} ${intent.currency}?</p>
+<form method="post"><input type="hidden" name="outcome" value="approve"><button>Approve</button></form>
+<form method="post"><input type="hidden" name="outcome" value="deny"><button>Deny</button></form>
+</body></html>`);
+    });
+
+    app.post("/api/v1/payments/mock/3ds/:intentId", express.urlencoded({ extended: false }), async (req, res) => {
+        const intent = findMockIntent(req, res);
+        if (!intent) {
+            return;
+        }
+        const { outcome } = req.body || {};
+        if (outcome !== "approve" && outcome !== "deny") {
+            return res.status(400).json({ error: "Outcome must be approve or deny" });
+        }
+
+        await completeMockAction(intent.id, outcome === "approve");
+
+        const payment = await prisma.payment.findUnique({ where: { providerPaymentId: intent.id } });
+        res.json({ orderId: payment.orderId, payment: transformPayment(payment) });
+    });
+}
+
+// Staff routes (order processing)
+
+/*
+ * Get orders to process
+ * By default only orders that are not delivered, cancelled or rejected are returned
+*/
+app.get("/api/v1/staff/orders", sessionMiddleware, requireRole("staff", "admin"), async (req, res) => {
+    let statuses = ORDER_STATUSES.filter(status => !isFinalStatus(status));
+    if (req.query.status) {
+        statuses = req.query.status.split(",").map(status => status.trim());
+        if (!statuses.every(isOrderStatus)) {
+            return res.status(400).json({ error: `Status must be one of: ${ORDER_STATUSES.join(", ")}` });
+        }
+    }
+
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const orders = await findPage(prisma.order, {
+        where: { status: { in: statuses } },
+        include: { items: true, extras: true },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] // Oldest first
+    }, page);
+
+    sendPage(req, res, { orders: orders.items.map(transformOrderSummary) }, orders);
+});
+
+/*
+ * Move an order to its next status
+ * Only transitions allowed by the order lifecycle are accepted
+*/
+app.post("/api/v1/staff/orders/:id/status", sessionMiddleware, requireRole("staff", "admin"), async (req, res) => {
+    const orderId = parseInt(req.params.id);
+    if (isNaN(orderId)) {
+        return res.status(400).json({ error: "Invalid order ID" });
+    }
+    const { status, note } = req.body || {};
+    if (!isOrderStatus(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${ORDER_STATUSES.join(", ")}` });
+    }
+    if (note !== undefined && note !== null && typeof note !== "string") {
+        return res.status(400).json({ error: "Note must be a string" });
+    }
+
+    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+    }
+    if (!canTransition(order.status, status)) {
+        return res.status(409).json({ error: `Cannot change order status from ${order.status} to ${status}` });
+    }
+    // Card orders are only prepared once paid, cash orders are paid on delivery
+    if (status === "accepted" && order.paymentMethod === "card" && order.paymentStatus !== "paid") {
+        return res.status(409).json({ error: "The card payment of this order is not completed" });
+    }
+
+    let updatedOrder;
+    try {
+        [, updatedOrder] = await prisma.$transaction([
+            prisma.orderStatusHistory.create({
+                data: {
+                    orderId,
+                    fromStatus: order.status,
+                    toStatus: status,
+                    changedById: req.user.id,
+                    note: note || null
+                }
+            }),
+            // Only succeeds if nobody changed the status in the meantime
+            prisma.order.update({
+                where: { id: orderId, status: order.status },
+                data: { status },
+                include: { statusHistory: { orderBy: { createdAt: 'asc' } } }
+            }),
+            // Orders that don't go through give back their use of the promo code
+            ...(order.promoCodeId && NOT_REDEEMED_STATUSES.includes(status) ? [releasePromoCode(prisma, order.promoCodeId)] : [])
+        ]);
+    } catch (err) {
+        if (err.code === "P2025") {
+            return res.status(409).json({ error: "Order status was changed by someone else, please retry" });
+        }
+        throw err;
+    }
+
+    // Notify customers following the order, a failed notification doesn't undo the change
+    const lastChange = updatedOrder.statusHistory[updatedOrder.statusHistory.length - 1];
+    publishOrderEvent(orderId, {
+        orderId,
+        status: updatedOrder.status,
+        changedAt: lastChange ? lastChange.createdAt : new Date(),
+        note: note || null
+    }).catch(err => console.error("Error publishing order event:", err));
+
+    // Settle the payment, a failure is logged and doesn't undo the change either
+    if (status === "delivered" && order.paymentMethod === "cash") {
+        await collectCashPayment(orderId).catch(err => console.error("Error collecting cash payment:", err));
+    } else if ((status === "cancelled" || status === "rejected") && order.paymentStatus === "paid") {
+        await refundOrderPayment(orderId).catch(err => console.error("Error refunding payment:", err));
+    }
+
+    res.json({
+        orderId: updatedOrder.id,
+        status: updatedOrder.status,
+        timeline: buildOrderTimeline(updatedOrder, true)
+    });
+});
+
+// Staff routes (inventory)
+
+function transformIngredient(ingredient) {
+    return {
+        id: ingredient.id,
+        name: ingredient.name,
+        unit: ingredient.unit,
+        stock: ingredient.stock,
+        lowStockThreshold: ingredient.lowStockThreshold,
+        lowStock: Boolean(ingredient.lowStockSince),
+        lowStockSince: ingredient.lowStockSince,
+    };
+}
+
+// Writes an ingredient with `write(tx)` and brings sold-out pizzas and the low-stock state up to date
+// in the same transaction, staff are alerted if the ingredient dropped to its low-stock threshold
+async function saveIngredient(write) {
+    const [ingredient, lowStockIngredients] = await prisma.$transaction(async tx => {
+        const { id } = await write(tx);
+        const dropped = await refreshStockLevels(tx, [id]);
+        return [await tx.ingredient.findUnique({ where: { id } }), dropped];
+    });
+    alertLowStock(lowStockIngredients).catch(err => console.error("Error sending low stock alert:", err));
+    return ingredient;
+}
+
+/*
+ * Get the ingredient stock
+ * With lowStock=true only ingredients at or below their low-stock threshold are returned
+*/
+app.get("/api/v1/staff/ingredients", sessionMiddleware, requireRole("staff", "admin"), async (req, res) => {
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const ingredients = await findPage(prisma.ingredient, {
+        where: req.query.lowStock === "true" ? { lowStockSince: { not: null } } : {},
+        orderBy: [{ name: 'asc' }, { id: 'asc' }]
+    }, page);
+
+    sendPage(req, res, { results: ingredients.items.map(transformIngredient) }, ingredients);
+});
+
+/*
+ * Add a delivery to the stock of an ingredient
+ * Pizzas that were sold out for lack of the ingredient are back on the menu if there is enough now
+*/
+app.post("/api/v1/staff/ingredients/:id/restock", sessionMiddleware, requireRole("staff", "admin"), async (req, res) => {
+    const ingredientId = parseInt(req.params.id);
+    if (isNaN(ingredientId)) {
+        return res.status(400).json({ error: "Invalid ingredient ID" });
+    }
+    const { quantity } = req.body || {};
+    if (!validateAmount(quantity, MAX_STOCK) || Number(quantity) <= 0) {
+        return res.status(400).json({ error: "Quantity must be a positive number with at most 2 decimals" });
+    }
+
+    const existing = await prisma.ingredient.findUnique({ where: { id: ingredientId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Ingredient not found" });
+    }
+
+    const ingredient = await saveIngredient(tx => tx.ingredient.update({
+        where: { id: ingredientId },
+        data: { stock: { increment: Number(quantity) } }
+    }));
+
+    res.json(transformIngredient(ingredient));
+});
+
+// IAM routes (auth, register, etc.)
+function isEmailRateLimited(email) {
+    const key = `${EMAIL_RATE_LIMIT_PREFIX}${email}`;
+    return redisClient.get(key).then(v => {
+        if (v) {
+            return true; // Rate limit applied
+        } else {
+            redisClient.set(key, '1', { EX: EMAIL_RATE_LIMIT }); // Set rate limit for email
+            return false; // No rate limit applied
+        }
+    });
+}
+
+function validateEmail(email) {
+    // Simple email validation regex
+    const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return re.test(String(email).toLowerCase());
+}
+
+function validatePassword(password) {
+    // Password must be at least 8 characters long
+    return password && password.length >= 8;
+}
+
+app.post("/api/v1/auth/register", sessionMiddleware, async (req, res) => {
+    const { email, password } = req.body;
+    if (!email || !password) {
+        return res.status(400).json({ error: "Username and password are required" });
+    }
+
+    // Validate email format
+    if (!validateEmail(email)) {
+        return res.status(400).json({ error: "Invalid email format" });
+    }
+
+    // Validate password strength
+    if (!validatePassword(password)) {
+        return res.status(400).json({ error: "Password must be at least 8 characters long" });
+    }
+
+    // Check if user already exists
+    const existingUser = await prisma.user.findUnique({ where: { email } });
+    if (existingUser) {
+        return res.status(409).json({ error: "User already exists" });
+    }
+
+    // Create new user
+    const hashedPassword = await hashPassword(password);
+    const newUser = await prisma.user.create({
+        data: {
+            email,
+            password: hashedPassword,
+            verified: false, // Default to not verified
+        }
+    });
+
+    // Send verification email
+    const token = getSecureToken();
+    await prisma.emailVerification.create({
+        data: {
+            userId: newUser.id,
+            token: token,
+            expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_LIFETIME * 1000),
+            email: newUser.email
+        }
+    });
+    const verificationLink = `${BASE_DOMAIN}/api/v1/auth/verify?token=${token}`;
+    // Note: no need to rate limit here
+    // We explicitly check if email is already registered
+    // So if user has already requested verification email,
+    // we will deny earlier in this function with "user already exists"
+    sendTemplateEmail(newUser.email, "verification", { link: verificationLink });
+
+    res.status(201).json({ message: "User created successfully. Please check your email to verify your account." });
+});
+
+app.post("/api/v1/auth/resend-verification", sessionMiddleware, async (req, res) => {
+    const { email } = req.body;
+    if (!email) {
+        return res.status(400).json({ error: "Email is required" });
+    }
+
+    // Check if user exists and is unverified
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user || user.verified) {
+        return res.status(404).json({ error: "User not found or already verified" });
+    }
+
+    // Check if email is rate limited
+    const isRateLimited = await isEmailRateLimited(email);
+    if (isRateLimited) {
+        return res.status(429).json({ error: "Please wait before requesting another verification email." });
+    }
+
+    // Send verification email
+    const token = getSecureToken();
+    const verificationLink = `${BASE_DOMAIN}/api/v1/auth/verify?token=${token}`;
+    sendTemplateEmail(user.email, "verification", { link: verificationLink });
+
+    res.json({ message: "Verification email sent." });
+});
+
+app.get("/api/v1/auth/verify", async (req, res) => {
+    const { token } = req.query;
+    if (!token) {
+        return res.status(400).json({ error: "Token is required" });
+    }
+
+    // Find user by token
+    const verificationRequest = await prisma.emailVerification.findFirst({
+        where: { token: token }
+    });
+    const user = verificationRequest ? await prisma.user.findUnique({ where: { id: verificationRequest.userId } }) : null;
+    if (!verificationRequest || !user) {
+        return res.status(404).json({ error: "Invalid or expired token" });
+    }
+
+    // Verified users confirm a new email address, see POST /me/email
+    if (user.verified && verificationRequest.email && verificationRequest.email !== user.email) {
+        return confirmEmailChange(req, res, user, verificationRequest);
+    }
+
+    // Check if user is already verified
+    if (user.verified) {
+        return res.status(400).json({ error: "User already verified" });
+    }
+
+    // Mark user as verified
+    Promise.all([
+        prisma.user.update({
+            where: { id: user.id },
+            data: { verified: true } // Clear the token after verification
+        }),
+        prisma.emailVerification.delete({
+            where: { id: verificationRequest.id }
+        })
+    ]);
+
+    res.json({ message: "Email verified successfully." });
+});
+
+// Accounts created by signing in with a provider have no password, until one is set with a reset link
+async function verifyUserPassword(user, password) {
+    return Boolean(user.password) && verifyPassword(password, user.password);
+}
+
+// Checks the credentials of a login, returns { user } or { status, error }
+async function checkCredentials(email, password) {
+    if (!email || !password) {
+        return { status: 400, error: "Email and password are required" };
+    }
+
+    // Find user by email
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user || !user.verified || user.deletedAt) {
+        return { status: 404, error: "User not found or not verified" };
+    }
+
+    // Verify password
+    const isValidPassword = await verifyUserPassword(user, password);
+    if (!isValidPassword) {
+        return { status: 401, error: "Invalid credentials" };
+    }
+    return { user };
+}
+
+// Logs the user in to the session of the request, keeping what they did in it as a guest
+async function logInSession(req, res, user) {
+    const session = req.session;
+    // Merge the anonymous cart of this session into the user's saved cart
+    const savedCart = await loadUserCart(user.id);
+    if (savedCart) {
+        const mergedCart = mergeCarts(savedCart, session.cart);
+        session.cart.items = mergedCart.items;
+        session.cart.extras = mergedCart.extras;
+    }
+    session.cart.total = (await transformCartInfo(session.cart, user.id)).total;
+    await saveUserCart(user.id, session.cart);
+
+    // Orders placed as a guest in this session move to the user's order history
+    await prisma.order.updateMany({
+        where: { sessionId: session.id, userId: null },
+        data: { userId: user.id }
+    });
+
+    // Associate user with the session, under a new ID so that an ID known before the login
+    // (e.g. planted by an attacker, session fixation) isn't logged in. The cart moves with the session.
+    const previousSessionId = session.id;
+    session.id = generateSessionId();
+    session.userId = user.id;
+    session.signedInAt = new Date();
+    session.updatedAt = new Date();
+    await saveSession(session);
+    await addUserSession(user.id, session.id, req);
+    await endSession(previousSessionId);
+    res.cookie('session', session.id, { httpOnly: true, secure: true });
+}
+
+// Stops the login of a user with 2FA after the password, see two_factor.js
+// `sessionId` is the session the second step logs in to, null for token logins
+async function sendTwoFactorChallenge(res, user, sessionId) {
+    const challengeToken = await createLoginChallenge(user.id, sessionId);
+    res.json({
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn: CHALLENGE_LIFETIME
+    });
+}
+
+// Checks the challenge token and the code of the second step of a login, returns the user
+// Responds with an error and returns null if they are wrong
+async function passTwoFactorChallenge(req, res, sessionId) {
+    const { challengeToken, code } = req.body || {};
+    if (!challengeToken || !code) {
+        res.status(400).json({ error: "Challenge token and code are required" });
+        return null;
+    }
+
+    // The second step must be taken where the first one was
+    const challenge = await findLoginChallenge(challengeToken);
+    const user = challenge && challenge.sessionId === sessionId
+        ? await prisma.user.findUnique({ where: { id: challenge.userId } })
+        : null;
+    if (!user || user.deletedAt || !user.twoFactorEnabledAt) {
+        res.status(401).json({ error: "Invalid or expired challenge, please log in again" });
+        return null;
+    }
+
+    if (!(await verifyTwoFactorCode(user, code))) {
+        await failLoginChallenge(challengeToken, challenge);
+        res.status(401).json({ error: "Invalid code" });
+        return null;
+    }
+    if (!(await claimLoginChallenge(challengeToken))) {
+        res.status(401).json({ error: "Invalid or expired challenge, please log in again" });
+        return null;
+    }
+    return user;
+}
+
+/*
+ * Log in with email and password
+ * Users with 2FA get a challenge token instead, see POST /auth/login/2fa
+*/
+app.post("/api/v1/auth/login", sessionMiddleware, async (req, res) => {
+    const { email, password } = req.body;
+    const { user, status, error } = await checkCredentials(email, password);
+    if (error) {
+        return res.status(status).json({ error });
+    }
+    if (user.twoFactorEnabledAt) {
+        return sendTwoFactorChallenge(res, user, req.session.id);
+    }
+
+    await logInSession(req, res, user);
+
+    res.json({
+        user: {
+            id: user.id,
+            email: user.email
+        }
+    });
+});
+
+/*
+ * Second step of a login of a user with 2FA: the challenge token with a code of the authenticator app or a recovery code
+*/
+app.post("/api/v1/auth/login/2fa", sessionMiddleware, async (req, res) => {
+    const user = await passTwoFactorChallenge(req, res, req.session.id);
+    if (!user) {
+        return;
+    }
+
+    await logInSession(req, res, user);
+
+    res.json({
+        user: {
+            id: user.id,
+            email: user.email
+        }
+    });
+});
+
+app.post("/api/v1/auth/logout", async (req, res) => {
+    // Token logins log out with their access token
+    const accessToken = getBearerToken(req);
+    if (accessToken) {
+        const session = await getSessionForAccessToken(accessToken);
+        if (!session) {
+            return sendInvalidAccessToken(res);
+        }
+        await endSession(session.id);
+        return res.json({ message: "Logged out successfully." });
+    }
+
+    const sessionId = req?.cookies?.session;
+    if (!sessionId) {
+        return res.status(400).json({ error: "No session found" });
+    }
+
+    // Invalidate session in Redis
+    await endSession(sessionId);
+
+    // Clear cookie
+    res.clearCookie('session');
+
+    res.json({ message: "Logged out successfully." });
+});
+
+/*
+ * Token login, for clients without cookies (e.g. the mobile app), see auth_tokens.js
+ * Starts a new session, sent with `Authorization: Bearer <accessToken>`
+ * The cart of the session is the user's saved cart
+*/
+// Starts the session of a token login, responds with its tokens
+async function sendTokenLogin(req, res, user) {
+    const session = constructSessionData(generateSessionId());
+    session.userId = user.id;
+    session.signedInAt = new Date();
+    session.tokenAuth = true;
+    await saveSession(session);
+    await addUserSession(user.id, session.id, req);
+
+    res.json({
+        ...await issueTokens(user.id, session.id),
+        user: {
+            id: user.id,
+            email: user.email
+        }
+    });
+}
+
+app.post("/api/v1/auth/token", async (req, res) => {
+    const { email, password } = req.body || {};
+    const { user, status, error } = await checkCredentials(email, password);
+    if (error) {
+        return res.status(status).json({ error });
+    }
+    if (user.twoFactorEnabledAt) {
+        return sendTwoFactorChallenge(res, user, null);
+    }
+
+    await sendTokenLogin(req, res, user);
+});
+
+/*
+ * Second step of a token login of a user with 2FA, like POST /auth/login/2fa
+*/
+app.post("/api/v1/auth/token/2fa", async (req, res) => {
+    const user = await passTwoFactorChallenge(req, res, null);
+    if (!user) {
+        return;
+    }
+    await sendTokenLogin(req, res, user);
+});
+
+/*
+ * Exchanges a refresh token for a new access token and a new refresh token
+ * Every refresh token can be used once, using one twice ends the session in case it was stolen
+*/
+app.post("/api/v1/auth/token/refresh", async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+        return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    const redeemed = await redeemRefreshToken(refreshToken);
+    const session = redeemed ? await getExistingSession(redeemed.sessionId) : null;
+    if (!session || session.userId !== redeemed.userId) {
+        return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+    if (redeemed.reused) {
+        await endSession(session.id);
+        return res.status(401).json({ error: "Refresh token was already used, please log in again" });
+    }
+
+    // Refreshing keeps the session alive
+    session.updatedAt = new Date();
+    await saveSession(session);
+    await addUserSession(session.userId, session.id, req);
+
+    res.json(await issueTokens(session.userId, session.id));
+});
+
+/*
+ * Revokes a refresh token and ends its session, like logging out (RFC 7009)
+ * Unknown tokens are not an error, the token can't be used either way
+*/
+app.post("/api/v1/auth/token/revoke", async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+        return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    const revoked = await revokeRefreshToken(refreshToken);
+    if (revoked) {
+        await endSession(revoked.sessionId);
+    }
+    res.json({ message: "Token revoked." });
+});
+
+/*
+ * Sign-in with an OpenID Connect provider, see oidc.js
+ * Sends the user to the provider, which sends them back to the callback below
+*/
+app.get("/api/v1/auth/oidc/:provider", sessionMiddleware, async (req, res) => {
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ error: "Unknown sign-in provider" });
+    }
+
+    let url;
+    try {
+        url = await startOidcLogin(provider, req.session.id);
+    } catch (err) {
+        console.error("Error starting OIDC login:", err);
+        return res.status(502).json({ error: "Sign-in provider is not available" });
+    }
+    res.redirect(url);
+});
+
+/*
+ * Completes a sign-in with a provider and logs the user in to the session
+ * The user is found by the identity, or by the verified email of the identity; otherwise a new account is created
+*/
+app.get("/api/v1/auth/oidc/:provider/callback", sessionMiddleware, async (req, res) => {
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ error: "Unknown sign-in provider" });
+    }
+    const { code, state, error } = req.query;
+    if (error) {
+        return res.status(401).json({ error: `Sign-in was not completed: ${error}` });
+    }
+    if (!code || !state) {
+        return res.status(400).json({ error: "Code and state are required" });
+    }
+
+    let identity;
+    try {
+        identity = await finishOidcLogin(provider, { code, state }, req.session.id);
+    } catch (err) {
+        if (err instanceof OidcError) {
+            return res.status(401).json({ error: err.message });
+        }
+        console.error("Error completing OIDC login:", err);
+        return res.status(502).json({ error: "Sign-in provider is not available" });
+    }
+
+    const user = await findOrCreateOidcUser(provider, identity);
+    if (user.twoFactorEnabledAt) {
+        return sendTwoFactorChallenge(res, user, req.session.id);
+    }
+    await logInSession(req, res, user);
+
+    res.json({
+        user: {
+            id: user.id,
+            email: user.email
+        }
+    });
+});
+
+/*
+ * Request a password reset link
+ * The response is the same whether or not the email is registered
+*/
+app.post("/api/v1/auth/forgot-password", async (req, res) => {
+    const { email } = req.body || {};
+    if (!email) {
+        return res.status(400).json({ error: "Email is required" });
+    }
+    if (!validateEmail(email)) {
+        return res.status(400).json({ error: "Invalid email format" });
+    }
+
+    // Rate limit before looking up the user, so the limit doesn't reveal registered emails
+    const isRateLimited = await isEmailRateLimited(email);
+    if (isRateLimited) {
+        return res.status(429).json({ error: "Please wait before requesting another password reset email." });
+    }
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user) {
+        const token = getSecureToken();
+        await prisma.passwordReset.create({
+            data: {
+                userId: user.id,
+                tokenHash: hashToken(token),
+                expiresAt: new Date(Date.now() + PASSWORD_RESET_LIFETIME * 1000)
+            }
+        });
+        // The front-end serves this page and posts the token with the new password to /auth/reset-password
+        const resetLink = `${BASE_DOMAIN}/reset-password?token=${token}`;
+        sendTemplateEmail(user.email, "passwordReset", { link: resetLink, validForMinutes: PASSWORD_RESET_LIFETIME / 60 });
+    }
+
+    res.json({ message: "If an account with this email exists, a password reset email has been sent." });
+});
+
+app.post("/api/v1/auth/reset-password", async (req, res) => {
+    const { token, password } = req.body || {};
+    if (!token || !password) {
+        return res.status(400).json({ error: "Token and password are required" });
+    }
+
+    // Validate password strength
+    if (!validatePassword(password)) {
+        return res.status(400).json({ error: "Password must be at least 8 characters long" });
+    }
+
+    const passwordReset = await prisma.passwordReset.findUnique({ where: { tokenHash: hashToken(String(token)) } });
+    if (!passwordReset || passwordReset.expiresAt < new Date()) {
+        return res.status(404).json({ error: "Invalid or expired token" });
+    }
+
+    // Claim the token first, so it can't be used twice even by concurrent requests
+    const claimed = await prisma.passwordReset.deleteMany({ where: { id: passwordReset.id } });
+    if (claimed.count === 0) {
+        return res.status(404).json({ error: "Invalid or expired token" });
+    }
+
+    const hashedPassword = await hashPassword(password);
+    // Any other outstanding reset links of the user stop working as well
+    await prisma.$transaction([
+        prisma.user.update({
+            where: { id: passwordReset.userId },
+            data: { password: hashedPassword }
+        }),
+        prisma.passwordReset.deleteMany({ where: { userId: passwordReset.userId } })
+    ]);
+
+    await endUserSessions(passwordReset.userId);
+
+    res.json({ message: "Password has been reset. Please log in with your new password." });
+});
+
+// Account routes (/me)
+
+const MAX_NAME_LENGTH = 64;
+const PHONE_PATTERN = /^\+?[0-9 ()\/-]{3,32}$/;
+
+async function transformUser(user) {
+    // A change of the email address waiting for confirmation
+    const pendingChange = await prisma.emailVerification.findFirst({
+        where: { userId: user.id, email: { not: user.email }, expiresAt: { gt: new Date() } },
+        orderBy: { createdAt: 'desc' }
+    });
+    return {
+        id: user.id,
+        email: user.email,
+        pendingEmail: pendingChange ? pendingChange.email : null,
+        name: user.name,
+        phone: user.phone,
+        role: user.role,
+        twoFactorEnabled: Boolean(user.twoFactorEnabledAt),
+        createdAt: user.createdAt,
+    };
+}
+
+// Validates profile input, returns an error message or null
+// Fields that are not given stay unchanged, null or "" clears them
+function validateProfileInput(input) {
+    const { name, phone } = input;
+    if (!isEmpty(name) && name !== "" && (typeof name !== "string" || name.trim().length === 0 || name.length > MAX_NAME_LENGTH)) {
+        return `Name must be a string of at most ${MAX_NAME_LENGTH} characters`;
+    }
+    if (!isEmpty(phone) && phone !== "" && (typeof phone !== "string" || !PHONE_PATTERN.test(phone))) {
+        return "Phone must be a phone number of digits, spaces and + - ( ) /";
+    }
+    return null;
+}
+
+// Finds the logged in user, responds with 404 if the account no longer exists (or was deleted)
+async function findSessionUser(req, res) {
+    const user = await prisma.user.findUnique({ where: { id: req.session.userId } });
+    if (!user || user.deletedAt) {
+        res.status(404).json({ error: "User not found" });
+        return null;
+    }
+    return user;
+}
+
+// Confirms that it's the user before a sensitive change, with their password
+// Users without a password (accounts created by signing in with a provider) sign in again instead
+// Responds with an error and returns false if the user is not confirmed
+async function confirmUser(req, res, user, password) {
+    if (!user.password) {
+        const signedInAt = Date.parse(req.session.signedInAt);
+        if (!(signedInAt > Date.now() - REAUTHENTICATION_WINDOW * 1000)) {
+            res.status(401).json({ error: "Please sign in again to confirm this change" });
+            return false;
+        }
+        return true;
+    }
+    if (!password) {
+        res.status(400).json({ error: "Password is required" });
+        return false;
+    }
+    if (!(await verifyUserPassword(user, password))) {
+        res.status(401).json({ error: "Invalid credentials" });
+        return false;
+    }
+    return true;
+}
+
+app.get("/api/v1/me", sessionMiddleware, requireLogin, async (req, res) => {
+    const user = await findSessionUser(req, res);
+    if (!user) {
+        return;
+    }
+    res.json(await transformUser(user));
+});
+
+app.patch("/api/v1/me", sessionMiddleware, requireLogin, async (req, res) => {
+    const input = req.body || {};
+    const error = validateProfileInput(input);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (!(await findSessionUser(req, res))) {
+        return;
+    }
+
+    const data = {};
+    for (const field of ["name", "phone"]) {
+        if (input[field] !== undefined) {
+            data[field] = input[field] ? input[field].trim() : null;
+        }
+    }
+    const user = await prisma.user.update({ where: { id: req.session.userId }, data });
+
+    res.json(await transformUser(user));
+});
+
+/*
+ * Change the password, the current password must be given
+ * Ends all other sessions of the user
+*/
+app.post("/api/v1/me/password", sessionMiddleware, requireLogin, async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ error: "Current and new password are required" });
+    }
+    if (!validatePassword(newPassword)) {
+        return res.status(400).json({ error: "Password must be at least 8 characters long" });
+    }
+
+    const user = await findSessionUser(req, res);
+    if (!user) {
+        return;
+    }
+    if (!(await verifyUserPassword(user, currentPassword))) {
+        return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    const hashedPassword = await hashPassword(newPassword);
+    // Outstanding reset links would allow setting another password
+    await prisma.$transaction([
+        prisma.user.update({
+            where: { id: user.id },
+            data: { password: hashedPassword }
+        }),
+        prisma.passwordReset.deleteMany({ where: { userId: user.id } })
+    ]);
+
+    await endUserSessions(user.id, req.session.id);
+
+    res.json({ message: "Password changed." });
+});
+
+/*
+ * Change the email address, the current password must be given (see confirmUser)
+ * The new address is used after it is confirmed with the link sent to it, see GET /auth/verify
+*/
+app.post("/api/v1/me/email", sessionMiddleware, requireLogin, async (req, res) => {
+    const { email, password } = req.body || {};
+    if (!email) {
+        return res.status(400).json({ error: "Email is required" });
+    }
+    if (!validateEmail(email)) {
+        return res.status(400).json({ error: "Invalid email format" });
+    }
+
+    const user = await findSessionUser(req, res);
+    if (!user) {
+        return;
+    }
+    if (email === user.email) {
+        return res.status(400).json({ error: "This is already your email address" });
+    }
+    if (!(await confirmUser(req, res, user, password))) {
+        return;
+    }
+    if (await prisma.user.findUnique({ where: { email } })) {
+        return res.status(409).json({ error: "Email is already in use" });
+    }
+    if (await isEmailRateLimited(email)) {
+        return res.status(429).json({ error: "Please wait before requesting another verification email." });
+    }
+
+    // Only the latest requested address can be confirmed
+    const token = getSecureToken();
+    await prisma.$transaction([
+        prisma.emailVerification.deleteMany({ where: { userId: user.id } }),
+        prisma.emailVerification.create({
+            data: {
+                userId: user.id,
+                email,
+                token,
+                expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_LIFETIME * 1000)
+            }
+        })
+    ]);
+    const verificationLink = `${BASE_DOMAIN}/api/v1/auth/verify?token=${token}`;
+    sendTemplateEmail(email, "emailChange", { link: verificationLink });
+
+    res.status(202).json({ message: "Please check your new email address to confirm the change." });
+});
+
+/*
+ * Start enabling 2FA: returns a new secret for the authenticator app
+ * 2FA is enabled once the first code of the app is confirmed with POST /me/2fa/enable
+*/
+app.post("/api/v1/me/2fa/setup", sessionMiddleware, requireLogin, async (req, res) => {
+    const user = await findSessionUser(req, res);
+    if (!user) {
+        return;
+    }
+    if (user.twoFactorEnabledAt) {
+        return res.status(409).json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = await startEnrollment(user.id);
+    res.json({
+        secret,
+        otpauthUri: totpUri(secret, user.email || `user-${user.id}`)
+    });
+});
+
+/*
+ * Enable 2FA with the first code of the authenticator app
+ * Returns the recovery codes, which are only shown this once
+*/
+app.post("/api/v1/me/2fa/enable", sessionMiddleware, requireLogin, async (req, res) => {
+    const { code } = req.body || {};
+    if (!code) {
+        return res.status(400).json({ error: "Code is required" });
+    }
+    const user = await findSessionUser(req, res);
+    if (!user) {
+        return;
+    }
+    if (user.twoFactorEnabledAt) {
+        return res.status(409).json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const recoveryCodes = await completeEnrollment(user.id, code);
+    if (!recoveryCodes) {
+        return res.status(400).json({ error: "Invalid code, or the setup has expired" });
+    }
+    res.json({ recoveryCodes });
+});
+
+// Checks the code that confirms a change of the user's 2FA, responds with an error and returns null if wrong
+async function findTwoFactorUser(req, res) {
+    const { code } = req.body || {};
+    if (!code) {
+        res.status(400).json({ error: "Code is required" });
+        return null;
+    }
+    const user = await findSessionUser(req, res);
+    if (!user) {
+        return null;
+    }
+    if (!user.twoFactorEnabledAt) {
+        res.status(409).json({ error: "Two-factor authentication is not enabled" });
+        return null;
+    }
+    if (!(await verifyTwoFactorCode(user, code))) {
+        res.status(401).json({ error: "Invalid code" });
+        return null;
+    }
+    return user;
+}
+
+/*
+ * Disable 2FA, with a code of the authenticator app or a recovery code
+*/
+app.post("/api/v1/me/2fa/disable", sessionMiddleware, requireLogin, async (req, res) => {
+    const user = await findTwoFactorUser(req, res);
+    if (!user) {
+        return;
+    }
+    await disableTwoFactor(user.id);
+    res.json({ message: "Two-factor authentication disabled." });
+});
+
+/*
+ * Replace the recovery codes, with a code of the authenticator app or a recovery code
+*/
+app.post("/api/v1/me/2fa/recovery-codes", sessionMiddleware, requireLogin, async (req, res) => {
+    const user = await findTwoFactorUser(req, res);
+    if (!user) {
+        return;
+    }
+    res.json({ recoveryCodes: await regenerateRecoveryCodes(user.id) });
+});
+
+// Sessions are identified by a hash of their ID in the API, the ID itself logs the user in
+function sessionHandle(sessionId) {
+    return hashToken(sessionId);
+}
+
+/*
+ * List the sessions the user is logged in with, the current one first, then the most recently used
+ * Each has the device and IP of its last request
+*/
+app.get("/api/v1/me/sessions", sessionMiddleware, requireLogin, async (req, res) => {
+    const sessions = (await listUserSessions(req.session.userId)).map(({ session, activity }) => ({
+        id: sessionHandle(session.id),
+        current: session.id === req.session.id,
+        device: describeDevice(activity?.userAgent),
+        userAgent: activity?.userAgent || null,
+        ip: activity?.ip || null,
+        createdAt: session.createdAt,
+        lastSeenAt: activity?.lastSeenAt || session.updatedAt
+    }));
+    sessions.sort((a, b) => (b.current - a.current) || (new Date(b.lastSeenAt) - new Date(a.lastSeenAt)));
+    res.json({ sessions });
+});
+
+/*
+ * Log out all sessions of the user except the current one
+*/
+app.delete("/api/v1/me/sessions", sessionMiddleware, requireLogin, async (req, res) => {
+    await endUserSessions(req.session.userId, req.session.id);
+    res.json({ message: "Logged out of all other sessions." });
+});
+
+/*
+ * Log out one session of the user, by its ID from GET /me/sessions
+*/
+app.delete("/api/v1/me/sessions/:id", sessionMiddleware, requireLogin, async (req, res) => {
+    const sessions = await listUserSessions(req.session.userId);
+    const match = sessions.find(({ session }) => sessionHandle(session.id) === req.params.id);
+    if (!match) {
+        return res.status(404).json({ error: "Session not found" });
+    }
+
+    await endSession(match.session.id);
+    if (match.session.id === req.session.id && !match.session.tokenAuth) {
+        res.clearCookie('session');
+    }
+    res.json({ message: "Session logged out." });
+});
+
+/*
+ * Export all data stored about the user, as a JSON file
+*/
+app.get("/api/v1/me/export", sessionMiddleware, requireLogin, async (req, res) => {
+    if (!(await findSessionUser(req, res))) {
+        return;
+    }
+    // Session IDs log the user in, so they are not exported
+    const sessions = (await listUserSessions(req.session.userId)).map(({ session, activity }) => ({
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        lastSeenAt: activity?.lastSeenAt || null,
+        device: describeDevice(activity?.userAgent),
+        ip: activity?.ip || null,
+        current: session.id === req.session.id
+    }));
+    const data = await exportAccountData(req.session.userId, sessions);
+
+    res.attachment(`pizzago-account-${req.session.userId}.json`);
+    res.json(data);
+});
+
+/*
+ * Delete the account, the password must be given (see confirmUser)
+ * The user is anonymized and logged out everywhere, orders are kept for accounting
+*/
+app.delete("/api/v1/me", sessionMiddleware, requireLogin, async (req, res) => {
+    const { password } = req.body || {};
+    const user = await findSessionUser(req, res);
+    if (!user) {
+        return;
+    }
+    if (!(await confirmUser(req, res, user, password))) {
+        return;
+    }
+
+    await eraseAccount(user.id);
+    await endUserSessions(user.id);
+    res.clearCookie('session');
+
+    res.json({ message: "Account deleted." });
+});
+
+// Switches the user over to the confirmed new email address
+// Ends all sessions of the user, except the one the link was opened in
+async function confirmEmailChange(req, res, user, verificationRequest) {
+    if (verificationRequest.expiresAt < new Date()) {
+        return res.status(404).json({ error: "Invalid or expired token" });
+    }
+    if (await prisma.user.findUnique({ where: { email: verificationRequest.email } })) {
+        return res.status(409).json({ error: "Email is already in use" });
+    }
+    // Claim the token first, so it can't be used twice even by concurrent requests
+    const claimed = await prisma.emailVerification.deleteMany({ where: { id: verificationRequest.id } });
+    if (claimed.count === 0) {
+        return res.status(404).json({ error: "Invalid or expired token" });
+    }
+
+    await prisma.user.update({
+        where: { id: user.id },
+        data: { email: verificationRequest.email }
+    });
+
+    const sessionId = req?.cookies?.session;
+    const session = sessionId ? await getExistingSession(sessionId) : null;
+    await endUserSessions(user.id, session && session.userId === user.id ? session.id : null);
+
+    // The previous address learns about the change, in case the account was taken over
+    sendTemplateEmail(user.email, "emailChanged", { email: verificationRequest.email });
+
+    res.json({ message: "Email changed successfully." });
+}
+
+// Admin routes (catalog management)
+
+const MAX_PIZZA_NAME_LENGTH = 64;
+const MAX_PRICE = 9999.99; // Prices are stored as Decimal(6, 2)
+const MAX_STOCK = 99999999.99; // Ingredient amounts are stored as Decimal(10, 2)
+
+// Non-negative amount with at most 2 decimals
+function validateAmount(amount, max = MAX_PRICE) {
+    if (typeof amount !== "number" && typeof amount !== "string") {
+        return false;
+    }
+    // At most 2 decimals
+    if (!/^\d+(\.\d{1,2})?$/.test(String(amount))) {
+        return false;
+    }
+    return Number(amount) <= max;
+}
+
+function validatePrice(price) {
+    return validateAmount(price) && Number(price) > 0;
+}
+
+// A leading dash would read as an excluded tag in GET /pizzas
+function validateTagKey(key) {
+    return typeof key === "string" && /^[a-z0-9][a-z0-9-]*$/.test(key);
+}
+
+function validateStringList(list) {
+    return Array.isArray(list) && list.every(item => typeof item === "string" && item.trim().length > 0);
+}
+
+// Toppings a pizza comes with: [{ toppingId, removable }], each topping at most once
+function validatePizzaToppings(toppings) {
+    if (!Array.isArray(toppings)) {
+        return false;
+    }
+    const valid = toppings.every(topping => topping && Number.isInteger(topping.toppingId)
+        && (topping.removable === undefined || typeof topping.removable === "boolean"));
+    return valid && new Set(toppings.map(topping => topping.toppingId)).size === toppings.length;
+}
+
+// Weekly time windows: [{ days, startTime, endTime }], a window can't span midnight
+function validateAvailabilityWindows(windows) {
+    if (!Array.isArray(windows)) {
+        return false;
+    }
+    return windows.every(window => window
+        && Array.isArray(window.days) && window.days.length > 0 && window.days.every(day => WEEKDAYS.includes(day))
+        && isValidTime(window.startTime) && isValidTime(window.endTime) && window.startTime < window.endTime);
+}
+
+// Recipe of a pizza: [{ ingredientId, quantity }] per pizza, each ingredient at most once
+function validateRecipe(recipe) {
+    if (!Array.isArray(recipe)) {
+        return false;
+    }
+    const valid = recipe.every(entry => entry && Number.isInteger(entry.ingredientId)
+        && validateAmount(entry.quantity, MAX_STOCK) && Number(entry.quantity) > 0);
+    return valid && new Set(recipe.map(entry => entry.ingredientId)).size === recipe.length;
+}
+
+function buildAvailabilityWindows(windows) {
+    return windows.map(window => ({
+        days: [...new Set(window.days)],
+        startTime: window.startTime,
+        endTime: window.endTime
+    }));
+}
+
+// Validates pizza input, returns an error message or null
+// With `partial` set, only the fields that are present are checked (used by updates)
+function validatePizzaInput(body, partial) {
+    if (!body) {
+        return "Request body is required";
+    }
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== "string" || body.name.trim().length === 0 || body.name.length > MAX_PIZZA_NAME_LENGTH) {
+            return `Name is required and must be at most ${MAX_PIZZA_NAME_LENGTH} characters long`;
+        }
+    }
+    if (!partial || body.price !== undefined) {
+        if (!validatePrice(body.price)) {
+            return `Price must be a positive number with at most 2 decimals, up to ${MAX_PRICE}`;
+        }
+    }
+    if (body.description !== undefined && body.description !== null && typeof body.description !== "string") {
+        return "Description must be a string";
+    }
+    if (body.ingredients !== undefined && !validateStringList(body.ingredients)) {
+        return "Ingredients must be an array of non-empty strings";
+    }
+    if (body.tags !== undefined && (!Array.isArray(body.tags) || !body.tags.every(validateTagKey))) {
+        return "Tags must be an array of lowercase tag keys";
+    }
+    if (body.toppings !== undefined && !validatePizzaToppings(body.toppings)) {
+        return "Toppings must be an array of { toppingId, removable } with each topping at most once";
+    }
+    if (body.categoryId !== undefined && body.categoryId !== null && !isPositiveInteger(body.categoryId)) {
+        return "Category ID must be a positive integer or null";
+    }
+    if (body.position !== undefined && !Number.isInteger(body.position)) {
+        return "Position must be an integer";
+    }
+    if (body.available !== undefined && typeof body.available !== "boolean") {
+        return "Available must be a boolean";
+    }
+    for (const field of ["availableFrom", "availableUntil"]) {
+        if (!isEmpty(body[field]) && !isValidDate(body[field])) {
+            return `${field} must be a date`;
+        }
+    }
+    if (body.availabilityWindows !== undefined && !validateAvailabilityWindows(body.availabilityWindows)) {
+        return `Availability windows must be an array of { days, startTime, endTime } with days out of ${WEEKDAYS.join(", ")} `
+            + "and times as HH:MM, the start before the end";
+    }
+    if (body.recipe !== undefined && !validateRecipe(body.recipe)) {
+        return "Recipe must be an array of { ingredientId, quantity } with positive quantities and each ingredient at most once";
+    }
+    return null;
+}
+
+// The season of a pizza, updates are checked merged with the stored pizza
+function validatePizzaSeason(availableFrom, availableUntil) {
+    if (!isEmpty(availableFrom) && !isEmpty(availableUntil) && new Date(availableFrom) >= new Date(availableUntil)) {
+        return "availableFrom must be before availableUntil";
+    }
+    return null;
+}
+
+// Returns true if the category is null or exists
+async function isKnownCategory(categoryId) {
+    return categoryId === null || Boolean(await prisma.menuCategory.findUnique({ where: { id: categoryId } }));
+}
+
+// Returns the keys from the list that do not exist in the database
+async function findUnknownTags(keys) {
+    if (keys.length === 0) {
+        return [];
+    }
+    const tags = await prisma.tag.findMany({ where: { key: { in: keys } } });
+    return keys.filter(key => !tags.some(tag => tag.key === key));
+}
+
+// Returns the topping IDs of the pizza toppings that do not exist in the database
+async function findUnknownToppings(pizzaToppings) {
+    if (pizzaToppings.length === 0) {
+        return [];
+    }
+    const ids = pizzaToppings.map(topping => topping.toppingId);
+    const toppings = await prisma.topping.findMany({ where: { id: { in: ids } } });
+    return ids.filter(id => !toppings.some(topping => topping.id === id));
+}
+
+// Looks up the ingredients of a recipe
+// Returns { unknownIngredients, soldOut }, where `soldOut` tells if there is too little left for one pizza
+async function checkRecipe(recipe) {
+    if (recipe.length === 0) {
+        return { unknownIngredients: [], soldOut: false };
+    }
+    const ids = recipe.map(entry => entry.ingredientId);
+    const ingredients = await prisma.ingredient.findMany({ where: { id: { in: ids } } });
+    const unknownIngredients = ids.filter(id => !ingredients.some(ingredient => ingredient.id === id));
+    const soldOut = unknownIngredients.length === 0 && isOutOfStock(recipe.map(entry => ({
+        quantity: entry.quantity,
+        ingredient: ingredients.find(ingredient => ingredient.id === entry.ingredientId)
+    })));
+    return { unknownIngredients, soldOut };
+}
+
+function buildRecipe(recipe) {
+    return recipe.map(entry => ({ ingredientId: entry.ingredientId, quantity: Number(entry.quantity) }));
+}
+
+function buildPizzaToppings(pizzaToppings) {
+    return pizzaToppings.map(topping => ({
+        toppingId: topping.toppingId,
+        removable: topping.removable !== undefined ? topping.removable : true
+    }));
+}
+
+const ADMIN_PIZZA_INCLUDE = { tags: true, toppings: true, availabilityWindows: true, recipe: true };
+
+function transformAdminPizza(pizza) {
+    return {
+        id: pizza.id,
+        name: pizza.name,
+        description: pizza.description,
+        price: pizza.price,
+        ingredients: pizza.ingredients,
+        tags: pizza.tags.map(tag => tag.key),
+        toppings: pizza.toppings.map(topping => ({ toppingId: topping.toppingId, removable: topping.removable })),
+        categoryId: pizza.categoryId,
+        position: pizza.position,
+        available: pizza.available,
+        availableFrom: pizza.availableFrom,
+        availableUntil: pizza.availableUntil,
+        availabilityWindows: describeAvailability(pizza).windows,
+        recipe: pizza.recipe.map(entry => ({ ingredientId: entry.ingredientId, quantity: entry.quantity })),
+        soldOut: pizza.soldOut,
+        archived: Boolean(pizza.archivedAt),
+        archivedAt: pizza.archivedAt,
+    };
+}
+
+/*
+ * Get all pizzas, including archived ones
+*/
+app.get("/api/v1/admin/pizzas", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const pizzas = await findPage(prisma.pizza, {
+        include: ADMIN_PIZZA_INCLUDE,
+        orderBy: { id: 'asc' }
+    }, page);
+    sendPage(req, res, { results: pizzas.items.map(transformAdminPizza) }, pizzas);
+});
+
+app.post("/api/v1/admin/pizzas", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const error = validatePizzaInput(req.body, false);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const {
+        name, description, price, ingredients = [], tags = [], toppings = [],
+        categoryId = null, position = 0, available = true, availableFrom, availableUntil, availabilityWindows = [], recipe = []
+    } = req.body;
+    const seasonError = validatePizzaSeason(availableFrom, availableUntil);
+    if (seasonError) {
+        return res.status(400).json({ error: seasonError });
+    }
+
+    const unknownTags = await findUnknownTags(tags);
+    if (unknownTags.length > 0) {
+        return res.status(400).json({ error: `Unknown tags: ${unknownTags.join(", ")}` });
+    }
+    const unknownToppings = await findUnknownToppings(toppings);
+    if (unknownToppings.length > 0) {
+        return res.status(400).json({ error: `Unknown toppings: ${unknownToppings.join(", ")}` });
+    }
+    if (!await isKnownCategory(categoryId)) {
+        return res.status(400).json({ error: "Category not found" });
+    }
+    const { unknownIngredients, soldOut } = await checkRecipe(recipe);
+    if (unknownIngredients.length > 0) {
+        return res.status(400).json({ error: `Unknown ingredients: ${unknownIngredients.join(", ")}` });
+    }
+
+    const pizza = await prisma.pizza.create({
+        data: {
+            name: name.trim(),
+            description: description || null,
+            price: Number(price),
+            ingredients: ingredients.map(ingredient => ingredient.trim().toLowerCase()),
+            categoryId,
+            position,
+            available,
+            availableFrom: isEmpty(availableFrom) ? null : new Date(availableFrom),
+            availableUntil: isEmpty(availableUntil) ? null : new Date(availableUntil),
+            soldOut,
+            tags: { connect: tags.map(key => ({ key })) },
+            toppings: { create: buildPizzaToppings(toppings) },
+            availabilityWindows: { create: buildAvailabilityWindows(availabilityWindows) },
+            recipe: { create: buildRecipe(recipe) }
+        },
+        include: ADMIN_PIZZA_INCLUDE
+    });
+
+    res.status(201).json(transformAdminPizza(pizza));
+});
+
+app.patch("/api/v1/admin/pizzas/:id", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const pizzaId = parseInt(req.params.id);
+    if (isNaN(pizzaId)) {
+        return res.status(400).json({ error: "Invalid pizza ID" });
+    }
+    const error = validatePizzaInput(req.body, true);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const existing = await prisma.pizza.findUnique({ where: { id: pizzaId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Pizza not found" });
+    }
+
+    const {
+        name, description, price, ingredients, tags, toppings,
+        categoryId, position, available, availableFrom, availableUntil, availabilityWindows, recipe
+    } = req.body;
+    const seasonError = validatePizzaSeason(
+        availableFrom !== undefined ? availableFrom : existing.availableFrom,
+        availableUntil !== undefined ? availableUntil : existing.availableUntil
+    );
+    if (seasonError) {
+        return res.status(400).json({ error: seasonError });
+    }
+
+    const data = {};
+    if (name !== undefined) {
+        data.name = name.trim();
+    }
+    if (description !== undefined) {
+        data.description = description || null;
+    }
+    if (price !== undefined) {
+        data.price = Number(price);
+    }
+    if (ingredients !== undefined) {
+        data.ingredients = ingredients.map(ingredient => ingredient.trim().toLowerCase());
+    }
+    if (tags !== undefined) {
+        const unknownTags = await findUnknownTags(tags);
+        if (unknownTags.length > 0) {
+            return res.status(400).json({ error: `Unknown tags: ${unknownTags.join(", ")}` });
+        }
+        data.tags = { set: tags.map(key => ({ key })) };
+    }
+    if (toppings !== undefined) {
+        const unknownToppings = await findUnknownToppings(toppings);
+        if (unknownToppings.length > 0) {
+            return res.status(400).json({ error: `Unknown toppings: ${unknownToppings.join(", ")}` });
+        }
+        // The given toppings replace the current ones
+        data.toppings = { deleteMany: {}, create: buildPizzaToppings(toppings) };
+    }
+    if (categoryId !== undefined) {
+        if (!await isKnownCategory(categoryId)) {
+            return res.status(400).json({ error: "Category not found" });
+        }
+        data.categoryId = categoryId;
+    }
+    if (position !== undefined) {
+        data.position = position;
+    }
+    if (available !== undefined) {
+        data.available = available;
+    }
+    if (availableFrom !== undefined) {
+        data.availableFrom = isEmpty(availableFrom) ? null : new Date(availableFrom);
+    }
+    if (availableUntil !== undefined) {
+        data.availableUntil = isEmpty(availableUntil) ? null : new Date(availableUntil);
+    }
+    if (availabilityWindows !== undefined) {
+        // The given windows replace the current ones
+        data.availabilityWindows = { deleteMany: {}, create: buildAvailabilityWindows(availabilityWindows) };
+    }
+    if (recipe !== undefined) {
+        const { unknownIngredients, soldOut } = await checkRecipe(recipe);
+        if (unknownIngredients.length > 0) {
+            return res.status(400).json({ error: `Unknown ingredients: ${unknownIngredients.join(", ")}` });
+        }
+        // The given recipe replaces the current one
+        data.recipe = { deleteMany: {}, create: buildRecipe(recipe) };
+        data.soldOut = soldOut;
+    }
+
+    const pizza = await prisma.pizza.update({
+        where: { id: pizzaId },
+        data,
+        include: ADMIN_PIZZA_INCLUDE
+    });
+
+    res.json(transformAdminPizza(pizza));
+});
+
+async function setPizzaArchived(req, res, archived) {
+    const pizzaId = parseInt(req.params.id);
+    if (isNaN(pizzaId)) {
+        return res.status(400).json({ error: "Invalid pizza ID" });
+    }
+
+    const existing = await prisma.pizza.findUnique({ where: { id: pizzaId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Pizza not found" });
+    }
+
+    const pizza = await prisma.pizza.update({
+        where: { id: pizzaId },
+        data: { archivedAt: archived ? (existing.archivedAt || new Date()) : null },
+        include: ADMIN_PIZZA_INCLUDE
+    });
+
+    res.json(transformAdminPizza(pizza));
+}
+
+app.post("/api/v1/admin/pizzas/:id/archive", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    await setPizzaArchived(req, res, true);
+});
+
+app.post("/api/v1/admin/pizzas/:id/restore", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    await setPizzaArchived(req, res, false);
+});
+
+/*
+ * Delete a pizza
+ * Pizzas referenced by past orders are archived instead, so order history stays intact
+*/
+app.delete("/api/v1/admin/pizzas/:id", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const pizzaId = parseInt(req.params.id);
+    if (isNaN(pizzaId)) {
+        return res.status(400).json({ error: "Invalid pizza ID" });
+    }
+
+    const existing = await prisma.pizza.findUnique({ where: { id: pizzaId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Pizza not found" });
+    }
+
+    const orderCount = await prisma.orderItem.count({ where: { pizzaId } });
+    if (orderCount > 0) {
+        await prisma.pizza.update({
+            where: { id: pizzaId },
+            data: { archivedAt: existing.archivedAt || new Date() }
+        });
+        return res.json({ message: "Pizza is referenced by past orders and was archived instead.", archived: true });
+    }
+
+    await prisma.$transaction([
+        prisma.cartItem.deleteMany({ where: { pizzaId } }),
+        prisma.pizza.delete({ where: { id: pizzaId } })
+    ]);
+
+    res.json({ message: "Pizza deleted.", archived: false });
+});
+
+function transformTag(tag) {
+    return {
+        key: tag.key,
+        name: tag.name,
+        description: tag.description,
+    };
+}
+
+app.get("/api/v1/admin/tags", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    // Tags are paged by their key
+    const { error, page } = parsePageQuery(req.query, { keyType: "string" });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const tags = await findPage(prisma.tag, { orderBy: { key: 'asc' } }, page, "key");
+    sendPage(req, res, { results: tags.items.map(transformTag) }, tags);
+});
+
+app.post("/api/v1/admin/tags", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const { key, name, description } = req.body || {};
+    if (!validateTagKey(key)) {
+        return res.status(400).json({ error: "Key must contain only lowercase letters, digits and dashes, and must not start with a dash" });
+    }
+    if (typeof name !== "string" || name.trim().length === 0) {
+        return res.status(400).json({ error: "Name is required" });
+    }
+    if (description !== undefined && description !== null && typeof description !== "string") {
+        return res.status(400).json({ error: "Description must be a string" });
+    }
+
+    const existing = await prisma.tag.findUnique({ where: { key } });
+    if (existing) {
+        return res.status(409).json({ error: "Tag already exists" });
+    }
+
+    const tag = await prisma.tag.create({
+        data: { key, name: name.trim(), description: description || null }
+    });
+
+    res.status(201).json(transformTag(tag));
+});
+
+app.patch("/api/v1/admin/tags/:key", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const { name, description } = req.body || {};
+    if (name !== undefined && (typeof name !== "string" || name.trim().length === 0)) {
+        return res.status(400).json({ error: "Name must be a non-empty string" });
+    }
+    if (description !== undefined && description !== null && typeof description !== "string") {
+        return res.status(400).json({ error: "Description must be a string" });
+    }
+
+    const existing = await prisma.tag.findUnique({ where: { key: req.params.key } });
+    if (!existing) {
+        return res.status(404).json({ error: "Tag not found" });
+    }
+
+    const data = {};
+    if (name !== undefined) {
+        data.name = name.trim();
+    }
+    if (description !== undefined) {
+        data.description = description || null;
+    }
+    const tag = await prisma.tag.update({ where: { key: req.params.key }, data });
+
+    res.json(transformTag(tag));
+});
+
+// Deleting a tag also removes it from every pizza
+app.delete("/api/v1/admin/tags/:key", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const existing = await prisma.tag.findUnique({ where: { key: req.params.key } });
+    if (!existing) {
+        return res.status(404).json({ error: "Tag not found" });
+    }
+
+    await prisma.tag.delete({ where: { key: req.params.key } });
+
+    res.json({ message: "Tag deleted." });
+});
+
+// Admin routes (pizza options and toppings)
+
+const MAX_OPTION_NAME_LENGTH = 32;
+
+function isValidName(name, maxLength) {
+    return typeof name === "string" && name.trim().length > 0 && name.length <= maxLength;
+}
+
+// Like validateAmount, but may be negative (e.g. a small size is cheaper)
+function validatePriceModifier(value) {
+    if (typeof value !== "number" && typeof value !== "string") {
+        return false;
+    }
+    return validateAmount(String(value).replace(/^-/, ""));
+}
+
+// Validates pizza option input, returns an error message or null
+// Updates are validated merged with the stored option
+function validatePizzaOptionInput(input) {
+    if (!PIZZA_OPTION_TYPES.includes(input.type)) {
+        return `Type must be one of: ${PIZZA_OPTION_TYPES.join(", ")}`;
+    }
+    if (!isValidName(input.name, MAX_OPTION_NAME_LENGTH)) {
+        return `Name is required and must be at most ${MAX_OPTION_NAME_LENGTH} characters long`;
+    }
+    if (!isEmpty(input.priceModifier) && !validatePriceModifier(input.priceModifier)) {
+        return `Price modifier must be an amount with at most 2 decimals, between -${MAX_PRICE} and ${MAX_PRICE}`;
+    }
+    if (input.isDefault !== undefined && typeof input.isDefault !== "boolean") {
+        return "Is default must be a boolean";
+    }
+    if (input.position !== undefined && !Number.isInteger(input.position)) {
+        return "Position must be an integer";
+    }
+    if (input.available !== undefined && typeof input.available !== "boolean") {
+        return "Available must be a boolean";
+    }
+    return null;
+}
+
+function buildPizzaOptionData(input) {
+    return {
+        type: input.type,
+        name: input.name.trim(),
+        priceModifier: isEmpty(input.priceModifier) ? 0 : Number(input.priceModifier),
+        isDefault: Boolean(input.isDefault),
+        position: input.position !== undefined ? input.position : 0,
+        available: input.available !== undefined ? input.available : true,
+    };
+}
+
+function transformPizzaOption(option) {
+    return {
+        id: option.id,
+        type: option.type,
+        name: option.name,
+        priceModifier: Number(option.priceModifier),
+        isDefault: option.isDefault,
+        position: option.position,
+        available: option.available,
+    };
+}
+
+// Saves a pizza option, there is at most one default option per type
+async function savePizzaOption(optionId, data) {
+    const save = optionId === null
+        ? prisma.pizzaOption.create({ data })
+        : prisma.pizzaOption.update({ where: { id: optionId }, data });
+    if (!data.isDefault) {
+        return save;
+    }
+    const where = { type: data.type, isDefault: true };
+    if (optionId !== null) {
+        where.id = { not: optionId };
+    }
+    const [, option] = await prisma.$transaction([
+        prisma.pizzaOption.updateMany({ where, data: { isDefault: false } }),
+        save
+    ]);
+    return option;
+}
+
+app.get("/api/v1/admin/pizza-options", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const options = await findPage(prisma.pizzaOption, {
+        orderBy: [{ type: 'asc' }, { position: 'asc' }, { id: 'asc' }]
+    }, page);
+    sendPage(req, res, { results: options.items.map(transformPizzaOption) }, options);
+});
+
+app.post("/api/v1/admin/pizza-options", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const input = req.body || {};
+    const error = validatePizzaOptionInput(input);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const option = await savePizzaOption(null, buildPizzaOptionData(input));
+
+    res.status(201).json(transformPizzaOption(option));
+});
+
+app.patch("/api/v1/admin/pizza-options/:id", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const optionId = parseInt(req.params.id);
+    if (isNaN(optionId)) {
+        return res.status(400).json({ error: "Invalid pizza option ID" });
+    }
+
+    const existing = await prisma.pizzaOption.findUnique({ where: { id: optionId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Pizza option not found" });
+    }
+
+    const input = { ...transformPizzaOption(existing), ...req.body };
+    const error = validatePizzaOptionInput(input);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const option = await savePizzaOption(optionId, buildPizzaOptionData(input));
+
+    res.json(transformPizzaOption(option));
+});
+
+/*
+ * Delete a pizza option
+ * Past orders keep a copy of their options, cart lines with the option are left out of the cart
+ * (set `available` to false to take an option off the menu for a while)
+*/
+app.delete("/api/v1/admin/pizza-options/:id", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const optionId = parseInt(req.params.id);
+    if (isNaN(optionId)) {
+        return res.status(400).json({ error: "Invalid pizza option ID" });
+    }
+
+    const existing = await prisma.pizzaOption.findUnique({ where: { id: optionId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Pizza option not found" });
+    }
+
+    await prisma.pizzaOption.delete({ where: { id: optionId } });
+
+    res.json({ message: "Pizza option deleted." });
+});
+
+const MAX_TOPPING_NAME_LENGTH = 32;
+
+// Validates topping input, returns an error message or null
+// Updates are validated merged with the stored topping
+function validateToppingInput(input) {
+    if (!isValidName(input.name, MAX_TOPPING_NAME_LENGTH)) {
+        return `Name is required and must be at most ${MAX_TOPPING_NAME_LENGTH} characters long`;
+    }
+    if (!validateAmount(input.price)) {
+        return `Price must be an amount with at most 2 decimals, up to ${MAX_PRICE}`;
+    }
+    if (input.available !== undefined && typeof input.available !== "boolean") {
+        return "Available must be a boolean";
+    }
+    return null;
+}
+
+function buildToppingData(input) {
+    return {
+        name: input.name.trim(),
+        price: Number(input.price),
+        available: input.available !== undefined ? input.available : true,
+    };
+}
+
+function transformTopping(topping) {
+    return {
+        id: topping.id,
+        name: topping.name,
+        price: Number(topping.price),
+        available: topping.available,
+    };
+}
+
+app.get("/api/v1/admin/toppings", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    // Topping names are unique, so they order the list completely
+    const toppings = await findPage(prisma.topping, { orderBy: [{ name: 'asc' }, { id: 'asc' }] }, page);
+    sendPage(req, res, { results: toppings.items.map(transformTopping) }, toppings);
+});
+
+app.post("/api/v1/admin/toppings", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const input = req.body || {};
+    const error = validateToppingInput(input);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const data = buildToppingData(input);
+    if (await prisma.topping.findUnique({ where: { name: data.name } })) {
+        return res.status(409).json({ error: "Topping already exists" });
+    }
+
+    const topping = await prisma.topping.create({ data });
+
+    res.status(201).json(transformTopping(topping));
+});
+
+app.patch("/api/v1/admin/toppings/:id", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const toppingId = parseInt(req.params.id);
+    if (isNaN(toppingId)) {
+        return res.status(400).json({ error: "Invalid topping ID" });
+    }
+
+    const existing = await prisma.topping.findUnique({ where: { id: toppingId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Topping not found" });
+    }
+
+    const input = { ...transformTopping(existing), ...req.body };
+    const error = validateToppingInput(input);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const data = buildToppingData(input);
+    if (data.name !== existing.name && await prisma.topping.findUnique({ where: { name: data.name } })) {
+        return res.status(409).json({ error: "Topping already exists" });
+    }
+
+    const topping = await prisma.topping.update({ where: { id: toppingId }, data });
+
+    res.json(transformTopping(topping));
+});
+
+/*
+ * Delete a topping
+ * It is removed from the pizzas that come with it, cart lines with it as an extra topping are left out of the cart
+*/
+app.delete("/api/v1/admin/toppings/:id", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const toppingId = parseInt(req.params.id);
+    if (isNaN(toppingId)) {
+        return res.status(400).json({ error: "Invalid topping ID" });
+    }
+
+    const existing = await prisma.topping.findUnique({ where: { id: toppingId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Topping not found" });
+    }
+
+    await prisma.topping.delete({ where: { id: toppingId } });
+
+    res.json({ message: "Topping deleted." });
+});
+
+// Admin routes (menu categories)
+
+const MAX_CATEGORY_NAME_LENGTH = 64;
+
+// Validates menu category input, returns an error message or null
+// Updates are validated merged with the stored category
+function validateMenuCategoryInput(input) {
+    if (!isValidName(input.name, MAX_CATEGORY_NAME_LENGTH)) {
+        return `Name is required and must be at most ${MAX_CATEGORY_NAME_LENGTH} characters long`;
+    }
+    if (!isEmpty(input.description) && typeof input.description !== "string") {
+        return "Description must be a string";
+    }
+    if (input.position !== undefined && !Number.isInteger(input.position)) {
+        return "Position must be an integer";
+    }
+    return null;
+}
+
+function buildMenuCategoryData(input) {
+    return {
+        name: input.name.trim(),
+        description: input.description || null,
+        position: input.position !== undefined ? input.position : 0,
+    };
+}
+
+app.get("/api/v1/admin/categories", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const categories = await findPage(prisma.menuCategory, {
+        orderBy: [{ position: 'asc' }, { id: 'asc' }]
+    }, page);
+    sendPage(req, res, { results: categories.items.map(transformMenuCategory) }, categories);
+});
+
+app.post("/api/v1/admin/categories", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const input = req.body || {};
+    const error = validateMenuCategoryInput(input);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const data = buildMenuCategoryData(input);
+    if (await prisma.menuCategory.findUnique({ where: { name: data.name } })) {
+        return res.status(409).json({ error: "Category already exists" });
+    }
+
+    const category = await prisma.menuCategory.create({ data });
+
+    res.status(201).json(transformMenuCategory(category));
+});
+
+app.patch("/api/v1/admin/categories/:id", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const categoryId = parseInt(req.params.id);
+    if (isNaN(categoryId)) {
+        return res.status(400).json({ error: "Invalid category ID" });
+    }
+
+    const existing = await prisma.menuCategory.findUnique({ where: { id: categoryId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Category not found" });
+    }
+
+    const input = { ...transformMenuCategory(existing), ...req.body };
+    const error = validateMenuCategoryInput(input);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const data = buildMenuCategoryData(input);
+    if (data.name !== existing.name && await prisma.menuCategory.findUnique({ where: { name: data.name } })) {
+        return res.status(409).json({ error: "Category already exists" });
+    }
+
+    const category = await prisma.menuCategory.update({ where: { id: categoryId }, data });
+
+    res.json(transformMenuCategory(category));
+});
+
+/*
+ * Delete a menu category
+ * Its pizzas stay on the menu without a category
+*/
+app.delete("/api/v1/admin/categories/:id", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const categoryId = parseInt(req.params.id);
+    if (isNaN(categoryId)) {
+        return res.status(400).json({ error: "Invalid category ID" });
+    }
+
+    const existing = await prisma.menuCategory.findUnique({ where: { id: categoryId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Category not found" });
+    }
+
+    await prisma.menuCategory.delete({ where: { id: categoryId } });
+
+    res.json({ message: "Category deleted." });
+});
+
+// Admin routes (ingredients)
+
+const MAX_INGREDIENT_NAME_LENGTH = 64;
+
+// Validates ingredient input, returns an error message or null
+// Updates are validated merged with the stored ingredient
+function validateIngredientInput(input) {
+    if (!isValidName(input.name, MAX_INGREDIENT_NAME_LENGTH)) {
+        return `Name is required and must be at most ${MAX_INGREDIENT_NAME_LENGTH} characters long`;
+    }
+    if (!INGREDIENT_UNITS.includes(input.unit)) {
+        return `Unit must be one of: ${INGREDIENT_UNITS.join(", ")}`;
+    }
+    if (input.stock !== undefined && !validateAmount(input.stock, MAX_STOCK)) {
+        return "Stock must be a non-negative number with at most 2 decimals";
+    }
+    if (!isEmpty(input.lowStockThreshold) && !validateAmount(input.lowStockThreshold, MAX_STOCK)) {
+        return "Low-stock threshold must be a non-negative number with at most 2 decimals or null";
+    }
+    return null;
+}
+
+function buildIngredientData(input) {
+    const data = {
+        name: input.name.trim(),
+        unit: input.unit,
+        lowStockThreshold: isEmpty(input.lowStockThreshold) ? null : Number(input.lowStockThreshold),
+    };
+    if (input.stock !== undefined) {
+        data.stock = Number(input.stock);
+    }
+    return data;
+}
 
-    if (!order) {
-        return res.status(404).json({ error: "Order not found" });
+app.get("/api/v1/admin/ingredients", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
     }
+    const ingredients = await findPage(prisma.ingredient, {
+        orderBy: { id: 'asc' }
+    }, page);
+    sendPage(req, res, { results: ingredients.items.map(transformIngredient) }, ingredients);
+});
 
-    res.json({
-        orderId: order.id,
-        createdAt: order.createdAt,
-        status: order.status,
-        total: order.total,
-        items: order.items.map(item => ({
-            pizzaId: item.pizzaId,
-            name: item.pizza.name,
-            quantity: item.quantity,
-            unitPrice: item.pizza.price,
-            totalPrice: item.quantity * item.pizza.price
-        }))
-    });
+app.post("/api/v1/admin/ingredients", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const input = req.body || {};
+    const error = validateIngredientInput(input);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const data = buildIngredientData(input);
+    if (await prisma.ingredient.findUnique({ where: { name: data.name } })) {
+        return res.status(409).json({ error: "Ingredient already exists" });
+    }
+
+    const ingredient = await saveIngredient(tx => tx.ingredient.create({ data }));
+
+    res.status(201).json(transformIngredient(ingredient));
 });
 
-// IAM routes (auth, register, etc.)
-function isEmailRateLimited(email) {
-    const key = `${EMAIL_RATE_LIMIT_PREFIX}${email}`;
-    return redisClient.get(key).then(v => {
-        if (v) {
-            return true; // Rate limit applied
-        } else {
-            redisClient.set(key, '1', 'EX', EMAIL_RATE_LIMIT); // Set rate limit for email
-            return false; // No rate limit applied
-        }
+/*
+ * Update an ingredient
+ * Setting `stock` replaces the stock level, e.g. after counting the stock
+*/
+app.patch("/api/v1/admin/ingredients/:id", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const ingredientId = parseInt(req.params.id);
+    if (isNaN(ingredientId)) {
+        return res.status(400).json({ error: "Invalid ingredient ID" });
+    }
+
+    const existing = await prisma.ingredient.findUnique({ where: { id: ingredientId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Ingredient not found" });
+    }
+
+    // The stock is only written when given, so orders placed meanwhile aren't overwritten
+    const input = { ...transformIngredient(existing), stock: undefined, ...req.body };
+    const error = validateIngredientInput(input);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const data = buildIngredientData(input);
+    if (data.name !== existing.name && await prisma.ingredient.findUnique({ where: { name: data.name } })) {
+        return res.status(409).json({ error: "Ingredient already exists" });
+    }
+
+    const ingredient = await saveIngredient(tx => tx.ingredient.update({ where: { id: ingredientId }, data }));
+
+    res.json(transformIngredient(ingredient));
+});
+
+/*
+ * Delete an ingredient
+ * It is removed from the recipes using it
+*/
+app.delete("/api/v1/admin/ingredients/:id", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const ingredientId = parseInt(req.params.id);
+    if (isNaN(ingredientId)) {
+        return res.status(400).json({ error: "Invalid ingredient ID" });
+    }
+
+    const existing = await prisma.ingredient.findUnique({ where: { id: ingredientId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Ingredient not found" });
+    }
+
+    await prisma.$transaction(async tx => {
+        const recipes = await tx.recipeIngredient.findMany({ where: { ingredientId } });
+        await tx.ingredient.delete({ where: { id: ingredientId } });
+        // Pizzas that were sold out for lack of this ingredient may be back on the menu
+        await refreshSoldOut(tx, { id: { in: recipes.map(entry => entry.pizzaId) } });
     });
+
+    res.json({ message: "Ingredient deleted." });
+});
+
+// Admin routes (promo codes)
+
+const PROMO_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
 }
 
-function validateEmail(email) {
-    // Simple email validation regex
-    const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return re.test(String(email).toLowerCase());
+function isValidDate(value) {
+    return (typeof value === "string" || value instanceof Date) && !isNaN(new Date(value).getTime());
 }
 
-function validatePassword(password) {
-    // Password must be at least 8 characters long
-    return password && password.length >= 8;
+// Validates promo code input, returns an error message or null
+// Updates are validated merged with the stored code, since the required fields depend on the type
+function validatePromoCodeInput(input) {
+    if (typeof input.code !== "string" || !PROMO_CODE_PATTERN.test(normalizePromoCode(input.code))) {
+        return "Code must be 3 to 32 letters, digits, dashes or underscores";
+    }
+    if (!PROMO_CODE_TYPES.includes(input.type)) {
+        return `Type must be one of: ${PROMO_CODE_TYPES.join(", ")}`;
+    }
+    if (input.type === "percent" && !(validatePrice(input.value) && Number(input.value) <= 100)) {
+        return "Value of a percent code must be a percentage between 0 and 100";
+    }
+    if (input.type === "fixed" && !validatePrice(input.value)) {
+        return `Value of a fixed code must be a positive amount with at most 2 decimals, up to ${MAX_PRICE}`;
+    }
+    if (input.type === "free_item" && isEmpty(input.freePizzaId) === isEmpty(input.freeExtraId)) {
+        return "Free item codes need either freePizzaId or freeExtraId";
+    }
+    if (!isEmpty(input.freePizzaId) && !isPositiveInteger(input.freePizzaId)) {
+        return "Free pizza ID must be a positive integer";
+    }
+    if (!isEmpty(input.freeExtraId) && !isPositiveInteger(input.freeExtraId)) {
+        return "Free extra ID must be a positive integer";
+    }
+    if (!isEmpty(input.description) && typeof input.description !== "string") {
+        return "Description must be a string";
+    }
+    if (!isEmpty(input.minSpend) && !validatePrice(input.minSpend)) {
+        return "Minimum spend must be a positive amount with at most 2 decimals";
+    }
+    if (!isEmpty(input.validFrom) && !isValidDate(input.validFrom)) {
+        return "Valid from must be a date";
+    }
+    if (!isEmpty(input.validUntil) && !isValidDate(input.validUntil)) {
+        return "Valid until must be a date";
+    }
+    if (!isEmpty(input.validFrom) && !isEmpty(input.validUntil) && new Date(input.validFrom) >= new Date(input.validUntil)) {
+        return "Valid from must be before valid until";
+    }
+    if (!isEmpty(input.maxUses) && !isPositiveInteger(input.maxUses)) {
+        return "Max uses must be a positive integer";
+    }
+    if (!isEmpty(input.maxUsesPerUser) && !isPositiveInteger(input.maxUsesPerUser)) {
+        return "Max uses per user must be a positive integer";
+    }
+    if (input.active !== undefined && typeof input.active !== "boolean") {
+        return "Active must be a boolean";
+    }
+    return null;
 }
 
-app.post("/api/v1/auth/register", sessionMiddleware, async (req, res) => {
-    const { email, password } = req.body;
-    if (!email || !password) {
-        return res.status(400).json({ error: "Username and password are required" });
+// Returns an error message if the free item of the promo code does not exist
+async function findFreeItemError(input) {
+    if (input.type !== "free_item") {
+        return null;
+    }
+    if (!isEmpty(input.freePizzaId) && !await prisma.pizza.findUnique({ where: { id: input.freePizzaId } })) {
+        return "Free pizza not found";
     }
+    if (!isEmpty(input.freeExtraId) && !await prisma.extra.findUnique({ where: { id: input.freeExtraId } })) {
+        return "Free extra not found";
+    }
+    return null;
+}
 
-    // Validate email format
-    if (!validateEmail(email)) {
-        return res.status(400).json({ error: "Invalid email format" });
+// Only the fields used by the type are stored
+function buildPromoCodeData(input) {
+    const isFreeItem = input.type === "free_item";
+    return {
+        code: normalizePromoCode(input.code),
+        description: input.description || null,
+        type: input.type,
+        value: isFreeItem ? null : Number(input.value),
+        freePizzaId: isFreeItem && !isEmpty(input.freePizzaId) ? input.freePizzaId : null,
+        freeExtraId: isFreeItem && !isEmpty(input.freeExtraId) ? input.freeExtraId : null,
+        minSpend: isEmpty(input.minSpend) ? null : Number(input.minSpend),
+        validFrom: isEmpty(input.validFrom) ? null : new Date(input.validFrom),
+        validUntil: isEmpty(input.validUntil) ? null : new Date(input.validUntil),
+        maxUses: isEmpty(input.maxUses) ? null : input.maxUses,
+        maxUsesPerUser: isEmpty(input.maxUsesPerUser) ? null : input.maxUsesPerUser,
+        active: input.active !== undefined ? input.active : true,
+    };
+}
+
+function transformPromoCode(promo) {
+    return {
+        id: promo.id,
+        code: promo.code,
+        description: promo.description,
+        type: promo.type,
+        value: promo.value !== null ? Number(promo.value) : null,
+        freePizzaId: promo.freePizzaId,
+        freeExtraId: promo.freeExtraId,
+        minSpend: promo.minSpend !== null ? Number(promo.minSpend) : null,
+        validFrom: promo.validFrom,
+        validUntil: promo.validUntil,
+        maxUses: promo.maxUses,
+        maxUsesPerUser: promo.maxUsesPerUser,
+        uses: promo.uses,
+        active: promo.active,
+        createdAt: promo.createdAt,
+    };
+}
+
+app.get("/api/v1/admin/promo-codes", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
     }
+    const promoCodes = await findPage(prisma.promoCode, { orderBy: { id: 'asc' } }, page);
+    sendPage(req, res, { results: promoCodes.items.map(transformPromoCode) }, promoCodes);
+});
 
-    // Validate password strength
-    if (!validatePassword(password)) {
-        return res.status(400).json({ error: "Password must be at least 8 characters long" });
+app.post("/api/v1/admin/promo-codes", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const input = req.body || {};
+    const error = validatePromoCodeInput(input) || await findFreeItemError(input);
+    if (error) {
+        return res.status(400).json({ error });
     }
 
-    // Check if user already exists
-    const existingUser = await prisma.user.findUnique({ where: { email } });
-    if (existingUser) {
-        return res.status(409).json({ error: "User already exists" });
+    const data = buildPromoCodeData(input);
+    const existing = await prisma.promoCode.findUnique({ where: { code: data.code } });
+    if (existing) {
+        return res.status(409).json({ error: "Promo code already exists" });
     }
 
-    // Create new user
-    const hashedPassword = await hashPassword(password);
-    const newUser = await prisma.user.create({
-        data: {
-            email,
-            password: hashedPassword,
-            verified: false, // Default to not verified
-        }
-    });
+    const promo = await prisma.promoCode.create({ data });
 
-    // Send verification email (placeholder function)
-    const token = getSecureToken();
-    await prisma.emailVerification.create({
-        data: {
-            userId: newUser.id,
-            token: token,
-            expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // Token valid for 24 hours
-            email: newUser.email
-        }
-    });
-    const verificationLink = `${BASE_DOMAIN}/api/v1/auth/verify?token=${token}`;
-    // Note: no need to rate limit here
-    // We explicitly check if email is already registered
-    // So if user has already requested verification email,
-    // we will deny earlier in this function with "user already exists"
-    sendEmail(newUser.username, "Verify your account", `Welcome to PizzaGo! Click the link to verify your account: ${verificationLink}`);
+    res.status(201).json(transformPromoCode(promo));
+});
 
-    res.status(201).json({ message: "User created successfully. Please check your email to verify your account." });
+app.patch("/api/v1/admin/promo-codes/:id", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const promoId = parseInt(req.params.id);
+    if (isNaN(promoId)) {
+        return res.status(400).json({ error: "Invalid promo code ID" });
+    }
+
+    const existing = await prisma.promoCode.findUnique({ where: { id: promoId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Promo code not found" });
+    }
+
+    const input = { ...transformPromoCode(existing), ...req.body };
+    const error = validatePromoCodeInput(input) || await findFreeItemError(input);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const data = buildPromoCodeData(input);
+    if (data.code !== existing.code && await prisma.promoCode.findUnique({ where: { code: data.code } })) {
+        return res.status(409).json({ error: "Promo code already exists" });
+    }
+
+    const promo = await prisma.promoCode.update({ where: { id: promoId }, data });
+
+    res.json(transformPromoCode(promo));
 });
 
-app.post("/api/v1/auth/resend-verification", sessionMiddleware, async (req, res) => {
-    const { email } = req.body;
-    if (!email) {
-        return res.status(400).json({ error: "Email is required" });
+/*
+ * Delete a promo code
+ * Codes used by past orders are deactivated instead, so order history stays intact
+*/
+app.delete("/api/v1/admin/promo-codes/:id", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const promoId = parseInt(req.params.id);
+    if (isNaN(promoId)) {
+        return res.status(400).json({ error: "Invalid promo code ID" });
     }
 
-    // Check if user exists and is unverified
-    const user = await prisma.user.findUnique({ where: { email } });
-    if (!user || user.verified) {
-        return res.status(404).json({ error: "User not found or already verified" });
+    const existing = await prisma.promoCode.findUnique({ where: { id: promoId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Promo code not found" });
     }
 
-    // Check if email is rate limited
-    const isRateLimited = await isEmailRateLimited(email);
-    if (isRateLimited) {
-        return res.status(429).json({ error: "Please wait before requesting another verification email." });
+    const orderCount = await prisma.order.count({ where: { promoCodeId: promoId } });
+    if (orderCount > 0) {
+        await prisma.promoCode.update({ where: { id: promoId }, data: { active: false } });
+        return res.json({ message: "Promo code is referenced by past orders and was deactivated instead.", deactivated: true });
     }
 
-    // Send verification email
-    const token = getSecureToken();
-    const verificationLink = `${BASE_DOMAIN}/api/v1/auth/verify?token=${token}`;
-    sendEmail(user.email, "Verify your account", `Click the link to verify your account: ${verificationLink}`);
+    await prisma.promoCode.delete({ where: { id: promoId } });
 
-    res.json({ message: "Verification email sent." });
+    res.json({ message: "Promo code deleted.", deactivated: false });
 });
 
-app.get("/api/v1/auth/verify", async (req, res) => {
-    const { token } = req.query;
-    if (!token) {
-        return res.status(400).json({ error: "Token is required" });
+// Admin routes (delivery zones)
+
+const MAX_ZONE_NAME_LENGTH = 64;
+
+function validatePolygon(polygon) {
+    return Array.isArray(polygon) && polygon.length >= 3 && polygon.every(point =>
+        point && isNumberInRange(point.lat, -90, 90) && isNumberInRange(point.lng, -180, 180));
+}
+
+// Validates delivery zone input, returns an error message or null
+// Updates are validated merged with the stored zone
+function validateDeliveryZoneInput(input) {
+    if (typeof input.name !== "string" || input.name.trim().length === 0 || input.name.length > MAX_ZONE_NAME_LENGTH) {
+        return `Name is required and must be at most ${MAX_ZONE_NAME_LENGTH} characters long`;
+    }
+    if (!isEmpty(input.postcodes) && !validateStringList(input.postcodes)) {
+        return "Postcodes must be an array of non-empty strings";
+    }
+    if (!isEmpty(input.polygon) && !validatePolygon(input.polygon)) {
+        return "Polygon must be an array of at least 3 points with lat and lng";
+    }
+    if ((isEmpty(input.postcodes) || input.postcodes.length === 0) && isEmpty(input.polygon)) {
+        return "A zone needs postcodes or a polygon";
     }
+    if (!validateAmount(input.fee)) {
+        return `Fee must be an amount with at most 2 decimals, up to ${MAX_PRICE}`;
+    }
+    if (!isEmpty(input.minOrder) && !validateAmount(input.minOrder)) {
+        return `Minimum order must be an amount with at most 2 decimals, up to ${MAX_PRICE}`;
+    }
+    if (input.active !== undefined && typeof input.active !== "boolean") {
+        return "Active must be a boolean";
+    }
+    return null;
+}
 
-    // Find user by token
-    const verificationRequest = await prisma.emailVerification.findFirst({
-        where: { token: token }
-    });
-    const user = verificationRequest ? await prisma.user.findUnique({ where: { id: verificationRequest.userId } }) : null;
-    if (!verificationRequest || !user) {
-        return res.status(404).json({ error: "Invalid or expired token" });
+function buildDeliveryZoneData(input) {
+    return {
+        name: input.name.trim(),
+        postcodes: isEmpty(input.postcodes) ? [] : [...new Set(input.postcodes.map(normalizePostcode))],
+        // Prisma needs DbNull to store SQL NULL in a Json column
+        polygon: isEmpty(input.polygon) ? Prisma.DbNull : input.polygon.map(point => ({ lat: point.lat, lng: point.lng })),
+        fee: Number(input.fee),
+        minOrder: isEmpty(input.minOrder) ? 0 : Number(input.minOrder),
+        active: input.active !== undefined ? input.active : true,
+    };
+}
+
+function transformAdminDeliveryZone(zone) {
+    return {
+        ...transformDeliveryZone(zone),
+        active: zone.active,
+    };
+}
+
+app.get("/api/v1/admin/delivery-zones", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
     }
+    const zones = await findPage(prisma.deliveryZone, { orderBy: { id: 'asc' } }, page);
+    sendPage(req, res, { results: zones.items.map(transformAdminDeliveryZone) }, zones);
+});
 
-    // Check if user is already verified
-    if (user.verified) {
-        return res.status(400).json({ error: "User already verified" });
+app.post("/api/v1/admin/delivery-zones", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const input = req.body || {};
+    const error = validateDeliveryZoneInput(input);
+    if (error) {
+        return res.status(400).json({ error });
     }
 
-    // Mark user as verified
-    Promise.all([
-        prisma.user.update({
-            where: { id: user.id },
-            data: { verified: true } // Clear the token after verification
-        }),
-        prisma.emailVerification.delete({
-            where: { id: verificationRequest.id }
-        })
-    ]);
+    const zone = await prisma.deliveryZone.create({ data: buildDeliveryZoneData(input) });
 
-    res.json({ message: "Email verified successfully." });
+    res.status(201).json(transformAdminDeliveryZone(zone));
 });
 
-app.post("/api/v1/auth/login", async (req, res) => {
-    const { email, password } = req.body;
-    if (!email || !password) {
-        return res.status(400).json({ error: "Email and password are required" });
+app.patch("/api/v1/admin/delivery-zones/:id", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const zoneId = parseInt(req.params.id);
+    if (isNaN(zoneId)) {
+        return res.status(400).json({ error: "Invalid delivery zone ID" });
     }
 
-    // Find user by email
-    const user = await prisma.user.findUnique({ where: { email } });
-    if (!user || !user.verified) {
-        return res.status(404).json({ error: "User not found or not verified" });
+    const existing = await prisma.deliveryZone.findUnique({ where: { id: zoneId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Delivery zone not found" });
     }
 
-    // Verify password
-    const isValidPassword = await verifyPassword(password, user.password);
-    if (!isValidPassword) {
-        return res.status(401).json({ error: "Invalid credentials" });
+    const input = { ...transformAdminDeliveryZone(existing), ...req.body };
+    const error = validateDeliveryZoneInput(input);
+    if (error) {
+        return res.status(400).json({ error });
     }
 
-    // Generate session token (placeholder logic)
-    const sessionToken = getSecureToken();
+    const zone = await prisma.deliveryZone.update({ where: { id: zoneId }, data: buildDeliveryZoneData(input) });
 
-    // Set session in Redis
-    redisClient.get(sessionIdToRedisKey(sessionToken)).then(sessionData => {
-        if (!sessionData) {
-            sessionData = constructSessionData();
-            sessionData.userId = user.id;
-            redisClient.set(sessionIdToRedisKey(sessionToken), JSON.stringify(sessionData), 'EX', SESSION_LIFETIME);
-        } else {
-            sessionData = JSON.parse(sessionData);
-            sessionData.userId = user.id; // Associate user with session
-            sessionData.updatedAt = new Date();
-            redisClient.set(sessionIdToRedisKey(sessionToken), JSON.stringify(sessionData), 'EX', SESSION_LIFETIME);
-        }
-    });
+    res.json(transformAdminDeliveryZone(zone));
+});
 
-    res.json({
-        user: {
-            id: user.id,
-            email: user.email
-        }
+/*
+ * Delete a delivery zone
+ * Zones referenced by past orders are deactivated instead
+*/
+app.delete("/api/v1/admin/delivery-zones/:id", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const zoneId = parseInt(req.params.id);
+    if (isNaN(zoneId)) {
+        return res.status(400).json({ error: "Invalid delivery zone ID" });
+    }
+
+    const existing = await prisma.deliveryZone.findUnique({ where: { id: zoneId } });
+    if (!existing) {
+        return res.status(404).json({ error: "Delivery zone not found" });
+    }
+
+    const orderCount = await prisma.order.count({ where: { deliveryZoneId: zoneId } });
+    if (orderCount > 0) {
+        await prisma.deliveryZone.update({ where: { id: zoneId }, data: { active: false } });
+        return res.json({ message: "Delivery zone is referenced by past orders and was deactivated instead.", deactivated: true });
+    }
+
+    await prisma.deliveryZone.delete({ where: { id: zoneId } });
+
+    res.json({ message: "Delivery zone deleted.", deactivated: false });
+});
+
+// Admin routes (tax rates)
+
+function transformTaxRate(taxRate) {
+    return {
+        category: taxRate.category,
+        rate: Number(taxRate.rate),
+        inclusive: taxRate.inclusive,
+    };
+}
+
+// Validates tax rate input, returns an error message or null
+function validateTaxRateInput(input) {
+    if (!validateAmount(input.rate, 100)) {
+        return "Rate must be a percentage with at most 2 decimals, up to 100";
+    }
+    if (input.inclusive !== undefined && typeof input.inclusive !== "boolean") {
+        return "Inclusive must be a boolean";
+    }
+    return null;
+}
+
+app.get("/api/v1/admin/tax-rates", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const { error, page } = parsePageQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const taxRates = await findPage(prisma.taxRate, { orderBy: { id: 'asc' } }, page);
+    sendPage(req, res, { results: taxRates.items.map(transformTaxRate) }, taxRates);
+});
+
+/*
+ * Set the tax rate of an item category
+ * Placed orders keep the rates they were placed with
+*/
+app.put("/api/v1/admin/tax-rates/:category", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const category = req.params.category;
+    if (!TAX_CATEGORIES.includes(category)) {
+        return res.status(400).json({ error: `Category must be one of: ${TAX_CATEGORIES.join(", ")}` });
+    }
+    const input = req.body || {};
+    const error = validateTaxRateInput(input);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const data = {
+        rate: Number(input.rate),
+        inclusive: input.inclusive !== undefined ? input.inclusive : true,
+    };
+    const taxRate = await prisma.taxRate.upsert({
+        where: { category },
+        create: { category, ...data },
+        update: data
     });
+
+    res.json(transformTaxRate(taxRate));
 });
 
-app.post("/api/v1/auth/logout", async (req, res) => {
-    const sessionId = req?.cookies?.session;
-    if (!sessionId) {
-        return res.status(400).json({ error: "No session found" });
+// Items of the category are no longer taxed
+app.delete("/api/v1/admin/tax-rates/:category", sessionMiddleware, requireRole("admin"), async (req, res) => {
+    const category = req.params.category;
+    if (!TAX_CATEGORIES.includes(category)) {
+        return res.status(400).json({ error: `Category must be one of: ${TAX_CATEGORIES.join(", ")}` });
     }
 
-    // Invalidate session in Redis
-    await redisClient.del(sessionIdToRedisKey(sessionId));
+    const existing = await prisma.taxRate.findUnique({ where: { category } });
+    if (!existing) {
+        return res.status(404).json({ error: "Tax rate not found" });
+    }
 
-    // Clear cookie
-    res.clearCookie('session');
+    await prisma.taxRate.delete({ where: { category } });
 
-    res.json({ message: "Logged out successfully." });
+    res.json({ message: "Tax rate deleted." });
 });
 
 app.get("/api/v1/bug", (req, res) => {
@@ -0,0 +1,124 @@
+const crypto = require("crypto");
+const redisClient = require("./redis_client.js");
+const {getSecureToken, hashToken} = require("./security.js");
+require('dotenv').config();
+
+// Token login, for clients that can't keep the session cookie (e.g. the mobile app)
+// A token login creates a session like a cookie login. The access token is a short-lived JWT (RFC 7519)
+// naming the session, sent as `Authorization: Bearer <token>`. The refresh token gets a new access token,
+// and is replaced by a new refresh token every time it is used.
+// Tokens are revoked by ending their session in Redis: access tokens are only accepted while it exists.
+
+const ACCESS_TOKEN_LIFETIME = 15*60; // ... seconds an access token is accepted
+const REFRESH_TOKEN_LIFETIME = 60*60*24*3; // ... seconds a refresh token can be used, as long as an unused session lives
+const REFRESH_TOKEN_PREFIX = "pizzago_refresh_token:";
+// Without a configured secret, access tokens are only accepted by this process until it restarts,
+// which is only good enough outside production
+const ACCESS_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+const ACCESS_TOKEN_HEADER = { alg: "HS256", typ: "JWT" };
+
+if (process.env.NODE_ENV === "prod" && !process.env.AUTH_TOKEN_SECRET) {
+    throw new Error("AUTH_TOKEN_SECRET must be set in production");
+}
+
+function encodeSegment(value) {
+    return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decodeSegment(segment) {
+    try {
+        return JSON.parse(Buffer.from(segment, "base64url").toString());
+    } catch {
+        return null;
+    }
+}
+
+function computeTokenSignature(content) {
+    return crypto.createHmac("sha256", ACCESS_TOKEN_SECRET).update(content).digest("base64url");
+}
+
+// Signs the claims of an access token, e.g. { sub: "1", sid: "<session ID>" }
+function signAccessToken(claims, now = Math.floor(Date.now() / 1000)) {
+    const content = `${encodeSegment(ACCESS_TOKEN_HEADER)}.${encodeSegment({ ...claims, iat: now, exp: now + ACCESS_TOKEN_LIFETIME })}`;
+    return `${content}.${computeTokenSignature(content)}`;
+}
+
+// Returns the claims of a valid access token, or null if it is malformed, forged or expired
+function verifyAccessToken(token, now = Math.floor(Date.now() / 1000)) {
+    if (typeof token !== "string") {
+        return null;
+    }
+    const segments = token.split(".");
+    if (segments.length !== 3) {
+        return null;
+    }
+    const [header, payload, signature] = segments;
+    const expected = Buffer.from(computeTokenSignature(`${header}.${payload}`));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return null;
+    }
+    // Only tokens signed the way this module signs them, e.g. never "alg": "none"
+    const { alg } = decodeSegment(header) || {};
+    const claims = decodeSegment(payload);
+    if (alg !== ACCESS_TOKEN_HEADER.alg || !claims || typeof claims.exp !== "number" || claims.exp <= now) {
+        return null;
+    }
+    return claims;
+}
+
+// Only hashes of refresh tokens are stored, like the other tokens in security.js
+function refreshTokenKey(refreshToken) {
+    return `${REFRESH_TOKEN_PREFIX}${hashToken(refreshToken)}`;
+}
+
+// Issues an access token and a refresh token for the session of a token login
+async function issueTokens(userId, sessionId) {
+    const refreshToken = getSecureToken();
+    await redisClient.set(refreshTokenKey(refreshToken), JSON.stringify({ userId, sessionId }), { EX: REFRESH_TOKEN_LIFETIME });
+    return {
+        accessToken: signAccessToken({ sub: String(userId), sid: sessionId }),
+        tokenType: "Bearer",
+        expiresIn: ACCESS_TOKEN_LIFETIME,
+        refreshToken
+    };
+}
+
+// Uses up a refresh token, returns { userId, sessionId, reused } or null if the token is unknown or expired
+// A used token is remembered as such: `reused` means it was used before, i.e. it may have been stolen
+async function redeemRefreshToken(refreshToken) {
+    if (typeof refreshToken !== "string") {
+        return null;
+    }
+    const key = refreshTokenKey(refreshToken);
+    // Deleting the token claims it, so two requests can't both use it
+    const stored = await redisClient.getDel(key);
+    if (!stored) {
+        return null;
+    }
+    const { userId, sessionId, used } = JSON.parse(stored);
+    await redisClient.set(key, JSON.stringify({ userId, sessionId, used: true }), { EX: REFRESH_TOKEN_LIFETIME });
+    return { userId, sessionId, reused: Boolean(used) };
+}
+
+// Deletes a refresh token, returns { userId, sessionId } of its session or null if the token is unknown
+async function revokeRefreshToken(refreshToken) {
+    if (typeof refreshToken !== "string") {
+        return null;
+    }
+    const stored = await redisClient.getDel(refreshTokenKey(refreshToken));
+    if (!stored) {
+        return null;
+    }
+    const { userId, sessionId } = JSON.parse(stored);
+    return { userId, sessionId };
+}
+
+module.exports = {
+    ACCESS_TOKEN_LIFETIME,
+    signAccessToken,
+    verifyAccessToken,
+    issueTokens,
+    redeemRefreshToken,
+    revokeRefreshToken
+};
@@ -0,0 +1,51 @@
+const prisma = require("./prisma.js");
+
+// Delivery zones decide whether we deliver to an address, and for which fee
+
+// "10115", "10 115" and "10115 " are the same postcode
+function normalizePostcode(postcode) {
+    return String(postcode).replace(/\s+/g, "").toUpperCase();
+}
+
+// Ray casting: counts how often a ray from the point crosses the polygon edges,
+// an odd count means the point is inside
+// `polygon` is a list of { lat, lng } corners, the last corner connects back to the first
+function isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        const crosses = (a.lat > point.lat) !== (b.lat > point.lat)
+            && point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng;
+        if (crosses) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function isAddressInZone(address, zone) {
+    if (zone.postcodes.includes(normalizePostcode(address.postcode))) {
+        return true;
+    }
+    const hasCoordinates = typeof address.latitude === "number" && typeof address.longitude === "number";
+    return Boolean(zone.polygon && hasCoordinates
+        && isPointInPolygon({ lat: address.latitude, lng: address.longitude }, zone.polygon));
+}
+
+// Returns the active zone the address is in, or null if we don't deliver there
+// Zones may overlap, the cheapest one wins
+async function findDeliveryZone(address) {
+    const zones = await prisma.deliveryZone.findMany({
+        where: { active: true },
+        orderBy: [{ fee: 'asc' }, { id: 'asc' }]
+    });
+    return zones.find(zone => isAddressInZone(address, zone)) || null;
+}
+
+module.exports = {
+    normalizePostcode,
+    isPointInPolygon,
+    isAddressInZone,
+    findDeliveryZone
+};
@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+const redisClient = require("./redis_client.js");
+
+// Idempotent requests
+// A client that retries a request (e.g. after a timeout) sends the same `Idempotency-Key` header again,
+// and gets the response of the first request instead of having it carried out twice.
+// Only successful responses are kept, so a request that failed can be retried with the same key.
+// Keys belong to the session that used them.
+
+const IDEMPOTENCY_PREFIX = "pizzago_idempotency:";
+const IDEMPOTENCY_KEY_LIFETIME = 24*60*60; // ... seconds a response is replayed
+const IDEMPOTENCY_LOCK_LIFETIME = 60; // ... seconds a request may take before a retry is carried out again
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/; // Visible ASCII characters
+
+function idempotencyRedisKey(sessionId, key) {
+    return `${IDEMPOTENCY_PREFIX}${sessionId}:${key}`;
+}
+
+// Reusing a key for a different request is a client error, rather than a retry
+function fingerprintRequest(req) {
+    return crypto.createHash("sha256")
+        .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body ?? null)}`)
+        .digest("hex");
+}
+
+// Must be used after sessionMiddleware
+async function idempotencyMiddleware(req, res, next) {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) {
+        return next();
+    }
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+        return res.status(400).json({ error: "Idempotency-Key must be 1 to 255 visible ASCII characters" });
+    }
+
+    const redisKey = idempotencyRedisKey(req.session.id, key);
+    const fingerprint = fingerprintRequest(req);
+    // Only one request at a time gets to use the key
+    const claimed = await redisClient.set(redisKey, JSON.stringify({ fingerprint }), { NX: true, EX: IDEMPOTENCY_LOCK_LIFETIME });
+    if (!claimed) {
+        const stored = JSON.parse(await redisClient.get(redisKey));
+        if (stored && stored.fingerprint !== fingerprint) {
+            return res.status(422).json({ error: "Idempotency-Key was already used for a different request" });
+        }
+        if (!stored || !stored.response) {
+            return res.status(409).json({ error: "A request with this Idempotency-Key is still in progress" });
+        }
+        res.set("Idempotent-Replayed", "true");
+        return res.status(stored.response.status).json(stored.response.body);
+    }
+
+    // The response is stored before it is sent, so a retry right after it always finds it
+    let responded = false;
+    const sendJson = res.json.bind(res);
+    res.json = body => {
+        responded = true;
+        const storing = res.statusCode < 400
+            ? redisClient.set(redisKey, JSON.stringify({ fingerprint, response: { status: res.statusCode, body } }), { EX: IDEMPOTENCY_KEY_LIFETIME })
+            : redisClient.del(redisKey);
+        storing
+            .catch(err => console.error("Error storing idempotent response:", err))
+            .finally(() => sendJson(body));
+        return res;
+    };
+    // Lets the key be used again if the request failed without a response, e.g. with an uncaught error
+    res.on("close", () => {
+        if (!responded) {
+            redisClient.del(redisKey).catch(err => console.error("Error releasing idempotency key:", err));
+        }
+    });
+    next();
+}
+
+module.exports = {
+    idempotencyMiddleware
+};
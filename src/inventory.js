@@ -0,0 +1,139 @@
+const prisma = require("./prisma.js");
+const {sendTemplateEmail} = require("./mail.js");
+
+// Ingredient stock
+// A pizza's recipe says how much of each ingredient one pizza uses. Placing an order takes the
+// ingredients of its pizzas from stock. A pizza is sold out while any ingredient of its recipe has less
+// left than one pizza needs, until the ingredient is restocked.
+// Staff are emailed once when an ingredient drops to its low-stock threshold.
+// Functions taking a `client` work with prisma as well as inside an interactive transaction.
+
+const INGREDIENT_UNITS = ["g", "ml", "piece"];
+
+class OutOfStockError extends Error {
+    constructor(ingredient) {
+        super(`Not enough ${ingredient.name} in stock`);
+        this.ingredient = ingredient;
+    }
+}
+
+// Adds up the ingredients used by the given lines ([{ pizzaId, quantity }])
+// Returns a map of ingredient IDs to the amount used
+function sumIngredients(lines, recipes) {
+    const amounts = new Map();
+    for (const line of lines) {
+        for (const entry of recipes.filter(recipe => recipe.pizzaId === line.pizzaId)) {
+            const amount = (amounts.get(entry.ingredientId) || 0) + Number(entry.quantity) * line.quantity;
+            amounts.set(entry.ingredientId, Math.round(amount * 100) / 100);
+        }
+    }
+    return amounts;
+}
+
+// Takes the ingredients of the given lines from stock
+// Throws OutOfStockError if an ingredient runs short, which rolls back the surrounding transaction
+// Returns the IDs of the ingredients taken
+async function takeFromStock(client, lines) {
+    const pizzaIds = [...new Set(lines.map(line => line.pizzaId))];
+    if (pizzaIds.length === 0) {
+        return [];
+    }
+    const recipes = await client.recipeIngredient.findMany({ where: { pizzaId: { in: pizzaIds } } });
+    const amounts = sumIngredients(lines, recipes);
+    // Rows are locked in ID order, so concurrent orders sharing ingredients can't deadlock each other
+    const ingredientIds = [...amounts.keys()].sort((a, b) => a - b);
+    for (const ingredientId of ingredientIds) {
+        const amount = amounts.get(ingredientId);
+        // Only takes the amount if that much is left, even with concurrent orders
+        const { count } = await client.ingredient.updateMany({
+            where: { id: ingredientId, stock: { gte: amount } },
+            data: { stock: { decrement: amount } }
+        });
+        if (count === 0) {
+            throw new OutOfStockError(await client.ingredient.findUnique({ where: { id: ingredientId } }));
+        }
+    }
+    return ingredientIds;
+}
+
+// Whether a recipe ([{ quantity, ingredient }]) needs more of an ingredient than is left
+function isOutOfStock(recipe) {
+    return recipe.some(entry => Number(entry.ingredient.stock) < Number(entry.quantity));
+}
+
+// Marks the pizzas matching `where` sold out or back in stock, depending on their recipe
+async function refreshSoldOut(client, where) {
+    const pizzas = await client.pizza.findMany({
+        where,
+        select: { id: true, soldOut: true, recipe: { include: { ingredient: true } } }
+    });
+    const soldOutIds = [];
+    const inStockIds = [];
+    for (const pizza of pizzas) {
+        const soldOut = isOutOfStock(pizza.recipe);
+        if (soldOut !== pizza.soldOut) {
+            (soldOut ? soldOutIds : inStockIds).push(pizza.id);
+        }
+    }
+    if (soldOutIds.length > 0) {
+        await client.pizza.updateMany({ where: { id: { in: soldOutIds } }, data: { soldOut: true } });
+    }
+    if (inStockIds.length > 0) {
+        await client.pizza.updateMany({ where: { id: { in: inStockIds } }, data: { soldOut: false } });
+    }
+}
+
+function isLowStock(ingredient) {
+    return ingredient.lowStockThreshold !== null && Number(ingredient.stock) <= Number(ingredient.lowStockThreshold);
+}
+
+// Brings the sold-out pizzas and the low-stock state up to date after the stock of ingredients changed
+// Returns the ingredients that just dropped to their low-stock threshold, see alertLowStock
+async function refreshStockLevels(client, ingredientIds) {
+    if (ingredientIds.length === 0) {
+        return [];
+    }
+    await refreshSoldOut(client, { recipe: { some: { ingredientId: { in: ingredientIds } } } });
+
+    const ingredients = await client.ingredient.findMany({ where: { id: { in: ingredientIds } } });
+    const droppedIds = ingredients.filter(ingredient => isLowStock(ingredient) && !ingredient.lowStockSince).map(ingredient => ingredient.id);
+    const restockedIds = ingredients.filter(ingredient => !isLowStock(ingredient) && ingredient.lowStockSince).map(ingredient => ingredient.id);
+    if (droppedIds.length > 0) {
+        await client.ingredient.updateMany({ where: { id: { in: droppedIds } }, data: { lowStockSince: new Date() } });
+    }
+    if (restockedIds.length > 0) {
+        await client.ingredient.updateMany({ where: { id: { in: restockedIds } }, data: { lowStockSince: null } });
+    }
+    return ingredients.filter(ingredient => droppedIds.includes(ingredient.id));
+}
+
+// Emails all staff members and admins about ingredients running low
+// Called after the transaction that changed the stock, so no alert goes out for a rolled back order
+async function alertLowStock(ingredients) {
+    if (ingredients.length === 0) {
+        return;
+    }
+    const staff = await prisma.user.findMany({
+        where: { role: { in: ["staff", "admin"] }, email: { not: null } }
+    });
+    const items = ingredients.map(ingredient => ({
+        name: ingredient.name,
+        stock: Number(ingredient.stock),
+        unit: ingredient.unit,
+        lowStockThreshold: Number(ingredient.lowStockThreshold)
+    }));
+    for (const user of staff) {
+        sendTemplateEmail(user.email, "lowStockAlert", { ingredients: items });
+    }
+}
+
+module.exports = {
+    INGREDIENT_UNITS,
+    OutOfStockError,
+    sumIngredients,
+    isOutOfStock,
+    takeFromStock,
+    refreshSoldOut,
+    refreshStockLevels,
+    alertLowStock
+};
@@ -1,13 +1,122 @@
+const path = require("path");
+const { createTransport } = require("./mail_transports.js");
+const { renderTemplate } = require("./mail_templates.js");
+require('dotenv').config();
 
+const MAIL_FROM = process.env.MAIL_FROM || "PizzaGo <no-reply@pizzago.local>";
+const MAIL_MAX_ATTEMPTS = 5;
+const MAIL_RETRY_DELAY = Number(process.env.MAIL_RETRY_DELAY || 2); // ... seconds before the first retry, doubled after every failure
 
-function sendEmail(to, subject, body) {
-    // This is a placeholder function. In a real application, you would use a library
-    // like nodemailer to send emails.
-    console.log(`Sending email to: ${to}`);
-    console.log(`Subject: ${subject}`);
-    console.log(`Body: ${body}`);
+// smtp in production, the outbox directory in development and memory in tests
+function defaultTransportName() {
+    if (process.env.MAIL_TRANSPORT) {
+        return process.env.MAIL_TRANSPORT;
+    }
+    if (process.env.NODE_ENV === "prod") {
+        return "smtp";
+    }
+    if (process.env.NODE_ENV === "test") {
+        return "memory";
+    }
+    return "file";
+}
+
+let transport = null;
+
+function getTransport() {
+    if (!transport) {
+        transport = createTransport(defaultTransportName(), {
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === "true",
+            user: process.env.SMTP_USER,
+            password: process.env.SMTP_PASSWORD,
+            directory: process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "outbox")
+        });
+    }
+    return transport;
+}
+
+function setTransport(newTransport) {
+    transport = newTransport;
+}
+
+// Emails are sent from an in-memory queue, so a slow or failing mail server never blocks a request
+// Note: emails still in the queue are lost when the process stops
+const queue = [];
+let processing = false;
+let pendingRetries = 0;
+let idleResolvers = [];
+
+function notifyIdle() {
+    if (!processing && queue.length === 0 && pendingRetries === 0) {
+        idleResolvers.forEach(resolve => resolve());
+        idleResolvers = [];
+    }
+}
+
+function scheduleRetry(job) {
+    const delay = MAIL_RETRY_DELAY * 2 ** (job.attempts - 1);
+    pendingRetries++;
+    const timer = setTimeout(() => {
+        pendingRetries--;
+        queue.push(job);
+        processQueue();
+    }, delay * 1000);
+    // Retries alone don't keep the process alive
+    timer.unref();
+}
+
+async function processQueue() {
+    if (processing) {
+        return;
+    }
+    processing = true;
+    while (queue.length > 0) {
+        const job = queue.shift();
+        job.attempts++;
+        try {
+            await getTransport().send(job.message);
+        } catch (err) {
+            if (job.attempts < MAIL_MAX_ATTEMPTS) {
+                console.error(`Failed to send email to ${job.message.to} (attempt ${job.attempts}), retrying:`, err.message);
+                scheduleRetry(job);
+            } else {
+                console.error(`Giving up sending email to ${job.message.to} after ${job.attempts} attempts:`, err);
+            }
+        }
+    }
+    processing = false;
+    notifyIdle();
+}
+
+// Queues an email and returns immediately
+function sendEmail(to, subject, text, html) {
+    queue.push({
+        message: { from: MAIL_FROM, to, subject, text, html },
+        attempts: 0
+    });
+    setImmediate(processQueue);
+}
+
+// Renders one of the templates in mail_templates.js and queues it
+function sendTemplateEmail(to, templateName, params) {
+    const { subject, text, html } = renderTemplate(templateName, params);
+    sendEmail(to, subject, text, html);
+}
+
+// Resolves once every queued email was sent or given up on
+function flushEmails() {
+    return new Promise(resolve => {
+        idleResolvers.push(resolve);
+        setImmediate(notifyIdle);
+    });
 }
 
 module.exports = {
-    sendEmail
-};
\ No newline at end of file
+    sendEmail,
+    sendTemplateEmail,
+    flushEmails,
+    getTransport,
+    setTransport
+};
@@ -0,0 +1,145 @@
+// Email templates
+// Every template takes its parameters and returns { subject, text, html }
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+function formatMoney(value) {
+    return Number(value).toFixed(2);
+}
+
+// Wraps the body of an email in the common PizzaGo layout
+// `body` must already be escaped
+function renderLayout(title, body) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family: Arial, sans-serif; color: #222; max-width: 600px; margin: 0 auto;">
+<h1 style="color: #d62828;">🍕 PizzaGo</h1>
+${body}
+<p style="color: #888; font-size: 12px;">You receive this email because of an action on your PizzaGo account.</p>
+</body>
+</html>
+`;
+}
+
+function renderButton(link, label) {
+    return `<p><a href="${escapeHtml(link)}" style="background: #d62828; color: #fff; padding: 10px 16px; text-decoration: none; border-radius: 4px;">${escapeHtml(label)}</a></p>
+<p style="font-size: 12px;">Or copy this link into your browser: ${escapeHtml(link)}</p>`;
+}
+
+function verification({ link }) {
+    const subject = "Verify your account";
+    return {
+        subject,
+        text: `Welcome to PizzaGo! Click the link to verify your account: ${link}`,
+        html: renderLayout(subject, `<p>Welcome to PizzaGo! Please confirm your email address to finish creating your account.</p>
+${renderButton(link, "Verify my account")}`)
+    };
+}
+
+function emailChange({ link }) {
+    const subject = "Confirm your new email address";
+    return {
+        subject,
+        text: `Click the link to use this email address for your PizzaGo account: ${link}\nIf you didn't change your email address, you can ignore this email.`,
+        html: renderLayout(subject, `<p>Please confirm that you want to use this email address for your PizzaGo account.</p>
+${renderButton(link, "Confirm my email address")}
+<p>If you didn't change your email address, you can ignore this email.</p>`)
+    };
+}
+
+// Sent to the previous address after the change
+function emailChanged({ email }) {
+    const subject = "Your email address was changed";
+    return {
+        subject,
+        text: `The email address of your PizzaGo account was changed to ${email}. If you didn't do this, please contact us right away.`,
+        html: renderLayout(subject, `<p>The email address of your PizzaGo account was changed to <strong>${escapeHtml(email)}</strong>.</p>
+<p>If you didn't do this, please contact us right away.</p>`)
+    };
+}
+
+function passwordReset({ link, validForMinutes }) {
+    const subject = "Reset your password";
+    return {
+        subject,
+        text: `Click the link to choose a new password: ${link}\nThe link is valid for ${validForMinutes} minutes. If you didn't request a password reset, you can ignore this email.`,
+        html: renderLayout(subject, `<p>Someone asked to reset the password of your PizzaGo account.</p>
+${renderButton(link, "Choose a new password")}
+<p>The link is valid for ${escapeHtml(validForMinutes)} minutes. If you didn't request a password reset, you can ignore this email.</p>`)
+    };
+}
+
+// items: [{ name, quantity, totalPrice }]
+function orderConfirmation({ orderId, items, discount, deliveryFee, total }) {
+    const subject = `Your PizzaGo order #${orderId}`;
+    const textLines = items.map(item => `${item.quantity} x ${item.name}: ${formatMoney(item.totalPrice)}`);
+    const htmlRows = items.map(item => `<tr><td>${escapeHtml(item.quantity)} x ${escapeHtml(item.name)}</td><td style="text-align: right;">${formatMoney(item.totalPrice)}</td></tr>`);
+    if (Number(discount) > 0) {
+        textLines.push(`Discount: -${formatMoney(discount)}`);
+        htmlRows.push(`<tr><td>Discount</td><td style="text-align: right;">-${formatMoney(discount)}</td></tr>`);
+    }
+    if (Number(deliveryFee) > 0) {
+        textLines.push(`Delivery: ${formatMoney(deliveryFee)}`);
+        htmlRows.push(`<tr><td>Delivery</td><td style="text-align: right;">${formatMoney(deliveryFee)}</td></tr>`);
+    }
+    return {
+        subject,
+        text: `Thank you for your order #${orderId}!\n\n${textLines.join("\n")}\n\nTotal: ${formatMoney(total)}`,
+        html: renderLayout(subject, `<p>Thank you for your order <strong>#${escapeHtml(orderId)}</strong>! We'll let you know when it's on its way.</p>
+<table style="width: 100%; border-collapse: collapse;">
+${htmlRows.join("\n")}
+<tr><td><strong>Total</strong></td><td style="text-align: right;"><strong>${formatMoney(total)}</strong></td></tr>
+</table>`)
+    };
+}
+
+// Sent to staff, ingredients: [{ name, stock, unit, lowStockThreshold }]
+function lowStockAlert({ ingredients }) {
+    const subject = ingredients.length === 1
+        ? `Low stock: ${ingredients[0].name}`
+        : `Low stock: ${ingredients.length} ingredients`;
+    const describe = ingredient => `${ingredient.stock} ${ingredient.unit} left (threshold ${ingredient.lowStockThreshold} ${ingredient.unit})`;
+    const textLines = ingredients.map(ingredient => `${ingredient.name}: ${describe(ingredient)}`);
+    const htmlItems = ingredients.map(ingredient => `<li><strong>${escapeHtml(ingredient.name)}</strong>: ${escapeHtml(describe(ingredient))}</li>`);
+    return {
+        subject,
+        text: `These ingredients are running low, please restock them:\n\n${textLines.join("\n")}`,
+        html: renderLayout(subject, `<p>These ingredients are running low, please restock them:</p>
+<ul>
+${htmlItems.join("\n")}
+</ul>`)
+    };
+}
+
+const templates = {
+    verification,
+    emailChange,
+    emailChanged,
+    passwordReset,
+    orderConfirmation,
+    lowStockAlert
+};
+
+function renderTemplate(name, params) {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    return template(params);
+}
+
+module.exports = {
+    renderTemplate,
+    escapeHtml
+};
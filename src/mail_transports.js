@@ -0,0 +1,74 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// Every transport exposes `send(message)`, where message is { from, to, subject, text, html }
+// and the returned promise rejects if the message could not be delivered
+
+// Delivers through an SMTP server
+function createSmtpTransport(options) {
+    // Loaded lazily, so the other transports work without nodemailer installed
+    const nodemailer = require("nodemailer");
+    const transporter = nodemailer.createTransport({
+        host: options.host,
+        port: options.port,
+        secure: options.secure,
+        auth: options.user ? { user: options.user, pass: options.password } : undefined,
+        connectionTimeout: 10 * 1000,
+        socketTimeout: 30 * 1000
+    });
+    return {
+        name: "smtp",
+        send(message) {
+            return transporter.sendMail(message);
+        }
+    };
+}
+
+// Writes every message into a local directory instead of sending it
+// Used in local development: open the .html file to see the email as a user would
+function createFileTransport(options) {
+    return {
+        name: "file",
+        async send(message) {
+            await fs.mkdir(options.directory, { recursive: true });
+            const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+            await fs.writeFile(path.join(options.directory, `${fileName}.json`), JSON.stringify(message, null, 2));
+            if (message.html) {
+                await fs.writeFile(path.join(options.directory, `${fileName}.html`), message.html);
+            }
+        }
+    };
+}
+
+// Keeps messages in memory, used by tests
+function createMemoryTransport() {
+    const messages = [];
+    return {
+        name: "memory",
+        messages,
+        async send(message) {
+            messages.push(message);
+        },
+        clear() {
+            messages.length = 0;
+        }
+    };
+}
+
+function createTransport(name, options = {}) {
+    switch (name) {
+        case "smtp":
+            return createSmtpTransport(options);
+        case "file":
+            return createFileTransport(options);
+        case "memory":
+            return createMemoryTransport();
+        default:
+            throw new Error(`Unknown mail transport: ${name}`);
+    }
+}
+
+module.exports = {
+    createTransport
+};
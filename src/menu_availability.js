@@ -0,0 +1,88 @@
+// When pizzas can be ordered
+// A pizza is available unless it was switched off (`available`), sold out (`soldOut`, see inventory.js),
+// outside of its season (`availableFrom` to `availableUntil`) or outside of its weekly time windows.
+// Pizzas without time windows are available all day. Windows are in the restaurant's time zone.
+
+const TIME_ZONE = process.env.TIME_ZONE || "UTC";
+const WEEKDAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+// "HH:MM", 24-hour clock
+function isValidTime(value) {
+    return typeof value === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+const localTimeFormat = new Intl.DateTimeFormat("en-US", {
+    timeZone: TIME_ZONE,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23"
+});
+
+// Weekday ("mon" ... "sun") and time ("HH:MM") of the date in the restaurant's time zone
+// Times in this format compare correctly as strings, in code as well as in the database
+function getLocalTime(date) {
+    const parts = {};
+    for (const part of localTimeFormat.formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+    return { day: parts.weekday.toLowerCase(), time: `${parts.hour}:${parts.minute}` };
+}
+
+// Prisma filter for pizzas available at the given time
+function availablePizzasWhere(now = new Date()) {
+    const { day, time } = getLocalTime(now);
+    return {
+        available: true,
+        soldOut: false,
+        AND: [
+            { OR: [{ availableFrom: null }, { availableFrom: { lte: now } }] },
+            { OR: [{ availableUntil: null }, { availableUntil: { gt: now } }] },
+            {
+                OR: [
+                    { availabilityWindows: { none: {} } },
+                    { availabilityWindows: { some: { days: { has: day }, startTime: { lte: time }, endTime: { gt: time } } } }
+                ]
+            }
+        ]
+    };
+}
+
+// The same check as availablePizzasWhere, for a pizza loaded with its `availabilityWindows`
+function isPizzaAvailable(pizza, now = new Date()) {
+    if (!pizza.available || pizza.soldOut) {
+        return false;
+    }
+    if ((pizza.availableFrom && now < pizza.availableFrom) || (pizza.availableUntil && now >= pizza.availableUntil)) {
+        return false;
+    }
+    if (pizza.availabilityWindows.length === 0) {
+        return true;
+    }
+    const { day, time } = getLocalTime(now);
+    return pizza.availabilityWindows.some(window =>
+        window.days.includes(day) && window.startTime <= time && time < window.endTime);
+}
+
+// Availability settings of a pizza as shown to customers and admins
+function describeAvailability(pizza) {
+    return {
+        availableFrom: pizza.availableFrom,
+        availableUntil: pizza.availableUntil,
+        windows: pizza.availabilityWindows.map(window => ({
+            days: WEEKDAYS.filter(day => window.days.includes(day)),
+            startTime: window.startTime,
+            endTime: window.endTime
+        }))
+    };
+}
+
+module.exports = {
+    TIME_ZONE,
+    WEEKDAYS,
+    isValidTime,
+    getLocalTime,
+    availablePizzasWhere,
+    isPizzaAvailable,
+    describeAvailability
+};
@@ -0,0 +1,254 @@
+const crypto = require("crypto");
+const prisma = require("./prisma.js");
+const redisClient = require("./redis_client.js");
+require('dotenv').config();
+
+// Sign-in with OpenID Connect providers (authorization code flow with PKCE)
+// GET /auth/oidc/:provider sends the user to the provider, which sends them back to the callback with a code.
+// The code is exchanged for an ID token, whose signature and claims are checked against the provider's issuer.
+// `state` ties the callback to the session that started the login, `nonce` ties the ID token to it.
+// Providers are configured with OIDC_PROVIDERS=<name>,... and OIDC_<NAME>_ISSUER, _CLIENT_ID and _CLIENT_SECRET.
+
+const OIDC_LOGIN_PREFIX = "pizzago_oidc_login:";
+const OIDC_LOGIN_LIFETIME = 10*60; // ... seconds the user has to sign in at the provider
+const CLOCK_TOLERANCE = 60; // ... seconds the clocks of the provider and this server may differ
+const BASE_DOMAIN = process.env.BASE_DOMAIN || "http://localhost:3000";
+
+// Signature algorithms accepted for ID tokens, by their JWS name
+const SIGNATURE_ALGORITHMS = {
+    RS256: { hash: "sha256" },
+    ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" }
+};
+
+// The callback can't complete the login, e.g. the state is unknown or the ID token is invalid
+class OidcError extends Error {}
+
+let providers = null;
+
+function loadProviders() {
+    const names = (process.env.OIDC_PROVIDERS || "").split(",").map(name => name.trim()).filter(Boolean);
+    return new Map(names.map(name => {
+        const prefix = `OIDC_${name.toUpperCase()}_`;
+        return [name, {
+            name,
+            issuer: process.env[`${prefix}ISSUER`],
+            clientId: process.env[`${prefix}CLIENT_ID`],
+            clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null
+        }];
+    }));
+}
+
+// Returns the configured provider with the given name, or null
+function getOidcProvider(name) {
+    if (!providers) {
+        providers = loadProviders();
+    }
+    return providers.get(name) || null;
+}
+
+// Replaces the configured providers ([{ name, issuer, clientId, clientSecret }]), e.g. in tests
+function setOidcProviders(list) {
+    providers = new Map(list.map(provider => [provider.name, provider]));
+}
+
+function redirectUri(provider) {
+    return `${BASE_DOMAIN}/api/v1/auth/oidc/${provider.name}/callback`;
+}
+
+async function fetchJson(url, options) {
+    const response = await fetch(url, options);
+    if (!response.ok) {
+        throw new Error(`${url} responded with ${response.status}`);
+    }
+    return response.json();
+}
+
+// The provider's endpoints and keys are looked up once, the keys again when a token is signed with an unknown key
+async function discover(provider) {
+    if (!provider.metadata) {
+        const metadata = await fetchJson(`${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`);
+        if (metadata.issuer !== provider.issuer) {
+            throw new Error(`Issuer ${metadata.issuer} doesn't match the configured issuer ${provider.issuer}`);
+        }
+        provider.metadata = metadata;
+    }
+    return provider.metadata;
+}
+
+async function findSigningKey(provider, kid) {
+    const findKey = () => provider.keys.find(key => key.kid === kid || (kid === undefined && provider.keys.length === 1));
+    if (!provider.keys || !findKey()) {
+        const { jwks_uri } = await discover(provider);
+        provider.keys = (await fetchJson(jwks_uri)).keys || [];
+    }
+    const key = findKey();
+    return key ? crypto.createPublicKey({ key, format: "jwk" }) : null;
+}
+
+// PKCE code challenge of a code verifier (RFC 7636, S256)
+function codeChallenge(codeVerifier) {
+    return crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+}
+
+// Starts a login at the provider for the session, returns the URL to send the user to
+async function startOidcLogin(provider, sessionId) {
+    const { authorization_endpoint } = await discover(provider);
+    const state = crypto.randomBytes(32).toString("base64url");
+    const nonce = crypto.randomBytes(32).toString("base64url");
+    const codeVerifier = crypto.randomBytes(32).toString("base64url");
+    await redisClient.set(
+        `${OIDC_LOGIN_PREFIX}${state}`,
+        JSON.stringify({ provider: provider.name, sessionId, nonce, codeVerifier }),
+        { EX: OIDC_LOGIN_LIFETIME }
+    );
+
+    const url = new URL(authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: provider.clientId,
+        redirect_uri: redirectUri(provider),
+        scope: "openid email profile",
+        state,
+        nonce,
+        code_challenge: codeChallenge(codeVerifier),
+        code_challenge_method: "S256"
+    }).toString();
+    return url.toString();
+}
+
+function decodeSegment(segment) {
+    try {
+        return JSON.parse(Buffer.from(segment, "base64url").toString());
+    } catch {
+        return null;
+    }
+}
+
+// Checks the signature and the claims of an ID token, returns its claims
+// Throws OidcError if the token is invalid
+async function validateIdToken(provider, idToken, nonce, now = Math.floor(Date.now() / 1000)) {
+    const segments = typeof idToken === "string" ? idToken.split(".") : [];
+    const header = segments.length === 3 ? decodeSegment(segments[0]) : null;
+    const claims = header ? decodeSegment(segments[1]) : null;
+    if (!claims) {
+        throw new OidcError("Malformed ID token");
+    }
+    const algorithm = SIGNATURE_ALGORITHMS[header.alg];
+    if (!algorithm) {
+        throw new OidcError(`Unsupported ID token algorithm: ${header.alg}`);
+    }
+    const key = await findSigningKey(provider, header.kid);
+    const signed = Buffer.from(`${segments[0]}.${segments[1]}`);
+    const signature = Buffer.from(segments[2], "base64url");
+    if (!key || !crypto.verify(algorithm.hash, signed, { key, dsaEncoding: algorithm.dsaEncoding }, signature)) {
+        throw new OidcError("Invalid ID token signature");
+    }
+
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (claims.iss !== provider.issuer) {
+        throw new OidcError("ID token is from another issuer");
+    }
+    if (!audience.includes(provider.clientId) || (audience.length > 1 && claims.azp !== provider.clientId)) {
+        throw new OidcError("ID token is for another client");
+    }
+    if (typeof claims.exp !== "number" || claims.exp + CLOCK_TOLERANCE <= now) {
+        throw new OidcError("ID token has expired");
+    }
+    if (typeof claims.iat !== "number" || claims.iat - CLOCK_TOLERANCE > now) {
+        throw new OidcError("ID token is issued in the future");
+    }
+    if (typeof claims.nonce !== "string" || claims.nonce !== nonce) {
+        throw new OidcError("ID token is for another login");
+    }
+    if (typeof claims.sub !== "string" || !claims.sub) {
+        throw new OidcError("ID token has no subject");
+    }
+    return claims;
+}
+
+// Completes a login with the code and state the provider sent to the callback
+// Returns the identity of the user at the provider: { subject, email, emailVerified }
+// Throws OidcError if the login can't be completed
+async function finishOidcLogin(provider, { code, state }, sessionId) {
+    // A state can only be used once
+    const stored = typeof state === "string" ? await redisClient.getDel(`${OIDC_LOGIN_PREFIX}${state}`) : null;
+    const login = stored ? JSON.parse(stored) : null;
+    if (!login || login.provider !== provider.name) {
+        throw new OidcError("Unknown or expired login");
+    }
+    // Keeps a login started by someone else from completing in this session
+    if (login.sessionId !== sessionId) {
+        throw new OidcError("Login was started in another session");
+    }
+
+    const { token_endpoint } = await discover(provider);
+    const response = await fetch(token_endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded", "Accept": "application/json" },
+        body: new URLSearchParams({
+            grant_type: "authorization_code",
+            code,
+            redirect_uri: redirectUri(provider),
+            client_id: provider.clientId,
+            ...(provider.clientSecret ? { client_secret: provider.clientSecret } : {}),
+            code_verifier: login.codeVerifier
+        })
+    });
+    const tokens = await response.json().catch(() => ({}));
+    if (!response.ok || !tokens.id_token) {
+        throw new OidcError(`Code exchange failed: ${tokens.error || response.status}`);
+    }
+
+    const claims = await validateIdToken(provider, tokens.id_token, login.nonce);
+    return {
+        subject: claims.sub,
+        email: typeof claims.email === "string" ? claims.email : null,
+        // Some providers send the flag as a string
+        emailVerified: claims.email_verified === true || claims.email_verified === "true"
+    };
+}
+
+// Finds the user of an identity at the provider, links the identity to the account with its verified email,
+// or creates a new account for it. Returns the user.
+async function findOrCreateOidcUser(provider, identity) {
+    const where = { provider_subject: { provider: provider.name, subject: identity.subject } };
+    const known = await prisma.userIdentity.findUnique({ where, include: { user: true } });
+    if (known) {
+        return known.user;
+    }
+
+    const email = identity.emailVerified ? identity.email : null;
+    const data = { provider: provider.name, subject: identity.subject, email: identity.email };
+    const user = email ? await prisma.user.findUnique({ where: { email } }) : null;
+    if (user) {
+        const [linked] = await prisma.$transaction([
+            // The password of an unconfirmed registration may have been set by someone else than the owner
+            prisma.user.update({
+                where: { id: user.id },
+                data: user.verified ? {} : { verified: true, password: null }
+            }),
+            prisma.userIdentity.create({ data: { ...data, userId: user.id } })
+        ]);
+        return linked;
+    }
+
+    return prisma.user.create({
+        data: {
+            email,
+            password: null,
+            verified: Boolean(email),
+            identities: { create: data }
+        }
+    });
+}
+
+module.exports = {
+    OidcError,
+    getOidcProvider,
+    setOidcProviders,
+    codeChallenge,
+    startOidcLogin,
+    validateIdToken,
+    finishOidcLogin,
+    findOrCreateOidcUser
+};
@@ -0,0 +1,53 @@
+const redisClient = require("./redis_client.js");
+
+// Order status changes are broadcast over Redis pub/sub,
+// so every app instance can push them to the customers it serves
+const ORDER_EVENTS_CHANNEL_PREFIX = "pizzago_order_events:";
+
+function orderIdToChannel(orderId) {
+    return `${ORDER_EVENTS_CHANNEL_PREFIX}${orderId}`;
+}
+
+function publishOrderEvent(orderId, event) {
+    return redisClient.publish(orderIdToChannel(orderId), JSON.stringify(event));
+}
+
+// A connection in subscriber mode can't run other commands,
+// so all subscriptions share one duplicate of the main client
+let subscriberPromise = null;
+
+function getSubscriber() {
+    if (!subscriberPromise) {
+        const subscriber = redisClient.duplicate();
+        subscriber.on("error", (err) => {
+            console.error("Redis subscriber error:", err);
+        });
+        subscriberPromise = subscriber.connect().then(() => subscriber);
+        subscriberPromise.catch(() => {
+            // Allow the next subscription to retry
+            subscriberPromise = null;
+        });
+    }
+    return subscriberPromise;
+}
+
+// Calls `listener` with every event published for the order
+// Resolves to a function that removes the subscription
+async function subscribeToOrder(orderId, listener) {
+    const subscriber = await getSubscriber();
+    const channel = orderIdToChannel(orderId);
+    const handleMessage = (message) => {
+        try {
+            listener(JSON.parse(message));
+        } catch (err) {
+            console.error("Error handling order event:", err);
+        }
+    };
+    await subscriber.subscribe(channel, handleMessage);
+    return () => subscriber.unsubscribe(channel, handleMessage);
+}
+
+module.exports = {
+    publishOrderEvent,
+    subscribeToOrder
+};
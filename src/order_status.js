@@ -0,0 +1,39 @@
+// Order status lifecycle
+// Maps every status to the statuses an order can move to from it
+const ORDER_STATUS_TRANSITIONS = {
+    pending: ["accepted", "rejected", "cancelled"],
+    accepted: ["preparing", "cancelled"],
+    preparing: ["baking", "cancelled"],
+    baking: ["out_for_delivery"],
+    out_for_delivery: ["delivered"],
+    // Final statuses
+    delivered: [],
+    cancelled: [],
+    rejected: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+function isOrderStatus(status) {
+    return ORDER_STATUSES.includes(status);
+}
+
+function getAllowedTransitions(status) {
+    return ORDER_STATUS_TRANSITIONS[status] || [];
+}
+
+function canTransition(from, to) {
+    return getAllowedTransitions(from).includes(to);
+}
+
+function isFinalStatus(status) {
+    return isOrderStatus(status) && getAllowedTransitions(status).length === 0;
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    isOrderStatus,
+    getAllowedTransitions,
+    canTransition,
+    isFinalStatus
+};
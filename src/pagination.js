@@ -0,0 +1,156 @@
+// Cursor pagination for list routes
+// A cursor points at the last item of a page (`after`) or the first one (`before`),
+// so pages don't shift when rows are added or removed in between
+// Cursors are opaque to clients: base64url encoded JSON
+// Lists that can be sorted in several ways bind their cursors to the `order` they were issued for
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+function cursorKey(position) {
+    return position.after !== undefined ? position.after : position.before;
+}
+
+// Returns { after } or { before }, with the `order` it was issued for if any, or null for a malformed cursor
+function decodeCursor(token) {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(String(token), "base64url").toString());
+    } catch {
+        return null;
+    }
+    if (!position || typeof position !== "object") {
+        return null;
+    }
+    const { after, before, order, ...rest } = position;
+    if (Object.keys(rest).length > 0 || (after === undefined) === (before === undefined)) {
+        return null;
+    }
+    if (order !== undefined && typeof order !== "string") {
+        return null;
+    }
+    const key = cursorKey(position);
+    if (typeof key !== "number" && typeof key !== "string") {
+        return null;
+    }
+    return position;
+}
+
+function isKeyOfType(key, keyType) {
+    return keyType === "string" ? typeof key === "string" : Number.isInteger(key);
+}
+
+// Parses the `limit` and `cursor` query parameters
+// `keyType` is the type of the list's key field ("number" for integer IDs, or "string"),
+// `order` identifies the sort order of lists that have several
+// Returns { error } or { page: { limit, cursor, order } } where `cursor` is null for the first page
+function parsePageQuery(query, { keyType = "number", order } = {}) {
+    let limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return { error: `Limit must be between 1 and ${MAX_LIMIT}` };
+        }
+    }
+    let cursor = null;
+    if (query.cursor !== undefined) {
+        cursor = decodeCursor(query.cursor);
+        // A cursor of another list or of another order would point at the wrong rows
+        if (!cursor || !isKeyOfType(cursorKey(cursor), keyType) || cursor.order !== order) {
+            return { error: "Invalid cursor" };
+        }
+    }
+    return { page: { limit, cursor, order } };
+}
+
+function buildPage(items, keyOf, total, page, hasNext, hasPrev) {
+    const { limit, order } = page;
+    const hasItems = items.length > 0;
+    return {
+        items,
+        total,
+        limit,
+        nextCursor: hasItems && hasNext ? encodeCursor({ after: keyOf(items[items.length - 1]), order }) : null,
+        prevCursor: hasItems && hasPrev ? encodeCursor({ before: keyOf(items[0]), order }) : null
+    };
+}
+
+// Finds a page of rows with Prisma's cursor pagination
+// `args` are the findMany arguments; `orderBy` must end with the unique `keyField` so the order is total
+// Returns { items, total, limit, nextCursor, prevCursor }
+async function findPage(model, args, page, keyField = "id") {
+    const { limit, cursor } = page;
+    const backwards = Boolean(cursor && cursor.before !== undefined);
+    const query = { ...args, take: backwards ? -(limit + 1) : limit + 1 };
+    if (cursor) {
+        query.cursor = { [keyField]: backwards ? cursor.before : cursor.after };
+        query.skip = 1;
+    }
+    // One row more than asked for tells whether there is another page
+    const [rows, total] = await Promise.all([
+        model.findMany(query),
+        model.count({ where: args.where })
+    ]);
+    const hasMore = rows.length > limit;
+    const items = backwards ? rows.slice(hasMore ? 1 : 0) : rows.slice(0, limit);
+    const keyOf = item => item[keyField];
+    return backwards
+        ? buildPage(items, keyOf, total, page, true, hasMore)
+        : buildPage(items, keyOf, total, page, hasMore, cursor !== null);
+}
+
+// Pages through a list of keys that is already in order (e.g. ordered in code rather than by the database)
+// Returns the same as findPage, with the keys of the page as `items`
+function paginateKeys(keys, page) {
+    const { limit, cursor } = page;
+    let start = 0;
+    let end = limit;
+    if (cursor) {
+        const backwards = cursor.before !== undefined;
+        const index = keys.indexOf(backwards ? cursor.before : cursor.after);
+        if (index === -1) {
+            // The item the cursor points at is gone
+            return buildPage([], key => key, keys.length, page, false, false);
+        }
+        start = backwards ? Math.max(0, index - limit) : index + 1;
+        end = backwards ? index : index + 1 + limit;
+    }
+    const items = keys.slice(start, end);
+    return buildPage(items, key => key, keys.length, page, end < keys.length, start > 0);
+}
+
+// Links to the next and previous page: the current URL with the cursor swapped
+function pageLinks(path, query, page) {
+    const linkTo = cursor => {
+        if (!cursor) {
+            return null;
+        }
+        const params = new URLSearchParams();
+        for (const [name, value] of Object.entries(query)) {
+            if (name !== "cursor") {
+                params.set(name, value);
+            }
+        }
+        params.set("cursor", cursor);
+        return `${path}?${params}`;
+    };
+    return {
+        next: linkTo(page.nextCursor),
+        prev: linkTo(page.prevCursor)
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    encodeCursor,
+    decodeCursor,
+    parsePageQuery,
+    findPage,
+    paginateKeys,
+    pageLinks
+};
@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+
+// Every provider exposes:
+// - createIntent({ amount, currency, orderId, token }) starts a card payment of `amount` (in cents),
+//   where `token` stands for the card the client entered at the provider. Resolves to
+//   { id, status, nextAction, failureReason } with status "authorized", "failed" or "requires_action"
+//   (3-D Secure, nextAction is { type: "redirect", url } to send the customer to)
+// - capture(intentId) takes the authorized amount, resolves to { status: "captured" }
+// - refund(intentId) pays the captured amount back, resolves to { status: "refunded" }
+// Outcomes that are only known later, like the result of 3-D Secure, are sent to the webhook, see payments.js
+// The returned promises reject if the provider can't be reached or refuses the call
+
+const MOCK_TOKENS = {
+    success: "mock_success",
+    decline: "mock_decline",
+    threeDSecure: "mock_3ds"
+};
+
+// Simulates a card provider locally, the outcome depends on the token (see MOCK_TOKENS)
+// Intents are kept in memory, 3-D Secure is completed with completeAction
+function createMockProvider() {
+    const intents = new Map();
+
+    function describeIntent(intent) {
+        return {
+            id: intent.id,
+            status: intent.status,
+            nextAction: intent.status === "requires_action"
+                ? { type: "redirect", url: `/api/v1/payments/mock/3ds/${intent.id}` }
+                : null,
+            failureReason: intent.failureReason
+        };
+    }
+
+    function findIntent(intentId, status) {
+        const intent = intents.get(intentId);
+        if (!intent) {
+            throw new Error(`Unknown payment intent: ${intentId}`);
+        }
+        if (intent.status !== status) {
+            throw new Error(`Payment intent ${intentId} is ${intent.status}, not ${status}`);
+        }
+        return intent;
+    }
+
+    return {
+        name: "mock",
+        intents,
+        async createIntent({ amount, currency, orderId, token }) {
+            const intent = {
+                id: `mock_pi_${crypto.randomBytes(12).toString("hex")}`,
+                amount,
+                currency,
+                orderId,
+                status: "failed",
+                failureReason: null
+            };
+            if (token === MOCK_TOKENS.success) {
+                intent.status = "authorized";
+            } else if (token === MOCK_TOKENS.threeDSecure) {
+                intent.status = "requires_action";
+            } else {
+                intent.failureReason = token === MOCK_TOKENS.decline ? "Card declined" : "Invalid payment token";
+            }
+            intents.set(intent.id, intent);
+            return describeIntent(intent);
+        },
+        async capture(intentId) {
+            findIntent(intentId, "authorized").status = "captured";
+            return { status: "captured" };
+        },
+        async refund(intentId) {
+            findIntent(intentId, "captured").status = "refunded";
+            return { status: "refunded" };
+        },
+        // Completes the 3-D Secure challenge of an intent
+        // Returns the webhook event a real provider would send, { type, data: { intentId, failureReason } }
+        completeAction(intentId, approved) {
+            const intent = findIntent(intentId, "requires_action");
+            intent.status = approved ? "authorized" : "failed";
+            intent.failureReason = approved ? null : "3-D Secure authentication failed";
+            return {
+                type: approved ? "payment.authorized" : "payment.failed",
+                data: { intentId, failureReason: intent.failureReason }
+            };
+        }
+    };
+}
+
+function createPaymentProvider(name) {
+    switch (name) {
+        case "mock":
+            return createMockProvider();
+        default:
+            throw new Error(`Unknown payment provider: ${name}`);
+    }
+}
+
+module.exports = {
+    MOCK_TOKENS,
+    createPaymentProvider
+};
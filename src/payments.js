@@ -0,0 +1,245 @@
+const crypto = require("crypto");
+const prisma = require("./prisma.js");
+const {createPaymentProvider} = require("./payment_providers.js");
+require('dotenv').config();
+
+// Payments
+// Card payments go through the payment provider: an intent is created when the order is placed and captured
+// as soon as it is authorized, right away or when the provider reports it to the webhook (e.g. after 3-D Secure).
+// Cash is paid on delivery. Every attempt is stored as a Payment, the order keeps the outcome in `paymentStatus`.
+
+const PAYMENT_METHODS = ["card", "cash"];
+const CURRENCY = process.env.CURRENCY || "EUR";
+const WEBHOOK_TOLERANCE = 5*60; // ... seconds a signed webhook event stays valid
+// Without a configured secret, only events signed by this process (i.e. by the mock provider) are accepted,
+// which is only good enough outside production
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString("hex");
+// The mock provider approves any payment with its test tokens, so it has to be chosen explicitly and never in production
+const MOCK_PROVIDER_ENABLED = process.env.PAYMENT_PROVIDER === "mock" && process.env.NODE_ENV !== "prod";
+
+if (process.env.NODE_ENV === "prod") {
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+        throw new Error("PAYMENT_WEBHOOK_SECRET must be set in production");
+    }
+    if (process.env.PAYMENT_PROVIDER === "mock") {
+        throw new Error("The mock payment provider can't be used in production");
+    }
+}
+
+// Payment statuses that settle the payment of the order
+const ORDER_PAYMENT_STATUSES = {
+    captured: "paid",
+    failed: "failed",
+    refunded: "refunded"
+};
+
+let provider = null;
+
+function getPaymentProvider() {
+    if (!provider) {
+        provider = createPaymentProvider(process.env.PAYMENT_PROVIDER);
+    }
+    return provider;
+}
+
+function setPaymentProvider(newProvider) {
+    provider = newProvider;
+}
+
+// Payment methods orders can be placed with, card payments need a configured provider
+function getPaymentMethods() {
+    return provider || process.env.PAYMENT_PROVIDER ? PAYMENT_METHODS : PAYMENT_METHODS.filter(method => method !== "card");
+}
+
+// Payment status of the order after the given payment
+function orderPaymentStatus(payment) {
+    return ORDER_PAYMENT_STATUSES[payment.status] || "unpaid";
+}
+
+function computeWebhookSignature(body, timestamp) {
+    return crypto.createHmac("sha256", WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Signature header of a webhook event: "t=<unix time>,v1=<HMAC-SHA256 of the time, a dot and the body>"
+// The time keeps a captured event from being replayed later
+function signWebhookPayload(body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${computeWebhookSignature(body, timestamp)}`;
+}
+
+function verifyWebhookSignature(body, header, now = Math.floor(Date.now() / 1000)) {
+    if (typeof header !== "string") {
+        return false;
+    }
+    const fields = {};
+    for (const field of header.split(",")) {
+        const [key, value] = field.split("=");
+        fields[key.trim()] = value;
+    }
+    const timestamp = parseInt(fields.t);
+    if (isNaN(timestamp) || Math.abs(now - timestamp) > WEBHOOK_TOLERANCE || !fields.v1) {
+        return false;
+    }
+    const expected = Buffer.from(computeWebhookSignature(body, timestamp), "hex");
+    const given = Buffer.from(fields.v1, "hex");
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Moves a payment on from one of the `from` statuses, and settles the payment of the order with it
+// Returns false if the payment was no longer in one of these statuses, e.g. when a webhook event came twice
+function updatePaymentStatus(payment, from, data) {
+    return prisma.$transaction(async tx => {
+        const { count } = await tx.payment.updateMany({
+            where: { id: payment.id, status: { in: from } },
+            data
+        });
+        if (count > 0 && ORDER_PAYMENT_STATUSES[data.status]) {
+            await tx.order.update({
+                where: { id: payment.orderId },
+                data: { paymentStatus: ORDER_PAYMENT_STATUSES[data.status] }
+            });
+        }
+        return count > 0;
+    });
+}
+
+// Captures an authorized card payment, which makes the order paid
+async function capturePayment(payment) {
+    try {
+        await getPaymentProvider().capture(payment.providerPaymentId);
+    } catch (err) {
+        console.error("Error capturing payment:", err);
+        await updatePaymentStatus(payment, ["authorized"], { status: "failed", failureReason: "Payment could not be captured" });
+        return;
+    }
+    await updatePaymentStatus(payment, ["authorized"], { status: "captured" });
+}
+
+// Starts paying for an order with `method`, card payments need the `token` of the card at the provider
+// Returns { payment, nextAction }, see payment_providers.js for nextAction
+async function startPayment(order, method, token) {
+    if (method === "cash") {
+        const payment = await prisma.payment.create({
+            data: { orderId: order.id, method, amount: order.total }
+        });
+        return { payment, nextAction: null };
+    }
+
+    const cardProvider = getPaymentProvider();
+    const payment = await prisma.payment.create({
+        data: { orderId: order.id, method, provider: cardProvider.name, amount: order.total }
+    });
+    let intent;
+    try {
+        intent = await cardProvider.createIntent({
+            amount: Math.round(Number(order.total) * 100),
+            currency: CURRENCY,
+            orderId: order.id,
+            token
+        });
+    } catch (err) {
+        console.error("Error creating payment intent:", err);
+        intent = { id: null, status: "failed", nextAction: null, failureReason: "Payment provider unavailable" };
+    }
+
+    if (intent.status === "failed") {
+        await updatePaymentStatus(payment, ["pending"], {
+            providerPaymentId: intent.id,
+            status: "failed",
+            failureReason: intent.failureReason
+        });
+    } else {
+        await prisma.payment.update({
+            where: { id: payment.id },
+            data: { providerPaymentId: intent.id, status: intent.status }
+        });
+        if (intent.status === "authorized") {
+            await capturePayment({ ...payment, providerPaymentId: intent.id });
+        }
+    }
+    return {
+        payment: await prisma.payment.findUnique({ where: { id: payment.id } }),
+        nextAction: intent.nextAction
+    };
+}
+
+// Handles an event of the payment provider: { type: "payment.authorized" | "payment.failed", data: { intentId, failureReason } }
+async function handlePaymentEvent(event) {
+    const payment = await prisma.payment.findUnique({ where: { providerPaymentId: String(event.data.intentId) } });
+    if (!payment) {
+        return;
+    }
+    if (event.type === "payment.authorized") {
+        // Only the first delivery of the event captures the payment
+        if (await updatePaymentStatus(payment, ["pending", "requires_action"], { status: "authorized" })) {
+            await capturePayment(payment);
+        }
+    } else if (event.type === "payment.failed") {
+        await updatePaymentStatus(payment, ["pending", "requires_action"], {
+            status: "failed",
+            failureReason: event.data.failureReason || null
+        });
+    }
+}
+
+// Checks the signature of a webhook call and handles its event
+// Returns false if the call is not a correctly signed event
+async function receivePaymentWebhook(body, signature) {
+    if (!body || !verifyWebhookSignature(body, signature)) {
+        return false;
+    }
+    let event;
+    try {
+        event = JSON.parse(body);
+    } catch {
+        return false;
+    }
+    if (!event || typeof event.type !== "string" || !event.data || !event.data.intentId) {
+        return false;
+    }
+    await handlePaymentEvent(event);
+    return true;
+}
+
+// Completes 3-D Secure at the mock provider
+// Its event goes through the webhook like a real provider's would
+async function completeMockAction(intentId, approved) {
+    const event = getPaymentProvider().completeAction(intentId, approved);
+    const body = JSON.stringify(event);
+    await receivePaymentWebhook(body, signWebhookPayload(body));
+}
+
+// Pays back the captured card payment of an order, e.g. when the order was cancelled
+async function refundOrderPayment(orderId) {
+    const payment = await prisma.payment.findFirst({ where: { orderId, method: "card", status: "captured" } });
+    if (!payment) {
+        return;
+    }
+    await getPaymentProvider().refund(payment.providerPaymentId);
+    await updatePaymentStatus(payment, ["captured"], { status: "refunded" });
+}
+
+// Cash is handed over to the driver, so it counts as paid once the order is delivered
+async function collectCashPayment(orderId) {
+    const payment = await prisma.payment.findFirst({ where: { orderId, method: "cash", status: "pending" } });
+    if (payment) {
+        await updatePaymentStatus(payment, ["pending"], { status: "captured" });
+    }
+}
+
+module.exports = {
+    PAYMENT_METHODS,
+    CURRENCY,
+    MOCK_PROVIDER_ENABLED,
+    getPaymentProvider,
+    setPaymentProvider,
+    getPaymentMethods,
+    orderPaymentStatus,
+    signWebhookPayload,
+    verifyWebhookSignature,
+    startPayment,
+    handlePaymentEvent,
+    receivePaymentWebhook,
+    completeMockAction,
+    refundOrderPayment,
+    collectCashPayment
+};
@@ -0,0 +1,70 @@
+// Minimal PDF writer for printable documents, like receipts
+// Writes lines of text on A4 pages in Courier, a monospaced font, so columns can be aligned with spaces.
+// Text is encoded as WinAnsi (Latin-1), other characters are printed as "?".
+
+const PAGE_WIDTH = 595; // A4, in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FONT_SIZE = 10;
+const LINE_HEIGHT = 13;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2*MARGIN) / LINE_HEIGHT);
+// Courier characters are 0.6 em wide
+const PDF_LINE_LENGTH = Math.floor((PAGE_WIDTH - 2*MARGIN) / (FONT_SIZE * 0.6));
+
+function escapePdfText(text) {
+    return String(text)
+        .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+        .replace(/[\\()]/g, "\\$&");
+}
+
+// Returns the PDF as a Buffer, lines longer than PDF_LINE_LENGTH run off the page
+function renderTextPdf(lines, title) {
+    const pages = [];
+    for (let i = 0; i < lines.length; i += LINES_PER_PAGE) {
+        pages.push(lines.slice(i, i + LINES_PER_PAGE));
+    }
+    if (pages.length === 0) {
+        pages.push([]);
+    }
+
+    // Object n is objects[n - 1]: the catalog, the page tree, the font, then a content stream and a page per page
+    const objects = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        null, // The page tree lists the pages, see below
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>"
+    ];
+    const pageIds = [];
+    for (const pageLines of pages) {
+        const content = [
+            "BT",
+            `/F1 ${FONT_SIZE} Tf`,
+            `${LINE_HEIGHT} TL`,
+            `${MARGIN} ${PAGE_HEIGHT - MARGIN - FONT_SIZE} Td`,
+            ...pageLines.map(line => `(${escapePdfText(line)}) Tj T*`),
+            "ET"
+        ].join("\n");
+        objects.push(`<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`);
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length} 0 R >>`);
+        pageIds.push(objects.length);
+    }
+    objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+    objects.push(`<< /Title (${escapePdfText(title)}) /Producer (PizzaGo) >>`);
+
+    // The cross-reference table lists the byte offset of every object
+    let pdf = "%PDF-1.4\n";
+    const offsets = [];
+    objects.forEach((body, index) => {
+        offsets.push(Buffer.byteLength(pdf, "latin1"));
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    });
+    const xrefOffset = Buffer.byteLength(pdf, "latin1");
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf, "latin1");
+}
+
+module.exports = {
+    PDF_LINE_LENGTH,
+    renderTextPdf
+};
@@ -0,0 +1,194 @@
+const Decimal = require("decimal.js");
+const prisma = require("./prisma.js");
+
+// Pizza customization
+// Sizes and crusts are pizza options with a price modifier, one of each is chosen per pizza.
+// Toppings of a pizza can be removed (if marked removable), any available topping can be added for its price.
+// A cart line is a pizza with its chosen options:
+// { lineId, pizzaId, quantity, sizeId, crustId, removedToppingIds, extraToppingIds }
+
+const PIZZA_OPTION_TYPES = ["size", "crust"];
+
+// Lines created before options existed were identified by their pizza
+function normalizeCartLine(line) {
+    return {
+        lineId: line.lineId || String(line.pizzaId),
+        pizzaId: line.pizzaId,
+        quantity: line.quantity,
+        sizeId: line.sizeId || null,
+        crustId: line.crustId || null,
+        removedToppingIds: line.removedToppingIds || [],
+        extraToppingIds: line.extraToppingIds || []
+    };
+}
+
+function sortIds(ids) {
+    return [...ids].sort((a, b) => a - b);
+}
+
+// Lines with the same key hold the same pizza with the same options
+function cartLineKey(line) {
+    return [
+        line.pizzaId,
+        line.sizeId,
+        line.crustId,
+        sortIds(line.removedToppingIds).join(","),
+        sortIds(line.extraToppingIds).join(",")
+    ].join("|");
+}
+
+function parseIdList(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    if (!Array.isArray(value)) {
+        return null;
+    }
+    const ids = value.map(id => parseInt(id));
+    if (ids.some(id => isNaN(id))) {
+        return null;
+    }
+    return [...new Set(ids)];
+}
+
+// Picks the chosen option of the given type, or the default one if none was chosen
+// Returns the option ID (null if there are no options of this type), or undefined for an unknown choice
+function resolveOption(options, type, chosenId) {
+    const ofType = options.filter(option => option.type === type);
+    if (chosenId === undefined || chosenId === null) {
+        const defaultOption = ofType.find(option => option.isDefault) || ofType[0];
+        return defaultOption ? defaultOption.id : null;
+    }
+    const option = ofType.find(option => option.id === parseInt(chosenId));
+    return option ? option.id : undefined;
+}
+
+// Validates the options chosen for a pizza and fills in the default size and crust
+// `pizza` must include its toppings, `input` is { sizeId, crustId, removeToppings, extraToppings }
+// Returns { error } or { options: { sizeId, crustId, removedToppingIds, extraToppingIds } }
+async function resolvePizzaOptions(pizza, input) {
+    const removedToppingIds = parseIdList(input.removeToppings);
+    const extraToppingIds = parseIdList(input.extraToppings);
+    if (!removedToppingIds || !extraToppingIds) {
+        return { error: "Toppings must be arrays of topping IDs" };
+    }
+
+    const options = await prisma.pizzaOption.findMany({
+        where: { available: true },
+        orderBy: [{ position: 'asc' }, { id: 'asc' }]
+    });
+    const sizeId = resolveOption(options, "size", input.sizeId);
+    if (sizeId === undefined) {
+        return { error: "Size not found" };
+    }
+    const crustId = resolveOption(options, "crust", input.crustId);
+    if (crustId === undefined) {
+        return { error: "Crust not found" };
+    }
+
+    for (const toppingId of removedToppingIds) {
+        const pizzaTopping = pizza.toppings.find(topping => topping.toppingId === toppingId);
+        if (!pizzaTopping || !pizzaTopping.removable) {
+            return { error: `Topping with ID ${toppingId} can't be removed from this pizza` };
+        }
+    }
+    if (extraToppingIds.length > 0) {
+        const toppings = await prisma.topping.findMany({ where: { id: { in: extraToppingIds }, available: true } });
+        const missing = extraToppingIds.find(id => !toppings.some(topping => topping.id === id));
+        if (missing !== undefined) {
+            return { error: `Topping with ID ${missing} is not available` };
+        }
+    }
+
+    return {
+        options: {
+            sizeId,
+            crustId,
+            removedToppingIds: sortIds(removedToppingIds),
+            extraToppingIds: sortIds(extraToppingIds)
+        }
+    };
+}
+
+// Loads the pizzas (with their availability windows), options and toppings needed to price the given cart lines
+// Pass a transaction as `client` to price an order with the prices it is created with
+async function loadPricingCatalog(lines, client = prisma) {
+    const unique = ids => [...new Set(ids)];
+    const pizzaIds = unique(lines.map(line => line.pizzaId));
+    const optionIds = unique(lines.flatMap(line => [line.sizeId, line.crustId]).filter(id => id !== null));
+    const toppingIds = unique(lines.flatMap(line => [...line.removedToppingIds, ...line.extraToppingIds]));
+    const [pizzas, options, toppings] = await Promise.all([
+        pizzaIds.length > 0 ? client.pizza.findMany({ where: { id: { in: pizzaIds } }, include: { availabilityWindows: true } }) : [],
+        optionIds.length > 0 ? client.pizzaOption.findMany({ where: { id: { in: optionIds } } }) : [],
+        toppingIds.length > 0 ? client.topping.findMany({ where: { id: { in: toppingIds } } }) : []
+    ]);
+    return { pizzas, options, toppings };
+}
+
+function findAvailable(list, id) {
+    const entry = list.find(item => item.id === id);
+    return entry && entry.available ? entry : null;
+}
+
+// Computes the unit price of a cart line from the current prices
+// Returns { pizza, unitPrice, options } where `options` describes the choices with names and prices,
+// or null if the pizza or one of the chosen options is no longer available
+function priceCartLine(line, catalog) {
+    const pizza = catalog.pizzas.find(p => p.id === line.pizzaId);
+    if (!pizza || pizza.archivedAt) {
+        return null;
+    }
+    const size = line.sizeId !== null ? findAvailable(catalog.options, line.sizeId) : null;
+    const crust = line.crustId !== null ? findAvailable(catalog.options, line.crustId) : null;
+    if ((line.sizeId !== null && !size) || (line.crustId !== null && !crust)) {
+        return null;
+    }
+    const extraToppings = line.extraToppingIds.map(id => findAvailable(catalog.toppings, id));
+    if (extraToppings.some(topping => !topping)) {
+        return null;
+    }
+    // Removing a topping doesn't change the price, a topping deleted since is simply not listed
+    const removedToppings = line.removedToppingIds
+        .map(id => catalog.toppings.find(topping => topping.id === id))
+        .filter(Boolean);
+
+    // Added up as Decimal, like the prices are stored, so the unit price is exact to the cent
+    const unitPrice = [size, crust].filter(Boolean).map(option => option.priceModifier)
+        .concat(extraToppings.map(topping => topping.price))
+        .reduce((sum, price) => sum.plus(price), new Decimal(pizza.price));
+
+    const describeOption = option => option ? { id: option.id, name: option.name, priceModifier: Number(option.priceModifier) } : null;
+    return {
+        pizza,
+        unitPrice: unitPrice.toNumber(),
+        options: {
+            size: describeOption(size),
+            crust: describeOption(crust),
+            removedToppings: removedToppings.map(topping => ({ id: topping.id, name: topping.name })),
+            extraToppings: extraToppings.map(topping => ({ id: topping.id, name: topping.name, price: Number(topping.price) }))
+        }
+    };
+}
+
+// Short description of the options of a line, e.g. "Large, Thin, no Onions, extra Olives"
+// `options` is the description returned by priceCartLine (and stored with order items)
+function describeOptions(options) {
+    if (!options) {
+        return "";
+    }
+    return [
+        ...[options.size, options.crust].filter(Boolean).map(option => option.name),
+        ...options.removedToppings.map(topping => `no ${topping.name}`),
+        ...options.extraToppings.map(topping => `extra ${topping.name}`)
+    ].join(", ");
+}
+
+module.exports = {
+    PIZZA_OPTION_TYPES,
+    normalizeCartLine,
+    cartLineKey,
+    resolvePizzaOptions,
+    loadPricingCatalog,
+    priceCartLine,
+    describeOptions
+};
@@ -0,0 +1,203 @@
+const prisma = require("./prisma.js");
+const {findPage, paginateKeys} = require("./pagination.js");
+const {availablePizzasWhere} = require("./menu_availability.js");
+
+// Menu search: text search, category, tag and price filters, sorting and tag facets
+// Only pizzas that can be ordered right now are found
+
+const MAX_SEARCH_LENGTH = 100;
+const SORT_FIELDS = ["price", "name", "popularity"];
+const SORT_ORDERS = ["asc", "desc"];
+
+// Most ordered pizzas come first by default
+const DEFAULT_SORT_ORDERS = { price: "asc", name: "asc", popularity: "desc" };
+
+function parsePrice(value) {
+    if (value === undefined || value === "") {
+        return null;
+    }
+    const price = Number(value);
+    return isNaN(price) || price < 0 ? undefined : price;
+}
+
+// Parses the query parameters of GET /pizzas
+// `tags` is a comma separated list of tag keys, a key prefixed with "-" excludes the tag
+// Returns { error } or { params: { search, categoryId, tags, excludedTags, minPrice, maxPrice, sort, order } }
+function parsePizzaSearch(query) {
+    let categoryId = null;
+    if (query.category !== undefined) {
+        categoryId = Number(query.category);
+        if (!Number.isInteger(categoryId) || categoryId < 1) {
+            return { error: "Invalid category ID" };
+        }
+    }
+
+    const tags = [];
+    const excludedTags = [];
+    const keys = query.tags ? String(query.tags).split(",") : [];
+    for (let key of keys.map(key => key.toLowerCase().trim()).filter(Boolean)) {
+        const excluded = key.startsWith("-");
+        if (excluded) {
+            key = key.slice(1);
+        }
+        if (!/^[a-z0-9][a-z0-9-]*$/.test(key)) {
+            return { error: `Invalid tag: ${key}` };
+        }
+        (excluded ? excludedTags : tags).push(key);
+    }
+
+    const search = query.q ? String(query.q).trim() : "";
+    if (search.length > MAX_SEARCH_LENGTH) {
+        return { error: `Search must be at most ${MAX_SEARCH_LENGTH} characters long` };
+    }
+
+    const minPrice = parsePrice(query.minPrice);
+    const maxPrice = parsePrice(query.maxPrice);
+    if (minPrice === undefined || maxPrice === undefined) {
+        return { error: "Prices must be non-negative numbers" };
+    }
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+        return { error: "Minimum price must not be above the maximum price" };
+    }
+
+    const sort = query.sort || null;
+    if (sort !== null && !SORT_FIELDS.includes(sort)) {
+        return { error: `Sort must be one of: ${SORT_FIELDS.join(", ")}` };
+    }
+    const order = query.order || (sort ? DEFAULT_SORT_ORDERS[sort] : "asc");
+    if (!SORT_ORDERS.includes(order)) {
+        return { error: `Order must be one of: ${SORT_ORDERS.join(", ")}` };
+    }
+
+    return {
+        params: {
+            search: search || null,
+            categoryId,
+            tags: [...new Set(tags)],
+            excludedTags: [...new Set(excludedTags)],
+            minPrice,
+            maxPrice,
+            sort,
+            order
+        }
+    };
+}
+
+// Full-text search across name, description and ingredients, name matches weigh the most
+// Pizza names are also matched by substring, so "marg" finds "Margherita" while typing
+// Returns a map of pizza IDs to their relevance
+async function rankPizzasByText(search) {
+    const pattern = `%${search.replace(/[\\%_]/g, "\\$&")}%`;
+    const rows = await prisma.$queryRaw`
+        SELECT "id", ts_rank("document", "query") + CASE WHEN "name" ILIKE ${pattern} THEN 1 ELSE 0 END AS "rank"
+        FROM (
+            SELECT "id", "name",
+                setweight(to_tsvector('english', "name"), 'A')
+                || setweight(to_tsvector('english', coalesce("description", '')), 'B')
+                || setweight(to_tsvector('english', array_to_string("ingredients", ' ')), 'C') AS "document"
+            FROM "Pizza"
+            WHERE "archivedAt" IS NULL
+        ) AS "pizza", websearch_to_tsquery('english', ${search}) AS "query"
+        WHERE "document" @@ "query" OR "name" ILIKE ${pattern}
+    `;
+    return new Map(rows.map(row => [row.id, Number(row.rank)]));
+}
+
+function buildPizzaWhere(params, matchingIds, now) {
+    const where = { archivedAt: null, ...availablePizzasWhere(now) };
+    if (params.categoryId !== null) {
+        where.categoryId = params.categoryId;
+    }
+    // A pizza must have every tag, and none of the excluded ones
+    where.AND.push(...params.tags.map(key => ({ tags: { some: { key } } })));
+    if (params.excludedTags.length > 0) {
+        where.tags = { none: { key: { in: params.excludedTags } } };
+    }
+    if (params.minPrice !== null || params.maxPrice !== null) {
+        where.price = {};
+        if (params.minPrice !== null) {
+            where.price.gte = params.minPrice;
+        }
+        if (params.maxPrice !== null) {
+            where.price.lte = params.maxPrice;
+        }
+    }
+    if (matchingIds) {
+        where.id = { in: matchingIds };
+    }
+    return where;
+}
+
+function buildOrderBy(sort, order) {
+    switch (sort) {
+        case "price":
+            return [{ price: order }, { id: 'asc' }];
+        case "name":
+            return [{ name: order }, { id: 'asc' }];
+        case "popularity":
+            // Number of order lines with the pizza
+            return [{ OrderItem: { _count: order } }, { id: 'asc' }];
+        default:
+            // Menu order: by category, then by position within the category, pizzas without a category last
+            return [{ category: { position: order } }, { categoryId: order }, { position: order }, { id: order }];
+    }
+}
+
+// Counts, per tag, the pizzas of the result set that have the tag
+// Tags no pizza of the result set has are left out
+async function countTagFacets(where) {
+    const tags = await prisma.tag.findMany({
+        select: { key: true, name: true, _count: { select: { pizzas: { where } } } },
+        orderBy: { key: 'asc' }
+    });
+    return tags
+        .map(tag => ({ key: tag.key, name: tag.name, count: tag._count.pizzas }))
+        .filter(tag => tag.count > 0);
+}
+
+// Identifies the order of the results, a cursor of one order can't be used with another (see pagination.js)
+function describeSortOrder(params) {
+    const sort = params.sort || (params.search ? "relevance" : "menu");
+    return `${sort}:${params.order}`;
+}
+
+const PIZZA_INCLUDE = {
+    tags: { select: { name: true } }, // Select tag names
+    category: { select: { id: true, name: true } }
+};
+
+// Finds a page of pizzas matching the parsed search parameters
+// Without an explicit sort, text search results are ordered by relevance, other results in menu order
+// Returns { page, facets }, see findPage for the page
+async function searchPizzas(params, page, now = new Date()) {
+    const ranks = params.search ? await rankPizzasByText(params.search) : null;
+    const where = buildPizzaWhere(params, ranks ? [...ranks.keys()] : null, now);
+
+    let result;
+    if (ranks && !params.sort) {
+        // The relevance is only known here, so the page is cut from the ordered IDs
+        const matches = await prisma.pizza.findMany({ where, select: { id: true } });
+        const ids = matches.map(match => match.id)
+            .sort((a, b) => ranks.get(b) - ranks.get(a) || a - b);
+        result = paginateKeys(ids, page);
+        const pizzas = result.items.length > 0
+            ? await prisma.pizza.findMany({ where: { id: { in: result.items } }, include: PIZZA_INCLUDE })
+            : [];
+        result.items = result.items.map(id => pizzas.find(pizza => pizza.id === id)).filter(Boolean);
+    } else {
+        result = await findPage(prisma.pizza, {
+            where,
+            include: PIZZA_INCLUDE,
+            orderBy: buildOrderBy(params.sort, params.order)
+        }, page);
+    }
+
+    const facets = await countTagFacets(where);
+    return { page: result, facets };
+}
+
+module.exports = {
+    parsePizzaSearch,
+    describeSortOrder,
+    searchPizzas
+};
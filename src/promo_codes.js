@@ -0,0 +1,129 @@
+const prisma = require("./prisma.js");
+
+// Promo code rules
+// A code is checked when it is applied to a cart, every time the cart is shown and again at checkout,
+// where it is redeemed in the order's transaction so concurrent orders can't exceed its limits.
+// Functions taking a `client` work with prisma as well as inside an interactive transaction.
+
+const PROMO_CODE_TYPES = ["percent", "fixed", "free_item"];
+
+// Orders that never went through don't use up a code
+const NOT_REDEEMED_STATUSES = ["cancelled", "rejected"];
+
+class PromoCodeError extends Error {}
+
+// Codes are case-insensitive and stored uppercase
+function normalizePromoCode(code) {
+    return String(code).trim().toUpperCase();
+}
+
+// Returns the active promo code with the given code, or null
+async function findPromoCode(code, client = prisma) {
+    const promo = await client.promoCode.findUnique({ where: { code: normalizePromoCode(code) } });
+    if (!promo || !promo.active) {
+        return null;
+    }
+    return promo;
+}
+
+function countRedemptions(client, where) {
+    return client.order.count({
+        where: { ...where, status: { notIn: NOT_REDEEMED_STATUSES } }
+    });
+}
+
+function findFreeLine(promo, cart) {
+    if (promo.freePizzaId) {
+        return cart.pizzas.find(line => line.pizzaId === promo.freePizzaId);
+    }
+    if (promo.freeExtraId) {
+        return cart.extras.find(line => line.itemId === promo.freeExtraId);
+    }
+    return undefined;
+}
+
+// Checks whether the promo code can be used on the given cart
+// `cart` is the itemized cart ({ pizzas, extras, subtotal }), `userId` is null for guests
+// Returns an error message or null
+async function checkPromoCode(promo, cart, userId, now = new Date(), client = prisma) {
+    if (promo.validFrom && now < promo.validFrom) {
+        return "Promo code is not valid yet";
+    }
+    if (promo.validUntil && now > promo.validUntil) {
+        return "Promo code has expired";
+    }
+    if (promo.minSpend !== null && cart.subtotal < Number(promo.minSpend)) {
+        return `Promo code requires a minimum spend of ${Number(promo.minSpend).toFixed(2)}`;
+    }
+    if (promo.type === "free_item" && !findFreeLine(promo, cart)) {
+        return "Add the free item of this promo code to your cart first";
+    }
+    if (promo.maxUses !== null && promo.uses >= promo.maxUses) {
+        return "Promo code has reached its usage limit";
+    }
+    if (promo.maxUsesPerUser !== null) {
+        if (!userId) {
+            return "Log in to use this promo code";
+        }
+        if (await countRedemptions(client, { promoCodeId: promo.id, userId }) >= promo.maxUsesPerUser) {
+            return "You have already used this promo code";
+        }
+    }
+    return null;
+}
+
+// Counts a use of a code that passed checkPromoCode, inside the transaction `tx` that creates the order
+// Throws PromoCodeError if the code ran out in the meantime, which rolls back the transaction
+async function redeemPromoCode(tx, promo, userId) {
+    // Only counts the use if the code has uses left, even with concurrent orders.
+    // The update also locks the code until the transaction ends, so the orders of the user counted next
+    // include those of concurrent transactions.
+    const { count } = await tx.promoCode.updateMany({
+        where: { id: promo.id, ...(promo.maxUses !== null && { uses: { lt: promo.maxUses } }) },
+        data: { uses: { increment: 1 } }
+    });
+    if (count === 0) {
+        throw new PromoCodeError("Promo code has reached its usage limit");
+    }
+    if (promo.maxUsesPerUser !== null && await countRedemptions(tx, { promoCodeId: promo.id, userId }) >= promo.maxUsesPerUser) {
+        throw new PromoCodeError("You have already used this promo code");
+    }
+}
+
+// Gives back the use of a cancelled or rejected order, see NOT_REDEEMED_STATUSES
+function releasePromoCode(client, promoCodeId) {
+    return client.promoCode.update({
+        where: { id: promoCodeId },
+        data: { uses: { decrement: 1 } }
+    });
+}
+
+// Returns the discount of a promo code that passed checkPromoCode
+// The discount never exceeds the cart subtotal
+function calculateDiscount(promo, cart) {
+    let discount = 0;
+    switch (promo.type) {
+        case "percent":
+            discount = cart.subtotal * Number(promo.value) / 100;
+            break;
+        case "fixed":
+            discount = Number(promo.value);
+            break;
+        case "free_item":
+            discount = findFreeLine(promo, cart).unitPrice;
+            break;
+    }
+    return Math.round(Math.min(discount, cart.subtotal) * 100) / 100;
+}
+
+module.exports = {
+    PROMO_CODE_TYPES,
+    NOT_REDEEMED_STATUSES,
+    PromoCodeError,
+    normalizePromoCode,
+    findPromoCode,
+    checkPromoCode,
+    redeemPromoCode,
+    releasePromoCode,
+    calculateDiscount
+};
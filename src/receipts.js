@@ -0,0 +1,287 @@
+const Decimal = require("decimal.js");
+const prisma = require("./prisma.js");
+const {escapeHtml} = require("./mail_templates.js");
+const {describeOptions} = require("./pizza_options.js");
+const {summarizeTaxes} = require("./taxes.js");
+const {CURRENCY} = require("./payments.js");
+const {renderTextPdf} = require("./pdf.js");
+require('dotenv').config();
+
+// Order receipts
+// Receipt numbers are sequential without gaps, an order gets the next number when its receipt is first requested,
+// as long as it is paid, delivered or, for cash on delivery, confirmed by the restaurant (see canIssueReceipt).
+// A receipt lists the items, the discount and the delivery fee with their tax rates, and the taxes per rate.
+
+const RECEIPT_FORMATS = ["html", "pdf"];
+const RECEIPT_COUNTER = "receipt";
+const RECEIPT_WIDTH = 64; // ... characters per line of the PDF
+
+const SELLER = {
+    name: process.env.RECEIPT_SELLER_NAME || "PizzaGo",
+    address: process.env.RECEIPT_SELLER_ADDRESS || "",
+    vatId: process.env.RECEIPT_VAT_ID || ""
+};
+
+const PAYMENT_DESCRIPTIONS = {
+    card: "Card",
+    cash: "Cash on delivery"
+};
+
+class ReceiptIssuedError extends Error {}
+
+// Whether the order can get a receipt number
+// Orders that are still pending or unpaid may never be paid for, and would leave a number in the sequence unused
+function canIssueReceipt(order) {
+    if (order.status === "cancelled" || order.status === "rejected") {
+        return false;
+    }
+    return order.paymentStatus === "paid"
+        || order.status === "delivered"
+        || (order.paymentMethod === "cash" && order.status !== "pending");
+}
+
+// Assigns the next receipt number to the order, unless it already has one
+// Returns { receiptNumber, receiptIssuedAt }
+async function issueReceipt(orderId) {
+    try {
+        return await prisma.$transaction(async tx => {
+            const counter = await tx.counter.upsert({
+                where: { name: RECEIPT_COUNTER },
+                create: { name: RECEIPT_COUNTER, value: 1 },
+                update: { value: { increment: 1 } }
+            });
+            const issued = { receiptNumber: counter.value, receiptIssuedAt: new Date() };
+            const { count } = await tx.order.updateMany({ where: { id: orderId, receiptNumber: null }, data: issued });
+            if (count === 0) {
+                // Rolls back the counter, so no number is skipped
+                throw new ReceiptIssuedError();
+            }
+            return issued;
+        });
+    } catch (err) {
+        if (!(err instanceof ReceiptIssuedError)) {
+            throw err;
+        }
+        // Issued by a concurrent request in the meantime
+        return prisma.order.findUnique({
+            where: { id: orderId },
+            select: { receiptNumber: true, receiptIssuedAt: true }
+        });
+    }
+}
+
+function formatReceiptNumber(number) {
+    return String(number).padStart(6, "0");
+}
+
+// Splits the taxed amounts of the order by tax rate
+// Orders placed before taxes were recorded count as untaxed
+function orderTaxLines(order) {
+    if (order.taxTotal === null || order.taxTotal === undefined) {
+        return [{ rate: 0, net: order.total, tax: 0, gross: order.total }];
+    }
+    const lines = [...order.items, ...order.extras].map(item => ({
+        rate: item.taxRate,
+        net: item.netPrice,
+        tax: item.taxAmount,
+        gross: item.grossPrice
+    }));
+    const deliveryNet = new Decimal(order.deliveryNet);
+    if (!deliveryNet.isZero()) {
+        lines.push({ rate: order.deliveryTaxRate, net: deliveryNet, tax: order.deliveryTax, gross: deliveryNet.plus(order.deliveryTax) });
+    }
+    return lines;
+}
+
+// Collects what is printed on the receipt of an order, which must include its pizzas and extras
+function buildReceipt(order) {
+    const untaxed = order.taxTotal === null || order.taxTotal === undefined;
+    const rateOf = item => untaxed || item.taxRate === null ? null : Number(item.taxRate);
+    const lines = [
+        ...order.items.map(item => ({
+            quantity: item.quantity,
+            name: item.pizza ? item.pizza.name : `Pizza #${item.pizzaId}`,
+            description: describeOptions(item.options),
+            unitPrice: Number(item.unitPrice),
+            totalPrice: Number(item.totalPrice),
+            taxRate: rateOf(item)
+        })),
+        ...order.extras.map(item => ({
+            quantity: item.quantity,
+            name: item.extra ? item.extra.name : `Extra #${item.extraId}`,
+            description: "",
+            unitPrice: Number(item.unitPrice),
+            totalPrice: Number(item.totalPrice),
+            taxRate: rateOf(item)
+        }))
+    ];
+    const subtotal = lines.reduce((sum, line) => sum.plus(line.totalPrice), new Decimal(0));
+    const charged = subtotal.minus(order.discount).plus(order.deliveryFee);
+    return {
+        number: formatReceiptNumber(order.receiptNumber),
+        issuedAt: new Date(order.receiptIssuedAt),
+        orderId: order.id,
+        orderedAt: new Date(order.createdAt),
+        seller: SELLER,
+        customer: order.deliveryAddress,
+        currency: CURRENCY,
+        lines,
+        subtotal: subtotal.toNumber(),
+        discount: Number(order.discount),
+        deliveryFee: Number(order.deliveryFee),
+        deliveryTaxRate: untaxed || order.deliveryTaxRate === null ? null : Number(order.deliveryTaxRate),
+        // Tax of exclusive rates, added to the prices
+        addedTax: new Decimal(order.total).minus(charged).toNumber(),
+        total: Number(order.total),
+        taxes: summarizeTaxes(orderTaxLines(order)).map(tax => ({
+            rate: tax.rate.toNumber(),
+            net: tax.net.toNumber(),
+            tax: tax.tax.toNumber(),
+            gross: tax.gross.toNumber()
+        })),
+        payment: `${PAYMENT_DESCRIPTIONS[order.paymentMethod] || order.paymentMethod} (${order.paymentStatus})`
+    };
+}
+
+function formatMoney(value) {
+    return Number(value).toFixed(2);
+}
+
+function formatRate(rate) {
+    return rate === null ? "" : `${rate}%`;
+}
+
+function formatDate(date) {
+    return `${date.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+function describeCustomer(customer) {
+    if (!customer) {
+        return [];
+    }
+    return [customer.recipient, customer.street, `${customer.postcode} ${customer.city}`];
+}
+
+// The amounts of a receipt row: what to print, with the tax rate it is taxed with (if any)
+function receiptRows(receipt) {
+    const rows = receipt.lines.map(line => ({
+        label: `${line.quantity} x ${line.name}`,
+        description: line.description,
+        unitPrice: formatMoney(line.unitPrice),
+        amount: formatMoney(line.totalPrice),
+        rate: formatRate(line.taxRate)
+    }));
+    if (receipt.discount > 0) {
+        rows.push({ label: "Discount", amount: `-${formatMoney(receipt.discount)}`, rate: "" });
+    }
+    if (receipt.deliveryFee > 0) {
+        rows.push({ label: "Delivery", amount: formatMoney(receipt.deliveryFee), rate: formatRate(receipt.deliveryTaxRate) });
+    }
+    if (receipt.addedTax > 0) {
+        rows.push({ label: "Tax added", amount: formatMoney(receipt.addedTax), rate: "" });
+    }
+    return rows;
+}
+
+// A line of the text receipt: `left`, cut to fit, and `right` aligned to the right edge
+function textLine(left, right = "") {
+    const space = RECEIPT_WIDTH - right.length - 1;
+    const cut = left.length > space ? `${left.slice(0, space - 1)}~` : left;
+    return `${cut.padEnd(space)} ${right}`.trimEnd();
+}
+
+function renderReceiptText(receipt) {
+    const rule = "-".repeat(RECEIPT_WIDTH);
+    const amountColumns = (amount, rate) => `${amount.padStart(10)}${rate.padStart(8)}`;
+    const lines = [
+        receipt.seller.name,
+        ...(receipt.seller.address ? [receipt.seller.address] : []),
+        ...(receipt.seller.vatId ? [`VAT ID: ${receipt.seller.vatId}`] : []),
+        "",
+        `Receipt ${receipt.number}`,
+        `Issued: ${formatDate(receipt.issuedAt)}`,
+        `Order #${receipt.orderId} of ${formatDate(receipt.orderedAt)}`,
+        ...describeCustomer(receipt.customer),
+        "",
+        textLine("", amountColumns(receipt.currency, "Tax")),
+        rule
+    ];
+    for (const row of receiptRows(receipt)) {
+        lines.push(textLine(row.unitPrice ? `${row.label} @ ${row.unitPrice}` : row.label, amountColumns(row.amount, row.rate)));
+        if (row.description) {
+            lines.push(textLine(`    ${row.description}`));
+        }
+    }
+    lines.push(rule);
+    lines.push(textLine("Total", amountColumns(formatMoney(receipt.total), "")));
+    lines.push("");
+    lines.push(textLine("Tax rate", `${"Net".padStart(10)}${"Tax".padStart(10)}${"Gross".padStart(10)}`));
+    for (const tax of receipt.taxes) {
+        lines.push(textLine(formatRate(tax.rate), `${formatMoney(tax.net).padStart(10)}${formatMoney(tax.tax).padStart(10)}${formatMoney(tax.gross).padStart(10)}`));
+    }
+    lines.push("");
+    lines.push(`Payment: ${receipt.payment}`);
+    return lines;
+}
+
+function renderReceiptPdf(receipt) {
+    return renderTextPdf(renderReceiptText(receipt), `Receipt ${receipt.number}`);
+}
+
+function renderReceiptHtml(receipt) {
+    const title = `Receipt ${receipt.number}`;
+    const seller = [receipt.seller.address, receipt.seller.vatId ? `VAT ID: ${receipt.seller.vatId}` : ""]
+        .filter(Boolean)
+        .map(line => `<p>${escapeHtml(line)}</p>`);
+    const rows = receiptRows(receipt).map(row => `<tr>
+<td>${escapeHtml(row.label)}${row.description ? `<br><small>${escapeHtml(row.description)}</small>` : ""}</td>
+<td class="amount">${row.unitPrice || ""}</td>
+<td class="amount">${row.amount}</td>
+<td class="amount">${escapeHtml(row.rate)}</td>
+</tr>`);
+    const taxRows = receipt.taxes.map(tax => `<tr><td>${escapeHtml(formatRate(tax.rate))}</td><td class="amount">${formatMoney(tax.net)}</td><td class="amount">${formatMoney(tax.tax)}</td><td class="amount">${formatMoney(tax.gross)}</td></tr>`);
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; color: #222; max-width: 600px; margin: 0 auto; }
+table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+th, td { padding: 4px; text-align: left; border-bottom: 1px solid #ddd; vertical-align: top; }
+.amount { text-align: right; white-space: nowrap; }
+.total td { font-weight: bold; border-bottom: none; }
+@media print { body { max-width: none; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(receipt.seller.name)}</h1>
+${seller.join("\n")}
+<h2>${escapeHtml(title)}</h2>
+<p>Issued: ${escapeHtml(formatDate(receipt.issuedAt))}<br>
+Order #${escapeHtml(receipt.orderId)} of ${escapeHtml(formatDate(receipt.orderedAt))}</p>
+<p>${describeCustomer(receipt.customer).map(escapeHtml).join("<br>")}</p>
+<table>
+<tr><th>Item</th><th class="amount">Unit price</th><th class="amount">${escapeHtml(receipt.currency)}</th><th class="amount">Tax</th></tr>
+${rows.join("\n")}
+<tr class="total"><td>Total</td><td></td><td class="amount">${formatMoney(receipt.total)}</td><td></td></tr>
+</table>
+<table>
+<tr><th>Tax rate</th><th class="amount">Net</th><th class="amount">Tax</th><th class="amount">Gross</th></tr>
+${taxRows.join("\n")}
+</table>
+<p>Payment: ${escapeHtml(receipt.payment)}</p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    RECEIPT_FORMATS,
+    canIssueReceipt,
+    issueReceipt,
+    buildReceipt,
+    renderReceiptText,
+    renderReceiptHtml,
+    renderReceiptPdf
+};
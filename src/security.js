@@ -13,8 +13,15 @@ function getSecureToken() {
     return crypto.randomBytes(32).toString('hex');
 }
 
+// Tokens are random enough that a fast hash is sufficient,
+// storing only the hash keeps a database leak from exposing usable tokens
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
 module.exports = {
     hashPassword,
     verifyPassword,
-    getSecureToken
+    getSecureToken,
+    hashToken
 };
\ No newline at end of file
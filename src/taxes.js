@@ -0,0 +1,95 @@
+const Decimal = require("decimal.js");
+const prisma = require("./prisma.js");
+
+// Taxes
+// Every item category (pizzas, the types of extras and the delivery fee) has its own tax rate, in percent.
+// Prices of an inclusive rate already contain the tax, for an exclusive rate it is added on top.
+// Categories without a rate are not taxed. The tax is rounded to the cent per line.
+// A discount lowers the taxed amount of every line, in proportion to the line.
+
+const TAX_CATEGORIES = ["pizza", "drink", "sauce", "side", "delivery"];
+
+// Returns a map of categories to their rates ({ rate, inclusive })
+async function loadTaxRates(client = prisma) {
+    const rates = await client.taxRate.findMany();
+    return new Map(rates.map(rate => [rate.category, rate]));
+}
+
+function roundToCents(value) {
+    return value.toDecimalPlaces(2, Decimal.ROUND_HALF_UP);
+}
+
+// Splits an amount charged with the given rate (null for untaxed) into { rate, net, tax, gross }
+function splitTax(amount, taxRate) {
+    amount = new Decimal(amount);
+    const rate = new Decimal(taxRate ? taxRate.rate : 0);
+    if (!taxRate || taxRate.inclusive) {
+        const tax = roundToCents(amount.times(rate).dividedBy(rate.plus(100)));
+        return { rate, net: amount.minus(tax), tax, gross: amount };
+    }
+    const tax = roundToCents(amount.times(rate).dividedBy(100));
+    return { rate, net: amount, tax, gross: amount.plus(tax) };
+}
+
+// Spreads a discount over the amounts in proportion to them
+// The shares are whole cents and add up to the discount: leftover cents go to the largest remainders
+function allocateDiscount(amounts, discount) {
+    amounts = amounts.map(amount => new Decimal(amount));
+    const total = amounts.reduce((sum, amount) => sum.plus(amount), new Decimal(0));
+    discount = Decimal.min(new Decimal(discount), total);
+    if (discount.isZero()) {
+        return amounts.map(() => new Decimal(0));
+    }
+    const exact = amounts.map(amount => amount.times(discount).dividedBy(total));
+    const shares = exact.map(share => share.toDecimalPlaces(2, Decimal.ROUND_DOWN));
+    let leftoverCents = discount.minus(shares.reduce((sum, share) => sum.plus(share), new Decimal(0))).times(100).toNumber();
+    const byRemainder = exact
+        .map((share, index) => ({ index, remainder: share.minus(shares[index]) }))
+        .sort((a, b) => b.remainder.comparedTo(a.remainder));
+    for (const { index } of byRemainder) {
+        if (leftoverCents <= 0) {
+            break;
+        }
+        shares[index] = shares[index].plus("0.01");
+        leftoverCents--;
+    }
+    return shares;
+}
+
+function sumTaxes(lines) {
+    return lines.reduce((sum, line) => ({
+        net: sum.net.plus(line.net),
+        tax: sum.tax.plus(line.tax),
+        gross: sum.gross.plus(line.gross)
+    }), { net: new Decimal(0), tax: new Decimal(0), gross: new Decimal(0) });
+}
+
+// Taxes of the lines ([{ category, amount }]) of a cart or order, after the discount
+// Returns { lines: [{ rate, net, tax, gross }], net, tax, gross }, the lines in the given order
+function calculateTaxes(lines, discount, rates) {
+    const shares = allocateDiscount(lines.map(line => line.amount), discount);
+    const taxed = lines.map((line, index) =>
+        splitTax(new Decimal(line.amount).minus(shares[index]), rates.get(line.category)));
+    return { lines: taxed, ...sumTaxes(taxed) };
+}
+
+// Adds up lines ([{ rate, net, tax, gross }]) per rate, lowest rate first
+function summarizeTaxes(lines) {
+    const byRate = new Map();
+    for (const line of lines) {
+        const key = new Decimal(line.rate).toFixed(2);
+        byRate.set(key, [...(byRate.get(key) || []), line]);
+    }
+    return [...byRate.entries()]
+        .map(([rate, rateLines]) => ({ rate: new Decimal(rate), ...sumTaxes(rateLines) }))
+        .sort((a, b) => a.rate.comparedTo(b.rate));
+}
+
+module.exports = {
+    TAX_CATEGORIES,
+    loadTaxRates,
+    splitTax,
+    allocateDiscount,
+    calculateTaxes,
+    summarizeTaxes
+};
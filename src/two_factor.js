@@ -0,0 +1,235 @@
+const crypto = require("crypto");
+const prisma = require("./prisma.js");
+const redisClient = require("./redis_client.js");
+const {getSecureToken, hashToken} = require("./security.js");
+
+// Two-factor authentication with time-based one-time passwords (TOTP, RFC 6238) from an authenticator app
+// Enrollment keeps a new secret in Redis until the user confirms it with a first code, then 2FA is enabled
+// and the user gets recovery codes: one-time codes for when the app is lost, stored hashed.
+// Logins of users with 2FA stop after the first step with a challenge token, which is exchanged for the
+// session together with a code, see POST /auth/login/2fa.
+
+const TOTP_ISSUER = "PizzaGo";
+const TOTP_PERIOD = 30; // ... seconds a code is valid
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // ... periods before and after the current one whose codes are accepted, for clock drift
+const TOTP_USED_PREFIX = "pizzago_2fa_used:";
+const ENROLLMENT_PREFIX = "pizzago_2fa_enrollment:";
+const ENROLLMENT_LIFETIME = 10*60; // ... seconds the user has to confirm a new secret
+const CHALLENGE_PREFIX = "pizzago_2fa_challenge:";
+const CHALLENGE_LIFETIME = 5*60; // ... seconds the user has to enter the code after the password
+const CHALLENGE_ATTEMPTS = 5; // ... wrong codes before the challenge is dropped and the login starts over
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+    let bits = "";
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, "0");
+    }
+    let text = "";
+    for (let i = 0; i < bits.length; i += 5) {
+        text += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+    }
+    return text;
+}
+
+function base32Decode(text) {
+    let bits = "";
+    for (const char of text.toUpperCase().replace(/=+$/, "")) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        bits += value.toString(2).padStart(5, "0");
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// URI of the secret for authenticator apps, usually shown as a QR code
+function totpUri(secret, accountName) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer: TOTP_ISSUER, algorithm: "SHA1", digits: TOTP_DIGITS, period: TOTP_PERIOD });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 0xf;
+    const value = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return String(value).padStart(TOTP_DIGITS, "0");
+}
+
+function generateTotp(secret, time = Date.now() / 1000) {
+    return hotp(secret, Math.floor(time / TOTP_PERIOD));
+}
+
+// Returns the time step of a valid code, or null
+function verifyTotp(secret, code, time = Date.now() / 1000) {
+    if (typeof code !== "string" || !/^\d+$/.test(code) || code.length !== TOTP_DIGITS) {
+        return null;
+    }
+    const current = Math.floor(time / TOTP_PERIOD);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        if (crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// Recovery codes are typed in by hand, so case, dashes and spaces don't matter
+function normalizeRecoveryCode(code) {
+    return code.toUpperCase().replace(/[^A-Z2-7]/g, "");
+}
+
+// Codes of 16 base32 characters (80 bits), in groups of 4
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+        base32Encode(crypto.randomBytes(10)).match(/.{4}/g).join("-"));
+}
+
+// Operations that replace the user's recovery codes with `codes`, to run in a transaction
+function replaceRecoveryCodes(userId, codes) {
+    return [
+        prisma.recoveryCode.deleteMany({ where: { userId } }),
+        prisma.recoveryCode.createMany({
+            data: codes.map(code => ({ userId, codeHash: hashToken(normalizeRecoveryCode(code)) }))
+        })
+    ];
+}
+
+// Starts an enrollment with a new secret, returns the secret
+async function startEnrollment(userId) {
+    const secret = generateTotpSecret();
+    await redisClient.set(`${ENROLLMENT_PREFIX}${userId}`, secret, { EX: ENROLLMENT_LIFETIME });
+    return secret;
+}
+
+// Enables 2FA with the secret of the enrollment if `code` is valid for it
+// Returns the recovery codes, or null if there is no enrollment or the code is wrong
+async function completeEnrollment(userId, code) {
+    const key = `${ENROLLMENT_PREFIX}${userId}`;
+    const secret = await redisClient.get(key);
+    if (!secret || verifyTotp(secret, code) === null) {
+        return null;
+    }
+    const recoveryCodes = generateRecoveryCodes();
+    await prisma.$transaction([
+        prisma.user.update({
+            where: { id: userId },
+            data: { twoFactorSecret: secret, twoFactorEnabledAt: new Date() }
+        }),
+        ...replaceRecoveryCodes(userId, recoveryCodes)
+    ]);
+    await redisClient.del(key);
+    return recoveryCodes;
+}
+
+function disableTwoFactor(userId) {
+    return prisma.$transaction([
+        prisma.user.update({
+            where: { id: userId },
+            data: { twoFactorSecret: null, twoFactorEnabledAt: null }
+        }),
+        prisma.recoveryCode.deleteMany({ where: { userId } })
+    ]);
+}
+
+// Replaces the recovery codes of the user, returns the new codes
+async function regenerateRecoveryCodes(userId) {
+    const recoveryCodes = generateRecoveryCodes();
+    await prisma.$transaction(replaceRecoveryCodes(userId, recoveryCodes));
+    return recoveryCodes;
+}
+
+// Checks a code of a user with 2FA: a TOTP code of the app or a recovery code
+// Returns "totp" or "recovery" for a valid code, or null. Either can only be used once.
+async function verifyTwoFactorCode(user, code) {
+    if (typeof code !== "string" || !user.twoFactorSecret) {
+        return null;
+    }
+    const totp = code.replace(/\s/g, "");
+    if (/^\d+$/.test(totp) && totp.length === TOTP_DIGITS) {
+        const step = verifyTotp(user.twoFactorSecret, totp);
+        if (step === null) {
+            return null;
+        }
+        // A code that was seen, e.g. over someone's shoulder, can't be used again while it's valid
+        const unused = await redisClient.set(`${TOTP_USED_PREFIX}${user.id}:${step}`, "1", {
+            NX: true,
+            EX: TOTP_PERIOD * (2 * TOTP_WINDOW + 1)
+        });
+        return unused ? "totp" : null;
+    }
+    const { count } = await prisma.recoveryCode.deleteMany({
+        where: { userId: user.id, codeHash: hashToken(normalizeRecoveryCode(code)) }
+    });
+    return count > 0 ? "recovery" : null;
+}
+
+function challengeKey(challengeToken) {
+    return `${CHALLENGE_PREFIX}${hashToken(challengeToken)}`;
+}
+
+// Starts the second step of a login, returns the challenge token
+// `sessionId` is the session to log in to, null for token logins
+async function createLoginChallenge(userId, sessionId) {
+    const challengeToken = getSecureToken();
+    await redisClient.set(challengeKey(challengeToken), JSON.stringify({ userId, sessionId, attempts: 0 }), { EX: CHALLENGE_LIFETIME });
+    return challengeToken;
+}
+
+// Returns { userId, sessionId, attempts } of an open challenge, or null
+async function findLoginChallenge(challengeToken) {
+    if (typeof challengeToken !== "string") {
+        return null;
+    }
+    const stored = await redisClient.get(challengeKey(challengeToken));
+    return stored ? JSON.parse(stored) : null;
+}
+
+// Counts a wrong code, the challenge is dropped after too many
+async function failLoginChallenge(challengeToken, challenge) {
+    const key = challengeKey(challengeToken);
+    const attempts = challenge.attempts + 1;
+    if (attempts >= CHALLENGE_ATTEMPTS) {
+        await redisClient.del(key);
+    } else {
+        await redisClient.set(key, JSON.stringify({ ...challenge, attempts }), { KEEPTTL: true, XX: true });
+    }
+}
+
+// Ends a challenge after the right code, returns false if it was ended in the meantime
+async function claimLoginChallenge(challengeToken) {
+    return Boolean(await redisClient.getDel(challengeKey(challengeToken)));
+}
+
+module.exports = {
+    CHALLENGE_LIFETIME,
+    base32Encode,
+    base32Decode,
+    totpUri,
+    generateTotp,
+    verifyTotp,
+    startEnrollment,
+    completeEnrollment,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifyTwoFactorCode,
+    createLoginChallenge,
+    findLoginChallenge,
+    failLoginChallenge,
+    claimLoginChallenge
+};
@@ -0,0 +1,42 @@
+// Short descriptions of the devices sessions are used on, e.g. "Firefox on Windows", from their User-Agent header
+// Only common browsers and systems are told apart, anything else is described by what is known of it.
+
+// Checked in order, the first match wins: e.g. Edge and Opera also claim to be Chrome and Safari
+const BROWSERS = [
+    [/Edg(e|A|iOS)?\//, "Edge"],
+    [/OPR\/|Opera/, "Opera"],
+    [/SamsungBrowser\//, "Samsung Internet"],
+    [/Firefox\/|FxiOS\//, "Firefox"],
+    [/Chrome\/|CriOS\//, "Chrome"],
+    [/Version\/[\d.]+.*Safari\//, "Safari"]
+];
+
+const SYSTEMS = [
+    [/iPhone|iPad|iPod/, "iOS"],
+    [/Android/, "Android"],
+    [/Windows/, "Windows"],
+    [/Mac OS X|Macintosh/, "macOS"],
+    [/CrOS/, "ChromeOS"],
+    [/Linux/, "Linux"]
+];
+
+function findName(patterns, userAgent) {
+    const match = patterns.find(([pattern]) => pattern.test(userAgent));
+    return match ? match[1] : null;
+}
+
+function describeDevice(userAgent) {
+    if (!userAgent) {
+        return "Unknown device";
+    }
+    const browser = findName(BROWSERS, userAgent);
+    const system = findName(SYSTEMS, userAgent);
+    if (browser && system) {
+        return `${browser} on ${system}`;
+    }
+    return browser || system || "Unknown device";
+}
+
+module.exports = {
+    describeDevice
+};
@@ -0,0 +1,89 @@
+const prisma = require("./prisma.js");
+const { cartLineKey } = require("./pizza_options.js");
+
+// Carts of logged in users are stored in Postgres,
+// so every session of the user sees the same cart
+
+// Returns the saved cart lines of the user, or null if the user has no saved cart
+async function loadUserCart(userId) {
+    const cart = await prisma.cart.findUnique({
+        where: { userId },
+        include: { items: true, extras: true }
+    });
+    if (!cart) {
+        return null;
+    }
+    return {
+        items: cart.items.map(item => ({
+            lineId: item.id,
+            pizzaId: item.pizzaId,
+            quantity: item.quantity,
+            sizeId: item.sizeId,
+            crustId: item.crustId,
+            removedToppingIds: item.removedToppingIds,
+            extraToppingIds: item.extraToppingIds
+        })),
+        extras: cart.extras.map(item => ({ itemId: item.extraId, quantity: item.quantity }))
+    };
+}
+
+// Replaces the saved cart lines of the user with the lines of the given session cart
+function saveUserCart(userId, cart) {
+    return prisma.$transaction(async (tx) => {
+        const savedCart = await tx.cart.upsert({
+            where: { userId },
+            create: { userId },
+            update: { updatedAt: new Date() }
+        });
+        await tx.cartItem.deleteMany({ where: { cartId: savedCart.id } });
+        await tx.cartExtraItem.deleteMany({ where: { cartId: savedCart.id } });
+        if (cart.items.length > 0) {
+            await tx.cartItem.createMany({
+                data: cart.items.map(item => ({
+                    id: item.lineId,
+                    cartId: savedCart.id,
+                    pizzaId: item.pizzaId,
+                    quantity: item.quantity,
+                    sizeId: item.sizeId,
+                    crustId: item.crustId,
+                    removedToppingIds: item.removedToppingIds,
+                    extraToppingIds: item.extraToppingIds
+                }))
+            });
+        }
+        if (cart.extras.length > 0) {
+            await tx.cartExtraItem.createMany({
+                data: cart.extras.map(item => ({ cartId: savedCart.id, extraId: item.itemId, quantity: item.quantity }))
+            });
+        }
+    });
+}
+
+// Combines two lists of cart lines
+// Items present in both keep the larger quantity, so merging the same cart twice doesn't double it
+function mergeCartLines(saved, current, getKey) {
+    const merged = saved.map(item => ({ ...item }));
+    for (const item of current) {
+        const existing = merged.find(line => getKey(line) === getKey(item));
+        if (existing) {
+            existing.quantity = Math.max(existing.quantity, item.quantity);
+        } else {
+            merged.push({ ...item });
+        }
+    }
+    return merged;
+}
+
+function mergeCarts(saved, current) {
+    return {
+        // Pizzas are the same if they have the same options
+        items: mergeCartLines(saved.items, current.items, cartLineKey),
+        extras: mergeCartLines(saved.extras, current.extras, item => item.itemId)
+    };
+}
+
+module.exports = {
+    loadUserCart,
+    saveUserCart,
+    mergeCarts
+};
@@ -0,0 +1,134 @@
+const Decimal = require('decimal.js');
+const prisma = require('../src/prisma.js');
+const { exportAccountData, eraseAccount } = require('../src/account_data.js');
+
+jest.mock('../src/prisma.js', () => ({
+    user: {
+        findUnique: jest.fn(),
+        update: jest.fn(),
+    },
+    address: {
+        findMany: jest.fn(),
+        deleteMany: jest.fn(),
+    },
+    userIdentity: {
+        findMany: jest.fn(),
+        deleteMany: jest.fn(),
+    },
+    recoveryCode: {
+        deleteMany: jest.fn(),
+    },
+    order: {
+        findMany: jest.fn(),
+    },
+    cart: {
+        findUnique: jest.fn(),
+        deleteMany: jest.fn(),
+    },
+    emailVerification: {
+        deleteMany: jest.fn(),
+    },
+    passwordReset: {
+        deleteMany: jest.fn(),
+    },
+    $transaction: jest.fn(operations => Promise.all(operations)),
+}));
+
+const user = { id: 1, email: 'a@b.com', password: 'hashed', name: 'Ann Smith', phone: null, role: 'customer', verified: true, twoFactorSecret: 'JBSWY3DPEHPK3PXP', twoFactorEnabledAt: null, createdAt: new Date('2024-01-01T00:00:00Z') };
+
+describe('Account data', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.user.findUnique.mockResolvedValue(user);
+        prisma.address.findMany.mockResolvedValue([]);
+        prisma.userIdentity.findMany.mockResolvedValue([]);
+        prisma.order.findMany.mockResolvedValue([]);
+        prisma.cart.findUnique.mockResolvedValue(null);
+    });
+
+    it('should export the profile without the password and the 2FA secret', async () => {
+        const sessions = [{ createdAt: new Date(), updatedAt: new Date(), current: true }];
+        const data = await exportAccountData(1, sessions);
+        expect(data).toEqual({
+            format: 'pizzago-account-export',
+            version: 1,
+            exportedAt: expect.any(Date),
+            profile: { id: 1, email: 'a@b.com', name: 'Ann Smith', phone: null, role: 'customer', verified: true, twoFactorEnabledAt: null, createdAt: user.createdAt },
+            addresses: [],
+            identities: [],
+            orders: [],
+            cart: null,
+            sessions
+        });
+        expect(JSON.stringify(data)).not.toContain('hashed');
+        expect(JSON.stringify(data)).not.toContain('JBSWY3DPEHPK3PXP');
+    });
+
+    it('should export the linked sign-in providers', async () => {
+        const createdAt = new Date('2024-01-02T00:00:00Z');
+        prisma.userIdentity.findMany.mockResolvedValue([{ id: 3, userId: 1, provider: 'google', subject: '1234', email: 'a@b.com', createdAt }]);
+        const { identities } = await exportAccountData(1, []);
+        expect(identities).toEqual([{ provider: 'google', subject: '1234', email: 'a@b.com', createdAt }]);
+    });
+
+    it('should export the orders with their items, status changes and payments', async () => {
+        prisma.order.findMany.mockResolvedValue([{
+            id: 10,
+            createdAt: new Date('2024-01-03T15:00:00Z'),
+            status: 'delivered',
+            total: new Decimal('22.50'),
+            netTotal: null,
+            taxTotal: null,
+            discount: new Decimal(0),
+            deliveryFee: new Decimal('2.50'),
+            deliveryAddress: { recipient: 'Ann Smith', street: 'Main St 1', city: 'Berlin', postcode: '10115' },
+            paymentMethod: 'card',
+            paymentStatus: 'paid',
+            receiptNumber: null,
+            items: [{ pizzaId: 1, options: null, quantity: 2, unitPrice: new Decimal(10), totalPrice: new Decimal(20), taxRate: null, pizza: { name: 'Margherita' } }],
+            extras: [{ extraId: 7, quantity: 1, unitPrice: new Decimal(0), totalPrice: new Decimal(0), taxRate: new Decimal(19), extra: null }],
+            statusHistory: [{ fromStatus: 'pending', toStatus: 'accepted', changedById: 5, note: null, createdAt: new Date('2024-01-03T15:05:00Z') }],
+            payments: [{ id: 3, method: 'card', provider: 'mock', providerPaymentId: 'mock_pi_1', status: 'captured', amount: new Decimal('22.50'), failureReason: null, createdAt: new Date('2024-01-03T15:00:01Z') }]
+        }]);
+        const { orders } = await exportAccountData(1, []);
+        expect(orders).toEqual([expect.objectContaining({
+            id: 10,
+            total: 22.5,
+            netTotal: null,
+            deliveryFee: 2.5,
+            items: [{ pizzaId: 1, name: 'Margherita', options: null, quantity: 2, unitPrice: 10, totalPrice: 20, taxRate: null, netPrice: null, taxAmount: null, grossPrice: null }],
+            extras: [expect.objectContaining({ extraId: 7, name: null, unitPrice: 0, taxRate: 19 })],
+            // Staff members are not part of the user's data
+            statusHistory: [{ status: 'accepted', changedAt: new Date('2024-01-03T15:05:00Z'), note: null }],
+            payments: [{ method: 'card', status: 'captured', amount: 22.5, failureReason: null, createdAt: new Date('2024-01-03T15:00:01Z') }]
+        })]);
+        expect(prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 1 } }));
+    });
+
+    it('should export the saved cart', async () => {
+        prisma.cart.findUnique.mockResolvedValue({
+            updatedAt: new Date('2024-01-05T00:00:00Z'),
+            items: [{ id: 'line-1', cartId: 2, pizzaId: 1, quantity: 1, sizeId: 3, crustId: null, removedToppingIds: [], extraToppingIds: [6] }],
+            extras: [{ cartId: 2, extraId: 7, quantity: 2 }]
+        });
+        const { cart } = await exportAccountData(1, []);
+        expect(cart).toEqual({
+            updatedAt: new Date('2024-01-05T00:00:00Z'),
+            pizzas: [{ pizzaId: 1, quantity: 1, sizeId: 3, crustId: null, removedToppingIds: [], extraToppingIds: [6] }],
+            extras: [{ extraId: 7, quantity: 2 }]
+        });
+    });
+
+    it('should anonymize the user and delete their data in one transaction', async () => {
+        await eraseAccount(1);
+        expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+        expect(prisma.$transaction.mock.calls[0][0]).toHaveLength(7);
+        for (const model of ['emailVerification', 'passwordReset', 'address', 'userIdentity', 'recoveryCode', 'cart']) {
+            expect(prisma[model].deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+        }
+        expect(prisma.user.update).toHaveBeenCalledWith({
+            where: { id: 1 },
+            data: { email: null, password: null, name: null, phone: null, verified: false, twoFactorSecret: null, twoFactorEnabledAt: null, deletedAt: expect.any(Date) }
+        });
+    });
+});
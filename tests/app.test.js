@@ -1,9 +1,19 @@
+// The mock 3-D Secure routes are only mounted for an explicitly configured mock provider
+process.env.PAYMENT_PROVIDER = 'mock';
 const request = require('supertest');
+const Decimal = require('decimal.js');
 const app = require('../src/app');
 const prisma = require('../src/prisma.js');
 const redisClient = require('../src/redis_client.js');
 const security = require('../src/security.js');
-const { sendEmail } = require('../src/mail.js');
+const { sendTemplateEmail } = require('../src/mail.js');
+const orderEvents = require('../src/order_events.js');
+const { setPaymentProvider, signWebhookPayload } = require('../src/payments.js');
+const { MOCK_TOKENS, createPaymentProvider } = require('../src/payment_providers.js');
+const { signAccessToken } = require('../src/auth_tokens.js');
+const { setOidcProviders } = require('../src/oidc.js');
+const { startMockIssuer } = require('./mock_oidc_issuer.js');
+const { generateTotp } = require('../src/two_factor.js');
 
 // Mock prisma and its methods
 jest.mock('../src/prisma.js', () => {
@@ -12,15 +22,164 @@ jest.mock('../src/prisma.js', () => {
             findMany: jest.fn(),
             count: jest.fn(),
             findUnique: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            updateMany: jest.fn(),
+            delete: jest.fn(),
         },
-        $queryRawUnsafe: jest.fn(),
+        tag: {
+            count: jest.fn(() => Promise.resolve(0)),
+            findMany: jest.fn(),
+            findUnique: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            delete: jest.fn(),
+        },
+        order: {
+            updateMany: jest.fn(),
+        },
+        orderItem: {
+            count: jest.fn(),
+        },
+        cart: {
+            findUnique: jest.fn(),
+            deleteMany: jest.fn(),
+        },
+        address: {
+            count: jest.fn(() => Promise.resolve(0)),
+            findMany: jest.fn(),
+            findUnique: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            delete: jest.fn(),
+            deleteMany: jest.fn(),
+        },
+        recoveryCode: {
+            deleteMany: jest.fn(),
+            createMany: jest.fn(),
+        },
+        userIdentity: {
+            findMany: jest.fn(() => Promise.resolve([])),
+            findUnique: jest.fn(),
+            create: jest.fn(),
+            deleteMany: jest.fn(),
+        },
+        deliveryZone: {
+            count: jest.fn(() => Promise.resolve(0)),
+            findMany: jest.fn(),
+            findUnique: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            delete: jest.fn(),
+        },
+        promoCode: {
+            count: jest.fn(() => Promise.resolve(0)),
+            findMany: jest.fn(),
+            findUnique: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            updateMany: jest.fn(() => Promise.resolve({ count: 1 })),
+            delete: jest.fn(),
+        },
+        pizzaOption: {
+            count: jest.fn(() => Promise.resolve(0)),
+            findMany: jest.fn(() => Promise.resolve([])),
+            findUnique: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            updateMany: jest.fn(),
+            delete: jest.fn(),
+        },
+        topping: {
+            count: jest.fn(() => Promise.resolve(0)),
+            findMany: jest.fn(() => Promise.resolve([])),
+            findUnique: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            delete: jest.fn(),
+        },
+        cartItem: {
+            deleteMany: jest.fn(),
+        },
+        menuCategory: {
+            count: jest.fn(() => Promise.resolve(0)),
+            findMany: jest.fn(),
+            findUnique: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            delete: jest.fn(),
+        },
+        ingredient: {
+            count: jest.fn(() => Promise.resolve(0)),
+            findMany: jest.fn(() => Promise.resolve([])),
+            findUnique: jest.fn(),
+            create: jest.fn(),
+            update: jest.fn(),
+            updateMany: jest.fn(),
+            delete: jest.fn(),
+        },
+        recipeIngredient: {
+            findMany: jest.fn(() => Promise.resolve([])),
+        },
+        payment: {
+            create: jest.fn(({ data }) => Promise.resolve({ id: 1, status: 'pending', failureReason: null, ...data })),
+            findUnique: jest.fn(),
+            findFirst: jest.fn(),
+            update: jest.fn(),
+            updateMany: jest.fn(),
+        },
+        // Untaxed unless a test sets rates
+        taxRate: {
+            findMany: jest.fn(() => Promise.resolve([])),
+            findUnique: jest.fn(),
+            count: jest.fn(),
+            upsert: jest.fn(),
+            delete: jest.fn(),
+        },
+        counter: {
+            upsert: jest.fn(),
+        },
+        $transaction: jest.fn(),
+        extra: {
+            findMany: jest.fn(),
+            findUnique: jest.fn(),
+            count: jest.fn(() => Promise.resolve(0)),
+        },
+        $queryRaw: jest.fn(),
     };
 });
 
 
+// Availability fields of a pizza that can always be ordered
+const alwaysAvailable = { available: true, soldOut: false, availableFrom: null, availableUntil: null, availabilityWindows: [] };
+
+// The filter GET /pizzas uses to only find pizzas that can be ordered right now
+const availableWhere = {
+    available: true,
+    soldOut: false,
+    AND: [
+        { OR: [{ availableFrom: null }, { availableFrom: { lte: expect.any(Date) } }] },
+        { OR: [{ availableUntil: null }, { availableUntil: { gt: expect.any(Date) } }] },
+        { OR: [{ availabilityWindows: { none: {} } }, { availabilityWindows: { some: expect.any(Object) } }] }
+    ]
+};
+
+// Runs interactive transactions against the mocked client
+function runTransaction(arg) {
+    return typeof arg === 'function' ? arg(prisma) : Promise.all(arg);
+}
+
+const PIZZA_LIST_INCLUDE = { tags: { select: { name: true } }, category: { select: { id: true, name: true } } };
+
+// A pizza line of a saved cart without options
+function savedCartItem(pizzaId, quantity) {
+    return { id: `line-${pizzaId}`, pizzaId, quantity, sizeId: null, crustId: null, removedToppingIds: [], extraToppingIds: [] };
+}
+
 describe('GET /pizzas', () => {
     beforeEach(() => {
         jest.clearAllMocks();
+        prisma.tag.findMany.mockResolvedValue([]);
     });
 
     it('should return all pizzas with default paging', async () => {
@@ -28,6 +187,7 @@ describe('GET /pizzas', () => {
             {
                 id: 1,
                 name: 'Margherita',
+                category: { id: 1, name: 'Classics' },
                 tags: [{ name: 'vegetarian' }],
                 price: 10,
                 description: 'Classic pizza',
@@ -35,6 +195,7 @@ describe('GET /pizzas', () => {
             {
                 id: 2,
                 name: 'Pepperoni',
+                category: null,
                 tags: [{ name: 'spicy' }],
                 price: 12,
                 description: 'Pepperoni pizza',
@@ -48,11 +209,13 @@ describe('GET /pizzas', () => {
         expect(res.statusCode).toBe(200);
         expect(res.body.total).toBe(2);
         expect(res.body.limit).toBe(20);
-        expect(res.body.offset).toBe(0);
+        expect(res.body.links).toEqual({ next: null, prev: null });
+        expect(res.headers.link).toBeUndefined();
         expect(res.body.results).toEqual([
             {
                 id: 1,
                 name: 'Margherita',
+                category: { id: 1, name: 'Classics' },
                 tags: ['vegetarian'],
                 price: 10,
                 description: 'Classic pizza',
@@ -60,6 +223,7 @@ describe('GET /pizzas', () => {
             {
                 id: 2,
                 name: 'Pepperoni',
+                category: null,
                 tags: ['spicy'],
                 price: 12,
                 description: 'Pepperoni pizza',
@@ -87,31 +251,219 @@ describe('GET /pizzas', () => {
         expect(res.body.results[0].tags).toContain('vegetarian');
     });
 
-    it('should respect limit and page parameters', async () => {
-        const mockPizzas = [
-            {
-                id: 4,
-                name: 'Hawaiian',
-                tags: [{ name: 'sweet' }],
-                price: 13,
-                description: 'Pineapple pizza',
-            },
-        ];
-        prisma.pizza.findMany.mockResolvedValue(mockPizzas);
+    it('should page with cursors and Link headers', async () => {
+        const hawaiian = { id: 4, name: 'Hawaiian', tags: [{ name: 'sweet' }], price: 13, description: 'Pineapple pizza' };
+        const funghi = { id: 5, name: 'Funghi', tags: [], price: 9, description: null };
+        // One row more than the limit means there is a next page
+        prisma.pizza.findMany.mockResolvedValue([hawaiian, funghi]);
         prisma.pizza.count.mockResolvedValue(10);
 
-        const res = await request(app).get('/api/v1/pizzas?limit=1&page=2');
+        let res = await request(app).get('/api/v1/pizzas?limit=1&tags=sweet');
 
         expect(res.statusCode).toBe(200);
         expect(res.body.limit).toBe(1);
-        expect(res.body.offset).toBe(2);
-        expect(res.body.results.length).toBe(1);
+        expect(res.body.total).toBe(10);
+        expect(res.body.results.map(pizza => pizza.id)).toEqual([4]);
+        expect(res.body.links.prev).toBeNull();
+        expect(res.body.links.next).toMatch(/^\/api\/v1\/pizzas\?limit=1&tags=sweet&cursor=/);
+        expect(res.headers.link).toBe(`<${res.body.links.next}>; rel="next"`);
+        expect(prisma.pizza.findMany).toHaveBeenCalledWith(expect.objectContaining({ take: 2 }));
+
+        const cursor = new URL(res.body.links.next, 'http://localhost').searchParams.get('cursor');
+        prisma.pizza.findMany.mockResolvedValue([funghi]);
+        res = await request(app).get(`/api/v1/pizzas?limit=1&tags=sweet&cursor=${cursor}`);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.results.map(pizza => pizza.id)).toEqual([5]);
+        expect(res.body.links.next).toBeNull();
+        expect(res.body.links.prev).toMatch(/cursor=/);
+        expect(res.headers.link).toBe(`<${res.body.links.prev}>; rel="prev"`);
+        expect(prisma.pizza.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+            cursor: { id: 4 },
+            skip: 1,
+            take: 2
+        }));
+    });
+
+    it('should return 400 for invalid limit or cursor', async () => {
+        let res = await request(app).get('/api/v1/pizzas?limit=200');
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toMatch(/Limit must be between 1 and 100/);
+
+        res = await request(app).get('/api/v1/pizzas?limit=0');
+        expect(res.statusCode).toBe(400);
+
+        res = await request(app).get('/api/v1/pizzas?cursor=not-a-cursor');
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toMatch(/Invalid cursor/);
+
+        // Pizzas are paged by their integer ID
+        const textCursor = Buffer.from(JSON.stringify({ after: 'abc', order: 'menu:asc' })).toString('base64url');
+        res = await request(app).get(`/api/v1/pizzas?cursor=${textCursor}`);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toMatch(/Invalid cursor/);
+        expect(prisma.pizza.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should only accept cursors with the sort order they were issued for', async () => {
+        prisma.pizza.findMany.mockResolvedValue([{ id: 4, name: 'Hawaiian', tags: [], price: 13 }, { id: 5, name: 'Funghi', tags: [], price: 9 }]);
+        prisma.pizza.count.mockResolvedValue(10);
+        let res = await request(app).get('/api/v1/pizzas?limit=1&sort=price');
+        const cursor = new URL(res.body.links.next, 'http://localhost').searchParams.get('cursor');
+
+        res = await request(app).get(`/api/v1/pizzas?limit=1&sort=price&cursor=${cursor}`);
+        expect(res.statusCode).toBe(200);
+        for (const query of ['sort=price&order=desc', 'sort=name', '']) {
+            res = await request(app).get(`/api/v1/pizzas?limit=1&${query}&cursor=${cursor}`);
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Invalid cursor/);
+        }
+    });
+
+    it('should filter by included and excluded tags and price, and count the whole result set', async () => {
+        prisma.pizza.findMany.mockResolvedValue([]);
+        prisma.pizza.count.mockResolvedValue(25);
+
+        const res = await request(app).get('/api/v1/pizzas?tags=vegetarian,cheese,-spicy&minPrice=8&maxPrice=12.5&limit=5');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.total).toBe(25);
+        const where = {
+            archivedAt: null,
+            ...availableWhere,
+            AND: [
+                ...availableWhere.AND,
+                { tags: { some: { key: 'vegetarian' } } },
+                { tags: { some: { key: 'cheese' } } }
+            ],
+            tags: { none: { key: { in: ['spicy'] } } },
+            price: { gte: 8, lte: 12.5 }
+        };
+        expect(prisma.pizza.findMany).toHaveBeenCalledWith({
+            where,
+            include: PIZZA_LIST_INCLUDE,
+            orderBy: [{ category: { position: 'asc' } }, { categoryId: 'asc' }, { position: 'asc' }, { id: 'asc' }],
+            take: 6
+        });
+        expect(prisma.pizza.count).toHaveBeenCalledWith({ where });
+    });
+
+    it('should sort by price, name or popularity', async () => {
+        prisma.pizza.findMany.mockResolvedValue([]);
+        prisma.pizza.count.mockResolvedValue(0);
+
+        await request(app).get('/api/v1/pizzas?sort=price&order=desc');
+        expect(prisma.pizza.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+            orderBy: [{ price: 'desc' }, { id: 'asc' }]
+        }));
+
+        await request(app).get('/api/v1/pizzas?sort=popularity');
+        expect(prisma.pizza.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+            orderBy: [{ OrderItem: { _count: 'desc' } }, { id: 'asc' }]
+        }));
+    });
+
+    it('should order text search results by relevance', async () => {
+        prisma.$queryRaw.mockResolvedValue([{ id: 1, rank: 0.2 }, { id: 2, rank: 1.1 }, { id: 3, rank: 0.5 }]);
+        prisma.pizza.findMany
+            .mockResolvedValueOnce([{ id: 1 }, { id: 2 }, { id: 3 }])
+            .mockResolvedValueOnce([
+                { id: 3, name: 'Funghi', tags: [], price: 9, description: 'Mushrooms' },
+                { id: 2, name: 'Mushroom Special', tags: [], price: 12, description: null }
+            ]);
+
+        const res = await request(app).get('/api/v1/pizzas?q=mushroom&limit=2');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.total).toBe(3);
+        expect(res.body.results.map(pizza => pizza.id)).toEqual([2, 3]);
+        expect(prisma.pizza.findMany).toHaveBeenNthCalledWith(1, {
+            where: { archivedAt: null, ...availableWhere, id: { in: [1, 2, 3] } },
+            select: { id: true }
+        });
+        expect(prisma.pizza.findMany).toHaveBeenNthCalledWith(2, expect.objectContaining({
+            where: { id: { in: [2, 3] } }
+        }));
+        expect(prisma.pizza.count).not.toHaveBeenCalled();
+    });
+
+    it('should return tag facets of the result set', async () => {
+        prisma.pizza.findMany.mockResolvedValue([]);
+        prisma.pizza.count.mockResolvedValue(3);
+        prisma.tag.findMany.mockResolvedValue([
+            { key: 'cheese', name: 'Cheese', _count: { pizzas: 2 } },
+            { key: 'spicy', name: 'Spicy', _count: { pizzas: 0 } },
+            { key: 'vegetarian', name: 'Vegetarian', _count: { pizzas: 3 } }
+        ]);
+
+        const res = await request(app).get('/api/v1/pizzas?tags=vegetarian');
+
+        expect(res.body.facets).toEqual({
+            tags: [
+                { key: 'cheese', name: 'Cheese', count: 2 },
+                { key: 'vegetarian', name: 'Vegetarian', count: 3 }
+            ]
+        });
+        expect(prisma.tag.findMany).toHaveBeenCalledWith({
+            select: {
+                key: true,
+                name: true,
+                _count: { select: { pizzas: { where: {
+                    archivedAt: null,
+                    ...availableWhere,
+                    AND: [...availableWhere.AND, { tags: { some: { key: 'vegetarian' } } }]
+                } } } }
+            },
+            orderBy: { key: 'asc' }
+        });
+    });
+
+    it('should filter by menu category', async () => {
+        prisma.pizza.findMany.mockResolvedValue([]);
+        prisma.pizza.count.mockResolvedValue(0);
+
+        let res = await request(app).get('/api/v1/pizzas?category=2');
+        expect(res.statusCode).toBe(200);
+        expect(prisma.pizza.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { archivedAt: null, ...availableWhere, categoryId: 2 }
+        }));
+
+        res = await request(app).get('/api/v1/pizzas?category=lunch');
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toMatch(/Invalid category ID/);
+    });
+
+    it('should list the menu categories in display order', async () => {
+        prisma.menuCategory.findMany.mockResolvedValueOnce([
+            { id: 2, name: 'Classics', description: null, position: 0 },
+            { id: 1, name: 'Lunch', description: 'Weekdays until 14:00', position: 1 }
+        ]);
+        prisma.menuCategory.count.mockResolvedValueOnce(2);
+
+        const res = await request(app).get('/api/v1/categories');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.results.map(category => category.name)).toEqual(['Classics', 'Lunch']);
+        expect(res.body.total).toBe(2);
+        expect(prisma.menuCategory.findMany).toHaveBeenCalledWith({
+            orderBy: [{ position: 'asc' }, { id: 'asc' }],
+            take: 21
+        });
     });
 
-    it('should return 400 for invalid limit', async () => {
-        const res = await request(app).get('/api/v1/pizzas?limit=200');
+    it('should return 400 for invalid search parameters', async () => {
+        let res = await request(app).get('/api/v1/pizzas?sort=calories');
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toMatch(/Sort must be one of: price, name, popularity/);
+
+        res = await request(app).get('/api/v1/pizzas?minPrice=20&maxPrice=10');
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toMatch(/Minimum price/);
+
+        res = await request(app).get("/api/v1/pizzas?tags=spicy';--");
         expect(res.statusCode).toBe(400);
-        expect(res.body.error).toMatch(/Limit must be between 0 and 100/);
+        expect(res.body.error).toMatch(/Invalid tag/);
+        expect(prisma.pizza.findMany).not.toHaveBeenCalled();
     });
 
     it('should handle empty results', async () => {
@@ -141,8 +493,17 @@ describe('GET /pizzas', () => {
                 ingredients: 'Cheese blend',
                 price: 15,
                 description: 'Four cheese pizza',
+                toppings: [{ removable: true, topping: { id: 2, name: 'Gorgonzola', price: 1.5 } }],
+                category: { id: 1, name: 'Classics' },
+                ...alwaysAvailable,
             };
             prisma.pizza.findUnique.mockResolvedValue(mockPizza);
+            prisma.pizzaOption.findMany.mockResolvedValueOnce([
+                { id: 1, type: 'size', name: 'Medium', priceModifier: 0, isDefault: true },
+                { id: 2, type: 'size', name: 'Large', priceModifier: 3, isDefault: false },
+                { id: 3, type: 'crust', name: 'Thin', priceModifier: 0, isDefault: false }
+            ]);
+            prisma.topping.findMany.mockResolvedValueOnce([{ id: 4, name: 'Olives', price: 1 }]);
 
             const res = await request(app).get('/api/v1/pizzas/5');
 
@@ -150,14 +511,30 @@ describe('GET /pizzas', () => {
             expect(res.body).toEqual({
                 id: 5,
                 name: 'Quattro Formaggi',
+                category: { id: 1, name: 'Classics' },
+                available: true,
+                soldOut: false,
+                availability: { availableFrom: null, availableUntil: null, windows: [] },
                 tags: ['cheese', 'vegetarian'],
                 ingredients: 'Cheese blend',
                 price: 15,
                 description: 'Four cheese pizza',
+                sizes: [
+                    { id: 1, name: 'Medium', priceModifier: 0, isDefault: true },
+                    { id: 2, name: 'Large', priceModifier: 3, isDefault: false }
+                ],
+                crusts: [{ id: 3, name: 'Thin', priceModifier: 0, isDefault: false }],
+                toppings: [{ id: 2, name: 'Gorgonzola', removable: true }],
+                extraToppings: [{ id: 4, name: 'Olives', price: 1 }],
             });
             expect(prisma.pizza.findUnique).toHaveBeenCalledWith({
                 where: { id: 5 },
-                include: { tags: { include: { tag: { select: { name: true } } } } }
+                include: {
+                    tags: { include: { tag: { select: { name: true } } } },
+                    toppings: { include: { topping: true } },
+                    category: { select: { id: true, name: true } },
+                    availabilityWindows: true
+                }
             });
         });
 
@@ -170,6 +547,49 @@ describe('GET /pizzas', () => {
             expect(res.body.error).toMatch(/Pizza not found/);
         });
 
+        it('should show pizzas outside of their time windows as not available', async () => {
+            // A window on no day of the week never matches
+            prisma.pizza.findUnique.mockResolvedValue({
+                id: 6,
+                name: 'Lunch Special',
+                tags: [],
+                ingredients: [],
+                price: 8,
+                description: null,
+                toppings: [],
+                category: null,
+                ...alwaysAvailable,
+                availabilityWindows: [{ days: [], startTime: '11:00', endTime: '14:00' }]
+            });
+
+            const res = await request(app).get('/api/v1/pizzas/6');
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.available).toBe(false);
+            expect(res.body.availability.windows).toEqual([{ days: [], startTime: '11:00', endTime: '14:00' }]);
+        });
+
+        it('should show sold out pizzas as not available', async () => {
+            prisma.pizza.findUnique.mockResolvedValue({
+                id: 7,
+                name: 'Tartufo',
+                tags: [],
+                ingredients: [],
+                price: 16,
+                description: null,
+                toppings: [],
+                category: null,
+                ...alwaysAvailable,
+                soldOut: true
+            });
+
+            const res = await request(app).get('/api/v1/pizzas/7');
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.available).toBe(false);
+            expect(res.body.soldOut).toBe(true);
+        });
+
         it('should return 400 for invalid pizza id', async () => {
             const res = await request(app).get('/api/v1/pizzas/abc');
 
@@ -180,16 +600,78 @@ describe('GET /pizzas', () => {
     });
 });
 
+describe('GET /extras', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should return available extras', async () => {
+        prisma.extra.findMany.mockResolvedValue([
+            { id: 1, type: 'drink', name: 'Cola', description: null, price: 2 },
+            { id: 2, type: 'sauce', name: 'Garlic Dip', description: 'Creamy', price: 1.5 },
+        ]);
+
+        const res = await request(app).get('/api/v1/extras');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.results).toEqual([
+            { id: 1, type: 'drink', name: 'Cola', description: null, price: 2 },
+            { id: 2, type: 'sauce', name: 'Garlic Dip', description: 'Creamy', price: 1.5 },
+        ]);
+        expect(prisma.extra.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { available: true }
+        }));
+    });
+
+    it('should filter extras by type', async () => {
+        prisma.extra.findMany.mockResolvedValue([]);
+
+        const res = await request(app).get('/api/v1/extras?type=Drink');
+
+        expect(res.statusCode).toBe(200);
+        expect(prisma.extra.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { available: true, type: 'drink' }
+        }));
+    });
+
+    it('should return 400 for unknown type', async () => {
+        const res = await request(app).get('/api/v1/extras?type=dessert');
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toMatch(/Type must be one of/);
+    });
+});
+
 // --- CART ROUTES TESTS ---
 
 // Mock redis
 jest.mock('../src/redis_client.js', () => {
-    return {
+    const client = {
         set: jest.fn(),
         get: jest.fn(),
         del: jest.fn(),
         connect: jest.fn(),
+        sAdd: jest.fn(),
+        sRem: jest.fn(),
+        sMembers: jest.fn(),
+        expire: jest.fn(),
+        getDel: jest.fn(),
+        hSet: jest.fn(),
+        hDel: jest.fn(),
+        hGetAll: jest.fn(() => Promise.resolve({})),
     };
+    // Transactions queue the commands and send them to the mocks above on exec
+    client.multi = jest.fn(() => {
+        const commands = [];
+        const transaction = { exec: jest.fn(() => Promise.all(commands.map(command => command()))) };
+        for (const name of ['expire', 'sAdd', 'hSet']) {
+            transaction[name] = jest.fn((...args) => {
+                commands.push(() => client[name](...args));
+                return transaction;
+            });
+        }
+        return transaction;
+    });
+    return client;
 });
 
 describe('Cart routes', () => {
@@ -205,12 +687,20 @@ describe('Cart routes', () => {
             updatedAt: new Date(),
             cart: {
                 items: [],
+                extras: [],
                 total: 0
             }
         };
         // By default, getSessionForRequest will create a new session
         redisClient.get.mockResolvedValue(null);
         redisClient.set.mockResolvedValue();
+        prisma.pizza.findMany.mockResolvedValue([
+            { id: 1, name: 'Margherita', price: 10, ...alwaysAvailable },
+            { id: 2, name: 'Pepperoni', price: 6.5, ...alwaysAvailable }
+        ]);
+        prisma.extra.findMany.mockResolvedValue([
+            { id: 7, type: 'drink', name: 'Cola', price: 2 }
+        ]);
     });
 
     describe('GET /cart', () => {
@@ -218,7 +708,8 @@ describe('Cart routes', () => {
             redisClient.set.mockResolvedValue();
             const res = await request(app).get('/api/v1/cart');
             expect(res.statusCode).toBe(200);
-            expect(res.body).toEqual({ items: [], total: 0 });
+            expect(res.body).toEqual({ pizzas: [], extras: [], subtotal: 0, promoCode: null, discount: 0, tax: 0, total: 0 });
+            expect(prisma.pizza.findMany).not.toHaveBeenCalled();
         });
 
         it('should return an existing cart if session exists', async () => {
@@ -229,42 +720,136 @@ describe('Cart routes', () => {
             // Simulate cookie
             const res = await agent.get('/api/v1/cart').set('Cookie', [`session=${mockSessionId}`]);
             expect(res.statusCode).toBe(200);
-            expect(res.body).toEqual({ items: [{ pizzaId: 1, quantity: 2 }], total: 20 });
+            expect(res.body).toEqual({
+                pizzas: [{ lineId: '1', pizzaId: 1, name: 'Margherita', available: true, size: null, crust: null, removedToppings: [], extraToppings: [], quantity: 2, unitPrice: 10, totalPrice: 20 }],
+                extras: [],
+                subtotal: 20,
+                promoCode: null,
+                discount: 0,
+                tax: 0,
+                total: 20
+            });
+            expect(redisClient.set).not.toHaveBeenCalled();
+        });
+
+        it('should remember the total the customer saw', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.total = 18; // The price went up since the pizza was added
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            redisClient.set.mockResolvedValue();
+            const res = await request(app).get('/api/v1/cart').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.total).toBe(20);
+            expect(JSON.parse(redisClient.set.mock.calls[0][1]).cart.total).toBe(20);
+        });
+
+        it('should add the tax of exclusive rates to the total', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.extras = [{ itemId: 7, quantity: 1 }];
+            mockSession.cart.total = 22.2;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.taxRate.findMany.mockResolvedValueOnce([
+                { category: 'pizza', rate: 7, inclusive: true },
+                { category: 'drink', rate: 10, inclusive: false }
+            ]);
+            const res = await request(app).get('/api/v1/cart').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(200);
+            // 20 with 1.31 included, 2 plus 0.20
+            expect(res.body).toEqual(expect.objectContaining({ subtotal: 22, tax: 1.51, total: 22.2 }));
+        });
+
+        it('should return itemized pizzas and extras with 2-digit precision', async () => {
+            mockSession.cart.items = [{ pizzaId: 2, quantity: 3 }];
+            mockSession.cart.extras = [{ itemId: 7, quantity: 1 }];
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.pizza.findMany.mockResolvedValue([{ id: 2, name: 'Pepperoni', price: 6.1, ...alwaysAvailable }]);
+            const res = await request(app).get('/api/v1/cart').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toEqual({
+                pizzas: [{ lineId: '2', pizzaId: 2, name: 'Pepperoni', available: true, size: null, crust: null, removedToppings: [], extraToppings: [], quantity: 3, unitPrice: 6.1, totalPrice: 18.3 }],
+                extras: [{ itemId: 7, type: 'drink', name: 'Cola', quantity: 1, unitPrice: 2, totalPrice: 2 }],
+                subtotal: 20.3,
+                promoCode: null,
+                discount: 0,
+                tax: 0,
+                total: 20.3
+            });
+        });
+
+        it('should leave out pizzas that no longer exist', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }, { pizzaId: 3, quantity: 1 }];
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).get('/api/v1/cart').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.pizzas.map(p => p.pizzaId)).toEqual([1]);
+            expect(res.body.total).toBe(10);
+        });
+
+        it('should keep pizzas that are not available right now, marked as such', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }, { pizzaId: 2, quantity: 1 }];
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.pizza.findMany.mockResolvedValueOnce([
+                { id: 1, name: 'Margherita', price: 10, ...alwaysAvailable },
+                { id: 2, name: 'Pepperoni', price: 6.5, ...alwaysAvailable, available: false }
+            ]);
+            const res = await request(app).get('/api/v1/cart').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.pizzas.map(p => [p.pizzaId, p.available])).toEqual([[1, true], [2, false]]);
         });
     });
 
     describe('POST /cart', () => {
         it('should add a pizza to the cart', async () => {
-            prisma.pizza.findUnique.mockResolvedValue({ id: 1, price: 10 });
+            prisma.pizza.findUnique.mockResolvedValue({ id: 1, price: 10, ...alwaysAvailable });
             redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
             const res = await request(app)
                 .post('/api/v1/cart')
                 .send({ pizzaId: 1, quantity: 2 });
             expect(res.statusCode).toBe(200);
-            expect(res.body.items).toEqual([{ pizzaId: 1, quantity: 2 }]);
+            expect(res.body.pizzas).toEqual([{ lineId: expect.any(String), pizzaId: 1, name: 'Margherita', available: true, size: null, crust: null, removedToppings: [], extraToppings: [], quantity: 2, unitPrice: 10, totalPrice: 20 }]);
             expect(res.body.total).toBe(20);
             expect(redisClient.set).toHaveBeenCalled();
         });
 
-        it('should increment quantity if pizza already in cart', async () => {
+        it('should set quantity if pizza already in cart', async () => {
             mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }];
             mockSession.cart.total = 10;
-            prisma.pizza.findUnique.mockResolvedValue({ id: 1, price: 10 });
+            prisma.pizza.findUnique.mockResolvedValue({ id: 1, price: 10, ...alwaysAvailable });
             redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
             const res = await request(app)
                 .post('/api/v1/cart')
                 .send({ pizzaId: 1, quantity: 3 });
             expect(res.statusCode).toBe(200);
-            expect(res.body.items).toEqual([{ pizzaId: 1, quantity: 4 }]);
-            expect(res.body.total).toBe(40);
+            expect(res.body.pizzas).toEqual([{ lineId: '1', pizzaId: 1, name: 'Margherita', available: true, size: null, crust: null, removedToppings: [], extraToppings: [], quantity: 3, unitPrice: 10, totalPrice: 30 }]);
+            expect(res.body.total).toBe(30);
         });
 
-        it('should return 400 for invalid pizzaId or quantity', async () => {
+        it('should remove a pizza when quantity is 0', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.total = 20;
+            prisma.pizza.findUnique.mockResolvedValue({ id: 1, price: 10, toppings: [] });
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
             const res = await request(app)
+                .post('/api/v1/cart')
+                .send({ pizzaId: 1, quantity: 0 });
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toEqual({ pizzas: [], extras: [], subtotal: 0, promoCode: null, discount: 0, tax: 0, total: 0 });
+            const saved = JSON.parse(redisClient.set.mock.calls[0][1]);
+            expect(saved.cart).toEqual({ items: [], extras: [], total: 0 });
+        });
+
+        it('should return 400 for invalid pizzaId or quantity', async () => {
+            let res = await request(app)
                 .post('/api/v1/cart')
                 .send({ pizzaId: 'abc', quantity: 2 });
             expect(res.statusCode).toBe(400);
             expect(res.body.error).toMatch(/Invalid pizza ID or quantity/);
+
+            res = await request(app)
+                .post('/api/v1/cart')
+                .send({ pizzaId: 1, quantity: -1 });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Invalid pizza ID or quantity/);
         });
 
         it('should return 404 if pizza does not exist', async () => {
@@ -275,66 +860,421 @@ describe('Cart routes', () => {
             expect(res.statusCode).toBe(404);
             expect(res.body.error).toMatch(/Pizza not found/);
         });
+
+        it('should return 409 if the pizza is not available right now', async () => {
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.pizza.findUnique.mockResolvedValueOnce({ id: 1, price: 10, toppings: [], ...alwaysAvailable, available: false });
+            let res = await request(app)
+                .post('/api/v1/cart')
+                .send({ pizzaId: 1, quantity: 1 });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toMatch(/not available right now/);
+
+            // Not yet in season
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.pizza.findUnique.mockResolvedValueOnce({
+                id: 1, price: 10, toppings: [], ...alwaysAvailable, availableFrom: new Date(Date.now() + 24*60*60*1000)
+            });
+            res = await request(app)
+                .post('/api/v1/cart')
+                .send({ pizzaId: 1, quantity: 1 });
+            expect(res.statusCode).toBe(409);
+            expect(redisClient.set).not.toHaveBeenCalled();
+            expect(prisma.pizza.findUnique).toHaveBeenCalledWith({
+                where: { id: 1 },
+                include: { toppings: true, availabilityWindows: true }
+            });
+        });
     });
 
-    describe('DELETE /cart/:pizzaId', () => {
-        it('should remove a pizza from the cart', async () => {
-            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
-            mockSession.cart.total = 20;
-            prisma.pizza.findUnique.mockResolvedValue({ id: 1, price: 10 });
+    describe('Pizza options', () => {
+        const large = { id: 2, type: 'size', name: 'Large', priceModifier: 3, isDefault: false, available: true };
+        const medium = { id: 1, type: 'size', name: 'Medium', priceModifier: 0, isDefault: true, available: true };
+        const olives = { id: 5, name: 'Olives', price: 1.5, available: true };
+        const pizza = { id: 1, price: 10, toppings: [{ toppingId: 4, removable: true }, { toppingId: 6, removable: false }], ...alwaysAvailable };
+
+        it('should price the chosen size and extra toppings', async () => {
+            prisma.pizza.findUnique.mockResolvedValue(pizza);
+            prisma.pizzaOption.findMany
+                .mockResolvedValueOnce([medium, large])
+                .mockResolvedValueOnce([large]);
+            prisma.topping.findMany
+                .mockResolvedValueOnce([olives])
+                .mockResolvedValueOnce([{ id: 4, name: 'Onions', price: 1, available: true }, olives]);
             redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
-            const res = await request(app).delete('/api/v1/cart/1');
+            const res = await request(app)
+                .post('/api/v1/cart')
+                .send({ pizzaId: 1, quantity: 2, sizeId: 2, removeToppings: [4], extraToppings: [5] });
             expect(res.statusCode).toBe(200);
-            expect(res.body.items).toEqual([]);
-            expect(res.body.total).toBe(0);
+            expect(res.body.pizzas).toEqual([{
+                lineId: expect.any(String),
+                pizzaId: 1,
+                name: 'Margherita',
+                available: true,
+                size: { id: 2, name: 'Large', priceModifier: 3 },
+                crust: null,
+                removedToppings: [{ id: 4, name: 'Onions' }],
+                extraToppings: [{ id: 5, name: 'Olives', price: 1.5 }],
+                quantity: 2,
+                unitPrice: 14.5,
+                totalPrice: 29
+            }]);
+            const saved = JSON.parse(redisClient.set.mock.calls[0][1]);
+            expect(saved.cart.items[0]).toEqual(expect.objectContaining({
+                sizeId: 2, crustId: null, removedToppingIds: [4], extraToppingIds: [5]
+            }));
         });
 
-        it('should return 400 for invalid pizzaId', async () => {
-            const res = await request(app).delete('/api/v1/cart/abc');
-            expect(res.statusCode).toBe(400);
-            expect(res.body.error).toMatch(/Invalid pizza ID/);
+        it('should keep the same pizza with different options on separate lines', async () => {
+            mockSession.cart.items = [{ lineId: 'line-a', pizzaId: 1, quantity: 1, sizeId: 1, crustId: null, removedToppingIds: [], extraToppingIds: [] }];
+            prisma.pizza.findUnique.mockResolvedValue(pizza);
+            prisma.pizzaOption.findMany
+                .mockResolvedValueOnce([medium, large])
+                .mockResolvedValueOnce([medium, large]);
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app)
+                .post('/api/v1/cart')
+                .send({ pizzaId: 1, quantity: 1, sizeId: 2 });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.pizzas.map(line => [line.lineId, line.unitPrice])).toEqual([
+                ['line-a', 10],
+                [expect.any(String), 13]
+            ]);
+            expect(res.body.total).toBe(23);
         });
 
-        it('should return 404 if pizza not in cart', async () => {
-            mockSession.cart.items = [];
+        it('should return 400 for an unknown size', async () => {
+            prisma.pizza.findUnique.mockResolvedValue(pizza);
+            prisma.pizzaOption.findMany.mockResolvedValueOnce([medium, large]);
             redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
-            const res = await request(app).delete('/api/v1/cart/2');
-            expect(res.statusCode).toBe(404);
-            expect(res.body.error).toMatch(/Pizza not found in cart/);
+            const res = await request(app)
+                .post('/api/v1/cart')
+                .send({ pizzaId: 1, quantity: 1, sizeId: 9 });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Size not found/);
+            expect(redisClient.set).not.toHaveBeenCalled();
         });
 
-        it('should return 404 if pizza does not exist in DB', async () => {
-            mockSession.cart.items = [{ pizzaId: 3, quantity: 1 }];
-            prisma.pizza.findUnique.mockResolvedValue(null);
+        it('should return 400 when removing a topping that is not removable', async () => {
+            prisma.pizza.findUnique.mockResolvedValue(pizza);
             redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
-            const res = await request(app).delete('/api/v1/cart/3');
-            expect(res.statusCode).toBe(404);
-            expect(res.body.error).toMatch(/Pizza not found/);
+            const res = await request(app)
+                .post('/api/v1/cart')
+                .send({ pizzaId: 1, quantity: 1, removeToppings: [6] });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/can't be removed/);
         });
     });
 
-    describe('DELETE /cart', () => {
-        it('should clear the cart', async () => {
-            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
-            mockSession.cart.total = 20;
+    describe('PATCH /cart/pizza/:lineId', () => {
+        it('should change the quantity of a line', async () => {
+            mockSession.cart.items = [{ lineId: 'line-a', pizzaId: 1, quantity: 1 }];
             redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
-            const res = await request(app).delete('/api/v1/cart');
+            const res = await request(app)
+                .patch('/api/v1/cart/pizza/line-a')
+                .send({ quantity: 4 });
             expect(res.statusCode).toBe(200);
-            expect(res.body.items).toEqual([]);
-            expect(res.body.total).toBe(0);
+            expect(res.body.pizzas[0]).toEqual(expect.objectContaining({ lineId: 'line-a', quantity: 4, totalPrice: 40 }));
         });
 
-    });
-});
-
+        it('should remove a line when quantity is 0', async () => {
+            mockSession.cart.items = [{ lineId: 'line-a', pizzaId: 1, quantity: 1 }];
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app)
+                .patch('/api/v1/cart/pizza/line-a')
+                .send({ quantity: 0 });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.pizzas).toEqual([]);
+        });
+
+        it('should return 400 for an invalid quantity and 404 for an unknown line', async () => {
+            mockSession.cart.items = [{ lineId: 'line-a', pizzaId: 1, quantity: 1 }];
+            redisClient.get.mockResolvedValue(JSON.stringify(mockSession));
+            let res = await request(app)
+                .patch('/api/v1/cart/pizza/line-a')
+                .send({ quantity: -2 });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Invalid quantity/);
+
+            res = await request(app)
+                .patch('/api/v1/cart/pizza/line-b')
+                .send({ quantity: 2 });
+            expect(res.statusCode).toBe(404);
+            expect(res.body.error).toMatch(/Pizza not found in cart/);
+        });
+    });
+
+    describe('DELETE /cart/pizza/:lineId', () => {
+        it('should remove a pizza from the cart', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.total = 20;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).delete('/api/v1/cart/pizza/1');
+            expect(res.statusCode).toBe(200);
+            expect(res.body.pizzas).toEqual([]);
+            expect(res.body.total).toBe(0);
+        });
+
+        it('should return 404 if pizza not in cart', async () => {
+            mockSession.cart.items = [];
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).delete('/api/v1/cart/pizza/2');
+            expect(res.statusCode).toBe(404);
+            expect(res.body.error).toMatch(/Pizza not found in cart/);
+        });
+
+        it('should remove a pizza that no longer exists in DB', async () => {
+            mockSession.cart.items = [{ pizzaId: 3, quantity: 1 }];
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).delete('/api/v1/cart/pizza/3');
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toEqual({ pizzas: [], extras: [], subtotal: 0, promoCode: null, discount: 0, tax: 0, total: 0 });
+        });
+    });
+
+    describe('Extras in cart', () => {
+        it('should add an extra to the cart', async () => {
+            prisma.extra.findUnique.mockResolvedValue({ id: 7, price: 2, available: true });
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app)
+                .post('/api/v1/cart')
+                .send({ itemId: 7, quantity: 3 });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.extras).toEqual([{ itemId: 7, type: 'drink', name: 'Cola', quantity: 3, unitPrice: 2, totalPrice: 6 }]);
+            expect(res.body.total).toBe(6);
+            expect(redisClient.set).toHaveBeenCalled();
+        });
+
+        it('should set quantity if extra already in cart', async () => {
+            mockSession.cart.extras = [{ itemId: 7, quantity: 5 }];
+            prisma.extra.findUnique.mockResolvedValue({ id: 7, price: 2, available: true });
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app)
+                .post('/api/v1/cart')
+                .send({ itemId: 7, quantity: 1 });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.extras[0].quantity).toBe(1);
+            expect(res.body.total).toBe(2);
+        });
+
+        it('should remove an extra when quantity is 0', async () => {
+            mockSession.cart.extras = [{ itemId: 7, quantity: 2 }];
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app)
+                .post('/api/v1/cart')
+                .send({ itemId: 7, quantity: 0 });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.extras).toEqual([]);
+        });
+
+        it('should return 404 if extra does not exist', async () => {
+            prisma.extra.findUnique.mockResolvedValue(null);
+            const res = await request(app)
+                .post('/api/v1/cart')
+                .send({ itemId: 999, quantity: 1 });
+            expect(res.statusCode).toBe(404);
+            expect(res.body.error).toMatch(/Extra not found/);
+        });
+
+        it('should return 409 if extra is not available', async () => {
+            prisma.extra.findUnique.mockResolvedValue({ id: 7, price: 2, available: false });
+            const res = await request(app)
+                .post('/api/v1/cart')
+                .send({ itemId: 7, quantity: 1 });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toMatch(/not available/);
+        });
+
+        it('should remove an extra from the cart', async () => {
+            mockSession.cart.extras = [{ itemId: 7, quantity: 2 }];
+            mockSession.cart.total = 4;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).delete('/api/v1/cart/extra/7');
+            expect(res.statusCode).toBe(200);
+            expect(res.body.extras).toEqual([]);
+            expect(res.body.total).toBe(0);
+        });
+
+        it('should return 404 if extra not in cart', async () => {
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).delete('/api/v1/cart/extra/7');
+            expect(res.statusCode).toBe(404);
+            expect(res.body.error).toMatch(/Extra not found in cart/);
+        });
+    });
+
+    describe('Saved carts of logged in users', () => {
+        it('should show the saved cart instead of the session copy', async () => {
+            mockSession.userId = 1;
+            mockSession.cart.items = [{ pizzaId: 2, quantity: 1 }];
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.cart.findUnique.mockResolvedValue({ id: 3, items: [savedCartItem(1, 2)], extras: [] });
+            const res = await request(app).get('/api/v1/cart').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.pizzas.map(p => p.pizzaId)).toEqual([1]);
+            expect(prisma.cart.findUnique).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 1 } }));
+        });
+
+        it('should save cart changes for logged in users', async () => {
+            mockSession.userId = 1;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.cart.findUnique.mockResolvedValue(null);
+            prisma.pizza.findUnique.mockResolvedValue({ id: 1, price: 10, ...alwaysAvailable });
+            prisma.$transaction.mockResolvedValue();
+            const res = await request(app)
+                .post('/api/v1/cart')
+                .set('Cookie', [`session=${mockSessionId}`])
+                .send({ pizzaId: 1, quantity: 2 });
+            expect(res.statusCode).toBe(200);
+            expect(prisma.$transaction).toHaveBeenCalled();
+        });
+
+        it('should not touch saved carts for anonymous sessions', async () => {
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.pizza.findUnique.mockResolvedValue({ id: 1, price: 10, ...alwaysAvailable });
+            await request(app)
+                .post('/api/v1/cart')
+                .set('Cookie', [`session=${mockSessionId}`])
+                .send({ pizzaId: 1, quantity: 2 });
+            expect(prisma.cart.findUnique).not.toHaveBeenCalled();
+            expect(prisma.$transaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Promo codes', () => {
+        const percentPromo = {
+            id: 4,
+            code: 'SUMMER10',
+            description: '10% off',
+            type: 'percent',
+            value: 10,
+            freePizzaId: null,
+            freeExtraId: null,
+            minSpend: null,
+            validFrom: null,
+            validUntil: null,
+            maxUses: null,
+            maxUsesPerUser: null,
+            active: true
+        };
+
+        it('should apply a promo code and show the discount', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.promoCode.findUnique.mockResolvedValue(percentPromo);
+            const res = await request(app)
+                .post('/api/v1/cart/promo')
+                .set('Cookie', [`session=${mockSessionId}`])
+                .send({ code: ' summer10 ' });
+            expect(res.statusCode).toBe(200);
+            expect(prisma.promoCode.findUnique).toHaveBeenCalledWith({ where: { code: 'SUMMER10' } });
+            expect(res.body.subtotal).toBe(20);
+            expect(res.body.promoCode).toEqual({ code: 'SUMMER10', description: '10% off', error: null });
+            expect(res.body.discount).toBe(2);
+            expect(res.body.total).toBe(18);
+            const savedSession = JSON.parse(redisClient.set.mock.calls[0][1]);
+            expect(savedSession.cart.promoCode).toBe('SUMMER10');
+            expect(savedSession.cart.total).toBe(18);
+        });
+
+        it('should return 404 for unknown or inactive codes', async () => {
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.promoCode.findUnique.mockResolvedValue({ ...percentPromo, active: false });
+            const res = await request(app)
+                .post('/api/v1/cart/promo')
+                .set('Cookie', [`session=${mockSessionId}`])
+                .send({ code: 'SUMMER10' });
+            expect(res.statusCode).toBe(404);
+            expect(res.body.error).toMatch(/Promo code not found/);
+        });
+
+        it('should reject codes whose rules are not met', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }];
+            redisClient.get.mockResolvedValue(JSON.stringify(mockSession));
+            prisma.promoCode.findUnique.mockResolvedValue({ ...percentPromo, minSpend: 25 });
+            let res = await request(app)
+                .post('/api/v1/cart/promo')
+                .set('Cookie', [`session=${mockSessionId}`])
+                .send({ code: 'SUMMER10' });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toMatch(/minimum spend of 25.00/);
+
+            prisma.promoCode.findUnique.mockResolvedValue({ ...percentPromo, validUntil: new Date('2020-01-01') });
+            res = await request(app)
+                .post('/api/v1/cart/promo')
+                .set('Cookie', [`session=${mockSessionId}`])
+                .send({ code: 'SUMMER10' });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toMatch(/expired/);
+
+            prisma.promoCode.findUnique.mockResolvedValue({ ...percentPromo, maxUsesPerUser: 1 });
+            res = await request(app)
+                .post('/api/v1/cart/promo')
+                .set('Cookie', [`session=${mockSessionId}`])
+                .send({ code: 'SUMMER10' });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toMatch(/Log in/);
+        });
+
+        it('should keep a code that stopped applying on the cart without a discount', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }];
+            mockSession.cart.promoCode = 'SUMMER10';
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.promoCode.findUnique.mockResolvedValue({ ...percentPromo, minSpend: 25 });
+            const res = await request(app).get('/api/v1/cart').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.promoCode.error).toMatch(/minimum spend/);
+            expect(res.body.discount).toBe(0);
+            expect(res.body.total).toBe(10);
+        });
+
+        it('should remove the applied code', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }];
+            mockSession.cart.promoCode = 'SUMMER10';
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).delete('/api/v1/cart/promo').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.promoCode).toBeNull();
+            expect(res.body.total).toBe(10);
+            expect(JSON.parse(redisClient.set.mock.calls[0][1]).cart.promoCode).toBeUndefined();
+        });
+
+        it('should return 404 when removing without an applied code', async () => {
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).delete('/api/v1/cart/promo').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(404);
+        });
+    });
+
+    describe('DELETE /cart', () => {
+        it('should clear the cart', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.total = 20;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).delete('/api/v1/cart');
+            expect(res.statusCode).toBe(200);
+            expect(res.body.pizzas).toEqual([]);
+            expect(res.body.extras).toEqual([]);
+            expect(res.body.total).toBe(0);
+        });
+
+    });
+});
+
 // Mock security and mail modules
 jest.mock('../src/security.js', () => ({
     hashPassword: jest.fn(() => 'hashed-password'),
     verifyPassword: jest.fn(),
     getSecureToken: jest.fn(() => 'secure-token'),
+    hashToken: jest.fn(token => `hash-of-${token}`),
 }));
 jest.mock('../src/mail.js', () => ({
     sendEmail: jest.fn(),
+    sendTemplateEmail: jest.fn(),
+}));
+jest.mock('../src/order_events.js', () => ({
+    publishOrderEvent: jest.fn(),
+    subscribeToOrder: jest.fn(),
 }));
 
 
@@ -368,7 +1308,7 @@ describe('Auth routes', () => {
         it('should create user and send verification email', async () => {
             prisma.user = {
                 findUnique: jest.fn().mockResolvedValue(null),
-                create: jest.fn().mockResolvedValue({ username: 'test@x.com' }),
+                create: jest.fn().mockResolvedValue({ email: 'test@x.com' }),
             };
             prisma.emailVerification = {
                 create: jest.fn().mockResolvedValue({ token: 'secure-token' }),
@@ -377,11 +1317,9 @@ describe('Auth routes', () => {
             expect(res.statusCode).toBe(201);
             expect(res.body.message).toMatch(/User created successfully/);
             expect(prisma.user.create).toHaveBeenCalled();
-            expect(sendEmail).toHaveBeenCalledWith(
-                'test@x.com',
-                expect.stringContaining('Verify'),
-                expect.stringContaining('/api/v1/auth/verify?token=secure-token')
-            );
+            expect(sendTemplateEmail).toHaveBeenCalledWith('test@x.com', 'verification', {
+                link: expect.stringContaining('/api/v1/auth/verify?token=secure-token')
+            });
         });
     });
 
@@ -417,11 +1355,9 @@ describe('Auth routes', () => {
             const res = await request(app).post('/api/v1/auth/resend-verification').send({ email: 'a@b.com' });
             expect(res.statusCode).toBe(200);
             expect(res.body.message).toMatch(/Verification email sent/);
-            expect(sendEmail).toHaveBeenCalledWith(
-                'a@b.com',
-                expect.stringContaining('Verify your account'),
-                expect.stringContaining('/api/v1/auth/verify?token=secure-token')
-            );
+            expect(sendTemplateEmail).toHaveBeenCalledWith('a@b.com', 'verification', {
+                link: expect.stringContaining('/api/v1/auth/verify?token=secure-token')
+            });
         });
     });
 
@@ -491,6 +1427,13 @@ describe('Auth routes', () => {
             expect(res.body.error).toMatch(/Invalid credentials/);
         });
 
+        it('should not log in accounts without a password', async () => {
+            prisma.user = { findUnique: jest.fn().mockResolvedValue({ id: 1, email: 'a@b.com', verified: true, password: null }) };
+            const res = await request(app).post('/api/v1/auth/login').send({ email: 'a@b.com', password: 'any password' });
+            expect(res.statusCode).toBe(401);
+            expect(security.verifyPassword).not.toHaveBeenCalled();
+        });
+
         it('should login user and return user info', async () => {
             prisma.user = { findUnique: jest.fn().mockResolvedValue({ id: 1, email: 'a@b.com', verified: true, password: 'hashed' }) };
             security.verifyPassword.mockResolvedValue(true);
@@ -500,6 +1443,73 @@ describe('Auth routes', () => {
             expect(res.statusCode).toBe(200);
             expect(res.body.user).toEqual({ id: 1, email: 'a@b.com' });
         });
+
+        it('should attach the user to the current session', async () => {
+            prisma.user = { findUnique: jest.fn().mockResolvedValue({ id: 1, email: 'a@b.com', verified: true, password: 'hashed' }) };
+            security.verifyPassword.mockResolvedValue(true);
+            prisma.cart.findUnique.mockResolvedValue(null);
+            redisClient.get.mockResolvedValue(JSON.stringify({
+                id: 'mock-session-id',
+                cart: { items: [], extras: [], total: 0 },
+                userId: null
+            }));
+            redisClient.set.mockResolvedValue();
+            const res = await request(app)
+                .post('/api/v1/auth/login')
+                .set('Cookie', ['session=mock-session-id'])
+                .send({ email: 'a@b.com', password: 'right' });
+            expect(res.statusCode).toBe(200);
+            // The login moves the session to a new ID, against session fixation
+            const [, sessionId] = /^session=([^;]+)/.exec(res.headers['set-cookie'].at(-1));
+            expect(sessionId).not.toBe('mock-session-id');
+            expect(redisClient.set).toHaveBeenCalledWith(
+                `pizzago_session:${sessionId}`,
+                expect.stringContaining('"userId":1'),
+                expect.anything()
+            );
+            expect(redisClient.del).toHaveBeenCalledWith('pizzago_session:mock-session-id');
+            expect(prisma.$transaction).toHaveBeenCalled();
+            expect(redisClient.sAdd).toHaveBeenCalledWith('pizzago_user_sessions:1', sessionId);
+            expect(prisma.order.updateMany).toHaveBeenCalledWith({
+                where: { sessionId: 'mock-session-id', userId: null },
+                data: { userId: 1 }
+            });
+        });
+
+        it('should merge the anonymous cart with the saved cart', async () => {
+            prisma.user = { findUnique: jest.fn().mockResolvedValue({ id: 1, email: 'a@b.com', verified: true, password: 'hashed' }) };
+            security.verifyPassword.mockResolvedValue(true);
+            prisma.cart.findUnique.mockResolvedValue({
+                id: 3,
+                items: [savedCartItem(1, 1), savedCartItem(2, 4)],
+                extras: [{ extraId: 7, quantity: 1 }]
+            });
+            prisma.pizza.findMany.mockResolvedValue([
+                { id: 1, name: 'Margherita', price: 10, ...alwaysAvailable },
+                { id: 2, name: 'Pepperoni', price: 12 }
+            ]);
+            prisma.extra.findMany.mockResolvedValue([{ id: 7, type: 'drink', name: 'Cola', price: 2 }]);
+            redisClient.get.mockResolvedValue(JSON.stringify({
+                id: 'mock-session-id',
+                cart: { items: [{ pizzaId: 1, quantity: 3 }], extras: [], total: 30 },
+                userId: null
+            }));
+            redisClient.set.mockResolvedValue();
+            const res = await request(app)
+                .post('/api/v1/auth/login')
+                .set('Cookie', ['session=mock-session-id'])
+                .send({ email: 'a@b.com', password: 'right' });
+            expect(res.statusCode).toBe(200);
+            const saved = JSON.parse(redisClient.set.mock.calls[0][1]);
+            expect(saved.cart).toEqual({
+                items: [
+                    { lineId: 'line-1', pizzaId: 1, quantity: 3, sizeId: null, crustId: null, removedToppingIds: [], extraToppingIds: [] },
+                    { lineId: 'line-2', pizzaId: 2, quantity: 4, sizeId: null, crustId: null, removedToppingIds: [], extraToppingIds: [] }
+                ],
+                extras: [{ itemId: 7, quantity: 1 }],
+                total: 80
+            });
+        });
     });
 
     describe('POST /api/v1/auth/logout', () => {
@@ -518,170 +1528,3256 @@ describe('Auth routes', () => {
             expect(res.body.message).toMatch(/Logged out successfully/);
             expect(redisClient.del).toHaveBeenCalled();
         });
-    });
-});
 
-// --- ORDER ROUTES TESTS ---
+        it('should remove the session from the user session index', async () => {
+            redisClient.get.mockResolvedValue(JSON.stringify({ id: 'mock-session-id', cart: { items: [], extras: [] }, userId: 4 }));
+            redisClient.del.mockResolvedValue();
+            const res = await request(app).post('/api/v1/auth/logout').set('Cookie', ['session=mock-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(redisClient.sRem).toHaveBeenCalledWith('pizzago_user_sessions:4', 'mock-session-id');
+        });
+    });
 
-describe('Order routes', () => {
-    let mockSession;
-    let mockSessionId;
+    describe('Token login', () => {
+        const user = { id: 1, email: 'a@b.com', verified: true, password: 'hashed' };
+        let tokenSession;
 
-    beforeEach(() => {
-        jest.clearAllMocks();
-        mockSessionId = 'mock-session-id';
-        mockSession = {
-            id: mockSessionId,
-            createdAt: new Date(),
-            updatedAt: new Date(),
-            cart: {
-                items: [],
-                total: 0
-            }
-        };
-        redisClient.get.mockResolvedValue(null);
-        redisClient.set.mockResolvedValue();
-    });
+        beforeEach(() => {
+            tokenSession = { id: 'token-session-id', createdAt: new Date(), updatedAt: new Date(), cart: { items: [], extras: [], total: 0 }, userId: 1, tokenAuth: true };
+            redisClient.get.mockImplementation(key => Promise.resolve(key === 'pizzago_session:token-session-id' ? JSON.stringify(tokenSession) : null));
+            prisma.user = { findUnique: jest.fn().mockResolvedValue(user) };
+            prisma.cart.findUnique.mockResolvedValue(null);
+            security.verifyPassword.mockResolvedValue(true);
+        });
 
-    describe('POST /orders', () => {
-        it('should return 400 if cart is empty', async () => {
-            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
-            const res = await request(app).post('/api/v1/orders');
-            expect(res.statusCode).toBe(400);
-            expect(res.body.error).toMatch(/Cart is empty/);
+        afterEach(() => {
+            redisClient.get.mockReset();
+            redisClient.getDel.mockReset();
         });
 
-        it('should create an order and clear the cart', async () => {
-            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
-            mockSession.cart.total = 20;
-            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
-            const createdAt = new Date();
-            const mockOrder = {
-                id: 101,
-                total: 20,
-                createdAt,
-                items: [{ pizzaId: 1, quantity: 2 }]
-            };
-            // Mock prisma.order.create
-            if (!prisma.order) prisma.order = {};
-            prisma.order.create = jest.fn().mockResolvedValue(mockOrder);
-            prisma.pizza.findMany = jest.fn().mockResolvedValue([
-                { id: 1, price: 10 }
-            ]);
+        function bearer(claims = { sub: '1', sid: 'token-session-id' }) {
+            return `Bearer ${signAccessToken(claims)}`;
+        }
 
-            const res = await request(app).post('/api/v1/orders');
-            expect(res.statusCode).toBe(201);
-            expect(res.body.orderId).toBe(101);
-            expect(res.body.total).toBe(20);
-            expect(Array.isArray(res.body.items)).toBe(true);
-            expect(res.body.items).toEqual([{ pizzaId: 1, quantity: 2 }]);
-            expect(prisma.order.create).toHaveBeenCalledWith({
-                data: {
-                    sessionId: mockSessionId,
-                    items: { create: [{ pizzaId: 1, quantity: 2, unitPrice: 10, totalPrice: 20 }] },
-                    total: 20,
-                    createdAt: expect.any(Date),
-                },
-                include: { items: true }
+        it('should start a session for the user and return its tokens', async () => {
+            const res = await request(app).post('/api/v1/auth/token').send({ email: 'a@b.com', password: 'right' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toEqual({
+                accessToken: expect.any(String),
+                tokenType: 'Bearer',
+                expiresIn: 900,
+                refreshToken: 'secure-token',
+                user: { id: 1, email: 'a@b.com' }
             });
-            expect(redisClient.set).toHaveBeenCalled();
+            expect(res.headers['set-cookie']).toBeUndefined();
+
+            const session = JSON.parse(redisClient.set.mock.calls.find(([key]) => key.startsWith('pizzago_session:'))[1]);
+            expect(session).toEqual(expect.objectContaining({ userId: 1, tokenAuth: true }));
+            expect(redisClient.sAdd).toHaveBeenCalledWith('pizzago_user_sessions:1', session.id);
+            expect(redisClient.set).toHaveBeenCalledWith(
+                'pizzago_refresh_token:hash-of-secure-token',
+                JSON.stringify({ userId: 1, sessionId: session.id }),
+                expect.anything()
+            );
         });
-    });
 
-    describe('GET /orders', () => {
-        it('should return a list of orders for the session', async () => {
-            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
-            const mockOrders = [
-                {
-                    id: 1,
-                    createdAt: new Date('2024-01-01T10:00:00Z'),
-                    total: 30,
-                    status: 'delivered',
-                    items: [{ pizzaId: 1, quantity: 2 }]
-                },
-                {
-                    id: 2,
-                    createdAt: new Date('2024-01-02T12:00:00Z'),
-                    total: 15,
-                    status: 'pending',
-                    items: [{ pizzaId: 2, quantity: 1 }]
-                }
-            ];
-            if (!prisma.order) prisma.order = {};
-            prisma.order.findMany = jest.fn().mockResolvedValue(mockOrders);
+        it('should check the credentials like the cookie login', async () => {
+            let res = await request(app).post('/api/v1/auth/token').send({ email: 'a@b.com' });
+            expect(res.statusCode).toBe(400);
 
-            const res = await request(app).get('/api/v1/orders');
-            expect(res.statusCode).toBe(200);
-            expect(Array.isArray(res.body.orders)).toBe(true);
-            expect(res.body.orders.length).toBe(2);
-            expect(res.body.orders[0]).toHaveProperty('orderId');
-            expect(res.body.orders[0]).toHaveProperty('createdAt');
-            expect(res.body.orders[0]).toHaveProperty('total');
-            expect(res.body.orders[0]).toHaveProperty('status');
-            expect(res.body.orders[0]).toHaveProperty('items');
-            expect(prisma.order.findMany).toHaveBeenCalledWith({
-                where: { sessionId: mockSessionId },
-                include: { items: true },
-                orderBy: { createdAt: 'desc' }
+            security.verifyPassword.mockResolvedValue(false);
+            res = await request(app).post('/api/v1/auth/token').send({ email: 'a@b.com', password: 'wrong' });
+            expect(res.statusCode).toBe(401);
+            expect(redisClient.set).not.toHaveBeenCalled();
+        });
+
+        it('should use the session of the access token', async () => {
+            const res = await request(app).get('/api/v1/cart').set('Authorization', bearer());
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['set-cookie']).toBeUndefined();
+            expect(redisClient.get).toHaveBeenCalledWith('pizzago_session:token-session-id');
+            expect(prisma.cart.findUnique).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 1 } }));
+        });
+
+        it('should reject invalid, expired and revoked access tokens', async () => {
+            const expired = `Bearer ${signAccessToken({ sub: '1', sid: 'token-session-id' }, Math.floor(Date.now() / 1000) - 900)}`;
+            for (const authorization of ['Bearer forged', expired, bearer({ sub: '2', sid: 'token-session-id' }), bearer({ sub: '1', sid: 'ended-session-id' })]) {
+                const res = await request(app).get('/api/v1/cart').set('Authorization', authorization);
+                expect(res.statusCode).toBe(401);
+                expect(res.headers['www-authenticate']).toBe('Bearer error="invalid_token"');
+            }
+        });
+
+        it('should reject invalid access tokens on the order routes', async () => {
+            const order = prisma.order;
+            prisma.order = { findUnique: jest.fn(), findMany: jest.fn() };
+            const routes = [
+                request(app).get('/api/v1/orders'),
+                request(app).get('/api/v1/orders/1'),
+                request(app).get('/api/v1/orders/1/receipt'),
+                request(app).post('/api/v1/orders/1/payment').send({ paymentMethod: 'cash' }),
+                request(app).get('/api/v1/orders/1/events')
+            ];
+            for (const route of routes) {
+                const res = await route.set('Authorization', 'Bearer garbage');
+                expect(res.statusCode).toBe(401);
+                expect(res.headers['www-authenticate']).toBe('Bearer error="invalid_token"');
+            }
+            expect(prisma.order.findUnique).not.toHaveBeenCalled();
+            expect(prisma.order.findMany).not.toHaveBeenCalled();
+            prisma.order = order;
+        });
+
+        it('should not accept the session of a token login as a cookie', async () => {
+            const res = await request(app).get('/api/v1/cart').set('Cookie', ['session=token-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['set-cookie'][0]).not.toMatch(/^session=token-session-id;/);
+            expect(prisma.cart.findUnique).not.toHaveBeenCalled();
+        });
+
+        it('should rotate the refresh token', async () => {
+            redisClient.getDel.mockResolvedValueOnce(JSON.stringify({ userId: 1, sessionId: 'token-session-id' }));
+            const res = await request(app).post('/api/v1/auth/token/refresh').send({ refreshToken: 'old-token' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toEqual({ accessToken: expect.any(String), tokenType: 'Bearer', expiresIn: 900, refreshToken: 'secure-token' });
+            expect(redisClient.getDel).toHaveBeenCalledWith('pizzago_refresh_token:hash-of-old-token');
+            expect(redisClient.set).toHaveBeenCalledWith('pizzago_refresh_token:hash-of-old-token', expect.stringContaining('"used":true'), expect.anything());
+            expect(redisClient.set).toHaveBeenCalledWith('pizzago_session:token-session-id', expect.any(String), expect.anything());
+
+            const cart = await request(app).get('/api/v1/cart').set('Authorization', `Bearer ${res.body.accessToken}`);
+            expect(cart.statusCode).toBe(200);
+        });
+
+        it('should end the session when a refresh token is used again', async () => {
+            redisClient.getDel.mockResolvedValueOnce(JSON.stringify({ userId: 1, sessionId: 'token-session-id', used: true }));
+            const res = await request(app).post('/api/v1/auth/token/refresh').send({ refreshToken: 'old-token' });
+            expect(res.statusCode).toBe(401);
+            expect(redisClient.del).toHaveBeenCalledWith('pizzago_session:token-session-id');
+            expect(redisClient.sRem).toHaveBeenCalledWith('pizzago_user_sessions:1', 'token-session-id');
+        });
+
+        it('should not refresh unknown tokens or ended sessions', async () => {
+            let res = await request(app).post('/api/v1/auth/token/refresh').send({});
+            expect(res.statusCode).toBe(400);
+
+            redisClient.getDel.mockResolvedValueOnce(null);
+            res = await request(app).post('/api/v1/auth/token/refresh').send({ refreshToken: 'unknown-token' });
+            expect(res.statusCode).toBe(401);
+
+            redisClient.getDel.mockResolvedValueOnce(JSON.stringify({ userId: 1, sessionId: 'ended-session-id' }));
+            res = await request(app).post('/api/v1/auth/token/refresh').send({ refreshToken: 'old-token' });
+            expect(res.statusCode).toBe(401);
+            expect(redisClient.sAdd).not.toHaveBeenCalled();
+        });
+
+        it('should end the session of a revoked refresh token', async () => {
+            redisClient.getDel.mockResolvedValueOnce(JSON.stringify({ userId: 1, sessionId: 'token-session-id' }));
+            let res = await request(app).post('/api/v1/auth/token/revoke').send({ refreshToken: 'refresh-token' });
+            expect(res.statusCode).toBe(200);
+            expect(redisClient.del).toHaveBeenCalledWith('pizzago_session:token-session-id');
+
+            redisClient.getDel.mockResolvedValueOnce(null);
+            res = await request(app).post('/api/v1/auth/token/revoke').send({ refreshToken: 'unknown-token' });
+            expect(res.statusCode).toBe(200);
+        });
+
+        it('should log out with the access token', async () => {
+            const res = await request(app).post('/api/v1/auth/logout').set('Authorization', bearer());
+            expect(res.statusCode).toBe(200);
+            expect(redisClient.del).toHaveBeenCalledWith('pizzago_session:token-session-id');
+            expect(redisClient.sRem).toHaveBeenCalledWith('pizzago_user_sessions:1', 'token-session-id');
+        });
+    });
+
+    describe('OpenID Connect', () => {
+        let issuer;
+        let loginSession;
+
+        beforeAll(async () => {
+            issuer = await startMockIssuer();
+        });
+
+        afterAll(() => issuer.close());
+
+        beforeEach(() => {
+            setOidcProviders([{ name: 'mock', issuer: issuer.url, clientId: issuer.clientId, clientSecret: issuer.clientSecret }]);
+            loginSession = { id: 'login-session-id', createdAt: new Date(), updatedAt: new Date(), cart: { items: [], extras: [], total: 0 }, userId: null };
+            redisClient.get.mockImplementation(key => Promise.resolve(key === 'pizzago_session:login-session-id' ? JSON.stringify(loginSession) : null));
+            prisma.user = { findUnique: jest.fn().mockResolvedValue(null), create: jest.fn(({ data }) => Promise.resolve({ id: 8, email: data.email })) };
+            prisma.userIdentity.findUnique.mockResolvedValue(null);
+            prisma.cart.findUnique.mockResolvedValue(null);
+        });
+
+        afterEach(() => {
+            redisClient.get.mockReset();
+            redisClient.getDel.mockReset();
+        });
+
+        // Starts a login and signs the user in at the issuer, returns the callback URL the issuer redirects to
+        async function signIn(claims) {
+            const res = await request(app).get('/api/v1/auth/oidc/mock').set('Cookie', ['session=login-session-id']);
+            expect(res.statusCode).toBe(302);
+            expect(res.headers.location.startsWith(`${issuer.url}/authorize?`)).toBe(true);
+            const [key, value] = redisClient.set.mock.calls.find(([key]) => key.startsWith('pizzago_oidc_login:'));
+            redisClient.getDel.mockImplementation(getKey => Promise.resolve(getKey === key ? value : null));
+
+            const code = issuer.authorize(res.headers.location, claims);
+            const state = new URL(res.headers.location).searchParams.get('state');
+            return `/api/v1/auth/oidc/mock/callback?code=${code}&state=${state}`;
+        }
+
+        it('should create an account and log it in to the session', async () => {
+            const callback = await signIn({ sub: 'user-1', email: 'new@b.com', email_verified: true });
+            const res = await request(app).get(callback).set('Cookie', ['session=login-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.user).toEqual({ id: 8, email: 'new@b.com' });
+            expect(prisma.user.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ email: 'new@b.com', verified: true, identities: { create: { provider: 'mock', subject: 'user-1', email: 'new@b.com' } } })
             });
+            const [, sessionId] = /^session=([^;]+)/.exec(res.headers['set-cookie'].at(-1));
+            expect(sessionId).not.toBe('login-session-id');
+            expect(redisClient.set).toHaveBeenCalledWith(`pizzago_session:${sessionId}`, expect.stringContaining('"userId":8'), expect.anything());
+            expect(redisClient.sAdd).toHaveBeenCalledWith('pizzago_user_sessions:8', sessionId);
+            // The sign-in confirms the user for changes that need the password, see POST /me/email
+            expect(redisClient.set).toHaveBeenCalledWith(`pizzago_session:${sessionId}`, expect.stringContaining('"signedInAt":'), expect.anything());
+        });
+
+        it('should log in the user of a known identity', async () => {
+            prisma.userIdentity.findUnique.mockResolvedValue({ id: 3, userId: 1, user: { id: 1, email: 'a@b.com' } });
+            const callback = await signIn({ sub: 'user-1' });
+            const res = await request(app).get(callback).set('Cookie', ['session=login-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.user).toEqual({ id: 1, email: 'a@b.com' });
+            expect(prisma.user.create).not.toHaveBeenCalled();
+        });
+
+        it('should ask users with 2FA for a code', async () => {
+            prisma.userIdentity.findUnique.mockResolvedValue({ id: 3, userId: 1, user: { id: 1, email: 'a@b.com', twoFactorEnabledAt: new Date() } });
+            const callback = await signIn({ sub: 'user-1' });
+            const res = await request(app).get(callback).set('Cookie', ['session=login-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toEqual({ twoFactorRequired: true, challengeToken: 'secure-token', expiresIn: 300 });
+            expect(redisClient.sAdd).not.toHaveBeenCalled();
+        });
+
+        it('should not complete a login in another session', async () => {
+            const callback = await signIn({ sub: 'user-1' });
+            const res = await request(app).get(callback).set('Cookie', ['session=other-session-id']);
+            expect(res.statusCode).toBe(401);
+            expect(res.body.error).toMatch(/another session/);
+            expect(redisClient.sAdd).not.toHaveBeenCalled();
+        });
+
+        it('should reject an ID token for another login', async () => {
+            const callback = await signIn({ sub: 'user-1', nonce: 'replayed-nonce' });
+            const res = await request(app).get(callback).set('Cookie', ['session=login-session-id']);
+            expect(res.statusCode).toBe(401);
+            expect(res.body.error).toBe('ID token is for another login');
+        });
+
+        it('should report failed sign-ins and unknown providers', async () => {
+            let res = await request(app).get('/api/v1/auth/oidc/mock/callback?error=access_denied&state=state');
+            expect(res.statusCode).toBe(401);
+            expect(res.body.error).toMatch(/access_denied/);
+
+            res = await request(app).get('/api/v1/auth/oidc/mock/callback?state=state');
+            expect(res.statusCode).toBe(400);
+
+            res = await request(app).get('/api/v1/auth/oidc/other');
+            expect(res.statusCode).toBe(404);
         });
     });
 
-    describe('GET /orders/:id', () => {
-        it('should return 400 for invalid order id', async () => {
-            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
-            const res = await request(app).get('/api/v1/orders/abc');
+    describe('Two-factor login', () => {
+        const secret = 'JBSWY3DPEHPK3PXP';
+        const user = { id: 1, email: 'a@b.com', verified: true, password: 'hashed', twoFactorSecret: secret, twoFactorEnabledAt: new Date() };
+        const challengeKey = 'pizzago_2fa_challenge:hash-of-secure-token';
+        let challenge;
+
+        beforeEach(() => {
+            challenge = { userId: 1, sessionId: 'login-session-id', attempts: 0 };
+            const loginSession = { id: 'login-session-id', createdAt: new Date(), updatedAt: new Date(), cart: { items: [], extras: [], total: 0 }, userId: null };
+            redisClient.get.mockImplementation(key => Promise.resolve({
+                'pizzago_session:login-session-id': JSON.stringify(loginSession),
+                [challengeKey]: JSON.stringify(challenge)
+            }[key] || null));
+            redisClient.getDel.mockImplementation(key => Promise.resolve(key === challengeKey ? JSON.stringify(challenge) : null));
+            // Codes are not used yet
+            redisClient.set.mockResolvedValue('OK');
+            prisma.user = { findUnique: jest.fn().mockResolvedValue(user) };
+            prisma.cart.findUnique.mockResolvedValue(null);
+            security.verifyPassword.mockResolvedValue(true);
+        });
+
+        afterEach(() => {
+            redisClient.get.mockReset();
+            redisClient.getDel.mockReset();
+            redisClient.set.mockReset();
+        });
+
+        it('should stop after the password with a challenge', async () => {
+            const res = await request(app)
+                .post('/api/v1/auth/login')
+                .set('Cookie', ['session=login-session-id'])
+                .send({ email: 'a@b.com', password: 'right' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toEqual({ twoFactorRequired: true, challengeToken: 'secure-token', expiresIn: 300 });
+            expect(redisClient.set).toHaveBeenCalledWith(challengeKey, JSON.stringify(challenge), { EX: 300 });
+            expect(redisClient.sAdd).not.toHaveBeenCalled();
+        });
+
+        it('should log in with the challenge and a TOTP code', async () => {
+            const res = await request(app)
+                .post('/api/v1/auth/login/2fa')
+                .set('Cookie', ['session=login-session-id'])
+                .send({ challengeToken: 'secure-token', code: generateTotp(secret) });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.user).toEqual({ id: 1, email: 'a@b.com' });
+            expect(redisClient.getDel).toHaveBeenCalledWith(challengeKey);
+            expect(redisClient.sAdd).toHaveBeenCalledWith('pizzago_user_sessions:1', expect.not.stringMatching(/^login-session-id$/));
+            expect(redisClient.del).toHaveBeenCalledWith('pizzago_session:login-session-id');
+        });
+
+        it('should count wrong codes', async () => {
+            prisma.recoveryCode.deleteMany.mockResolvedValue({ count: 0 });
+            const res = await request(app)
+                .post('/api/v1/auth/login/2fa')
+                .set('Cookie', ['session=login-session-id'])
+                .send({ challengeToken: 'secure-token', code: 'AAAA-BBBB-CCCC-DDDD' });
+            expect(res.statusCode).toBe(401);
+            expect(res.body.error).toBe('Invalid code');
+            expect(redisClient.set).toHaveBeenCalledWith(challengeKey, expect.stringContaining('"attempts":1'), { KEEPTTL: true, XX: true });
+            expect(redisClient.sAdd).not.toHaveBeenCalled();
+        });
+
+        it('should only complete the login in the session it started in', async () => {
+            let res = await request(app)
+                .post('/api/v1/auth/login/2fa')
+                .set('Cookie', ['session=other-session-id'])
+                .send({ challengeToken: 'secure-token', code: generateTotp(secret) });
+            expect(res.statusCode).toBe(401);
+
+            res = await request(app).post('/api/v1/auth/login/2fa').set('Cookie', ['session=login-session-id']).send({ challengeToken: 'secure-token' });
             expect(res.statusCode).toBe(400);
-            expect(res.body.error).toMatch(/Invalid order ID/);
+            expect(redisClient.sAdd).not.toHaveBeenCalled();
         });
 
-        it('should return 404 if order not found', async () => {
-            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
-            if (!prisma.order) prisma.order = {};
-            prisma.order.findUnique = jest.fn().mockResolvedValue(null);
-            const res = await request(app).get('/api/v1/orders/999');
+        it('should ask token logins for a code too', async () => {
+            let res = await request(app).post('/api/v1/auth/token').send({ email: 'a@b.com', password: 'right' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toEqual({ twoFactorRequired: true, challengeToken: 'secure-token', expiresIn: 300 });
+            expect(redisClient.set).toHaveBeenCalledWith(challengeKey, JSON.stringify({ userId: 1, sessionId: null, attempts: 0 }), { EX: 300 });
+
+            challenge.sessionId = null;
+            res = await request(app).post('/api/v1/auth/token/2fa').send({ challengeToken: 'secure-token', code: generateTotp(secret) });
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toEqual(expect.objectContaining({ tokenType: 'Bearer', refreshToken: 'secure-token', user: { id: 1, email: 'a@b.com' } }));
+        });
+    });
+
+    describe('POST /api/v1/auth/forgot-password', () => {
+        it('should return 400 if email is missing or invalid', async () => {
+            let res = await request(app).post('/api/v1/auth/forgot-password').send({});
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Email is required/);
+
+            res = await request(app).post('/api/v1/auth/forgot-password').send({ email: 'nope' });
+            expect(res.statusCode).toBe(400);
+        });
+
+        it('should return 429 if rate limited', async () => {
+            redisClient.get.mockResolvedValue('1');
+            prisma.user = { findUnique: jest.fn() };
+            const res = await request(app).post('/api/v1/auth/forgot-password').send({ email: 'a@b.com' });
+            expect(res.statusCode).toBe(429);
+            expect(prisma.user.findUnique).not.toHaveBeenCalled();
+        });
+
+        it('should send a reset link and store only the token hash', async () => {
+            redisClient.get.mockResolvedValue(null);
+            prisma.user = { findUnique: jest.fn().mockResolvedValue({ id: 1, email: 'a@b.com' }) };
+            prisma.passwordReset = { create: jest.fn().mockResolvedValue({}) };
+            const res = await request(app).post('/api/v1/auth/forgot-password').send({ email: 'a@b.com' });
+            expect(res.statusCode).toBe(200);
+            expect(prisma.passwordReset.create).toHaveBeenCalledWith({
+                data: { userId: 1, tokenHash: 'hash-of-secure-token', expiresAt: expect.any(Date) }
+            });
+            expect(sendTemplateEmail).toHaveBeenCalledWith('a@b.com', 'passwordReset', {
+                link: expect.stringContaining('/reset-password?token=secure-token'),
+                validForMinutes: 60
+            });
+        });
+
+        it('should respond the same for unknown emails', async () => {
+            redisClient.get.mockResolvedValue(null);
+            prisma.user = { findUnique: jest.fn().mockResolvedValue(null) };
+            prisma.passwordReset = { create: jest.fn() };
+            const res = await request(app).post('/api/v1/auth/forgot-password').send({ email: 'x@b.com' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.message).toMatch(/If an account with this email exists/);
+            expect(prisma.passwordReset.create).not.toHaveBeenCalled();
+            expect(sendTemplateEmail).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/v1/auth/reset-password', () => {
+        beforeEach(() => {
+            prisma.user = { update: jest.fn() };
+            prisma.passwordReset = {
+                findUnique: jest.fn(),
+                deleteMany: jest.fn().mockResolvedValue({ count: 1 }),
+            };
+            prisma.$transaction.mockResolvedValue([]);
+        });
+
+        it('should return 400 for missing token or weak password', async () => {
+            let res = await request(app).post('/api/v1/auth/reset-password').send({ password: '12345678' });
+            expect(res.statusCode).toBe(400);
+
+            res = await request(app).post('/api/v1/auth/reset-password').send({ token: 'secure-token', password: '123' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/at least 8 characters/);
+        });
+
+        it('should return 404 for unknown or expired tokens', async () => {
+            prisma.passwordReset.findUnique.mockResolvedValue(null);
+            let res = await request(app).post('/api/v1/auth/reset-password').send({ token: 'bad', password: '12345678' });
             expect(res.statusCode).toBe(404);
-            expect(res.body.error).toMatch(/Order not found/);
+
+            prisma.passwordReset.findUnique.mockResolvedValue({ id: 2, userId: 1, expiresAt: new Date(Date.now() - 1000) });
+            res = await request(app).post('/api/v1/auth/reset-password').send({ token: 'old', password: '12345678' });
+            expect(res.statusCode).toBe(404);
+            expect(res.body.error).toMatch(/Invalid or expired token/);
         });
 
-        it('should return order details for valid order', async () => {
-            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
-            const mockOrder = {
-                id: 10,
-                createdAt: new Date('2024-01-03T15:00:00Z'),
-                status: 'delivered',
-                total: 25,
-                items: [
-                    {
-                        pizzaId: 1,
-                        quantity: 2,
-                        pizza: { name: 'Margherita', price: 6.5 }
-                    },
-                    {
-                        pizzaId: 2,
-                        quantity: 1,
-                        pizza: { name: 'Pepperoni', price: 12 }
-                    }
-                ]
+        it('should return 404 if the token was already used', async () => {
+            prisma.passwordReset.findUnique.mockResolvedValue({ id: 2, userId: 1, expiresAt: new Date(Date.now() + 60000) });
+            prisma.passwordReset.deleteMany.mockResolvedValue({ count: 0 });
+            const res = await request(app).post('/api/v1/auth/reset-password').send({ token: 'secure-token', password: '12345678' });
+            expect(res.statusCode).toBe(404);
+            expect(prisma.user.update).not.toHaveBeenCalled();
+        });
+
+        it('should set the new password and end all sessions', async () => {
+            prisma.passwordReset.findUnique.mockResolvedValue({ id: 2, userId: 1, expiresAt: new Date(Date.now() + 60000) });
+            redisClient.sMembers.mockResolvedValue(['s1', 's2']);
+            redisClient.del.mockResolvedValue();
+            const res = await request(app).post('/api/v1/auth/reset-password').send({ token: 'secure-token', password: 'new-password' });
+            expect(res.statusCode).toBe(200);
+            expect(prisma.passwordReset.findUnique).toHaveBeenCalledWith({ where: { tokenHash: 'hash-of-secure-token' } });
+            expect(security.hashPassword).toHaveBeenCalledWith('new-password');
+            expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { password: 'hashed-password' } });
+            expect(prisma.passwordReset.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+            expect(redisClient.del).toHaveBeenCalledWith(['pizzago_session:s1', 'pizzago_session:s2']);
+            expect(redisClient.del).toHaveBeenCalledWith(['pizzago_user_sessions:1', 'pizzago_user_session_activity:1']);
+        });
+    });
+});
+
+// --- ACCOUNT ROUTES TESTS ---
+
+describe('Account routes', () => {
+    const user = { id: 1, email: 'a@b.com', password: 'hashed', verified: true, role: 'customer', name: null, phone: null, createdAt: new Date('2024-01-01T00:00:00Z') };
+    let userSession;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        userSession = { id: 'user-session-id', createdAt: new Date(), updatedAt: new Date(), cart: { items: [], extras: [], total: 0 }, userId: 1 };
+        // Sessions are found, emails are not rate limited
+        redisClient.get.mockImplementation(key => Promise.resolve(key.startsWith('pizzago_session:') ? JSON.stringify(userSession) : null));
+        redisClient.sMembers.mockResolvedValue(['user-session-id', 'other-session-id']);
+        prisma.user = {
+            findUnique: jest.fn(({ where }) => Promise.resolve(where.id === 1 ? user : null)),
+            update: jest.fn(({ data }) => Promise.resolve({ ...user, ...data })),
+        };
+        prisma.emailVerification = {
+            findFirst: jest.fn().mockResolvedValue(null),
+            create: jest.fn(),
+            deleteMany: jest.fn().mockResolvedValue({ count: 1 }),
+        };
+        prisma.passwordReset = { deleteMany: jest.fn() };
+    });
+
+    afterEach(() => {
+        redisClient.get.mockReset();
+    });
+
+    it('should require a login', async () => {
+        userSession.userId = null;
+        const res = await request(app).get('/api/v1/me').set('Cookie', ['session=user-session-id']);
+        expect(res.statusCode).toBe(401);
+    });
+
+    it('should return the profile with a pending email change', async () => {
+        prisma.emailVerification.findFirst.mockResolvedValue({ email: 'new@b.com' });
+        const res = await request(app).get('/api/v1/me').set('Cookie', ['session=user-session-id']);
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toEqual({
+            id: 1, email: 'a@b.com', pendingEmail: 'new@b.com', name: null, phone: null, role: 'customer', twoFactorEnabled: false, createdAt: '2024-01-01T00:00:00.000Z'
+        });
+        expect(res.body).not.toHaveProperty('password');
+        expect(prisma.emailVerification.findFirst).toHaveBeenCalledWith({
+            where: { userId: 1, email: { not: 'a@b.com' }, expiresAt: { gt: expect.any(Date) } },
+            orderBy: { createdAt: 'desc' }
+        });
+    });
+
+    it('should update the name and phone', async () => {
+        let res = await request(app)
+            .patch('/api/v1/me')
+            .set('Cookie', ['session=user-session-id'])
+            .send({ name: ' Ann Smith ', phone: '+49 30 123456' });
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toEqual(expect.objectContaining({ name: 'Ann Smith', phone: '+49 30 123456' }));
+        expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { name: 'Ann Smith', phone: '+49 30 123456' } });
+
+        res = await request(app).patch('/api/v1/me').set('Cookie', ['session=user-session-id']).send({ phone: '' });
+        expect(res.statusCode).toBe(200);
+        expect(prisma.user.update).toHaveBeenLastCalledWith({ where: { id: 1 }, data: { phone: null } });
+    });
+
+    it('should reject invalid profiles', async () => {
+        for (const input of [{ name: 'x'.repeat(65) }, { name: '  ' }, { name: 42 }, { phone: 'call me' }]) {
+            const res = await request(app).patch('/api/v1/me').set('Cookie', ['session=user-session-id']).send(input);
+            expect(res.statusCode).toBe(400);
+        }
+        expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    describe('GET /me/export', () => {
+        it('should export the account as a JSON file without session IDs', async () => {
+            redisClient.get.mockImplementation(key => Promise.resolve({
+                'pizzago_session:user-session-id': JSON.stringify({ ...userSession, createdAt: '2024-02-01T00:00:00.000Z' }),
+                'pizzago_session:other-session-id': JSON.stringify({ ...userSession, id: 'other-session-id', createdAt: '2024-01-01T00:00:00.000Z' })
+            }[key] || null));
+            prisma.address.findMany.mockResolvedValue([{ id: 4, userId: 1, label: 'Home', recipient: 'Ann Smith', street: 'Main St 1', city: 'Berlin', postcode: '10115' }]);
+            prisma.order = {
+                findMany: jest.fn().mockResolvedValue([{
+                    id: 10, createdAt: new Date('2024-01-03T15:00:00Z'), status: 'delivered', total: '22.00', discount: '0', deliveryFee: '2.00',
+                    items: [{ pizzaId: 1, options: null, quantity: 2, unitPrice: '10.00', totalPrice: '20.00', pizza: { name: 'Margherita' } }],
+                    extras: [], statusHistory: [], payments: [{ method: 'cash', status: 'captured', amount: '22.00', failureReason: null, createdAt: new Date('2024-01-03T15:40:00Z') }]
+                }])
             };
-            if (!prisma.order) prisma.order = {};
-            prisma.order.findUnique = jest.fn().mockResolvedValue(mockOrder);
+            prisma.cart.findUnique.mockResolvedValue(null);
+            redisClient.hGetAll.mockResolvedValueOnce({
+                'other-session-id': JSON.stringify({ userAgent: 'PizzaGo/1.0', ip: '203.0.113.7', lastSeenAt: '2024-01-02T00:00:00.000Z' })
+            });
 
-            const res = await request(app).get('/api/v1/orders/10');
+            const res = await request(app).get('/api/v1/me/export').set('Cookie', ['session=user-session-id']);
             expect(res.statusCode).toBe(200);
-            expect(res.body.orderId).toBe(10);
-            expect(res.body.status).toBe('delivered');
-            expect(res.body.total).toBe(25);
-            expect(Array.isArray(res.body.items)).toBe(true);
-            expect(res.body.items[0]).toHaveProperty('pizzaId');
-            expect(res.body.items[0]).toHaveProperty('name');
-            expect(res.body.items[0]).toHaveProperty('quantity');
-            expect(res.body.items[0]).toHaveProperty('unitPrice');
-            expect(res.body.items[0]).toHaveProperty('totalPrice');
-            expect(prisma.order.findUnique).toHaveBeenCalledWith({
-                where: { id: 10, sessionId: mockSessionId },
-                include: { items: { include: { "pizza": true } } }
+            expect(res.headers['content-disposition']).toBe('attachment; filename="pizzago-account-1.json"');
+            expect(res.body.profile).toEqual(expect.objectContaining({ id: 1, email: 'a@b.com' }));
+            expect(res.body.addresses).toEqual([expect.objectContaining({ label: 'Home', street: 'Main St 1' })]);
+            expect(res.body.orders[0]).toEqual(expect.objectContaining({ id: 10, total: 22, deliveryFee: 2 }));
+            expect(res.body.orders[0].items[0]).toEqual(expect.objectContaining({ name: 'Margherita', unitPrice: 10 }));
+            expect(res.body.sessions).toEqual([
+                { createdAt: '2024-02-01T00:00:00.000Z', updatedAt: expect.any(String), lastSeenAt: null, device: 'Unknown device', ip: null, current: true },
+                { createdAt: '2024-01-01T00:00:00.000Z', updatedAt: expect.any(String), lastSeenAt: '2024-01-02T00:00:00.000Z', device: 'Unknown device', ip: '203.0.113.7', current: false }
+            ]);
+            expect(res.text).not.toContain('other-session-id');
+            expect(prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 1 } }));
+        });
+    });
+
+    describe('Sessions', () => {
+        const firefox = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0';
+        const iphone = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+        beforeEach(() => {
+            // Every session of the user is found, with its own ID
+            redisClient.get.mockImplementation(key => Promise.resolve(key.startsWith('pizzago_session:') && key !== 'pizzago_session:expired-session-id'
+                ? JSON.stringify({ ...userSession, id: key.slice('pizzago_session:'.length) })
+                : null));
+        });
+
+        it('should keep sessions alive and record their device on every request', async () => {
+            const res = await request(app).get('/api/v1/me').set('Cookie', ['session=user-session-id']).set('User-Agent', firefox);
+            expect(res.statusCode).toBe(200);
+            expect(redisClient.expire).toHaveBeenCalledWith('pizzago_session:user-session-id', 259200);
+            expect(redisClient.sAdd).toHaveBeenCalledWith('pizzago_user_sessions:1', 'user-session-id');
+            const [key, sessionId, activity] = redisClient.hSet.mock.calls[0];
+            expect([key, sessionId]).toEqual(['pizzago_user_session_activity:1', 'user-session-id']);
+            expect(JSON.parse(activity)).toEqual({ userAgent: firefox, ip: expect.any(String), lastSeenAt: expect.any(String) });
+            expect(redisClient.expire).toHaveBeenCalledWith('pizzago_user_sessions:1', 259200);
+            expect(redisClient.expire).toHaveBeenCalledWith('pizzago_user_session_activity:1', 259200);
+            // All in one round trip
+            expect(redisClient.multi).toHaveBeenCalledTimes(1);
+            const transaction = redisClient.multi.mock.results[0].value;
+            expect(transaction.exec).toHaveBeenCalledTimes(1);
+            expect(transaction.expire).toHaveBeenCalledTimes(3);
+        });
+
+        it('should not record activity of guest sessions', async () => {
+            userSession.userId = null;
+            await request(app).get('/api/v1/cart').set('Cookie', ['session=user-session-id']);
+            expect(redisClient.expire).toHaveBeenCalledWith('pizzago_session:user-session-id', 259200);
+            expect(redisClient.hSet).not.toHaveBeenCalled();
+        });
+
+        it('should list the sessions with the current one first', async () => {
+            redisClient.sMembers.mockResolvedValueOnce(['old-session-id', 'user-session-id', 'other-session-id', 'expired-session-id']);
+            redisClient.hGetAll.mockResolvedValueOnce({
+                'user-session-id': JSON.stringify({ userAgent: firefox, ip: '198.51.100.1', lastSeenAt: '2024-03-01T10:00:00.000Z' }),
+                'other-session-id': JSON.stringify({ userAgent: iphone, ip: '203.0.113.7', lastSeenAt: '2024-03-01T09:00:00.000Z' }),
+                'old-session-id': JSON.stringify({ userAgent: null, ip: '203.0.113.8', lastSeenAt: '2024-02-01T09:00:00.000Z' })
             });
+
+            const res = await request(app).get('/api/v1/me/sessions').set('Cookie', ['session=user-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.sessions).toEqual([
+                { id: 'hash-of-user-session-id', current: true, device: 'Firefox on Windows', userAgent: firefox, ip: '198.51.100.1', createdAt: expect.any(String), lastSeenAt: '2024-03-01T10:00:00.000Z' },
+                { id: 'hash-of-other-session-id', current: false, device: 'Safari on iOS', userAgent: iphone, ip: '203.0.113.7', createdAt: expect.any(String), lastSeenAt: '2024-03-01T09:00:00.000Z' },
+                { id: 'hash-of-old-session-id', current: false, device: 'Unknown device', userAgent: null, ip: '203.0.113.8', createdAt: expect.any(String), lastSeenAt: '2024-02-01T09:00:00.000Z' }
+            ]);
+            // Expired sessions are dropped from the index
+            expect(redisClient.sRem).toHaveBeenCalledWith('pizzago_user_sessions:1', ['expired-session-id']);
+            expect(redisClient.hDel).toHaveBeenCalledWith('pizzago_user_session_activity:1', ['expired-session-id']);
+        });
+
+        it('should log out another session', async () => {
+            let res = await request(app).delete('/api/v1/me/sessions/other-session-id').set('Cookie', ['session=user-session-id']);
+            expect(res.statusCode).toBe(404);
+
+            res = await request(app).delete('/api/v1/me/sessions/hash-of-other-session-id').set('Cookie', ['session=user-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(redisClient.del).toHaveBeenCalledWith('pizzago_session:other-session-id');
+            expect(redisClient.sRem).toHaveBeenCalledWith('pizzago_user_sessions:1', 'other-session-id');
+            expect(redisClient.hDel).toHaveBeenCalledWith('pizzago_user_session_activity:1', 'other-session-id');
+            expect(redisClient.del).not.toHaveBeenCalledWith('pizzago_session:user-session-id');
+            expect(res.headers['set-cookie']).toBeUndefined();
+        });
+
+        it('should clear the cookie when the current session is logged out', async () => {
+            const res = await request(app).delete('/api/v1/me/sessions/hash-of-user-session-id').set('Cookie', ['session=user-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(redisClient.del).toHaveBeenCalledWith('pizzago_session:user-session-id');
+            expect(res.headers['set-cookie'][0]).toMatch(/^session=;/);
+        });
+
+        it('should log out all other sessions', async () => {
+            const res = await request(app).delete('/api/v1/me/sessions').set('Cookie', ['session=user-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(redisClient.del).toHaveBeenCalledWith(['pizzago_session:other-session-id']);
+            expect(redisClient.sRem).toHaveBeenCalledWith('pizzago_user_sessions:1', ['other-session-id']);
+            expect(redisClient.hDel).toHaveBeenCalledWith('pizzago_user_session_activity:1', ['other-session-id']);
+            expect(redisClient.del).not.toHaveBeenCalledWith(expect.arrayContaining(['pizzago_session:user-session-id']));
+        });
+    });
+
+    describe('DELETE /me', () => {
+        it('should require the password', async () => {
+            let res = await request(app).delete('/api/v1/me').set('Cookie', ['session=user-session-id']);
+            expect(res.statusCode).toBe(400);
+
+            security.verifyPassword.mockResolvedValue(false);
+            res = await request(app).delete('/api/v1/me').set('Cookie', ['session=user-session-id']).send({ password: 'wrong' });
+            expect(res.statusCode).toBe(401);
+            expect(prisma.user.update).not.toHaveBeenCalled();
         });
+
+        it('should anonymize the user, keep the orders and end all sessions', async () => {
+            security.verifyPassword.mockResolvedValue(true);
+            prisma.order = { updateMany: jest.fn(), deleteMany: jest.fn() };
+            const res = await request(app).delete('/api/v1/me').set('Cookie', ['session=user-session-id']).send({ password: 'password' });
+            expect(res.statusCode).toBe(200);
+            expect(prisma.user.update).toHaveBeenCalledWith({
+                where: { id: 1 },
+                data: { email: null, password: null, name: null, phone: null, verified: false, twoFactorSecret: null, twoFactorEnabledAt: null, deletedAt: expect.any(Date) }
+            });
+            expect(prisma.recoveryCode.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+            expect(prisma.emailVerification.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+            expect(prisma.passwordReset.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+            expect(prisma.address.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+            expect(prisma.cart.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+            expect(prisma.order.deleteMany).not.toHaveBeenCalled();
+            expect(prisma.$transaction).toHaveBeenCalled();
+            expect(redisClient.del).toHaveBeenCalledWith(['pizzago_session:user-session-id', 'pizzago_session:other-session-id']);
+            expect(redisClient.del).toHaveBeenCalledWith(['pizzago_user_sessions:1', 'pizzago_user_session_activity:1']);
+            expect(res.headers['set-cookie'][0]).toMatch(/^session=;/);
+        });
+
+        it('should confirm users without a password by a recent sign-in', async () => {
+            prisma.user.findUnique.mockResolvedValue({ ...user, password: null });
+            prisma.order = { updateMany: jest.fn(), deleteMany: jest.fn() };
+            userSession.signedInAt = new Date(Date.now() - 11 * 60 * 1000);
+            let res = await request(app).delete('/api/v1/me').set('Cookie', ['session=user-session-id']);
+            expect(res.statusCode).toBe(401);
+            expect(res.body.error).toMatch(/sign in again/);
+            expect(prisma.user.update).not.toHaveBeenCalled();
+
+            userSession.signedInAt = new Date();
+            res = await request(app).delete('/api/v1/me').set('Cookie', ['session=user-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(prisma.user.update).toHaveBeenCalled();
+            expect(security.verifyPassword).not.toHaveBeenCalled();
+        });
+
+        it('should not let deleted users in anymore', async () => {
+            prisma.user.findUnique.mockResolvedValue({ ...user, deletedAt: new Date() });
+            let res = await request(app).get('/api/v1/me').set('Cookie', ['session=user-session-id']);
+            expect(res.statusCode).toBe(404);
+
+            security.verifyPassword.mockResolvedValue(true);
+            res = await request(app).post('/api/v1/auth/login').send({ email: 'a@b.com', password: 'password' });
+            expect(res.statusCode).toBe(404);
+        });
+    });
+
+    describe('Two-factor authentication', () => {
+        const secret = 'JBSWY3DPEHPK3PXP';
+
+        beforeEach(() => {
+            redisClient.set.mockResolvedValue('OK');
+        });
+
+        afterEach(() => {
+            redisClient.set.mockReset();
+        });
+
+        it('should set up 2FA with a new secret', async () => {
+            let res = await request(app).post('/api/v1/me/2fa/setup').set('Cookie', ['session=user-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.otpauthUri).toBe(`otpauth://totp/PizzaGo%3Aa%40b.com?secret=${res.body.secret}&issuer=PizzaGo&algorithm=SHA1&digits=6&period=30`);
+            expect(redisClient.set).toHaveBeenCalledWith('pizzago_2fa_enrollment:1', res.body.secret, { EX: 600 });
+
+            redisClient.get.mockImplementation(key => Promise.resolve({
+                'pizzago_session:user-session-id': JSON.stringify(userSession),
+                'pizzago_2fa_enrollment:1': res.body.secret
+            }[key] || null));
+            res = await request(app).post('/api/v1/me/2fa/enable').set('Cookie', ['session=user-session-id']).send({ code: generateTotp(res.body.secret) });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.recoveryCodes).toHaveLength(10);
+            expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { twoFactorSecret: expect.any(String), twoFactorEnabledAt: expect.any(Date) } });
+            expect(prisma.recoveryCode.createMany).toHaveBeenCalled();
+        });
+
+        it('should not enable 2FA without a valid code', async () => {
+            let res = await request(app).post('/api/v1/me/2fa/enable').set('Cookie', ['session=user-session-id']).send({});
+            expect(res.statusCode).toBe(400);
+
+            // No setup was started
+            res = await request(app).post('/api/v1/me/2fa/enable').set('Cookie', ['session=user-session-id']).send({ code: '123456' });
+            expect(res.statusCode).toBe(400);
+            expect(prisma.user.update).not.toHaveBeenCalled();
+        });
+
+        it('should disable 2FA with a code', async () => {
+            prisma.user.findUnique.mockResolvedValue({ ...user, twoFactorSecret: secret, twoFactorEnabledAt: new Date() });
+            let res = await request(app).post('/api/v1/me/2fa/setup').set('Cookie', ['session=user-session-id']);
+            expect(res.statusCode).toBe(409);
+
+            prisma.recoveryCode.deleteMany.mockResolvedValueOnce({ count: 0 });
+            res = await request(app).post('/api/v1/me/2fa/disable').set('Cookie', ['session=user-session-id']).send({ code: 'AAAA-BBBB-CCCC-DDDD' });
+            expect(res.statusCode).toBe(401);
+            expect(prisma.user.update).not.toHaveBeenCalled();
+
+            res = await request(app).post('/api/v1/me/2fa/disable').set('Cookie', ['session=user-session-id']).send({ code: generateTotp(secret) });
+            expect(res.statusCode).toBe(200);
+            expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { twoFactorSecret: null, twoFactorEnabledAt: null } });
+            expect(prisma.recoveryCode.deleteMany).toHaveBeenLastCalledWith({ where: { userId: 1 } });
+        });
+
+        it('should replace the recovery codes with a recovery code', async () => {
+            prisma.user.findUnique.mockResolvedValue({ ...user, twoFactorSecret: secret, twoFactorEnabledAt: new Date() });
+            prisma.recoveryCode.deleteMany.mockResolvedValue({ count: 1 });
+            const res = await request(app).post('/api/v1/me/2fa/recovery-codes').set('Cookie', ['session=user-session-id']).send({ code: 'AAAA-BBBB-CCCC-DDDD' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.recoveryCodes).toHaveLength(10);
+            expect(prisma.recoveryCode.createMany).toHaveBeenCalled();
+        });
+
+        it('should require 2FA to be enabled to change it', async () => {
+            const res = await request(app).post('/api/v1/me/2fa/recovery-codes').set('Cookie', ['session=user-session-id']).send({ code: '123456' });
+            expect(res.statusCode).toBe(409);
+        });
+    });
+
+    describe('POST /me/password', () => {
+        it('should check the current password', async () => {
+            let res = await request(app).post('/api/v1/me/password').set('Cookie', ['session=user-session-id']).send({ currentPassword: 'old' });
+            expect(res.statusCode).toBe(400);
+
+            res = await request(app).post('/api/v1/me/password').set('Cookie', ['session=user-session-id']).send({ currentPassword: 'old', newPassword: 'short' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/at least 8 characters/);
+
+            security.verifyPassword.mockResolvedValue(false);
+            res = await request(app).post('/api/v1/me/password').set('Cookie', ['session=user-session-id']).send({ currentPassword: 'wrong', newPassword: 'new-password' });
+            expect(res.statusCode).toBe(401);
+            expect(security.verifyPassword).toHaveBeenCalledWith('wrong', 'hashed');
+            expect(prisma.user.update).not.toHaveBeenCalled();
+        });
+
+        it('should set the new password and end the other sessions', async () => {
+            security.verifyPassword.mockResolvedValue(true);
+            const res = await request(app).post('/api/v1/me/password').set('Cookie', ['session=user-session-id']).send({ currentPassword: 'old-password', newPassword: 'new-password' });
+            expect(res.statusCode).toBe(200);
+            expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { password: 'hashed-password' } });
+            expect(prisma.passwordReset.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+            expect(redisClient.del).toHaveBeenCalledWith(['pizzago_session:other-session-id']);
+            expect(redisClient.sRem).toHaveBeenCalledWith('pizzago_user_sessions:1', ['other-session-id']);
+            expect(redisClient.del).not.toHaveBeenCalledWith('pizzago_user_sessions:1');
+        });
+    });
+
+    describe('POST /me/email', () => {
+        it('should send a confirmation link to the new address', async () => {
+            security.verifyPassword.mockResolvedValue(true);
+            const res = await request(app).post('/api/v1/me/email').set('Cookie', ['session=user-session-id']).send({ email: 'new@b.com', password: 'password' });
+            expect(res.statusCode).toBe(202);
+            expect(prisma.emailVerification.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+            expect(prisma.emailVerification.create).toHaveBeenCalledWith({
+                data: { userId: 1, email: 'new@b.com', token: 'secure-token', expiresAt: expect.any(Date) }
+            });
+            expect(sendTemplateEmail).toHaveBeenCalledWith('new@b.com', 'emailChange', {
+                link: expect.stringContaining('/api/v1/auth/verify?token=secure-token')
+            });
+            // The address changes after the confirmation
+            expect(prisma.user.update).not.toHaveBeenCalled();
+        });
+
+        it('should reject invalid, taken and unchanged addresses and wrong passwords', async () => {
+            security.verifyPassword.mockResolvedValue(true);
+            const send = body => request(app).post('/api/v1/me/email').set('Cookie', ['session=user-session-id']).send(body);
+            let res = await send({ email: 'not-an-email', password: 'password' });
+            expect(res.statusCode).toBe(400);
+            res = await send({ email: 'a@b.com', password: 'password' });
+            expect(res.statusCode).toBe(400);
+
+            prisma.user.findUnique.mockImplementation(({ where }) => Promise.resolve(where.id === 1 ? user : { id: 2, email: where.email }));
+            res = await send({ email: 'taken@b.com', password: 'password' });
+            expect(res.statusCode).toBe(409);
+
+            security.verifyPassword.mockResolvedValue(false);
+            res = await send({ email: 'new@b.com', password: 'wrong' });
+            expect(res.statusCode).toBe(401);
+            expect(prisma.emailVerification.create).not.toHaveBeenCalled();
+        });
+
+        it('should confirm users without a password by a recent sign-in', async () => {
+            prisma.user.findUnique.mockImplementation(({ where }) => Promise.resolve(where.id === 1 ? { ...user, password: null } : null));
+            const send = () => request(app).post('/api/v1/me/email').set('Cookie', ['session=user-session-id']).send({ email: 'new@b.com' });
+            let res = await send();
+            expect(res.statusCode).toBe(401);
+            expect(prisma.emailVerification.create).not.toHaveBeenCalled();
+
+            userSession.signedInAt = new Date();
+            res = await send();
+            expect(res.statusCode).toBe(202);
+            expect(prisma.emailVerification.create).toHaveBeenCalled();
+        });
+
+        it('should switch to the new address when the link is opened', async () => {
+            prisma.emailVerification.findFirst.mockResolvedValue({ id: 3, userId: 1, email: 'new@b.com', token: 'secure-token', expiresAt: new Date(Date.now() + 60000) });
+            const res = await request(app).get('/api/v1/auth/verify?token=secure-token').set('Cookie', ['session=user-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.message).toMatch(/Email changed/);
+            expect(prisma.emailVerification.deleteMany).toHaveBeenCalledWith({ where: { id: 3 } });
+            expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { email: 'new@b.com' } });
+            expect(redisClient.del).toHaveBeenCalledWith(['pizzago_session:other-session-id']);
+            expect(sendTemplateEmail).toHaveBeenCalledWith('a@b.com', 'emailChanged', { email: 'new@b.com' });
+        });
+
+        it('should not switch to expired or taken addresses', async () => {
+            const change = { id: 3, userId: 1, email: 'new@b.com', token: 'secure-token', expiresAt: new Date(Date.now() - 1000) };
+            prisma.emailVerification.findFirst.mockResolvedValue(change);
+            let res = await request(app).get('/api/v1/auth/verify?token=secure-token');
+            expect(res.statusCode).toBe(404);
+
+            prisma.emailVerification.findFirst.mockResolvedValue({ ...change, expiresAt: new Date(Date.now() + 60000) });
+            prisma.user.findUnique.mockImplementation(({ where }) => Promise.resolve(where.id === 1 ? user : { id: 2, email: where.email }));
+            res = await request(app).get('/api/v1/auth/verify?token=secure-token');
+            expect(res.statusCode).toBe(409);
+            expect(prisma.user.update).not.toHaveBeenCalled();
+        });
+    });
+});
+
+// --- ORDER ROUTES TESTS ---
+
+describe('Order routes', () => {
+    let mockSession;
+    let mockSessionId;
+    const address = { recipient: 'Ann Smith', street: 'Main St 1', city: 'Berlin', postcode: '10115' };
+    const deliveryAddress = { ...address, phone: null, notes: null, latitude: null, longitude: null };
+    const zone = { id: 2, name: 'Mitte', postcodes: ['10115'], polygon: null, fee: 0, minOrder: 0, active: true };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockSessionId = 'mock-session-id';
+        mockSession = {
+            id: mockSessionId,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            cart: {
+                items: [],
+                total: 0
+            }
+        };
+        redisClient.get.mockResolvedValue(null);
+        redisClient.set.mockResolvedValue();
+        prisma.deliveryZone.findMany.mockResolvedValue([zone]);
+        prisma.$transaction.mockImplementation(runTransaction);
+    });
+
+    describe('POST /orders', () => {
+        it('should return 400 if cart is empty', async () => {
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Cart is empty/);
+        });
+
+        it('should create an order and clear the cart', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.total = 20;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const createdAt = new Date();
+            const mockOrder = {
+                id: 101,
+                total: 20,
+                createdAt,
+                items: [{ pizzaId: 1, quantity: 2 }],
+                extras: []
+            };
+            // Mock prisma.order.create
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn().mockResolvedValue(mockOrder);
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([
+                { id: 1, price: 10, ...alwaysAvailable }
+            ]);
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.orderId).toBe(101);
+            expect(res.body.total).toBe(20);
+            expect(Array.isArray(res.body.items)).toBe(true);
+            expect(res.body.items).toEqual([{ pizzaId: 1, quantity: 2 }]);
+            expect(prisma.order.create).toHaveBeenCalledWith({
+                data: {
+                    sessionId: mockSessionId,
+                    items: {
+                        create: [{
+                            pizzaId: 1,
+                            options: { size: null, crust: null, removedToppings: [], extraToppings: [] },
+                            quantity: 2,
+                            unitPrice: new Decimal(10),
+                            totalPrice: new Decimal(20),
+                            // Untaxed without tax rates
+                            taxRate: new Decimal(0),
+                            netPrice: new Decimal(20),
+                            taxAmount: new Decimal(0),
+                            grossPrice: new Decimal(20)
+                        }]
+                    },
+                    total: new Decimal(20),
+                    netTotal: new Decimal(20),
+                    taxTotal: new Decimal(0),
+                    deliveryAddress,
+                    deliveryZoneId: 2,
+                    deliveryFee: new Decimal(0),
+                    deliveryTaxRate: new Decimal(0),
+                    deliveryNet: new Decimal(0),
+                    deliveryTax: new Decimal(0),
+                    paymentMethod: 'cash',
+                    createdAt: expect.any(Date),
+                },
+                include: { items: true, extras: true }
+            });
+            // Cash on delivery by default
+            expect(res.body.paymentStatus).toBe('unpaid');
+            expect(res.body.payment).toEqual({ id: 1, method: 'cash', status: 'pending', amount: 20, failureReason: null, nextAction: null });
+            expect(prisma.payment.create).toHaveBeenCalledWith({ data: { orderId: 101, method: 'cash', amount: 20 } });
+            expect(redisClient.set).toHaveBeenCalled();
+        });
+
+        it('should create an order with extras', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }];
+            mockSession.cart.extras = [{ itemId: 7, quantity: 2 }];
+            mockSession.cart.total = 14;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn().mockResolvedValue({
+                id: 102,
+                total: 14,
+                createdAt: new Date(),
+                items: [{ pizzaId: 1, quantity: 1 }],
+                extras: [{ extraId: 7, quantity: 2 }]
+            });
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, price: 10, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([{ id: 7, price: 2, available: true }]);
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.extras).toEqual([{ itemId: 7, quantity: 2 }]);
+            expect(prisma.order.create).toHaveBeenCalledWith(expect.objectContaining({
+                data: expect.objectContaining({
+                    extras: { create: [expect.objectContaining({ extraId: 7, quantity: 2, unitPrice: new Decimal(2), totalPrice: new Decimal(4) })] },
+                    total: new Decimal(14)
+                })
+            }));
+        });
+
+        it('should store the taxes of every line and of the delivery fee', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.extras = [{ itemId: 7, quantity: 1 }];
+            mockSession.cart.total = 22.2;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.deliveryZone.findMany.mockResolvedValue([{ ...zone, fee: 2.38 }]);
+            prisma.taxRate.findMany.mockResolvedValueOnce([
+                { category: 'pizza', rate: 7, inclusive: true },
+                { category: 'drink', rate: 10, inclusive: false },
+                { category: 'delivery', rate: 19, inclusive: true }
+            ]);
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn().mockResolvedValue({
+                id: 107, total: 24.58, netTotal: 22.69, taxTotal: 1.89, createdAt: new Date(), items: [], extras: []
+            });
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, price: 10, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([{ id: 7, type: 'drink', price: 2, available: true }]);
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(201);
+            expect(res.body).toEqual(expect.objectContaining({ total: 24.58, netTotal: 22.69, taxTotal: 1.89 }));
+            const { data } = prisma.order.create.mock.calls[0][0];
+            expect(data.items.create[0]).toEqual(expect.objectContaining({
+                taxRate: new Decimal(7), netPrice: new Decimal('18.69'), taxAmount: new Decimal('1.31'), grossPrice: new Decimal(20)
+            }));
+            expect(data.extras.create[0]).toEqual(expect.objectContaining({
+                taxRate: new Decimal(10), netPrice: new Decimal(2), taxAmount: new Decimal('0.2'), grossPrice: new Decimal('2.2')
+            }));
+            expect(data).toEqual(expect.objectContaining({
+                total: new Decimal('24.58'),
+                netTotal: new Decimal('22.69'),
+                taxTotal: new Decimal('1.89'),
+                deliveryFee: new Decimal('2.38'),
+                deliveryTaxRate: new Decimal(19),
+                deliveryNet: new Decimal(2),
+                deliveryTax: new Decimal('0.38')
+            }));
+        });
+
+        it('should require a delivery address', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }];
+            redisClient.get.mockResolvedValue(JSON.stringify(mockSession));
+            let res = await request(app).post('/api/v1/orders');
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Delivery address is required/);
+
+            res = await request(app).post('/api/v1/orders').send({ address: { ...address, city: '' } });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/city is required/);
+        });
+
+        it('should reject addresses outside every delivery zone', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }];
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn();
+            const res = await request(app).post('/api/v1/orders').send({ address: { ...address, postcode: '80331' } });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/don't deliver/);
+            expect(prisma.order.create).not.toHaveBeenCalled();
+        });
+
+        it('should add the delivery fee and enforce the minimum order of the zone', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.total = 20;
+            redisClient.get.mockResolvedValue(JSON.stringify(mockSession));
+            prisma.deliveryZone.findMany.mockResolvedValue([{ ...zone, fee: 2.5, minOrder: 25 }]);
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn().mockResolvedValue({
+                id: 106, total: 22.5, discount: 0, deliveryFee: 2.5, deliveryAddress, createdAt: new Date(), items: [], extras: []
+            });
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, price: 10, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+
+            let res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/minimum order for delivery to Mitte is 25.00/);
+
+            prisma.deliveryZone.findMany.mockResolvedValue([{ ...zone, fee: 2.5, minOrder: 15 }]);
+            res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.deliveryFee).toBe(2.5);
+            expect(prisma.order.create).toHaveBeenCalledWith(expect.objectContaining({
+                data: expect.objectContaining({ total: new Decimal(22.5), deliveryFee: new Decimal(2.5), deliveryZoneId: 2 })
+            }));
+        });
+
+        it('should deliver to a saved address of the user', async () => {
+            mockSession.userId = 5;
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.total = 20;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.cart.findUnique.mockResolvedValue(null);
+            // Placing the order, then saving the emptied cart
+            prisma.$transaction.mockImplementationOnce(runTransaction).mockResolvedValueOnce();
+            prisma.user = { findUnique: jest.fn().mockResolvedValue(null) };
+            prisma.address.findUnique.mockResolvedValue({ id: 3, userId: 5, label: 'Home', ...deliveryAddress });
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn().mockResolvedValue({
+                id: 107, total: 20, discount: 0, deliveryFee: 0, deliveryAddress, createdAt: new Date(), items: [], extras: []
+            });
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, price: 10, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+
+            const res = await request(app).post('/api/v1/orders').send({ addressId: 3 });
+            expect(res.statusCode).toBe(201);
+            expect(prisma.address.findUnique).toHaveBeenCalledWith({ where: { id: 3, userId: 5 } });
+            expect(prisma.order.create).toHaveBeenCalledWith(expect.objectContaining({
+                data: expect.objectContaining({ deliveryAddress, userId: 5 })
+            }));
+        });
+
+        it('should not accept saved addresses from guests', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }];
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).post('/api/v1/orders').send({ addressId: 3 });
+            expect(res.statusCode).toBe(401);
+            expect(prisma.address.findUnique).not.toHaveBeenCalled();
+        });
+
+        it('should store the discount of the applied promo code', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.promoCode = 'FIVEOFF';
+            mockSession.cart.total = 15;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.promoCode.findUnique.mockResolvedValue({
+                id: 9, code: 'FIVEOFF', type: 'fixed', value: 5, minSpend: 15,
+                validFrom: null, validUntil: null, maxUses: 100, maxUsesPerUser: null, uses: 3, active: true
+            });
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn().mockResolvedValue({
+                id: 105, total: 15, discount: 5, createdAt: new Date(), items: [{ pizzaId: 1, quantity: 2 }], extras: []
+            });
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, price: 10, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.total).toBe(15);
+            expect(res.body.discount).toBe(5);
+            expect(res.body.promoCode).toBe('FIVEOFF');
+            expect(prisma.promoCode.updateMany).toHaveBeenCalledWith({
+                where: { id: 9, uses: { lt: 100 } },
+                data: { uses: { increment: 1 } }
+            });
+            expect(prisma.order.create).toHaveBeenCalledWith(expect.objectContaining({
+                data: expect.objectContaining({ total: new Decimal(15), discount: new Decimal(5), promoCodeId: 9 })
+            }));
+            expect(JSON.parse(redisClient.set.mock.calls[0][1]).cart.promoCode).toBeUndefined();
+        });
+
+        it('should return 409 if the promo code ran out since it was applied', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.promoCode = 'FIVEOFF';
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.promoCode.findUnique.mockResolvedValue({
+                id: 9, code: 'FIVEOFF', type: 'fixed', value: 5, minSpend: null,
+                validFrom: null, validUntil: null, maxUses: 100, maxUsesPerUser: null, uses: 100, active: true
+            });
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn();
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, price: 10, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toMatch(/usage limit/);
+            expect(prisma.order.create).not.toHaveBeenCalled();
+        });
+
+        it('should return 409 if a concurrent order took the last use of the promo code', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.promoCode = 'FIVEOFF';
+            mockSession.cart.total = 15;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.promoCode.findUnique.mockResolvedValue({
+                id: 9, code: 'FIVEOFF', type: 'fixed', value: 5, minSpend: null,
+                validFrom: null, validUntil: null, maxUses: 100, maxUsesPerUser: null, uses: 99, active: true
+            });
+            prisma.promoCode.updateMany.mockResolvedValueOnce({ count: 0 });
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn();
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, price: 10, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toMatch(/usage limit/);
+            expect(prisma.order.create).not.toHaveBeenCalled();
+        });
+
+        it('should email an order confirmation to logged in users', async () => {
+            mockSession.userId = 5;
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.total = 20;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.cart.findUnique.mockResolvedValue(null);
+            // Placing the order, then saving the emptied cart
+            prisma.$transaction.mockImplementationOnce(runTransaction).mockResolvedValueOnce();
+            prisma.user = { findUnique: jest.fn().mockResolvedValue({ id: 5, email: 'a@b.com' }) };
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn().mockResolvedValue({
+                id: 103,
+                total: 20,
+                createdAt: new Date(),
+                items: [{ pizzaId: 1, quantity: 2, totalPrice: 20 }],
+                extras: []
+            });
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, name: 'Margherita', price: 10, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(201);
+            expect(sendTemplateEmail).toHaveBeenCalledWith('a@b.com', 'orderConfirmation', {
+                orderId: 103,
+                items: [{ name: 'Margherita', quantity: 2, totalPrice: 20 }],
+                total: 20
+            });
+        });
+
+        it('should not send a confirmation for guest orders', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }];
+            mockSession.cart.total = 10;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn().mockResolvedValue({
+                id: 104, total: 10, createdAt: new Date(), items: [{ pizzaId: 1, quantity: 1 }], extras: []
+            });
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, price: 10, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(201);
+            expect(sendTemplateEmail).not.toHaveBeenCalled();
+        });
+
+        it('should return 409 if an extra became unavailable', async () => {
+            mockSession.cart.extras = [{ itemId: 7, quantity: 1 }];
+            mockSession.cart.total = 2;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn();
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([]);
+            prisma.extra.findMany.mockResolvedValue([{ id: 7, price: 2, available: false }]);
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toMatch(/no longer available/);
+            expect(prisma.order.create).not.toHaveBeenCalled();
+        });
+
+        it('should return 409 if a pizza became unavailable', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }];
+            mockSession.cart.total = 10;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn();
+            // Out of season since yesterday
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([
+                { id: 1, price: 10, ...alwaysAvailable, availableUntil: new Date(Date.now() - 24*60*60*1000) }
+            ]);
+            prisma.extra.findMany.mockResolvedValue([]);
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toMatch(/Pizza with ID 1 is no longer available/);
+            expect(prisma.order.create).not.toHaveBeenCalled();
+        });
+
+        it('should ask for 3-D Secure when the card needs it', async () => {
+            setPaymentProvider(createPaymentProvider('mock'));
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.total = 20;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn().mockResolvedValue({
+                id: 109, total: 20, createdAt: new Date(), items: [{ pizzaId: 1, quantity: 2 }], extras: []
+            });
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, price: 10, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+            prisma.payment.findUnique.mockImplementationOnce(() => Promise.resolve({
+                id: 1, method: 'card', status: 'requires_action', amount: 20, failureReason: null,
+                providerPaymentId: prisma.payment.update.mock.calls[0][0].data.providerPaymentId
+            }));
+
+            const res = await request(app).post('/api/v1/orders').send({ address, paymentMethod: 'card', paymentToken: MOCK_TOKENS.threeDSecure });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.paymentStatus).toBe('unpaid');
+            expect(res.body.payment).toEqual({
+                id: 1, method: 'card', status: 'requires_action', amount: 20, failureReason: null,
+                nextAction: { type: 'redirect', url: expect.stringMatching(/^\/api\/v1\/payments\/mock\/3ds\/mock_pi_/) }
+            });
+            expect(prisma.order.create).toHaveBeenCalledWith(expect.objectContaining({
+                data: expect.objectContaining({ paymentMethod: 'card' })
+            }));
+            expect(prisma.payment.create).toHaveBeenCalledWith({
+                data: { orderId: 109, method: 'card', provider: 'mock', amount: 20 }
+            });
+        });
+
+        it('should return 400 for invalid payment input', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }];
+            redisClient.get.mockResolvedValue(JSON.stringify(mockSession));
+            let res = await request(app).post('/api/v1/orders').send({ address, paymentMethod: 'cheque' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Payment method must be one of: card, cash/);
+
+            res = await request(app).post('/api/v1/orders').send({ address, paymentMethod: 'card' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Payment token is required/);
+            expect(prisma.payment.create).not.toHaveBeenCalled();
+        });
+
+        it('should only take card payments with a configured provider', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }];
+            redisClient.get.mockResolvedValue(JSON.stringify(mockSession));
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn();
+            setPaymentProvider(null);
+            delete process.env.PAYMENT_PROVIDER;
+            try {
+                const res = await request(app).post('/api/v1/orders').send({ address, paymentMethod: 'card', paymentToken: MOCK_TOKENS.success });
+                expect(res.statusCode).toBe(400);
+                expect(res.body.error).toBe('Payment method must be one of: cash');
+                expect(prisma.order.create).not.toHaveBeenCalled();
+            } finally {
+                process.env.PAYMENT_PROVIDER = 'mock';
+                setPaymentProvider(createPaymentProvider('mock'));
+            }
+        });
+
+        it('should mark the order as failed to pay if the payment can\'t be started', async () => {
+            setPaymentProvider(createPaymentProvider('mock'));
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }];
+            mockSession.cart.total = 10;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn().mockResolvedValue({
+                id: 110, total: 10, createdAt: new Date(), items: [{ pizzaId: 1, quantity: 1 }], extras: []
+            });
+            prisma.order.update = jest.fn();
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, price: 10, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+            prisma.payment.create.mockRejectedValueOnce(new Error('Database unavailable'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const res = await request(app).post('/api/v1/orders').send({ address, paymentMethod: 'card', paymentToken: MOCK_TOKENS.success });
+            console.error.mockRestore();
+            expect(res.statusCode).toBe(201);
+            expect(res.body).toEqual(expect.objectContaining({ orderId: 110, paymentStatus: 'failed', payment: null }));
+            expect(prisma.order.update).toHaveBeenCalledWith({ where: { id: 110 }, data: { paymentStatus: 'failed' } });
+            // The cart is cleared like for any placed order
+            const saved = JSON.parse(redisClient.set.mock.calls.at(-1)[1]);
+            expect(saved.cart.items).toEqual([]);
+        });
+
+        it('should return 404 if a pizza no longer exists', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }, { pizzaId: 2, quantity: 1 }];
+            mockSession.cart.total = 20;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn();
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 2, price: 10, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(404);
+            expect(res.body.error).toBe('Pizza with ID 1 not found');
+            expect(prisma.order.create).not.toHaveBeenCalled();
+            expect(prisma.payment.create).not.toHaveBeenCalled();
+        });
+
+        it('should compute the total exactly from the current prices', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 3 }];
+            mockSession.cart.total = 30.3;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            prisma.deliveryZone.findMany.mockResolvedValue([{ ...zone, fee: '0.2' }]);
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn().mockResolvedValue({
+                id: 110, total: '30.5', deliveryFee: '0.2', createdAt: new Date(), items: [], extras: []
+            });
+            // 3 × 10.10 + 0.20 is 30.499999999999996 in floating point
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, price: '10.1', ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.total).toBe(30.5);
+            expect(prisma.order.create.mock.calls[0][0].data.total.toString()).toBe('30.5');
+            expect(prisma.order.create.mock.calls[0][0].data.items.create[0].totalPrice.toString()).toBe('30.3');
+            expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+        });
+
+        it('should return 409 with the current cart if prices changed since it was shown', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.total = 20;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn();
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, name: 'Margherita', price: 11, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toMatch(/Prices changed/);
+            expect(res.body.cart.total).toBe(22);
+            expect(res.body.cart.pizzas[0]).toEqual(expect.objectContaining({ pizzaId: 1, unitPrice: 11, totalPrice: 22 }));
+            expect(prisma.order.create).not.toHaveBeenCalled();
+            expect(prisma.ingredient.updateMany).not.toHaveBeenCalled();
+            // Placing the order again confirms the new total
+            expect(JSON.parse(redisClient.set.mock.calls[0][1]).cart.total).toBe(22);
+        });
+
+        it('should replay the response of a retried order', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.total = 20;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            redisClient.set.mockResolvedValueOnce('OK');
+            redisClient.del.mockResolvedValue();
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn().mockResolvedValue({
+                id: 111, total: 20, createdAt: new Date(), items: [{ pizzaId: 1, quantity: 2 }], extras: []
+            });
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, price: 10, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+
+            const first = await request(app).post('/api/v1/orders').set('Idempotency-Key', 'order-1').send({ address });
+            expect(first.statusCode).toBe(201);
+            expect(redisClient.set).toHaveBeenCalledWith(
+                'pizzago_idempotency:mock-session-id:order-1', expect.any(String), { NX: true, EX: 60 }
+            );
+            const stored = redisClient.set.mock.calls.find(call => call[0] === 'pizzago_idempotency:mock-session-id:order-1' && !call[2].NX);
+            expect(stored[2]).toEqual({ EX: 24*60*60 });
+
+            // The cart is empty now, the order is not placed again
+            mockSession.cart.items = [];
+            redisClient.get
+                .mockResolvedValueOnce(JSON.stringify(mockSession))
+                .mockResolvedValueOnce(stored[1]);
+            redisClient.set.mockResolvedValueOnce(null);
+            const retry = await request(app).post('/api/v1/orders').set('Idempotency-Key', 'order-1').send({ address });
+            expect(retry.statusCode).toBe(201);
+            expect(retry.headers['idempotent-replayed']).toBe('true');
+            expect(retry.body).toEqual(first.body);
+            expect(prisma.order.create).toHaveBeenCalledTimes(1);
+
+            // The same key with another body
+            redisClient.get
+                .mockResolvedValueOnce(JSON.stringify(mockSession))
+                .mockResolvedValueOnce(stored[1]);
+            redisClient.set.mockResolvedValueOnce(null);
+            const other = await request(app).post('/api/v1/orders').set('Idempotency-Key', 'order-1').send({ address: { ...address, city: 'Hamburg' } });
+            expect(other.statusCode).toBe(422);
+        });
+
+        it('should return 409 if an ingredient ran out', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.total = 20;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn();
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([{ id: 1, price: 10, ...alwaysAvailable }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+            prisma.recipeIngredient.findMany.mockResolvedValueOnce([{ pizzaId: 1, ingredientId: 4, quantity: 150 }]);
+            prisma.ingredient.updateMany.mockResolvedValueOnce({ count: 0 });
+            prisma.ingredient.findUnique.mockResolvedValueOnce({ id: 4, name: 'Mozzarella' });
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toBe('Not enough Mozzarella in stock for this order');
+            expect(prisma.ingredient.updateMany).toHaveBeenCalledWith({
+                where: { id: 4, stock: { gte: 300 } },
+                data: { stock: { decrement: 300 } }
+            });
+            expect(prisma.order.create).not.toHaveBeenCalled();
+        });
+
+        it('should take the ingredients from stock and alert staff when one runs low', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 2 }];
+            mockSession.cart.total = 20;
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            if (!prisma.order) prisma.order = {};
+            prisma.order.create = jest.fn().mockResolvedValue({
+                id: 108, total: 20, createdAt: new Date(), items: [{ pizzaId: 1, quantity: 2 }], extras: []
+            });
+            prisma.pizza.findMany = jest.fn()
+                .mockResolvedValueOnce([{ id: 1, price: 10, ...alwaysAvailable }])
+                // 100 g left is not enough for another pizza
+                .mockResolvedValueOnce([{ id: 1, soldOut: false, recipe: [{ quantity: 150, ingredient: { stock: 100 } }] }]);
+            prisma.extra.findMany.mockResolvedValue([]);
+            prisma.recipeIngredient.findMany.mockResolvedValueOnce([{ pizzaId: 1, ingredientId: 4, quantity: 150 }]);
+            prisma.ingredient.updateMany.mockResolvedValue({ count: 1 });
+            prisma.ingredient.findMany.mockResolvedValueOnce([
+                { id: 4, name: 'Mozzarella', unit: 'g', stock: 100, lowStockThreshold: 1000, lowStockSince: null }
+            ]);
+            prisma.user = { findMany: jest.fn().mockResolvedValue([{ id: 2, email: 'staff@pizzago.com' }]) };
+
+            const res = await request(app).post('/api/v1/orders').send({ address });
+            expect(res.statusCode).toBe(201);
+            expect(prisma.pizza.updateMany).toHaveBeenCalledWith({ where: { id: { in: [1] } }, data: { soldOut: true } });
+            expect(prisma.ingredient.updateMany).toHaveBeenCalledWith({
+                where: { id: { in: [4] } },
+                data: { lowStockSince: expect.any(Date) }
+            });
+            expect(prisma.user.findMany).toHaveBeenCalledWith({
+                where: { role: { in: ['staff', 'admin'] }, email: { not: null } }
+            });
+            expect(sendTemplateEmail).toHaveBeenCalledWith('staff@pizzago.com', 'lowStockAlert', {
+                ingredients: [{ name: 'Mozzarella', stock: 100, unit: 'g', lowStockThreshold: 1000 }]
+            });
+        });
+    });
+
+    describe('GET /orders', () => {
+        it('should return a list of orders for the session', async () => {
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const mockOrders = [
+                {
+                    id: 1,
+                    createdAt: new Date('2024-01-01T10:00:00Z'),
+                    total: 30,
+                    status: 'delivered',
+                    items: [{ pizzaId: 1, quantity: 2 }],
+                    extras: []
+                },
+                {
+                    id: 2,
+                    createdAt: new Date('2024-01-02T12:00:00Z'),
+                    total: 15,
+                    status: 'pending',
+                    items: [{ pizzaId: 2, quantity: 1 }],
+                    extras: [{ extraId: 7, quantity: 1 }]
+                }
+            ];
+            if (!prisma.order) prisma.order = {};
+            prisma.order.findMany = jest.fn().mockResolvedValue(mockOrders);
+            prisma.order.count = jest.fn().mockResolvedValue(2);
+
+            const res = await request(app).get('/api/v1/orders');
+            expect(res.statusCode).toBe(200);
+            expect(Array.isArray(res.body.orders)).toBe(true);
+            expect(res.body.orders.length).toBe(2);
+            expect(res.body.total).toBe(2);
+            expect(res.body.orders[0]).toHaveProperty('orderId');
+            expect(res.body.orders[0]).toHaveProperty('createdAt');
+            expect(res.body.orders[0]).toHaveProperty('total');
+            expect(res.body.orders[0]).toHaveProperty('status');
+            expect(res.body.orders[0]).toHaveProperty('items');
+            expect(prisma.order.findMany).toHaveBeenCalledWith({
+                where: { sessionId: mockSessionId },
+                include: { items: true, extras: true },
+                orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+                take: 21
+            });
+            expect(prisma.order.count).toHaveBeenCalledWith({ where: { sessionId: mockSessionId } });
+        });
+    });
+
+    describe('Order history of logged in users', () => {
+        beforeEach(() => {
+            mockSession.userId = 5;
+            redisClient.get.mockResolvedValue(JSON.stringify(mockSession));
+        });
+
+        it('should list the orders of the account instead of the session', async () => {
+            prisma.order.findMany = jest.fn().mockResolvedValue([]);
+            prisma.order.count = jest.fn().mockResolvedValue(0);
+            const res = await request(app).get('/api/v1/orders').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(200);
+            expect(prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 5 } }));
+            expect(prisma.order.count).toHaveBeenCalledWith({ where: { userId: 5 } });
+        });
+
+        it('should find orders of the account placed on other devices', async () => {
+            prisma.order.findUnique = jest.fn().mockResolvedValue(null);
+            const res = await request(app).get('/api/v1/orders/10').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(404);
+            expect(prisma.order.findUnique).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 10, userId: 5 } }));
+        });
+    });
+
+    describe('GET /orders/:id', () => {
+        it('should return 400 for invalid order id', async () => {
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).get('/api/v1/orders/abc');
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Invalid order ID/);
+        });
+
+        it('should return 404 if order not found', async () => {
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            if (!prisma.order) prisma.order = {};
+            prisma.order.findUnique = jest.fn().mockResolvedValue(null);
+            const res = await request(app).get('/api/v1/orders/999');
+            expect(res.statusCode).toBe(404);
+            expect(res.body.error).toMatch(/Order not found/);
+        });
+
+        it('should return order details for valid order', async () => {
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const mockOrder = {
+                id: 10,
+                createdAt: new Date('2024-01-03T15:00:00Z'),
+                status: 'delivered',
+                total: 25,
+                items: [
+                    {
+                        pizzaId: 1,
+                        options: null,
+                        quantity: 2,
+                        unitPrice: 6.5,
+                        totalPrice: 13,
+                        pizza: { name: 'Margherita', price: 6.5 }
+                    },
+                    {
+                        pizzaId: 2,
+                        options: null,
+                        quantity: 1,
+                        unitPrice: 12,
+                        totalPrice: 12,
+                        pizza: { name: 'Pepperoni', price: 12 }
+                    }
+                ],
+                extras: [
+                    {
+                        extraId: 7,
+                        quantity: 1,
+                        unitPrice: 2,
+                        totalPrice: 2,
+                        extra: { type: 'drink', name: 'Cola' }
+                    }
+                ],
+                statusHistory: [
+                    {
+                        toStatus: 'accepted',
+                        createdAt: new Date('2024-01-03T15:05:00Z'),
+                        changedById: 5,
+                        note: null
+                    },
+                    {
+                        toStatus: 'delivered',
+                        createdAt: new Date('2024-01-03T15:40:00Z'),
+                        changedById: 5,
+                        note: 'Left at the door'
+                    }
+                ]
+            };
+            if (!prisma.order) prisma.order = {};
+            prisma.order.findUnique = jest.fn().mockResolvedValue(mockOrder);
+
+            const res = await request(app).get('/api/v1/orders/10');
+            expect(res.statusCode).toBe(200);
+            expect(res.body.orderId).toBe(10);
+            expect(res.body.status).toBe('delivered');
+            expect(res.body.total).toBe(25);
+            expect(Array.isArray(res.body.items)).toBe(true);
+            expect(res.body.items[0]).toHaveProperty('pizzaId');
+            expect(res.body.items[0]).toHaveProperty('name');
+            expect(res.body.items[0]).toHaveProperty('quantity');
+            expect(res.body.items[0]).toHaveProperty('unitPrice');
+            expect(res.body.items[0]).toHaveProperty('totalPrice');
+            expect(res.body.extras).toEqual([
+                { itemId: 7, type: 'drink', name: 'Cola', quantity: 1, unitPrice: 2, totalPrice: 2 }
+            ]);
+            expect(prisma.order.findUnique).toHaveBeenCalledWith({
+                where: { id: 10, sessionId: mockSessionId },
+                include: {
+                    items: { include: { "pizza": true } },
+                    extras: { include: { "extra": true } },
+                    statusHistory: { orderBy: { createdAt: 'asc' } }
+                }
+            });
+            expect(res.body.timeline).toEqual([
+                { status: 'pending', changedAt: '2024-01-03T15:00:00.000Z', note: null },
+                { status: 'accepted', changedAt: '2024-01-03T15:05:00.000Z', note: null },
+                { status: 'delivered', changedAt: '2024-01-03T15:40:00.000Z', note: 'Left at the door' }
+            ]);
+        });
+    });
+
+    describe('POST /orders/:id/reorder', () => {
+        const pastOrder = {
+            id: 10,
+            status: 'delivered',
+            items: [
+                { pizzaId: 1, options: null, quantity: 2, unitPrice: 9, pizza: { name: 'Margherita' } },
+                { pizzaId: 3, options: null, quantity: 1, unitPrice: 8, pizza: { name: 'Hawaii' } },
+                { pizzaId: 4, options: null, quantity: 1, unitPrice: 12, pizza: { name: 'Brunch' } }
+            ],
+            extras: [
+                { extraId: 7, quantity: 1, unitPrice: 2, extra: { name: 'Cola' } },
+                { extraId: 8, quantity: 2, unitPrice: 1, extra: { name: 'Garlic Dip' } }
+            ]
+        };
+
+        beforeEach(() => {
+            prisma.order.findUnique = jest.fn().mockResolvedValue(pastOrder);
+            prisma.pizza.findMany = jest.fn().mockResolvedValue([
+                { id: 1, name: 'Margherita', price: 10, ...alwaysAvailable },
+                { id: 3, name: 'Hawaii', price: 8, ...alwaysAvailable, archivedAt: new Date() },
+                { id: 4, name: 'Brunch', price: 12, ...alwaysAvailable, available: false }
+            ]);
+            prisma.extra.findMany.mockResolvedValue([
+                { id: 7, type: 'drink', name: 'Cola', price: 2, available: true },
+                { id: 8, type: 'sauce', name: 'Garlic Dip', price: 1, available: false }
+            ]);
+        });
+
+        it('should add the available items to the cart and report the others', async () => {
+            mockSession.cart.items = [{ pizzaId: 1, quantity: 1 }];
+            mockSession.cart.extras = [];
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).post('/api/v1/orders/10/reorder').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.cart.pizzas.map(line => [line.pizzaId, line.quantity, line.unitPrice])).toEqual([[1, 3, 10]]);
+            expect(res.body.cart.extras.map(line => [line.itemId, line.quantity])).toEqual([[7, 1]]);
+            expect(res.body.cart.total).toBe(32);
+            expect(res.body.unavailable).toEqual([
+                { pizzaId: 3, name: 'Hawaii', quantity: 1, reason: 'Not on the menu anymore' },
+                { pizzaId: 4, name: 'Brunch', quantity: 1, reason: 'Not available right now' },
+                { itemId: 8, name: 'Garlic Dip', quantity: 2, reason: 'Not on the menu anymore' }
+            ]);
+            expect(res.body.priceChanges).toEqual([
+                { pizzaId: 1, name: 'Margherita', oldUnitPrice: 9, unitPrice: 10 }
+            ]);
+            expect(prisma.order.findUnique).toHaveBeenCalledWith({
+                where: { id: 10, sessionId: mockSessionId },
+                include: { items: { include: { pizza: true } }, extras: { include: { extra: true } } }
+            });
+            const saved = JSON.parse(redisClient.set.mock.calls[0][1]);
+            expect(saved.cart.total).toBe(32);
+            expect(saved.cart.items).toEqual([expect.objectContaining({ pizzaId: 1, quantity: 3 })]);
+        });
+
+        it('should reorder pizzas with the options they were ordered with', async () => {
+            const options = {
+                size: { id: 2, name: 'Large', priceModifier: 2 },
+                crust: null,
+                removedToppings: [{ id: 5, name: 'Onions' }],
+                extraToppings: [{ id: 6, name: 'Olives', price: 1 }]
+            };
+            prisma.order.findUnique.mockResolvedValue({ ...pastOrder, items: [{ ...pastOrder.items[0], options, unitPrice: 13 }], extras: [] });
+            prisma.pizzaOption.findMany.mockResolvedValue([{ id: 2, type: 'size', name: 'Large', priceModifier: 2, available: true }]);
+            prisma.topping.findMany.mockResolvedValue([
+                { id: 5, name: 'Onions', price: 0.5, available: true },
+                { id: 6, name: 'Olives', price: 1, available: true }
+            ]);
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).post('/api/v1/orders/10/reorder').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.priceChanges).toEqual([]);
+            expect(JSON.parse(redisClient.set.mock.calls[0][1]).cart.items).toEqual([
+                { lineId: expect.any(String), pizzaId: 1, quantity: 2, sizeId: 2, crustId: null, removedToppingIds: [5], extraToppingIds: [6] }
+            ]);
+            prisma.pizzaOption.findMany.mockResolvedValue([]);
+            prisma.topping.findMany.mockResolvedValue([]);
+        });
+
+        it('should fail if nothing can be ordered anymore', async () => {
+            prisma.order.findUnique.mockResolvedValue({ ...pastOrder, items: pastOrder.items.slice(1), extras: pastOrder.extras.slice(1) });
+            redisClient.get.mockResolvedValueOnce(JSON.stringify(mockSession));
+            const res = await request(app).post('/api/v1/orders/10/reorder').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(409);
+            expect(res.body.unavailable).toHaveLength(3);
+            expect(redisClient.set).not.toHaveBeenCalled();
+        });
+
+        it('should return 404 for orders of others and 400 for invalid IDs', async () => {
+            prisma.order.findUnique.mockResolvedValue(null);
+            redisClient.get.mockResolvedValue(JSON.stringify(mockSession));
+            let res = await request(app).post('/api/v1/orders/11/reorder').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(404);
+
+            res = await request(app).post('/api/v1/orders/abc/reorder').set('Cookie', [`session=${mockSessionId}`]);
+            expect(res.statusCode).toBe(400);
+        });
+    });
+
+    describe('GET /orders/:id/receipt', () => {
+        const order = {
+            id: 10,
+            createdAt: new Date('2024-01-03T15:00:00Z'),
+            status: 'delivered',
+            total: 22,
+            netTotal: 20.56,
+            taxTotal: 1.44,
+            discount: 0,
+            deliveryFee: 0,
+            deliveryTaxRate: 0,
+            deliveryNet: 0,
+            deliveryTax: 0,
+            deliveryAddress,
+            paymentMethod: 'cash',
+            paymentStatus: 'paid',
+            receiptNumber: 12,
+            receiptIssuedAt: new Date('2024-01-03T15:45:00Z'),
+            items: [{ pizzaId: 1, options: null, quantity: 2, unitPrice: 10, totalPrice: 20, taxRate: 7, netPrice: 18.69, taxAmount: 1.31, grossPrice: 20, pizza: { name: 'Margherita' } }],
+            extras: [{ extraId: 7, quantity: 1, unitPrice: 2, totalPrice: 2, taxRate: 7, netPrice: 1.87, taxAmount: 0.13, grossPrice: 2, extra: { type: 'dip', name: 'Garlic <dip>' } }]
+        };
+
+        beforeEach(() => {
+            redisClient.get.mockResolvedValue(JSON.stringify(mockSession));
+            prisma.order = { findUnique: jest.fn().mockResolvedValue(order), updateMany: jest.fn() };
+        });
+
+        it('should return the receipt as a printable HTML page', async () => {
+            const res = await request(app).get('/api/v1/orders/10/receipt');
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-type']).toMatch(/text\/html/);
+            expect(res.text).toContain('<h2>Receipt 000012</h2>');
+            expect(res.text).toContain('Garlic &lt;dip&gt;');
+            expect(res.text).toContain('<tr><td>7%</td><td class="amount">20.56</td><td class="amount">1.44</td><td class="amount">22.00</td></tr>');
+            expect(prisma.order.findUnique).toHaveBeenCalledWith({
+                where: { id: 10, sessionId: mockSessionId },
+                include: { items: { include: { pizza: true } }, extras: { include: { extra: true } } }
+            });
+            expect(prisma.counter.upsert).not.toHaveBeenCalled();
+        });
+
+        it('should return a PDF when asked for', async () => {
+            let res = await request(app).get('/api/v1/orders/10/receipt?format=pdf').buffer(true);
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-type']).toBe('application/pdf');
+            expect(res.headers['content-disposition']).toBe('inline; filename="receipt-000012.pdf"');
+            expect(res.body.toString('latin1')).toMatch(/^%PDF-1\.4/);
+
+            res = await request(app).get('/api/v1/orders/10/receipt').set('Accept', 'application/pdf').buffer(true);
+            expect(res.headers['content-type']).toBe('application/pdf');
+
+            res = await request(app).get('/api/v1/orders/10/receipt?format=txt');
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Format must be one of: html, pdf/);
+        });
+
+        it('should issue the next receipt number on the first request', async () => {
+            prisma.order.findUnique.mockResolvedValue({ ...order, receiptNumber: null, receiptIssuedAt: null });
+            prisma.order.updateMany.mockResolvedValue({ count: 1 });
+            prisma.counter.upsert.mockResolvedValue({ name: 'receipt', value: 13 });
+            const res = await request(app).get('/api/v1/orders/10/receipt');
+            expect(res.statusCode).toBe(200);
+            expect(res.text).toContain('<h2>Receipt 000013</h2>');
+            expect(prisma.order.updateMany).toHaveBeenCalledWith({
+                where: { id: 10, receiptNumber: null },
+                data: { receiptNumber: 13, receiptIssuedAt: expect.any(Date) }
+            });
+        });
+
+        it('should not issue receipts for cancelled or unknown orders', async () => {
+            prisma.order.findUnique.mockResolvedValue({ ...order, status: 'cancelled', receiptNumber: null });
+            let res = await request(app).get('/api/v1/orders/10/receipt');
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toMatch(/no receipt/);
+
+            prisma.order.findUnique.mockResolvedValue(null);
+            res = await request(app).get('/api/v1/orders/11/receipt');
+            expect(res.statusCode).toBe(404);
+            expect(prisma.counter.upsert).not.toHaveBeenCalled();
+        });
+
+        it('should not issue receipt numbers before the order is paid or confirmed', async () => {
+            for (const unpaid of [
+                { status: 'pending', paymentMethod: 'cash', paymentStatus: 'unpaid' },
+                { status: 'accepted', paymentMethod: 'card', paymentStatus: 'failed' }
+            ]) {
+                prisma.order.findUnique.mockResolvedValue({ ...order, ...unpaid, receiptNumber: null, receiptIssuedAt: null });
+                const res = await request(app).get('/api/v1/orders/10/receipt');
+                expect(res.statusCode).toBe(409);
+                expect(res.body.error).toBe('The receipt is issued once the order is paid or confirmed');
+            }
+            expect(prisma.counter.upsert).not.toHaveBeenCalled();
+
+            // Cash orders are confirmed once the restaurant accepts them
+            prisma.order.findUnique.mockResolvedValue({ ...order, status: 'accepted', paymentStatus: 'unpaid', receiptNumber: null, receiptIssuedAt: null });
+            prisma.order.updateMany.mockResolvedValue({ count: 1 });
+            prisma.counter.upsert.mockResolvedValue({ name: 'receipt', value: 14 });
+            const res = await request(app).get('/api/v1/orders/10/receipt');
+            expect(res.statusCode).toBe(200);
+            expect(res.text).toContain('<h2>Receipt 000014</h2>');
+        });
+    });
+});
+
+// --- ADMIN ROUTES TESTS ---
+
+describe('Admin routes', () => {
+    let adminSession;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        adminSession = {
+            id: 'admin-session-id',
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            cart: { items: [], extras: [], total: 0 },
+            userId: 1
+        };
+        redisClient.get.mockResolvedValue(JSON.stringify(adminSession));
+        redisClient.set.mockResolvedValue();
+        prisma.user = { findUnique: jest.fn().mockResolvedValue({ id: 1, role: 'admin' }) };
+    });
+
+    describe('Authorization', () => {
+        it('should return 401 for anonymous sessions', async () => {
+            adminSession.userId = null;
+            redisClient.get.mockResolvedValue(JSON.stringify(adminSession));
+            const res = await request(app).get('/api/v1/admin/pizzas').set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(401);
+            expect(res.body.error).toMatch(/Authentication required/);
+        });
+
+        it('should return 403 for non-admin users', async () => {
+            prisma.user.findUnique.mockResolvedValue({ id: 1, role: 'customer' });
+            const res = await request(app).get('/api/v1/admin/pizzas').set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(403);
+            expect(res.body.error).toMatch(/Insufficient permissions/);
+        });
+    });
+
+    describe('POST /admin/pizzas', () => {
+        it('should create a pizza with tags', async () => {
+            prisma.tag.findMany.mockResolvedValue([{ key: 'spicy' }]);
+            prisma.pizza.create.mockResolvedValue({
+                id: 3,
+                name: 'Diavola',
+                description: null,
+                price: 11.5,
+                ingredients: ['salami', 'chili'],
+                tags: [{ key: 'spicy', name: 'Spicy' }],
+                toppings: [],
+                categoryId: null,
+                position: 0,
+                ...alwaysAvailable, recipe: [],
+                archivedAt: null
+            });
+            const res = await request(app)
+                .post('/api/v1/admin/pizzas')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Diavola', price: 11.5, ingredients: ['Salami', 'chili'], tags: ['spicy'] });
+            expect(res.statusCode).toBe(201);
+            expect(res.body).toEqual({
+                id: 3,
+                name: 'Diavola',
+                description: null,
+                price: 11.5,
+                ingredients: ['salami', 'chili'],
+                tags: ['spicy'],
+                toppings: [],
+                categoryId: null,
+                position: 0,
+                available: true,
+                availableFrom: null,
+                availableUntil: null,
+                availabilityWindows: [],
+                recipe: [],
+                soldOut: false,
+                archived: false,
+                archivedAt: null
+            });
+            expect(prisma.pizza.create).toHaveBeenCalledWith({
+                data: {
+                    name: 'Diavola',
+                    description: null,
+                    price: 11.5,
+                    ingredients: ['salami', 'chili'],
+                    categoryId: null,
+                    position: 0,
+                    available: true,
+                    availableFrom: null,
+                    availableUntil: null,
+                    soldOut: false,
+                    tags: { connect: [{ key: 'spicy' }] },
+                    toppings: { create: [] },
+                    availabilityWindows: { create: [] },
+                    recipe: { create: [] }
+                },
+                include: { tags: true, toppings: true, availabilityWindows: true, recipe: true }
+            });
+        });
+
+        it('should return 400 for invalid input', async () => {
+            let res = await request(app)
+                .post('/api/v1/admin/pizzas')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ price: 10 });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Name is required/);
+
+            res = await request(app)
+                .post('/api/v1/admin/pizzas')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Margherita', price: 10.999 });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Price must be/);
+
+            res = await request(app)
+                .post('/api/v1/admin/pizzas')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Margherita', price: 10, ingredients: 'cheese' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Ingredients must be/);
+            expect(prisma.pizza.create).not.toHaveBeenCalled();
+        });
+
+        it('should return 400 for unknown tags', async () => {
+            prisma.tag.findMany.mockResolvedValue([]);
+            const res = await request(app)
+                .post('/api/v1/admin/pizzas')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Diavola', price: 11.5, tags: ['spicy'] });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Unknown tags: spicy/);
+        });
+    });
+
+    describe('PATCH /admin/pizzas/:id', () => {
+        it('should update only the given fields', async () => {
+            prisma.pizza.findUnique.mockResolvedValue({ id: 3 });
+            prisma.pizza.update.mockResolvedValue({
+                id: 3, name: 'Diavola', description: null, price: 12.99, ingredients: [], tags: [], toppings: [], ...alwaysAvailable, recipe: [], archivedAt: null
+            });
+            const res = await request(app)
+                .patch('/api/v1/admin/pizzas/3')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ price: '12.99', tags: [] });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.price).toBe(12.99);
+            expect(prisma.pizza.update).toHaveBeenCalledWith({
+                where: { id: 3 },
+                data: { price: 12.99, tags: { set: [] } },
+                include: { tags: true, toppings: true, availabilityWindows: true, recipe: true }
+            });
+        });
+
+        it('should replace the toppings of a pizza', async () => {
+            prisma.pizza.findUnique.mockResolvedValue({ id: 3 });
+            prisma.topping.findMany.mockResolvedValueOnce([{ id: 1 }, { id: 2 }]);
+            prisma.pizza.update.mockResolvedValue({
+                id: 3, name: 'Diavola', description: null, price: 12, ingredients: [], tags: [],
+                toppings: [{ toppingId: 1, removable: false }, { toppingId: 2, removable: true }], ...alwaysAvailable, recipe: [], archivedAt: null
+            });
+            const res = await request(app)
+                .patch('/api/v1/admin/pizzas/3')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ toppings: [{ toppingId: 1, removable: false }, { toppingId: 2 }] });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.toppings).toEqual([{ toppingId: 1, removable: false }, { toppingId: 2, removable: true }]);
+            expect(prisma.pizza.update).toHaveBeenCalledWith(expect.objectContaining({
+                data: {
+                    toppings: {
+                        deleteMany: {},
+                        create: [{ toppingId: 1, removable: false }, { toppingId: 2, removable: true }]
+                    }
+                }
+            }));
+        });
+
+        it('should return 400 for unknown or duplicate toppings', async () => {
+            prisma.pizza.findUnique.mockResolvedValue({ id: 3 });
+            prisma.topping.findMany.mockResolvedValueOnce([{ id: 1 }]);
+            let res = await request(app)
+                .patch('/api/v1/admin/pizzas/3')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ toppings: [{ toppingId: 1 }, { toppingId: 9 }] });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Unknown toppings: 9/);
+
+            res = await request(app)
+                .patch('/api/v1/admin/pizzas/3')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ toppings: [{ toppingId: 1 }, { toppingId: 1 }] });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Toppings must be/);
+            expect(prisma.pizza.update).not.toHaveBeenCalled();
+        });
+
+        it('should return 404 if pizza does not exist', async () => {
+            prisma.pizza.findUnique.mockResolvedValue(null);
+            const res = await request(app)
+                .patch('/api/v1/admin/pizzas/3')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Diavola' });
+            expect(res.statusCode).toBe(404);
+        });
+    });
+
+    describe('Archiving and deleting pizzas', () => {
+        it('should archive a pizza', async () => {
+            prisma.pizza.findUnique.mockResolvedValue({ id: 3, archivedAt: null });
+            prisma.pizza.update.mockResolvedValue({
+                id: 3, name: 'Diavola', description: null, price: 12, ingredients: [], tags: [], toppings: [], ...alwaysAvailable, recipe: [], archivedAt: new Date()
+            });
+            const res = await request(app)
+                .post('/api/v1/admin/pizzas/3/archive')
+                .set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.archived).toBe(true);
+            expect(prisma.pizza.update).toHaveBeenCalledWith(expect.objectContaining({
+                data: { archivedAt: expect.any(Date) }
+            }));
+        });
+
+        it('should archive instead of deleting a pizza referenced by orders', async () => {
+            prisma.pizza.findUnique.mockResolvedValue({ id: 3, archivedAt: null });
+            prisma.orderItem.count.mockResolvedValue(2);
+            const res = await request(app)
+                .delete('/api/v1/admin/pizzas/3')
+                .set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.archived).toBe(true);
+            expect(prisma.pizza.delete).not.toHaveBeenCalled();
+            expect(prisma.pizza.update).toHaveBeenCalled();
+        });
+
+        it('should delete a pizza without orders', async () => {
+            prisma.pizza.findUnique.mockResolvedValue({ id: 3, archivedAt: null });
+            prisma.orderItem.count.mockResolvedValue(0);
+            prisma.$transaction.mockResolvedValue([]);
+            const res = await request(app)
+                .delete('/api/v1/admin/pizzas/3')
+                .set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.archived).toBe(false);
+            expect(prisma.pizza.delete).toHaveBeenCalledWith({ where: { id: 3 } });
+            expect(prisma.$transaction).toHaveBeenCalled();
+        });
+
+        it('should hide archived pizzas from customers', async () => {
+            prisma.pizza.findUnique.mockResolvedValue({ id: 3, tags: [], archivedAt: new Date() });
+            const res = await request(app).get('/api/v1/pizzas/3');
+            expect(res.statusCode).toBe(404);
+        });
+    });
+
+    describe('Pizza availability', () => {
+        it('should set the category and availability of a pizza', async () => {
+            prisma.pizza.findUnique.mockResolvedValue({ id: 3, availableFrom: null, availableUntil: null });
+            prisma.menuCategory.findUnique.mockResolvedValueOnce({ id: 2, name: 'Lunch' });
+            prisma.pizza.update.mockResolvedValue({
+                id: 3, name: 'Diavola', description: null, price: 12, ingredients: [], tags: [], toppings: [],
+                categoryId: 2, position: 1, ...alwaysAvailable, recipe: [],
+                availabilityWindows: [{ id: 1, pizzaId: 3, days: ['mon', 'fri'], startTime: '11:00', endTime: '14:00' }],
+                archivedAt: null
+            });
+            const res = await request(app)
+                .patch('/api/v1/admin/pizzas/3')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({
+                    categoryId: 2,
+                    position: 1,
+                    availableUntil: '2026-12-31T23:00:00Z',
+                    availabilityWindows: [{ days: ['fri', 'mon', 'fri'], startTime: '11:00', endTime: '14:00' }]
+                });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.availabilityWindows).toEqual([{ days: ['mon', 'fri'], startTime: '11:00', endTime: '14:00' }]);
+            expect(prisma.pizza.update).toHaveBeenCalledWith(expect.objectContaining({
+                data: {
+                    categoryId: 2,
+                    position: 1,
+                    availableUntil: new Date('2026-12-31T23:00:00Z'),
+                    availabilityWindows: {
+                        deleteMany: {},
+                        create: [{ days: ['fri', 'mon'], startTime: '11:00', endTime: '14:00' }]
+                    }
+                }
+            }));
+        });
+
+        it('should switch a pizza off', async () => {
+            prisma.pizza.findUnique.mockResolvedValue({ id: 3 });
+            prisma.pizza.update.mockResolvedValue({
+                id: 3, name: 'Diavola', description: null, price: 12, ingredients: [], tags: [], toppings: [],
+                ...alwaysAvailable, recipe: [], available: false, archivedAt: null
+            });
+            const res = await request(app)
+                .patch('/api/v1/admin/pizzas/3')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ available: false });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.available).toBe(false);
+            expect(prisma.pizza.update).toHaveBeenCalledWith(expect.objectContaining({ data: { available: false } }));
+        });
+
+        it('should return 400 for invalid availability', async () => {
+            prisma.pizza.findUnique.mockResolvedValue({ id: 3, availableFrom: new Date('2026-12-01T00:00:00Z'), availableUntil: null });
+            const send = body => request(app)
+                .patch('/api/v1/admin/pizzas/3')
+                .set('Cookie', ['session=admin-session-id'])
+                .send(body);
+
+            let res = await send({ availabilityWindows: [{ days: ['monday'], startTime: '11:00', endTime: '14:00' }] });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Availability windows must be/);
+
+            res = await send({ availabilityWindows: [{ days: ['sat'], startTime: '22:00', endTime: '02:00' }] });
+            expect(res.statusCode).toBe(400);
+
+            res = await send({ availabilityWindows: [{ days: ['sat'], startTime: '9:00', endTime: '12:00' }] });
+            expect(res.statusCode).toBe(400);
+
+            // Checked against the stored start of the season
+            res = await send({ availableUntil: '2026-11-30T00:00:00Z' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/availableFrom must be before availableUntil/);
+
+            prisma.menuCategory.findUnique.mockResolvedValueOnce(null);
+            res = await send({ categoryId: 9 });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Category not found/);
+            expect(prisma.pizza.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Menu categories', () => {
+        it('should create a category', async () => {
+            prisma.menuCategory.findUnique.mockResolvedValueOnce(null);
+            prisma.menuCategory.create.mockResolvedValueOnce({ id: 1, name: 'Lunch', description: null, position: 2 });
+            const res = await request(app)
+                .post('/api/v1/admin/categories')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: ' Lunch ', position: 2 });
+            expect(res.statusCode).toBe(201);
+            expect(res.body).toEqual({ id: 1, name: 'Lunch', description: null, position: 2 });
+            expect(prisma.menuCategory.create).toHaveBeenCalledWith({
+                data: { name: 'Lunch', description: null, position: 2 }
+            });
+        });
+
+        it('should return 409 for a duplicate name and 400 for invalid input', async () => {
+            prisma.menuCategory.findUnique.mockResolvedValueOnce({ id: 1, name: 'Lunch' });
+            let res = await request(app)
+                .post('/api/v1/admin/categories')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Lunch' });
+            expect(res.statusCode).toBe(409);
+
+            res = await request(app)
+                .post('/api/v1/admin/categories')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Lunch', position: 'first' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Position must be an integer/);
+            expect(prisma.menuCategory.create).not.toHaveBeenCalled();
+        });
+
+        it('should update and delete a category', async () => {
+            prisma.menuCategory.findUnique.mockResolvedValue({ id: 1, name: 'Lunch', description: null, position: 2 });
+            prisma.menuCategory.update.mockResolvedValueOnce({ id: 1, name: 'Lunch', description: null, position: 0 });
+            let res = await request(app)
+                .patch('/api/v1/admin/categories/1')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ position: 0 });
+            expect(res.statusCode).toBe(200);
+            expect(prisma.menuCategory.update).toHaveBeenCalledWith({
+                where: { id: 1 },
+                data: { name: 'Lunch', description: null, position: 0 }
+            });
+
+            res = await request(app)
+                .delete('/api/v1/admin/categories/1')
+                .set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(prisma.menuCategory.delete).toHaveBeenCalledWith({ where: { id: 1 } });
+        });
+    });
+
+    describe('Recipes', () => {
+        it('should save the recipe of a pizza and mark it sold out without enough stock', async () => {
+            prisma.pizza.findUnique.mockResolvedValue({ id: 3 });
+            prisma.ingredient.findMany.mockResolvedValueOnce([{ id: 4, name: 'Mozzarella', stock: 100 }, { id: 5, name: 'Basil', stock: 50 }]);
+            prisma.pizza.update.mockResolvedValue({
+                id: 3, name: 'Margherita', description: null, price: 10, ingredients: [], tags: [], toppings: [], ...alwaysAvailable,
+                soldOut: true, recipe: [{ pizzaId: 3, ingredientId: 4, quantity: 150 }, { pizzaId: 3, ingredientId: 5, quantity: 5 }], archivedAt: null
+            });
+            const res = await request(app)
+                .patch('/api/v1/admin/pizzas/3')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ recipe: [{ ingredientId: 4, quantity: 150 }, { ingredientId: 5, quantity: '5' }] });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.recipe).toEqual([{ ingredientId: 4, quantity: 150 }, { ingredientId: 5, quantity: 5 }]);
+            expect(res.body.soldOut).toBe(true);
+            expect(prisma.pizza.update).toHaveBeenCalledWith({
+                where: { id: 3 },
+                data: {
+                    recipe: { deleteMany: {}, create: [{ ingredientId: 4, quantity: 150 }, { ingredientId: 5, quantity: 5 }] },
+                    soldOut: true
+                },
+                include: { tags: true, toppings: true, availabilityWindows: true, recipe: true }
+            });
+        });
+
+        it('should return 400 for invalid recipes and unknown ingredients', async () => {
+            prisma.pizza.findUnique.mockResolvedValue({ id: 3 });
+            let res = await request(app)
+                .patch('/api/v1/admin/pizzas/3')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ recipe: [{ ingredientId: 4, quantity: 0 }] });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Recipe must be/);
+
+            res = await request(app)
+                .patch('/api/v1/admin/pizzas/3')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ recipe: [{ ingredientId: 4, quantity: 10 }, { ingredientId: 4, quantity: 20 }] });
+            expect(res.statusCode).toBe(400);
+
+            prisma.ingredient.findMany.mockResolvedValueOnce([]);
+            res = await request(app)
+                .patch('/api/v1/admin/pizzas/3')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ recipe: [{ ingredientId: 4, quantity: 10 }] });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Unknown ingredients: 4/);
+            expect(prisma.pizza.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Ingredients', () => {
+        const mozzarella = { id: 4, name: 'Mozzarella', unit: 'g', stock: 5000, lowStockThreshold: 1000, lowStockSince: null };
+
+        beforeEach(() => {
+            prisma.$transaction.mockImplementation(runTransaction);
+        });
+
+        it('should create an ingredient', async () => {
+            prisma.ingredient.findUnique.mockResolvedValueOnce(null).mockResolvedValueOnce(mozzarella);
+            prisma.ingredient.create.mockResolvedValueOnce(mozzarella);
+            prisma.pizza.findMany.mockResolvedValueOnce([]);
+            prisma.ingredient.findMany.mockResolvedValueOnce([mozzarella]);
+            const res = await request(app)
+                .post('/api/v1/admin/ingredients')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: ' Mozzarella ', unit: 'g', stock: 5000, lowStockThreshold: 1000 });
+            expect(res.statusCode).toBe(201);
+            expect(res.body).toEqual({ ...mozzarella, lowStock: false });
+            expect(prisma.ingredient.create).toHaveBeenCalledWith({
+                data: { name: 'Mozzarella', unit: 'g', stock: 5000, lowStockThreshold: 1000 }
+            });
+        });
+
+        it('should return 409 for a duplicate name and 400 for invalid input', async () => {
+            prisma.ingredient.findUnique.mockResolvedValueOnce(mozzarella);
+            let res = await request(app)
+                .post('/api/v1/admin/ingredients')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Mozzarella', unit: 'g' });
+            expect(res.statusCode).toBe(409);
+
+            res = await request(app)
+                .post('/api/v1/admin/ingredients')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Mozzarella', unit: 'kg' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Unit must be one of: g, ml, piece/);
+
+            res = await request(app)
+                .post('/api/v1/admin/ingredients')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Mozzarella', unit: 'g', stock: -1 });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Stock must be/);
+            expect(prisma.ingredient.create).not.toHaveBeenCalled();
+        });
+
+        it('should only write the stock when it is given', async () => {
+            prisma.ingredient.findUnique.mockResolvedValueOnce(mozzarella).mockResolvedValueOnce({ ...mozzarella, lowStockThreshold: 500 });
+            prisma.ingredient.update.mockResolvedValueOnce({ ...mozzarella, lowStockThreshold: 500 });
+            prisma.pizza.findMany.mockResolvedValueOnce([]);
+            prisma.ingredient.findMany.mockResolvedValueOnce([{ ...mozzarella, lowStockThreshold: 500 }]);
+            const res = await request(app)
+                .patch('/api/v1/admin/ingredients/4')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ lowStockThreshold: 500 });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.lowStockThreshold).toBe(500);
+            expect(prisma.ingredient.update).toHaveBeenCalledWith({
+                where: { id: 4 },
+                data: { name: 'Mozzarella', unit: 'g', lowStockThreshold: 500 }
+            });
+        });
+
+        it('should put pizzas back on the menu when their ingredient is deleted', async () => {
+            prisma.ingredient.findUnique.mockResolvedValueOnce(mozzarella);
+            prisma.recipeIngredient.findMany.mockResolvedValueOnce([{ pizzaId: 1, ingredientId: 4, quantity: 150 }]);
+            prisma.pizza.findMany.mockResolvedValueOnce([{ id: 1, soldOut: true, recipe: [] }]);
+            const res = await request(app)
+                .delete('/api/v1/admin/ingredients/4')
+                .set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(prisma.ingredient.delete).toHaveBeenCalledWith({ where: { id: 4 } });
+            expect(prisma.pizza.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { id: { in: [1] } } }));
+            expect(prisma.pizza.updateMany).toHaveBeenCalledWith({ where: { id: { in: [1] } }, data: { soldOut: false } });
+        });
+    });
+
+    describe('Tags', () => {
+        it('should create a tag', async () => {
+            prisma.tag.findUnique.mockResolvedValue(null);
+            prisma.tag.create.mockResolvedValue({ key: 'spicy', name: 'Spicy', description: null });
+            const res = await request(app)
+                .post('/api/v1/admin/tags')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ key: 'spicy', name: 'Spicy' });
+            expect(res.statusCode).toBe(201);
+            expect(res.body).toEqual({ key: 'spicy', name: 'Spicy', description: null });
+        });
+
+        it('should return 409 if tag exists', async () => {
+            prisma.tag.findUnique.mockResolvedValue({ key: 'spicy' });
+            const res = await request(app)
+                .post('/api/v1/admin/tags')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ key: 'spicy', name: 'Spicy' });
+            expect(res.statusCode).toBe(409);
+        });
+
+        it('should return 400 for invalid tag key', async () => {
+            const res = await request(app)
+                .post('/api/v1/admin/tags')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ key: 'Very Spicy', name: 'Spicy' });
+            expect(res.statusCode).toBe(400);
+        });
+
+        it('should update and delete a tag', async () => {
+            prisma.tag.findUnique.mockResolvedValue({ key: 'spicy' });
+            prisma.tag.update.mockResolvedValue({ key: 'spicy', name: 'Hot', description: null });
+            let res = await request(app)
+                .patch('/api/v1/admin/tags/spicy')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Hot' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.name).toBe('Hot');
+
+            res = await request(app)
+                .delete('/api/v1/admin/tags/spicy')
+                .set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(prisma.tag.delete).toHaveBeenCalledWith({ where: { key: 'spicy' } });
+        });
+    });
+
+    describe('Pizza options', () => {
+        const storedOption = {
+            id: 2, type: 'size', name: 'Large', priceModifier: 3, isDefault: false, position: 2, available: true
+        };
+
+        it('should create a size with a negative price modifier', async () => {
+            prisma.pizzaOption.create.mockResolvedValue({ ...storedOption, id: 1, name: 'Small', priceModifier: -2 });
+            const res = await request(app)
+                .post('/api/v1/admin/pizza-options')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ type: 'size', name: 'Small', priceModifier: -2, position: 2 });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.priceModifier).toBe(-2);
+            expect(prisma.pizzaOption.create).toHaveBeenCalledWith({
+                data: { type: 'size', name: 'Small', priceModifier: -2, isDefault: false, position: 2, available: true }
+            });
+            expect(prisma.$transaction).not.toHaveBeenCalled();
+        });
+
+        it('should unset the previous default when setting a new one', async () => {
+            prisma.pizzaOption.findUnique.mockResolvedValue(storedOption);
+            prisma.$transaction.mockResolvedValue([{ count: 1 }, { ...storedOption, isDefault: true }]);
+            const res = await request(app)
+                .patch('/api/v1/admin/pizza-options/2')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ isDefault: true });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.isDefault).toBe(true);
+            expect(prisma.pizzaOption.updateMany).toHaveBeenCalledWith({
+                where: { type: 'size', isDefault: true, id: { not: 2 } },
+                data: { isDefault: false }
+            });
+            expect(prisma.pizzaOption.update).toHaveBeenCalledWith({
+                where: { id: 2 },
+                data: expect.objectContaining({ isDefault: true })
+            });
+        });
+
+        it('should return 400 for invalid input', async () => {
+            let res = await request(app)
+                .post('/api/v1/admin/pizza-options')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ type: 'sauce', name: 'Tomato' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Type must be one of: size, crust/);
+
+            res = await request(app)
+                .post('/api/v1/admin/pizza-options')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ type: 'crust', name: 'Thin', priceModifier: '1.555' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Price modifier must be/);
+            expect(prisma.pizzaOption.create).not.toHaveBeenCalled();
+        });
+
+        it('should delete an option and return 404 for unknown options', async () => {
+            prisma.pizzaOption.findUnique.mockResolvedValueOnce(storedOption).mockResolvedValueOnce(null);
+            let res = await request(app)
+                .delete('/api/v1/admin/pizza-options/2')
+                .set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(prisma.pizzaOption.delete).toHaveBeenCalledWith({ where: { id: 2 } });
+
+            res = await request(app)
+                .delete('/api/v1/admin/pizza-options/3')
+                .set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(404);
+        });
+    });
+
+    describe('Toppings', () => {
+        it('should create a topping', async () => {
+            prisma.topping.findUnique.mockResolvedValue(null);
+            prisma.topping.create.mockResolvedValue({ id: 1, name: 'Olives', price: 1.5, available: true });
+            const res = await request(app)
+                .post('/api/v1/admin/toppings')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: ' Olives ', price: '1.50' });
+            expect(res.statusCode).toBe(201);
+            expect(res.body).toEqual({ id: 1, name: 'Olives', price: 1.5, available: true });
+            expect(prisma.topping.create).toHaveBeenCalledWith({ data: { name: 'Olives', price: 1.5, available: true } });
+        });
+
+        it('should return 409 if a topping with the name exists', async () => {
+            prisma.topping.findUnique.mockResolvedValue({ id: 1, name: 'Olives' });
+            const res = await request(app)
+                .post('/api/v1/admin/toppings')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Olives', price: 1 });
+            expect(res.statusCode).toBe(409);
+        });
+
+        it('should update and delete a topping', async () => {
+            prisma.topping.findUnique.mockResolvedValue({ id: 1, name: 'Olives', price: 1.5, available: true });
+            prisma.topping.update.mockResolvedValue({ id: 1, name: 'Olives', price: 1.5, available: false });
+            let res = await request(app)
+                .patch('/api/v1/admin/toppings/1')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ available: false });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.available).toBe(false);
+
+            res = await request(app)
+                .delete('/api/v1/admin/toppings/1')
+                .set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(prisma.topping.delete).toHaveBeenCalledWith({ where: { id: 1 } });
+        });
+    });
+
+    describe('Promo codes', () => {
+        const storedPromo = {
+            id: 4,
+            code: 'SUMMER10',
+            description: null,
+            type: 'percent',
+            value: 10,
+            freePizzaId: null,
+            freeExtraId: null,
+            minSpend: null,
+            validFrom: null,
+            validUntil: null,
+            maxUses: null,
+            maxUsesPerUser: null,
+            active: true,
+            createdAt: new Date()
+        };
+
+        it('should create a promo code with an uppercase code', async () => {
+            prisma.promoCode.findUnique.mockResolvedValue(null);
+            prisma.promoCode.create.mockImplementation(({ data }) => Promise.resolve({ id: 4, createdAt: new Date(), ...data }));
+            const res = await request(app)
+                .post('/api/v1/admin/promo-codes')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ code: 'summer10', type: 'percent', value: 10, minSpend: '20.00', maxUsesPerUser: 1 });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.code).toBe('SUMMER10');
+            expect(prisma.promoCode.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ code: 'SUMMER10', type: 'percent', value: 10, minSpend: 20, maxUsesPerUser: 1, maxUses: null })
+            });
+        });
+
+        it('should reject invalid promo codes', async () => {
+            let res = await request(app)
+                .post('/api/v1/admin/promo-codes')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ code: 'HALF', type: 'percent', value: 150 });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/percentage/);
+
+            res = await request(app)
+                .post('/api/v1/admin/promo-codes')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ code: 'FREECOLA', type: 'free_item' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/freePizzaId or freeExtraId/);
+
+            res = await request(app)
+                .post('/api/v1/admin/promo-codes')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ code: 'LATE', type: 'fixed', value: 5, validFrom: '2025-02-01', validUntil: '2025-01-01' });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/before valid until/);
+            expect(prisma.promoCode.create).not.toHaveBeenCalled();
+        });
+
+        it('should return 409 for duplicate codes', async () => {
+            prisma.promoCode.findUnique.mockResolvedValue(storedPromo);
+            const res = await request(app)
+                .post('/api/v1/admin/promo-codes')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ code: 'SUMMER10', type: 'fixed', value: 5 });
+            expect(res.statusCode).toBe(409);
+        });
+
+        it('should update a promo code keeping the other fields', async () => {
+            prisma.promoCode.findUnique.mockResolvedValue(storedPromo);
+            prisma.promoCode.update.mockImplementation(({ data }) => Promise.resolve({ ...storedPromo, ...data }));
+            const res = await request(app)
+                .patch('/api/v1/admin/promo-codes/4')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ value: 15 });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.value).toBe(15);
+            expect(prisma.promoCode.update).toHaveBeenCalledWith({
+                where: { id: 4 },
+                data: expect.objectContaining({ code: 'SUMMER10', type: 'percent', value: 15 })
+            });
+        });
+
+        it('should deactivate used promo codes instead of deleting them', async () => {
+            prisma.promoCode.findUnique.mockResolvedValue(storedPromo);
+            prisma.order = { count: jest.fn().mockResolvedValue(2) };
+            const res = await request(app)
+                .delete('/api/v1/admin/promo-codes/4')
+                .set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.deactivated).toBe(true);
+            expect(prisma.promoCode.update).toHaveBeenCalledWith({ where: { id: 4 }, data: { active: false } });
+            expect(prisma.promoCode.delete).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Delivery zones', () => {
+        it('should create a zone with normalized postcodes', async () => {
+            prisma.deliveryZone.create.mockImplementation(({ data }) => Promise.resolve({ id: 2, ...data }));
+            const res = await request(app)
+                .post('/api/v1/admin/delivery-zones')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Centre', postcodes: ['sw1a 1aa', 'SW1A1AA', 'W1 2BB'], fee: '2.50', minOrder: 15 });
+            expect(res.statusCode).toBe(201);
+            expect(prisma.deliveryZone.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ name: 'Centre', postcodes: ['SW1A1AA', 'W12BB'], fee: 2.5, minOrder: 15, active: true })
+            });
+        });
+
+        it('should accept polygons and reject invalid zones', async () => {
+            prisma.deliveryZone.create.mockImplementation(({ data }) => Promise.resolve({ id: 3, ...data }));
+            const polygon = [{ lat: 52.5, lng: 13.3 }, { lat: 52.6, lng: 13.3 }, { lat: 52.6, lng: 13.5 }];
+            let res = await request(app)
+                .post('/api/v1/admin/delivery-zones')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Inner ring', polygon, fee: 0 });
+            expect(res.statusCode).toBe(201);
+            expect(res.body.polygon).toEqual(polygon);
+
+            res = await request(app)
+                .post('/api/v1/admin/delivery-zones')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Nowhere', fee: 1 });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/postcodes or a polygon/);
+
+            res = await request(app)
+                .post('/api/v1/admin/delivery-zones')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ name: 'Line', polygon: polygon.slice(0, 2), fee: 1 });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/at least 3 points/);
+        });
+
+        it('should deactivate zones used by past orders instead of deleting them', async () => {
+            prisma.deliveryZone.findUnique.mockResolvedValue({ id: 2, name: 'Centre', postcodes: ['W12BB'], polygon: null, fee: 2.5, minOrder: 0, active: true });
+            prisma.order = { count: jest.fn().mockResolvedValue(1) };
+            const res = await request(app)
+                .delete('/api/v1/admin/delivery-zones/2')
+                .set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.deactivated).toBe(true);
+            expect(prisma.deliveryZone.update).toHaveBeenCalledWith({ where: { id: 2 }, data: { active: false } });
+            expect(prisma.deliveryZone.delete).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Tax rates', () => {
+        it('should set the rate of a category', async () => {
+            prisma.taxRate.upsert.mockImplementation(({ create }) => Promise.resolve({ id: 1, ...create }));
+            const res = await request(app)
+                .put('/api/v1/admin/tax-rates/drink')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ rate: '8.25', inclusive: false });
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toEqual({ category: 'drink', rate: 8.25, inclusive: false });
+            expect(prisma.taxRate.upsert).toHaveBeenCalledWith({
+                where: { category: 'drink' },
+                create: { category: 'drink', rate: 8.25, inclusive: false },
+                update: { rate: 8.25, inclusive: false }
+            });
+        });
+
+        it('should reject unknown categories and invalid rates', async () => {
+            let res = await request(app)
+                .put('/api/v1/admin/tax-rates/beer')
+                .set('Cookie', ['session=admin-session-id'])
+                .send({ rate: 19 });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.error).toMatch(/Category must be one of: pizza, drink, sauce, side, delivery/);
+
+            for (const input of [{}, { rate: 101 }, { rate: -1 }, { rate: 7.125 }, { rate: 7, inclusive: 'no' }]) {
+                res = await request(app)
+                    .put('/api/v1/admin/tax-rates/pizza')
+                    .set('Cookie', ['session=admin-session-id'])
+                    .send(input);
+                expect(res.statusCode).toBe(400);
+            }
+            expect(prisma.taxRate.upsert).not.toHaveBeenCalled();
+        });
+
+        it('should delete the rate of a category', async () => {
+            prisma.taxRate.findUnique.mockResolvedValueOnce(null);
+            let res = await request(app)
+                .delete('/api/v1/admin/tax-rates/side')
+                .set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(404);
+
+            prisma.taxRate.findUnique.mockResolvedValueOnce({ id: 3, category: 'side', rate: 7, inclusive: true });
+            res = await request(app)
+                .delete('/api/v1/admin/tax-rates/side')
+                .set('Cookie', ['session=admin-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(prisma.taxRate.delete).toHaveBeenCalledWith({ where: { category: 'side' } });
+        });
+    });
+});
+
+// --- ORDER TRACKING TESTS ---
+
+describe('GET /orders/:id/events', () => {
+    let mockSession;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockSession = {
+            id: 'mock-session-id',
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            cart: { items: [], extras: [], total: 0 }
+        };
+        redisClient.get.mockResolvedValue(JSON.stringify(mockSession));
+        redisClient.set.mockResolvedValue();
+        prisma.order = { findUnique: jest.fn() };
+    });
+
+    it('should return 404 for orders of other sessions', async () => {
+        prisma.order.findUnique.mockResolvedValue(null);
+        const res = await request(app).get('/api/v1/orders/10/events').set('Cookie', ['session=mock-session-id']);
+        expect(res.statusCode).toBe(404);
+        expect(prisma.order.findUnique).toHaveBeenCalledWith({
+            where: { id: 10, sessionId: 'mock-session-id' },
+            include: undefined
+        });
+        expect(orderEvents.subscribeToOrder).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for invalid order id', async () => {
+        const res = await request(app).get('/api/v1/orders/abc/events');
+        expect(res.statusCode).toBe(400);
+    });
+
+    it('should send the current status and end for finished orders', async () => {
+        prisma.order.findUnique.mockResolvedValue({ id: 10, status: 'delivered' });
+        const res = await request(app).get('/api/v1/orders/10/events').set('Cookie', ['session=mock-session-id']);
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+        expect(res.text).toBe('event: status\ndata: {"orderId":10,"status":"delivered"}\n\n');
+        expect(orderEvents.subscribeToOrder).not.toHaveBeenCalled();
+    });
+
+    it('should stream status changes until the order is finished', async () => {
+        const unsubscribe = jest.fn().mockResolvedValue();
+        prisma.order.findUnique.mockResolvedValue({ id: 10, status: 'baking' });
+        orderEvents.subscribeToOrder.mockImplementation(async (orderId, listener) => {
+            setImmediate(() => {
+                listener({ orderId, status: 'out_for_delivery', changedAt: '2024-01-03T15:30:00.000Z', note: null });
+                listener({ orderId, status: 'delivered', changedAt: '2024-01-03T15:40:00.000Z', note: null });
+            });
+            return unsubscribe;
+        });
+
+        const res = await request(app).get('/api/v1/orders/10/events').set('Cookie', ['session=mock-session-id']);
+        expect(res.statusCode).toBe(200);
+        const events = res.text.trim().split('\n\n').map(block => JSON.parse(block.split('data: ')[1]));
+        expect(events.map(event => event.status)).toEqual(['baking', 'out_for_delivery', 'delivered']);
+        expect(orderEvents.subscribeToOrder).toHaveBeenCalledWith(10, expect.any(Function));
+        expect(unsubscribe).toHaveBeenCalled();
+    });
+});
+
+// --- STAFF ROUTES TESTS ---
+
+describe('Staff routes', () => {
+    let staffSession;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        staffSession = {
+            id: 'staff-session-id',
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            cart: { items: [], extras: [], total: 0 },
+            userId: 5
+        };
+        redisClient.get.mockResolvedValue(JSON.stringify(staffSession));
+        redisClient.set.mockResolvedValue();
+        prisma.user = { findUnique: jest.fn().mockResolvedValue({ id: 5, role: 'staff' }) };
+        prisma.order = {
+            findMany: jest.fn(),
+            findUnique: jest.fn(),
+            update: jest.fn(),
+        };
+        prisma.orderStatusHistory = { create: jest.fn() };
+        orderEvents.publishOrderEvent.mockResolvedValue(1);
+    });
+
+    describe('GET /staff/orders', () => {
+        it('should list open orders by default', async () => {
+            prisma.order.findMany.mockResolvedValue([]);
+            prisma.order.count = jest.fn().mockResolvedValue(0);
+            const res = await request(app).get('/api/v1/staff/orders').set('Cookie', ['session=staff-session-id']);
+            expect(res.statusCode).toBe(200);
+            expect(prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({
+                where: { status: { in: ['pending', 'accepted', 'preparing', 'baking', 'out_for_delivery'] } }
+            }));
+        });
+
+        it('should return 400 for unknown status filter', async () => {
+            const res = await request(app).get('/api/v1/staff/orders?status=lost').set('Cookie', ['session=staff-session-id']);
+            expect(res.statusCode).toBe(400);
+        });
+
+        it('should return 403 for customers', async () => {
+            prisma.user.findUnique.mockResolvedValue({ id: 5, role: 'customer' });
+            const res = await request(app).get('/api/v1/staff/orders').set('Cookie', ['session=staff-session-id']);
+            expect(res.statusCode).toBe(403);
+        });
+    });
+
+    describe('POST /staff/orders/:id/status', () => {
+        it('should advance an order and record history', async () => {
+            const createdAt = new Date('2024-01-03T15:00:00Z');
+            prisma.order.findUnique.mockResolvedValue({ id: 10, status: 'pending', createdAt });
+            prisma.$transaction.mockResolvedValue([
+                {},
+                {
+                    id: 10,
+                    status: 'accepted',
+                    createdAt,
+                    statusHistory: [
+                        { toStatus: 'accepted', createdAt: new Date('2024-01-03T15:05:00Z'), changedById: 5, note: null }
+                    ]
+                }
+            ]);
+            const res = await request(app)
+                .post('/api/v1/staff/orders/10/status')
+                .set('Cookie', ['session=staff-session-id'])
+                .send({ status: 'accepted' });
+            expect(res.statusCode).toBe(200);
+            expect(res.body.status).toBe('accepted');
+            expect(res.body.timeline[1]).toEqual({
+                status: 'accepted', changedAt: '2024-01-03T15:05:00.000Z', note: null, changedById: 5
+            });
+            expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({
+                data: { orderId: 10, fromStatus: 'pending', toStatus: 'accepted', changedById: 5, note: null }
+            });
+            expect(prisma.order.update).toHaveBeenCalledWith(expect.objectContaining({
+                where: { id: 10, status: 'pending' },
+                data: { status: 'accepted' }
+            }));
+            expect(orderEvents.publishOrderEvent).toHaveBeenCalledWith(10, {
+                orderId: 10,
+                status: 'accepted',
+                changedAt: new Date('2024-01-03T15:05:00Z'),
+                note: null
+            });
+        });
+
+        it('should give back the promo code use of cancelled and rejected orders', async () => {
+            const createdAt = new Date('2024-01-03T15:00:00Z');
+            prisma.order.findUnique.mockResolvedValue({ id: 10, status: 'pending', promoCodeId: 9, createdAt });
+            prisma.$transaction.mockResolvedValue([{}, { id: 10, status: 'rejected', createdAt, statusHistory: [] }]);
+            const res = await request(app)
+                .post('/api/v1/staff/orders/10/status')
+                .set('Cookie', ['session=staff-session-id'])
+                .send({ status: 'rejected' });
+            expect(res.statusCode).toBe(200);
+            expect(prisma.promoCode.update).toHaveBeenCalledWith({ where: { id: 9 }, data: { uses: { decrement: 1 } } });
+            expect(prisma.$transaction.mock.calls[0][0]).toHaveLength(3);
+
+            prisma.promoCode.update.mockClear();
+            await request(app)
+                .post('/api/v1/staff/orders/10/status')
+                .set('Cookie', ['session=staff-session-id'])
+                .send({ status: 'accepted' });
+            expect(prisma.promoCode.update).not.toHaveBeenCalled();
+        });
+
+        it('should reject illegal transitions', async () => {
+            prisma.order.findUnique.mockResolvedValue({ id: 10, status: 'pending' });
+            const res = await request(app)
+                .post('/api/v1/staff/orders/10/status')
+                .set('Cookie', ['session=staff-session-id'])
+                .send({ status: 'delivered' });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toMatch(/Cannot change order status from pending to delivered/);
+            expect(prisma.$transaction).not.toHaveBeenCalled();
+        });
+
+        it('should return 409 if the status changed concurrently', async () => {
+            prisma.order.findUnique.mockResolvedValue({ id: 10, status: 'pending' });
+            prisma.$transaction.mockRejectedValue(Object.assign(new Error('Record not found'), { code: 'P2025' }));
+            const res = await request(app)
+                .post('/api/v1/staff/orders/10/status')
+                .set('Cookie', ['session=staff-session-id'])
+                .send({ status: 'accepted' });
+            expect(res.statusCode).toBe(409);
+        });
+
+        it('should not accept card orders before they are paid', async () => {
+            prisma.order.findUnique.mockResolvedValue({ id: 10, status: 'pending', paymentMethod: 'card', paymentStatus: 'failed' });
+            const res = await request(app)
+                .post('/api/v1/staff/orders/10/status')
+                .set('Cookie', ['session=staff-session-id'])
+                .send({ status: 'accepted' });
+            expect(res.statusCode).toBe(409);
+            expect(res.body.error).toMatch(/card payment of this order is not completed/);
+            expect(prisma.$transaction).not.toHaveBeenCalled();
+        });
+
+        it('should refund paid orders that are cancelled and collect cash on delivery', async () => {
+            const provider = { name: 'mock', refund: jest.fn().mockResolvedValue({ status: 'refunded' }) };
+            setPaymentProvider(provider);
+            const createdAt = new Date('2024-01-03T15:00:00Z');
+            prisma.order.findUnique.mockResolvedValueOnce({ id: 10, status: 'accepted', paymentMethod: 'card', paymentStatus: 'paid', createdAt });
+            prisma.$transaction
+                .mockResolvedValueOnce([{}, { id: 10, status: 'cancelled', createdAt, statusHistory: [] }])
+                .mockImplementationOnce(callback => callback(prisma));
+            prisma.payment.findFirst.mockResolvedValueOnce({ id: 3, orderId: 10, method: 'card', status: 'captured', providerPaymentId: 'pi_1' });
+            prisma.payment.updateMany.mockResolvedValueOnce({ count: 1 });
+            let res = await request(app)
+                .post('/api/v1/staff/orders/10/status')
+                .set('Cookie', ['session=staff-session-id'])
+                .send({ status: 'cancelled' });
+            expect(res.statusCode).toBe(200);
+            expect(provider.refund).toHaveBeenCalledWith('pi_1');
+            expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+                where: { id: 3, status: { in: ['captured'] } },
+                data: { status: 'refunded' }
+            });
+            expect(prisma.order.update).toHaveBeenCalledWith({ where: { id: 10 }, data: { paymentStatus: 'refunded' } });
+            expect(prisma.promoCode.update).not.toHaveBeenCalled();
+
+            prisma.order.findUnique.mockResolvedValueOnce({ id: 11, status: 'out_for_delivery', paymentMethod: 'cash', paymentStatus: 'unpaid', createdAt });
+            prisma.$transaction
+                .mockResolvedValueOnce([{}, { id: 11, status: 'delivered', createdAt, statusHistory: [] }])
+                .mockImplementationOnce(callback => callback(prisma));
+            prisma.payment.findFirst.mockResolvedValueOnce({ id: 4, orderId: 11, method: 'cash', status: 'pending' });
+            prisma.payment.updateMany.mockResolvedValueOnce({ count: 1 });
+            res = await request(app)
+                .post('/api/v1/staff/orders/11/status')
+                .set('Cookie', ['session=staff-session-id'])
+                .send({ status: 'delivered' });
+            expect(res.statusCode).toBe(200);
+            expect(prisma.payment.findFirst).toHaveBeenLastCalledWith({ where: { orderId: 11, method: 'cash', status: 'pending' } });
+            expect(prisma.order.update).toHaveBeenLastCalledWith({ where: { id: 11 }, data: { paymentStatus: 'paid' } });
+        });
+
+        it('should return 400 for unknown status and 404 for unknown order', async () => {
+            let res = await request(app)
+                .post('/api/v1/staff/orders/10/status')
+                .set('Cookie', ['session=staff-session-id'])
+                .send({ status: 'eaten' });
+            expect(res.statusCode).toBe(400);
+
+            prisma.order.findUnique.mockResolvedValue(null);
+            res = await request(app)
+                .post('/api/v1/staff/orders/10/status')
+                .set('Cookie', ['session=staff-session-id'])
+                .send({ status: 'accepted' });
+            expect(res.statusCode).toBe(404);
+        });
+    });
+});
+
+describe('Staff inventory routes', () => {
+    const mozzarella = { id: 4, name: 'Mozzarella', unit: 'g', stock: 800, lowStockThreshold: 1000, lowStockSince: new Date('2026-10-19T10:00:00Z') };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        redisClient.get.mockResolvedValue(JSON.stringify({
+            id: 'staff-session-id',
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            cart: { items: [], extras: [], total: 0 },
+            userId: 5
+        }));
+        redisClient.set.mockResolvedValue();
+        prisma.user = { findUnique: jest.fn().mockResolvedValue({ id: 5, role: 'staff' }) };
+        prisma.$transaction.mockImplementation(runTransaction);
+    });
+
+    it('should list ingredients running low', async () => {
+        prisma.ingredient.findMany.mockResolvedValueOnce([mozzarella]);
+        prisma.ingredient.count.mockResolvedValueOnce(1);
+        const res = await request(app).get('/api/v1/staff/ingredients?lowStock=true').set('Cookie', ['session=staff-session-id']);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.results).toEqual([{ ...mozzarella, lowStock: true, lowStockSince: '2026-10-19T10:00:00.000Z' }]);
+        expect(prisma.ingredient.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { lowStockSince: { not: null } }
+        }));
+    });
+
+    it('should restock an ingredient and put its pizzas back on the menu', async () => {
+        prisma.ingredient.findUnique
+            .mockResolvedValueOnce(mozzarella)
+            .mockResolvedValueOnce({ ...mozzarella, stock: 5800, lowStockSince: null });
+        prisma.ingredient.update.mockResolvedValueOnce({ ...mozzarella, stock: 5800 });
+        prisma.pizza.findMany.mockResolvedValueOnce([{ id: 1, soldOut: true, recipe: [{ quantity: 150, ingredient: { stock: 5800 } }] }]);
+        prisma.ingredient.findMany.mockResolvedValueOnce([{ ...mozzarella, stock: 5800 }]);
+
+        const res = await request(app)
+            .post('/api/v1/staff/ingredients/4/restock')
+            .set('Cookie', ['session=staff-session-id'])
+            .send({ quantity: 5000 });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.stock).toBe(5800);
+        expect(res.body.lowStock).toBe(false);
+        expect(prisma.ingredient.update).toHaveBeenCalledWith({ where: { id: 4 }, data: { stock: { increment: 5000 } } });
+        expect(prisma.pizza.updateMany).toHaveBeenCalledWith({ where: { id: { in: [1] } }, data: { soldOut: false } });
+        expect(prisma.ingredient.updateMany).toHaveBeenCalledWith({ where: { id: { in: [4] } }, data: { lowStockSince: null } });
+        expect(sendTemplateEmail).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid quantity and 404 for an unknown ingredient', async () => {
+        let res = await request(app)
+            .post('/api/v1/staff/ingredients/4/restock')
+            .set('Cookie', ['session=staff-session-id'])
+            .send({ quantity: 0 });
+        expect(res.statusCode).toBe(400);
+
+        prisma.ingredient.findUnique.mockResolvedValueOnce(null);
+        res = await request(app)
+            .post('/api/v1/staff/ingredients/4/restock')
+            .set('Cookie', ['session=staff-session-id'])
+            .send({ quantity: 100 });
+        expect(res.statusCode).toBe(404);
+    });
+
+    it('should not let customers see the stock', async () => {
+        prisma.user.findUnique.mockResolvedValue({ id: 5, role: 'customer' });
+        const res = await request(app).get('/api/v1/staff/ingredients').set('Cookie', ['session=staff-session-id']);
+        expect(res.statusCode).toBe(403);
+    });
+});
+
+describe('Payment routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        setPaymentProvider(createPaymentProvider('mock'));
+        redisClient.get.mockResolvedValue(JSON.stringify({
+            id: 'mock-session-id', createdAt: new Date(), updatedAt: new Date(), cart: { items: [], extras: [], total: 0 }
+        }));
+        redisClient.set.mockResolvedValue();
+        prisma.order = { findUnique: jest.fn(), update: jest.fn() };
+    });
+
+    it('should only accept signed webhook events', async () => {
+        const body = JSON.stringify({ type: 'payment.failed', data: { intentId: 'pi_1', failureReason: 'Card declined' } });
+        let res = await request(app)
+            .post('/api/v1/payments/webhook')
+            .set('Content-Type', 'application/json')
+            .set('X-Payment-Signature', 't=1,v1=abc')
+            .send(body);
+        expect(res.statusCode).toBe(400);
+        expect(prisma.payment.findUnique).not.toHaveBeenCalled();
+
+        prisma.payment.findUnique.mockResolvedValueOnce({ id: 3, orderId: 10, status: 'pending' });
+        prisma.$transaction.mockImplementationOnce(callback => callback(prisma));
+        prisma.payment.updateMany.mockResolvedValueOnce({ count: 1 });
+        res = await request(app)
+            .post('/api/v1/payments/webhook')
+            .set('Content-Type', 'application/json')
+            .set('X-Payment-Signature', signWebhookPayload(body))
+            .send(body);
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toEqual({ received: true });
+        expect(prisma.payment.findUnique).toHaveBeenCalledWith({ where: { providerPaymentId: 'pi_1' } });
+        expect(prisma.order.update).toHaveBeenCalledWith({ where: { id: 10 }, data: { paymentStatus: 'failed' } });
+    });
+
+    it('should return 404 for unknown 3-D Secure challenges', async () => {
+        let res = await request(app).get('/api/v1/payments/mock/3ds/mock_pi_unknown');
+        expect(res.statusCode).toBe(404);
+        res = await request(app).post('/api/v1/payments/mock/3ds/mock_pi_unknown').send({ outcome: 'approve' });
+        expect(res.statusCode).toBe(404);
+    });
+
+    it('should complete 3-D Secure at the mock provider', async () => {
+        const provider = createPaymentProvider('mock');
+        setPaymentProvider(provider);
+        const intent = await provider.createIntent({ amount: 2000, currency: 'EUR', orderId: 10, token: MOCK_TOKENS.threeDSecure });
+
+        let res = await request(app).get(`/api/v1/payments/mock/3ds/${intent.id}`);
+        expect(res.statusCode).toBe(200);
+        expect(res.text).toContain('20.00 EUR');
+
+        const payment = { id: 3, orderId: 10, method: 'card', status: 'requires_action', amount: 20, failureReason: null, providerPaymentId: intent.id };
+        prisma.payment.findUnique
+            .mockResolvedValueOnce(payment)
+            .mockResolvedValueOnce({ ...payment, status: 'captured' });
+        prisma.$transaction.mockImplementation(callback => callback(prisma));
+        prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+        res = await request(app)
+            .post(`/api/v1/payments/mock/3ds/${intent.id}`)
+            .type('form')
+            .send({ outcome: 'approve' });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.payment.status).toBe('captured');
+        expect(provider.intents.get(intent.id).status).toBe('captured');
+        expect(prisma.order.update).toHaveBeenCalledWith({ where: { id: 10 }, data: { paymentStatus: 'paid' } });
+    });
+
+    it('should let customers pay again after a failed payment', async () => {
+        prisma.order.findUnique.mockResolvedValueOnce({ id: 10, status: 'pending', total: 20, paymentStatus: 'failed' });
+        prisma.order.updateMany = jest.fn().mockResolvedValueOnce({ count: 1 });
+        let res = await request(app).post('/api/v1/orders/10/payment').send({ paymentMethod: 'cash' });
+        expect(res.statusCode).toBe(201);
+        expect(res.body.paymentStatus).toBe('unpaid');
+        expect(res.body.payment.method).toBe('cash');
+        expect(prisma.order.updateMany).toHaveBeenCalledWith({
+            where: { id: 10, paymentStatus: 'failed', status: { notIn: ['delivered', 'cancelled', 'rejected'] } },
+            data: { paymentMethod: 'cash', paymentStatus: 'unpaid' }
+        });
+        expect(prisma.order.findUnique).toHaveBeenCalledWith({ where: { id: 10, sessionId: 'mock-session-id' }, include: undefined });
+
+        // E.g. paid, or retried by a concurrent request in the meantime
+        prisma.order.findUnique.mockResolvedValueOnce({ id: 10, status: 'pending', total: 20, paymentStatus: 'failed' });
+        prisma.order.updateMany.mockResolvedValueOnce({ count: 0 });
+        prisma.payment.create.mockClear();
+        res = await request(app).post('/api/v1/orders/10/payment').send({ paymentMethod: 'cash' });
+        expect(res.statusCode).toBe(409);
+        expect(prisma.payment.create).not.toHaveBeenCalled();
+    });
+});
+
+// --- ADDRESS TESTS ---
+
+describe('Address routes', () => {
+    let userSession;
+    const homeAddress = { recipient: 'Ann Smith', street: 'Main St 1', city: 'Berlin', postcode: '10115' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        userSession = {
+            id: 'user-session-id',
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            cart: { items: [], extras: [], total: 0 },
+            userId: 5
+        };
+        redisClient.get.mockResolvedValue(JSON.stringify(userSession));
+        redisClient.set.mockResolvedValue();
+    });
+
+    it('should return 401 for anonymous sessions', async () => {
+        userSession.userId = null;
+        redisClient.get.mockResolvedValue(JSON.stringify(userSession));
+        const res = await request(app).get('/api/v1/addresses').set('Cookie', ['session=user-session-id']);
+        expect(res.statusCode).toBe(401);
+    });
+
+    it('should list the addresses of the user', async () => {
+        prisma.address.findMany.mockResolvedValue([{ id: 3, userId: 5, label: 'Home', ...homeAddress, phone: null, notes: null, latitude: null, longitude: null }]);
+        const res = await request(app).get('/api/v1/addresses').set('Cookie', ['session=user-session-id']);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.results[0]).toEqual(expect.objectContaining({ id: 3, label: 'Home', postcode: '10115' }));
+        expect(prisma.address.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 5 } }));
+    });
+
+    it('should save an address', async () => {
+        prisma.address.create.mockImplementation(({ data }) => Promise.resolve({ id: 4, ...data }));
+        const res = await request(app)
+            .post('/api/v1/addresses')
+            .set('Cookie', ['session=user-session-id'])
+            .send({ ...homeAddress, label: 'Home', latitude: 52.53, longitude: 13.38 });
+        expect(res.statusCode).toBe(201);
+        expect(prisma.address.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ userId: 5, label: 'Home', street: 'Main St 1', latitude: 52.53, longitude: 13.38 })
+        });
+    });
+
+    it('should validate addresses', async () => {
+        let res = await request(app)
+            .post('/api/v1/addresses')
+            .set('Cookie', ['session=user-session-id'])
+            .send({ ...homeAddress, street: ' ' });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toMatch(/street is required/);
+
+        res = await request(app)
+            .post('/api/v1/addresses')
+            .set('Cookie', ['session=user-session-id'])
+            .send({ ...homeAddress, latitude: 52.53 });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toMatch(/given together/);
+        expect(prisma.address.create).not.toHaveBeenCalled();
+    });
+
+    it('should only update and delete own addresses', async () => {
+        prisma.address.findUnique.mockResolvedValue(null);
+        let res = await request(app)
+            .patch('/api/v1/addresses/9')
+            .set('Cookie', ['session=user-session-id'])
+            .send({ notes: 'Ring twice' });
+        expect(res.statusCode).toBe(404);
+        expect(prisma.address.findUnique).toHaveBeenCalledWith({ where: { id: 9, userId: 5 } });
+
+        res = await request(app).delete('/api/v1/addresses/9').set('Cookie', ['session=user-session-id']);
+        expect(res.statusCode).toBe(404);
+        expect(prisma.address.delete).not.toHaveBeenCalled();
+    });
+
+    it('should update an address keeping the other fields', async () => {
+        prisma.address.findUnique.mockResolvedValue({ id: 3, userId: 5, label: 'Home', ...homeAddress, phone: null, notes: null, latitude: null, longitude: null });
+        prisma.address.update.mockImplementation(({ data }) => Promise.resolve({ id: 3, ...data }));
+        const res = await request(app)
+            .patch('/api/v1/addresses/3')
+            .set('Cookie', ['session=user-session-id'])
+            .send({ notes: 'Ring twice' });
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toEqual(expect.objectContaining({ label: 'Home', street: 'Main St 1', notes: 'Ring twice' }));
+    });
+
+    it('should list the active delivery zones', async () => {
+        prisma.deliveryZone.findMany.mockResolvedValue([
+            { id: 2, name: 'Mitte', postcodes: ['10115'], polygon: null, fee: 2.5, minOrder: 15, active: true }
+        ]);
+        const res = await request(app).get('/api/v1/delivery-zones');
+        expect(res.statusCode).toBe(200);
+        expect(res.body.results).toEqual([{ id: 2, name: 'Mitte', postcodes: ['10115'], polygon: null, fee: 2.5, minOrder: 15 }]);
+        expect(prisma.deliveryZone.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { active: true } }));
     });
 });
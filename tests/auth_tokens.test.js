@@ -0,0 +1,88 @@
+const redisClient = require('../src/redis_client.js');
+const { hashToken } = require('../src/security.js');
+const { signAccessToken, verifyAccessToken, issueTokens, redeemRefreshToken, revokeRefreshToken } = require('../src/auth_tokens.js');
+
+jest.mock('../src/redis_client.js', () => ({
+    set: jest.fn(),
+    getDel: jest.fn(),
+}));
+
+const now = 1750000000;
+
+function decode(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString());
+}
+
+describe('Auth tokens', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should sign access tokens as JWTs that expire', () => {
+        const token = signAccessToken({ sub: '1', sid: 'session-id' }, now);
+        const [header, payload] = token.split('.');
+        expect(decode(header)).toEqual({ alg: 'HS256', typ: 'JWT' });
+        expect(decode(payload)).toEqual({ sub: '1', sid: 'session-id', iat: now, exp: now + 900 });
+
+        expect(verifyAccessToken(token, now + 899)).toEqual({ sub: '1', sid: 'session-id', iat: now, exp: now + 900 });
+        expect(verifyAccessToken(token, now + 900)).toBeNull();
+    });
+
+    it('should reject forged and malformed access tokens', () => {
+        const [header, payload, signature] = signAccessToken({ sub: '1', sid: 'session-id' }, now).split('.');
+        const otherPayload = Buffer.from(JSON.stringify({ sub: '2', sid: 'session-id', iat: now, exp: now + 900 })).toString('base64url');
+        const noneHeader = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+        for (const token of [`${header}.${otherPayload}.${signature}`, `${noneHeader}.${payload}.`, `${header}.${payload}`, 'token', undefined]) {
+            expect(verifyAccessToken(token, now)).toBeNull();
+        }
+    });
+
+    it('should store only the hash of refresh tokens', async () => {
+        const tokens = await issueTokens(1, 'session-id');
+        expect(tokens).toEqual({ accessToken: expect.any(String), tokenType: 'Bearer', expiresIn: 900, refreshToken: expect.stringMatching(/^[0-9a-f]{64}$/) });
+        expect(verifyAccessToken(tokens.accessToken)).toEqual(expect.objectContaining({ sub: '1', sid: 'session-id' }));
+        expect(redisClient.set).toHaveBeenCalledWith(
+            `pizzago_refresh_token:${hashToken(tokens.refreshToken)}`,
+            JSON.stringify({ userId: 1, sessionId: 'session-id' }),
+            { EX: 60*60*24*3 }
+        );
+    });
+
+    it('should use up refresh tokens and notice when one is used again', async () => {
+        const key = `pizzago_refresh_token:${hashToken('refresh-token')}`;
+        redisClient.getDel.mockResolvedValueOnce(JSON.stringify({ userId: 1, sessionId: 'session-id' }));
+        await expect(redeemRefreshToken('refresh-token')).resolves.toEqual({ userId: 1, sessionId: 'session-id', reused: false });
+        expect(redisClient.getDel).toHaveBeenCalledWith(key);
+        expect(redisClient.set).toHaveBeenCalledWith(key, JSON.stringify({ userId: 1, sessionId: 'session-id', used: true }), { EX: 60*60*24*3 });
+
+        redisClient.getDel.mockResolvedValueOnce(redisClient.set.mock.calls[0][1]);
+        await expect(redeemRefreshToken('refresh-token')).resolves.toEqual({ userId: 1, sessionId: 'session-id', reused: true });
+
+        redisClient.getDel.mockResolvedValueOnce(null);
+        await expect(redeemRefreshToken('unknown-token')).resolves.toBeNull();
+        await expect(redeemRefreshToken(42)).resolves.toBeNull();
+    });
+
+    it('should revoke refresh tokens', async () => {
+        redisClient.getDel.mockResolvedValueOnce(JSON.stringify({ userId: 1, sessionId: 'session-id', used: true }));
+        await expect(revokeRefreshToken('refresh-token')).resolves.toEqual({ userId: 1, sessionId: 'session-id' });
+        expect(redisClient.getDel).toHaveBeenCalledWith(`pizzago_refresh_token:${hashToken('refresh-token')}`);
+        expect(redisClient.set).not.toHaveBeenCalled();
+
+        redisClient.getDel.mockResolvedValueOnce(null);
+        await expect(revokeRefreshToken('refresh-token')).resolves.toBeNull();
+    });
+
+    it('should refuse to start in production without a secret', () => {
+        const env = { ...process.env };
+        try {
+            delete process.env.AUTH_TOKEN_SECRET;
+            process.env.NODE_ENV = 'prod';
+            expect(() => jest.isolateModules(() => require('../src/auth_tokens.js'))).toThrow('AUTH_TOKEN_SECRET must be set in production');
+            process.env.AUTH_TOKEN_SECRET = 'secret';
+            expect(() => jest.isolateModules(() => require('../src/auth_tokens.js'))).not.toThrow();
+        } finally {
+            process.env = env;
+        }
+    });
+});
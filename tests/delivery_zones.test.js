@@ -0,0 +1,58 @@
+const prisma = require('../src/prisma.js');
+const { normalizePostcode, isPointInPolygon, isAddressInZone, findDeliveryZone } = require('../src/delivery_zones.js');
+
+jest.mock('../src/prisma.js', () => ({
+    deliveryZone: { findMany: jest.fn() },
+}));
+
+// Roughly the square between (52.5, 13.3) and (52.6, 13.5), with a notch cut into the east side
+const polygon = [
+    { lat: 52.5, lng: 13.3 },
+    { lat: 52.6, lng: 13.3 },
+    { lat: 52.6, lng: 13.5 },
+    { lat: 52.56, lng: 13.5 },
+    { lat: 52.55, lng: 13.4 },
+    { lat: 52.54, lng: 13.5 },
+    { lat: 52.5, lng: 13.5 },
+];
+
+describe('Delivery zones', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should normalize postcodes', () => {
+        expect(normalizePostcode(' sw1a 1aa ')).toBe('SW1A1AA');
+    });
+
+    it('should detect points inside a polygon', () => {
+        expect(isPointInPolygon({ lat: 52.52, lng: 13.35 }, polygon)).toBe(true);
+        expect(isPointInPolygon({ lat: 52.58, lng: 13.48 }, polygon)).toBe(true);
+        // Inside the notch
+        expect(isPointInPolygon({ lat: 52.55, lng: 13.48 }, polygon)).toBe(false);
+        expect(isPointInPolygon({ lat: 52.7, lng: 13.35 }, polygon)).toBe(false);
+        expect(isPointInPolygon({ lat: 52.52, lng: 13.2 }, polygon)).toBe(false);
+    });
+
+    it('should match addresses by postcode or coordinates', () => {
+        const zone = { postcodes: ['10115'], polygon };
+        expect(isAddressInZone({ postcode: '10 115' }, zone)).toBe(true);
+        expect(isAddressInZone({ postcode: '99999', latitude: 52.52, longitude: 13.35 }, zone)).toBe(true);
+        expect(isAddressInZone({ postcode: '99999' }, zone)).toBe(false);
+        expect(isAddressInZone({ postcode: '99999', latitude: 52.52, longitude: 13.35 }, { postcodes: [], polygon: null })).toBe(false);
+    });
+
+    it('should return the cheapest active zone containing the address', async () => {
+        prisma.deliveryZone.findMany.mockResolvedValue([
+            { id: 1, postcodes: ['20095'], polygon: null, fee: 1 },
+            { id: 2, postcodes: ['10115'], polygon: null, fee: 2 },
+            { id: 3, postcodes: [], polygon, fee: 3 },
+        ]);
+        expect((await findDeliveryZone({ postcode: '10115', latitude: 52.52, longitude: 13.35 })).id).toBe(2);
+        expect(await findDeliveryZone({ postcode: '80331' })).toBeNull();
+        expect(prisma.deliveryZone.findMany).toHaveBeenCalledWith({
+            where: { active: true },
+            orderBy: [{ fee: 'asc' }, { id: 'asc' }]
+        });
+    });
+});
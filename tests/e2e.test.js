@@ -3,6 +3,8 @@ const app = require('../src/app.js');
 const db = require('../src/prisma.js');
 const redis = require('../src/redis_client.js');
 const {hashPassword} = require('../src/security.js');
+const {loadUserCart, saveUserCart} = require('../src/user_cart.js');
+const {normalizeCartLine} = require('../src/pizza_options.js');
 
 async function insertPizzas() {
     // Generate set of tags
@@ -49,10 +51,19 @@ async function insertPizzas() {
 }
 
 async function clearDatabase() {
+    await db.cart.deleteMany();
     await db.order.deleteMany();
     await db.orderItem.deleteMany();
     await db.pizza.deleteMany();
+    await db.menuCategory.deleteMany();
+    await db.ingredient.deleteMany();
     await db.tag.deleteMany();
+    await db.topping.deleteMany();
+    await db.pizzaOption.deleteMany();
+    await db.promoCode.deleteMany();
+    await db.deliveryZone.deleteMany();
+    await db.taxRate.deleteMany();
+    await db.counter.deleteMany();
     await db.user.deleteMany();
 }
 
@@ -120,7 +131,7 @@ describe('/api/v1/cart', () => {
             .get('/api/v1/cart')
             .expect(200);
 
-        expect(response.body).toEqual({ total: 0, items: [] });
+        expect(response.body).toEqual({ total: 0, subtotal: 0, discount: 0, tax: 0, promoCode: null, pizzas: [], extras: [] });
     });
 
     it('should add a pizza to the cart', async () => {
@@ -135,7 +146,20 @@ describe('/api/v1/cart', () => {
         }
         expect(response.status).toBe(200);
 
-        expect(response.body).toEqual({ total: pizzas[0].price * 2, items: [{ pizzaId: pizzas[0].id, quantity: 2 }] });
+        expect(response.body.total).toBe(pizzas[0].price * 2);
+        expect(response.body.pizzas).toEqual([{
+            lineId: expect.any(String),
+            pizzaId: pizzas[0].id,
+            name: pizzas[0].name,
+            available: true,
+            size: null,
+            crust: null,
+            removedToppings: [],
+            extraToppings: [],
+            quantity: 2,
+            unitPrice: Number(pizzas[0].price),
+            totalPrice: pizzas[0].price * 2
+        }]);
     });
 
     it('should update the quantity of a pizza in the cart', async () => {
@@ -150,7 +174,9 @@ describe('/api/v1/cart', () => {
             .send({ pizzaId: pizzas[0].id, quantity: 3 })
             .expect(200);
 
-        expect(response.body).toEqual({ total: pizzas[0].price * 3, items: [{ pizzaId: pizzas[0].id, quantity: 3 }] });
+        expect(response.body.total).toBe(pizzas[0].price * 3);
+        expect(response.body.pizzas).toHaveLength(1);
+        expect(response.body.pizzas[0].quantity).toBe(3);
     });
 
     it('should remove a pizza from the cart', async () => {
@@ -159,7 +185,7 @@ describe('/api/v1/cart', () => {
         // Get a session and reuse it for both requests
         const sessionId = await getSession();
 
-        await request(app)
+        const cart = await request(app)
             .post('/api/v1/cart')
             .set('Content-Type', 'application/json')
             .set('Cookie', `session=${sessionId}`)
@@ -167,11 +193,27 @@ describe('/api/v1/cart', () => {
             .expect(200);
 
         const response = await request(app)
-            .delete(`/api/v1/cart/${pizzaId}`)
+            .delete(`/api/v1/cart/pizza/${cart.body.pizzas[0].lineId}`)
             .set('Cookie', `session=${sessionId}`)
             .expect(200);
 
-        expect(response.body).toEqual({ total: 0, items: [] });
+        expect(response.body).toEqual({ total: 0, subtotal: 0, discount: 0, tax: 0, promoCode: null, pizzas: [], extras: [] });
+    });
+
+    it('should save the same legacy cart line for several users', async () => {
+        const pizza = await db.pizza.findFirst();
+        // Lines of sessions from before pizza options have the pizza ID as line ID
+        const cart = { items: [normalizeCartLine({ pizzaId: pizza.id, quantity: 2 })], extras: [] };
+        const users = await Promise.all(['cart1@example.com', 'cart2@example.com'].map(email =>
+            db.user.create({ data: { email, password: 'hashed', verified: true } })));
+
+        for (const user of users) {
+            await saveUserCart(user.id, cart);
+        }
+        for (const user of users) {
+            const saved = await loadUserCart(user.id);
+            expect(saved.items).toEqual([expect.objectContaining({ lineId: String(pizza.id), pizzaId: pizza.id, quantity: 2 })]);
+        }
     });
 });
 
@@ -188,10 +230,15 @@ describe('/api/v1/orders', () => {
             .send({ pizzaId: pizzas[0].id, quantity: 2 })
             .expect(200);
 
+        await db.deliveryZone.create({
+            data: { name: 'Centre', postcodes: ['10115'], fee: 0 }
+        });
+
         // Create an order
         const response = await request(app)
             .post('/api/v1/orders')
             .set('Cookie', `session=${sessionId}`)
+            .send({ address: { recipient: 'Ann Smith', street: 'Main St 1', city: 'Berlin', postcode: '10115' } })
             .expect(201);
 
         expect(response.body).toHaveProperty('orderId');
@@ -0,0 +1,121 @@
+const express = require('express');
+const request = require('supertest');
+const redisClient = require('../src/redis_client.js');
+const { idempotencyMiddleware } = require('../src/idempotency.js');
+
+// Keys kept in memory, answering the commands used by idempotency.js
+jest.mock('../src/redis_client.js', () => {
+    const mockValues = new Map();
+    return {
+        values: mockValues,
+        set: jest.fn(async (key, value, options = {}) => {
+            if (options.NX && mockValues.has(key)) {
+                return null;
+            }
+            mockValues.set(key, value);
+            return 'OK';
+        }),
+        get: jest.fn(async key => mockValues.get(key) ?? null),
+        del: jest.fn(async key => Number(mockValues.delete(key))),
+    };
+});
+
+// Responds with the number of times the route was carried out
+function createApp(route) {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.session = { id: req.get('X-Session') || 'session-1' };
+        next();
+    });
+    app.post('/orders', idempotencyMiddleware, route);
+    return app;
+}
+
+describe('Idempotency', () => {
+    let calls;
+    let app;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        redisClient.values.clear();
+        calls = 0;
+        app = createApp((req, res) => {
+            calls++;
+            res.status(201).json({ calls });
+        });
+    });
+
+    it('should carry out requests without a key every time', async () => {
+        await request(app).post('/orders').send({ a: 1 });
+        const res = await request(app).post('/orders').send({ a: 1 });
+        expect(res.body).toEqual({ calls: 2 });
+        expect(redisClient.set).not.toHaveBeenCalled();
+    });
+
+    it('should replay the response of a repeated request', async () => {
+        const first = await request(app).post('/orders').set('Idempotency-Key', 'k1').send({ a: 1 });
+        const second = await request(app).post('/orders').set('Idempotency-Key', 'k1').send({ a: 1 });
+        expect(first.statusCode).toBe(201);
+        expect(first.headers['idempotent-replayed']).toBeUndefined();
+        expect(second.statusCode).toBe(201);
+        expect(second.headers['idempotent-replayed']).toBe('true');
+        expect(second.body).toEqual({ calls: 1 });
+        expect(calls).toBe(1);
+    });
+
+    it('should keep keys of different sessions apart', async () => {
+        await request(app).post('/orders').set('Idempotency-Key', 'k1').send({ a: 1 });
+        const res = await request(app).post('/orders').set('Idempotency-Key', 'k1').set('X-Session', 'session-2').send({ a: 1 });
+        expect(res.body).toEqual({ calls: 2 });
+    });
+
+    it('should reject a key reused for a different request', async () => {
+        await request(app).post('/orders').set('Idempotency-Key', 'k1').send({ a: 1 });
+        const res = await request(app).post('/orders').set('Idempotency-Key', 'k1').send({ a: 2 });
+        expect(res.statusCode).toBe(422);
+        expect(calls).toBe(1);
+    });
+
+    it('should return 409 while the first request is in progress', async () => {
+        let finish;
+        app = createApp(async (req, res) => {
+            await new Promise(resolve => { finish = resolve; });
+            res.status(201).json({ done: true });
+        });
+        const first = request(app).post('/orders').set('Idempotency-Key', 'k1').send({ a: 1 }).then(res => res);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const second = await request(app).post('/orders').set('Idempotency-Key', 'k1').send({ a: 1 });
+        expect(second.statusCode).toBe(409);
+        expect(second.body.error).toMatch(/still in progress/);
+
+        finish();
+        expect((await first).statusCode).toBe(201);
+    });
+
+    it('should let failed requests be retried with the same key', async () => {
+        let fail = true;
+        app = createApp((req, res) => {
+            calls++;
+            if (fail) {
+                return res.status(409).json({ error: 'Prices changed' });
+            }
+            res.status(201).json({ calls });
+        });
+        let res = await request(app).post('/orders').set('Idempotency-Key', 'k1').send({ a: 1 });
+        expect(res.statusCode).toBe(409);
+        fail = false;
+        res = await request(app).post('/orders').set('Idempotency-Key', 'k1').send({ a: 1 });
+        expect(res.statusCode).toBe(201);
+        expect(res.body).toEqual({ calls: 2 });
+    });
+
+    it('should reject invalid keys', async () => {
+        let res = await request(app).post('/orders').set('Idempotency-Key', 'has space').send({ a: 1 });
+        expect(res.statusCode).toBe(400);
+        res = await request(app).post('/orders').set('Idempotency-Key', 'x'.repeat(256)).send({ a: 1 });
+        expect(res.statusCode).toBe(400);
+        expect(calls).toBe(0);
+    });
+});
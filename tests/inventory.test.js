@@ -0,0 +1,123 @@
+const prisma = require('../src/prisma.js');
+const { sendTemplateEmail } = require('../src/mail.js');
+const { OutOfStockError, sumIngredients, isOutOfStock, takeFromStock, refreshStockLevels, alertLowStock } = require('../src/inventory.js');
+
+jest.mock('../src/prisma.js', () => ({
+    user: {
+        findMany: jest.fn(),
+    },
+}));
+
+jest.mock('../src/mail.js', () => ({
+    sendTemplateEmail: jest.fn(),
+}));
+
+// A client (or transaction) with the models used by the inventory
+function fakeClient() {
+    return {
+        recipeIngredient: { findMany: jest.fn().mockResolvedValue([]) },
+        ingredient: {
+            findMany: jest.fn().mockResolvedValue([]),
+            findUnique: jest.fn(),
+            updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+        },
+        pizza: {
+            findMany: jest.fn().mockResolvedValue([]),
+            updateMany: jest.fn(),
+        },
+    };
+}
+
+const recipes = [
+    { pizzaId: 1, ingredientId: 4, quantity: '150.5' },
+    { pizzaId: 1, ingredientId: 5, quantity: '10' },
+    { pizzaId: 2, ingredientId: 4, quantity: '100' },
+];
+
+describe('Inventory', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should add up the ingredients of all lines', () => {
+        const amounts = sumIngredients([{ pizzaId: 1, quantity: 2 }, { pizzaId: 2, quantity: 1 }, { pizzaId: 3, quantity: 1 }], recipes);
+        expect([...amounts]).toEqual([[4, 401], [5, 20]]);
+    });
+
+    it('should tell if a recipe needs more than is left', () => {
+        expect(isOutOfStock([{ quantity: '150', ingredient: { stock: '150' } }])).toBe(false);
+        expect(isOutOfStock([{ quantity: '150', ingredient: { stock: '149.99' } }])).toBe(true);
+        expect(isOutOfStock([])).toBe(false);
+    });
+
+    it('should only take ingredients that are in stock', async () => {
+        const client = fakeClient();
+        client.recipeIngredient.findMany.mockResolvedValue(recipes);
+        await expect(takeFromStock(client, [{ pizzaId: 1, quantity: 1 }, { pizzaId: 1, quantity: 1 }])).resolves.toEqual([4, 5]);
+        expect(client.recipeIngredient.findMany).toHaveBeenCalledWith({ where: { pizzaId: { in: [1] } } });
+        expect(client.ingredient.updateMany).toHaveBeenCalledWith({
+            where: { id: 4, stock: { gte: 301 } },
+            data: { stock: { decrement: 301 } }
+        });
+
+        client.ingredient.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+        client.ingredient.findUnique.mockResolvedValue({ id: 5, name: 'Basil' });
+        const taking = takeFromStock(client, [{ pizzaId: 1, quantity: 1 }]);
+        await expect(taking).rejects.toThrow(OutOfStockError);
+        await expect(taking).rejects.toThrow('Not enough Basil in stock');
+    });
+
+    it('should take the ingredients in ID order', async () => {
+        const client = fakeClient();
+        client.recipeIngredient.findMany.mockResolvedValue([
+            { pizzaId: 1, ingredientId: 12, quantity: '1' },
+            { pizzaId: 1, ingredientId: 3, quantity: '1' },
+            { pizzaId: 2, ingredientId: 7, quantity: '1' }
+        ]);
+        await expect(takeFromStock(client, [{ pizzaId: 2, quantity: 1 }, { pizzaId: 1, quantity: 1 }])).resolves.toEqual([3, 7, 12]);
+        expect(client.ingredient.updateMany.mock.calls.map(([query]) => query.where.id)).toEqual([3, 7, 12]);
+    });
+
+    it('should not look up recipes without pizzas', async () => {
+        const client = fakeClient();
+        await expect(takeFromStock(client, [])).resolves.toEqual([]);
+        expect(client.recipeIngredient.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should mark pizzas sold out and ingredients low only when that changes', async () => {
+        const client = fakeClient();
+        client.pizza.findMany.mockResolvedValue([
+            { id: 1, soldOut: false, recipe: [{ quantity: 150, ingredient: { stock: 100 } }] },
+            { id: 2, soldOut: false, recipe: [{ quantity: 50, ingredient: { stock: 100 } }] },
+            { id: 3, soldOut: true, recipe: [{ quantity: 50, ingredient: { stock: 100 } }] },
+        ]);
+        const dropped = { id: 4, stock: 100, lowStockThreshold: 500, lowStockSince: null };
+        client.ingredient.findMany.mockResolvedValue([
+            dropped,
+            { id: 5, stock: 100, lowStockThreshold: 500, lowStockSince: new Date() },
+            { id: 6, stock: 900, lowStockThreshold: 500, lowStockSince: new Date() },
+            { id: 7, stock: 0, lowStockThreshold: null, lowStockSince: null },
+        ]);
+
+        await expect(refreshStockLevels(client, [4, 5, 6, 7])).resolves.toEqual([dropped]);
+        expect(client.pizza.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { recipe: { some: { ingredientId: { in: [4, 5, 6, 7] } } } }
+        }));
+        expect(client.pizza.updateMany).toHaveBeenCalledWith({ where: { id: { in: [1] } }, data: { soldOut: true } });
+        expect(client.pizza.updateMany).toHaveBeenCalledWith({ where: { id: { in: [3] } }, data: { soldOut: false } });
+        expect(client.ingredient.updateMany).toHaveBeenCalledWith({ where: { id: { in: [4] } }, data: { lowStockSince: expect.any(Date) } });
+        expect(client.ingredient.updateMany).toHaveBeenCalledWith({ where: { id: { in: [6] } }, data: { lowStockSince: null } });
+    });
+
+    it('should email every staff member about low stock', async () => {
+        prisma.user.findMany.mockResolvedValue([{ email: 'staff@pizzago.com' }, { email: 'admin@pizzago.com' }]);
+        await alertLowStock([{ id: 4, name: 'Mozzarella', unit: 'g', stock: '100', lowStockThreshold: '500' }]);
+        expect(sendTemplateEmail).toHaveBeenCalledTimes(2);
+        expect(sendTemplateEmail).toHaveBeenCalledWith('admin@pizzago.com', 'lowStockAlert', {
+            ingredients: [{ name: 'Mozzarella', stock: 100, unit: 'g', lowStockThreshold: 500 }]
+        });
+
+        await alertLowStock([]);
+        expect(prisma.user.findMany).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,87 @@
+process.env.MAIL_RETRY_DELAY = '0';
+
+const { sendEmail, sendTemplateEmail, flushEmails, setTransport } = require('../src/mail.js');
+const { createTransport } = require('../src/mail_transports.js');
+const { renderTemplate } = require('../src/mail_templates.js');
+
+describe('Mail templates', () => {
+    it('should render the verification email with the link in text and html', () => {
+        const mail = renderTemplate('verification', { link: 'http://localhost/api/v1/auth/verify?token=abc' });
+        expect(mail.subject).toBe('Verify your account');
+        expect(mail.text).toContain('http://localhost/api/v1/auth/verify?token=abc');
+        expect(mail.html).toContain('href="http://localhost/api/v1/auth/verify?token=abc"');
+    });
+
+    it('should escape values in the html part', () => {
+        const mail = renderTemplate('orderConfirmation', {
+            orderId: 1,
+            items: [{ name: '<b>Pepperoni</b>', quantity: 1, totalPrice: 9.5 }],
+            total: 9.5
+        });
+        expect(mail.html).toContain('&lt;b&gt;Pepperoni&lt;/b&gt;');
+        expect(mail.html).not.toContain('<b>Pepperoni</b>');
+        expect(mail.text).toContain('9.50');
+    });
+
+    it('should list the ingredients of a low-stock alert', () => {
+        const mail = renderTemplate('lowStockAlert', {
+            ingredients: [{ name: 'Mozzarella', stock: 800, unit: 'g', lowStockThreshold: 1000 }]
+        });
+        expect(mail.subject).toBe('Low stock: Mozzarella');
+        expect(mail.text).toContain('Mozzarella: 800 g left (threshold 1000 g)');
+    });
+
+    it('should tell the previous address about an email change', () => {
+        const mail = renderTemplate('emailChanged', { email: 'new<x>@b.com' });
+        expect(mail.subject).toBe('Your email address was changed');
+        expect(mail.text).toContain('changed to new<x>@b.com');
+        expect(mail.html).toContain('new&lt;x&gt;@b.com');
+    });
+
+    it('should throw for unknown templates', () => {
+        expect(() => renderTemplate('nope', {})).toThrow(/Unknown email template/);
+    });
+});
+
+describe('Mail queue', () => {
+    let transport;
+
+    beforeEach(() => {
+        transport = createTransport('memory');
+        setTransport(transport);
+    });
+
+    it('should deliver queued emails through the transport', async () => {
+        sendTemplateEmail('a@b.com', 'passwordReset', { link: 'http://localhost/reset-password?token=abc', validForMinutes: 60 });
+        await flushEmails();
+        expect(transport.messages).toHaveLength(1);
+        expect(transport.messages[0]).toEqual(expect.objectContaining({
+            to: 'a@b.com',
+            subject: 'Reset your password',
+            from: expect.any(String)
+        }));
+    });
+
+    it('should retry failed sends', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const send = transport.send;
+        transport.send = jest.fn()
+            .mockRejectedValueOnce(new Error('connection refused'))
+            .mockRejectedValueOnce(new Error('connection refused'))
+            .mockImplementation(send);
+        sendEmail('a@b.com', 'Hello', 'Hello there');
+        await flushEmails();
+        expect(transport.send).toHaveBeenCalledTimes(3);
+        expect(transport.messages).toHaveLength(1);
+        console.error.mockRestore();
+    });
+
+    it('should give up after the maximum number of attempts', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        transport.send = jest.fn().mockRejectedValue(new Error('connection refused'));
+        sendEmail('a@b.com', 'Hello', 'Hello there');
+        await flushEmails();
+        expect(transport.send).toHaveBeenCalledTimes(5);
+        console.error.mockRestore();
+    });
+});
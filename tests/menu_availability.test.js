@@ -0,0 +1,83 @@
+const { getLocalTime, availablePizzasWhere, isPizzaAvailable, describeAvailability } = require('../src/menu_availability.js');
+
+const lunch = { days: ['mon', 'tue', 'wed', 'thu', 'fri'], startTime: '11:00', endTime: '14:00' };
+
+function pizza(fields) {
+    return { available: true, soldOut: false, availableFrom: null, availableUntil: null, availabilityWindows: [], ...fields };
+}
+
+// 2026-10-19 is a Monday
+const mondayNoon = new Date('2026-10-19T12:00:00Z');
+const mondayEvening = new Date('2026-10-19T19:30:00Z');
+const saturdayNoon = new Date('2026-10-24T12:00:00Z');
+
+describe('Menu availability', () => {
+    it('should give the weekday and time in the restaurant time zone', () => {
+        expect(getLocalTime(mondayNoon)).toEqual({ day: 'mon', time: '12:00' });
+        expect(getLocalTime(new Date('2026-10-18T23:59:00Z'))).toEqual({ day: 'sun', time: '23:59' });
+
+        jest.isolateModules(() => {
+            process.env.TIME_ZONE = 'Asia/Tokyo';
+            try {
+                const { getLocalTime: getTokyoTime } = require('../src/menu_availability.js');
+                expect(getTokyoTime(new Date('2026-10-18T23:59:00Z'))).toEqual({ day: 'mon', time: '08:59' });
+            } finally {
+                delete process.env.TIME_ZONE;
+            }
+        });
+    });
+
+    it('should only offer pizzas within their time windows', () => {
+        const lunchPizza = pizza({ availabilityWindows: [lunch] });
+        expect(isPizzaAvailable(lunchPizza, mondayNoon)).toBe(true);
+        expect(isPizzaAvailable(lunchPizza, mondayEvening)).toBe(false);
+        expect(isPizzaAvailable(lunchPizza, saturdayNoon)).toBe(false);
+        // The end of a window is exclusive
+        expect(isPizzaAvailable(lunchPizza, new Date('2026-10-19T14:00:00Z'))).toBe(false);
+
+        const weekend = { days: ['sat', 'sun'], startTime: '00:00', endTime: '23:59' };
+        expect(isPizzaAvailable(pizza({ availabilityWindows: [lunch, weekend] }), saturdayNoon)).toBe(true);
+        expect(isPizzaAvailable(pizza({}), mondayEvening)).toBe(true);
+    });
+
+    it('should only offer seasonal pizzas in their season', () => {
+        const seasonal = pizza({
+            availableFrom: new Date('2026-10-01T00:00:00Z'),
+            availableUntil: new Date('2026-10-24T00:00:00Z')
+        });
+        expect(isPizzaAvailable(seasonal, mondayNoon)).toBe(true);
+        expect(isPizzaAvailable(seasonal, saturdayNoon)).toBe(false);
+        expect(isPizzaAvailable(seasonal, new Date('2026-09-30T12:00:00Z'))).toBe(false);
+    });
+
+    it('should not offer pizzas that were switched off or are sold out', () => {
+        expect(isPizzaAvailable(pizza({ available: false }), mondayNoon)).toBe(false);
+        expect(isPizzaAvailable(pizza({ soldOut: true }), mondayNoon)).toBe(false);
+    });
+
+    it('should build the same filter for the database', () => {
+        expect(availablePizzasWhere(mondayNoon)).toEqual({
+            available: true,
+            soldOut: false,
+            AND: [
+                { OR: [{ availableFrom: null }, { availableFrom: { lte: mondayNoon } }] },
+                { OR: [{ availableUntil: null }, { availableUntil: { gt: mondayNoon } }] },
+                {
+                    OR: [
+                        { availabilityWindows: { none: {} } },
+                        { availabilityWindows: { some: { days: { has: 'mon' }, startTime: { lte: '12:00' }, endTime: { gt: '12:00' } } } }
+                    ]
+                }
+            ]
+        });
+    });
+
+    it('should list the days of a window in weekday order', () => {
+        const described = describeAvailability(pizza({ availabilityWindows: [{ ...lunch, id: 1, pizzaId: 2, days: ['fri', 'mon'] }] }));
+        expect(described).toEqual({
+            availableFrom: null,
+            availableUntil: null,
+            windows: [{ days: ['mon', 'fri'], startTime: '11:00', endTime: '14:00' }]
+        });
+    });
+});
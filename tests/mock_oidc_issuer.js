@@ -0,0 +1,95 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// A local OpenID Connect issuer for tests
+// authorize(url, claims) stands in for the user signing in at the provider: it takes the authorization URL
+// the user was sent to and returns the code the provider sends back. `idTokenClaims` overrides claims of
+// the next ID tokens, to test invalid ones.
+async function startMockIssuer({ clientId = 'pizzago', clientSecret = 'client-secret' } = {}) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' };
+    const codes = new Map();
+    const issuer = { clientId, clientSecret, idTokenClaims: {}, tokenRequests: [] };
+
+    function sign(claims, header = { alg: 'RS256', typ: 'JWT', kid: 'key-1' }) {
+        const content = [header, claims].map(part => Buffer.from(JSON.stringify(part)).toString('base64url')).join('.');
+        return `${content}.${crypto.sign('sha256', Buffer.from(content), privateKey).toString('base64url')}`;
+    }
+
+    function send(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    function exchangeCode(params) {
+        const grant = codes.get(params.get('code'));
+        codes.delete(params.get('code'));
+        const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+        if (!grant || params.get('grant_type') !== 'authorization_code' || params.get('client_id') !== clientId
+            || params.get('client_secret') !== clientSecret || params.get('redirect_uri') !== grant.redirectUri
+            || grant.codeChallengeMethod !== 'S256' || challenge !== grant.codeChallenge) {
+            return [400, { error: 'invalid_grant' }];
+        }
+        const now = Math.floor(Date.now() / 1000);
+        const idToken = sign({
+            iss: issuer.url,
+            aud: clientId,
+            iat: now,
+            exp: now + 300,
+            nonce: grant.nonce,
+            ...grant.claims,
+            ...issuer.idTokenClaims
+        });
+        return [200, { access_token: 'access-token', token_type: 'Bearer', expires_in: 300, id_token: idToken }];
+    }
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.url === '/.well-known/openid-configuration') {
+                return send(res, 200, {
+                    issuer: issuer.url,
+                    authorization_endpoint: `${issuer.url}/authorize`,
+                    token_endpoint: `${issuer.url}/token`,
+                    jwks_uri: `${issuer.url}/jwks`,
+                    response_types_supported: ['code'],
+                    id_token_signing_alg_values_supported: ['RS256'],
+                    code_challenge_methods_supported: ['S256']
+                });
+            }
+            if (req.url === '/jwks') {
+                return send(res, 200, { keys: [jwk] });
+            }
+            if (req.url === '/token' && req.method === 'POST') {
+                const params = new URLSearchParams(body);
+                issuer.tokenRequests.push(params);
+                return send(res, ...exchangeCode(params));
+            }
+            send(res, 404, { error: 'not_found' });
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    issuer.url = `http://127.0.0.1:${server.address().port}`;
+
+    issuer.authorize = (authorizationUrl, claims) => {
+        const params = new URL(authorizationUrl).searchParams;
+        const code = crypto.randomBytes(16).toString('hex');
+        codes.set(code, {
+            redirectUri: params.get('redirect_uri'),
+            nonce: params.get('nonce'),
+            codeChallenge: params.get('code_challenge'),
+            codeChallengeMethod: params.get('code_challenge_method'),
+            claims
+        });
+        return code;
+    };
+    issuer.sign = sign;
+    issuer.close = () => new Promise(resolve => {
+        server.close(resolve);
+        server.closeAllConnections();
+    });
+    return issuer;
+}
+
+module.exports = { startMockIssuer };
@@ -0,0 +1,171 @@
+const prisma = require('../src/prisma.js');
+const redisClient = require('../src/redis_client.js');
+const { OidcError, codeChallenge, startOidcLogin, validateIdToken, finishOidcLogin, findOrCreateOidcUser } = require('../src/oidc.js');
+const { startMockIssuer } = require('./mock_oidc_issuer.js');
+
+jest.mock('../src/redis_client.js', () => ({
+    set: jest.fn(),
+    getDel: jest.fn(),
+}));
+jest.mock('../src/prisma.js', () => ({
+    user: {
+        findUnique: jest.fn(),
+        update: jest.fn(),
+        create: jest.fn(),
+    },
+    userIdentity: {
+        findUnique: jest.fn(),
+        create: jest.fn(),
+    },
+    $transaction: jest.fn(operations => Promise.all(operations)),
+}));
+
+describe('OpenID Connect', () => {
+    let issuer;
+    let provider;
+
+    beforeAll(async () => {
+        issuer = await startMockIssuer();
+    });
+
+    afterAll(() => issuer.close());
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        provider = { name: 'mock', issuer: issuer.url, clientId: issuer.clientId, clientSecret: issuer.clientSecret };
+        issuer.idTokenClaims = {};
+    });
+
+    // Starts a login in the session and signs the user in at the issuer, returns the callback query
+    async function signIn(claims, sessionId = 'session-id') {
+        const url = await startOidcLogin(provider, sessionId);
+        const stored = redisClient.set.mock.calls[redisClient.set.mock.calls.length - 1][1];
+        redisClient.getDel.mockResolvedValueOnce(stored);
+        return { code: issuer.authorize(url, claims), state: new URL(url).searchParams.get('state') };
+    }
+
+    it('should send the user to the issuer with state, nonce and a PKCE challenge', async () => {
+        const url = new URL(await startOidcLogin(provider, 'session-id'));
+        expect(`${url.origin}${url.pathname}`).toBe(`${issuer.url}/authorize`);
+        expect(Object.fromEntries(url.searchParams)).toEqual({
+            response_type: 'code',
+            client_id: 'pizzago',
+            redirect_uri: 'http://localhost:3000/api/v1/auth/oidc/mock/callback',
+            scope: 'openid email profile',
+            state: expect.any(String),
+            nonce: expect.any(String),
+            code_challenge: expect.any(String),
+            code_challenge_method: 'S256'
+        });
+
+        const [key, value, options] = redisClient.set.mock.calls[0];
+        const login = JSON.parse(value);
+        expect(key).toBe(`pizzago_oidc_login:${url.searchParams.get('state')}`);
+        expect(login).toEqual({ provider: 'mock', sessionId: 'session-id', nonce: url.searchParams.get('nonce'), codeVerifier: expect.any(String) });
+        expect(codeChallenge(login.codeVerifier)).toBe(url.searchParams.get('code_challenge'));
+        expect(options).toEqual({ EX: 600 });
+    });
+
+    it('should exchange the code with the verifier and return the identity', async () => {
+        const query = await signIn({ sub: 'user-1', email: 'a@b.com', email_verified: true });
+        await expect(finishOidcLogin(provider, query, 'session-id')).resolves.toEqual({ subject: 'user-1', email: 'a@b.com', emailVerified: true });
+        expect(redisClient.getDel).toHaveBeenCalledWith(`pizzago_oidc_login:${query.state}`);
+        expect(issuer.tokenRequests[issuer.tokenRequests.length - 1].get('code_verifier')).toEqual(expect.any(String));
+    });
+
+    it('should only complete logins started in the same session', async () => {
+        let query = await signIn({ sub: 'user-1' });
+        await expect(finishOidcLogin(provider, query, 'other-session-id')).rejects.toThrow('Login was started in another session');
+
+        redisClient.getDel.mockResolvedValueOnce(null);
+        await expect(finishOidcLogin(provider, query, 'session-id')).rejects.toThrow('Unknown or expired login');
+
+        query = await signIn({ sub: 'user-1' });
+        await expect(finishOidcLogin({ ...provider, name: 'other' }, query, 'session-id')).rejects.toThrow(OidcError);
+    });
+
+    it('should fail if the issuer refuses the code', async () => {
+        const query = await signIn({ sub: 'user-1' });
+        await expect(finishOidcLogin(provider, { ...query, code: 'forged-code' }, 'session-id')).rejects.toThrow('Code exchange failed: invalid_grant');
+    });
+
+    it('should reject ID tokens with wrong claims', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const valid = { iss: issuer.url, aud: 'pizzago', sub: 'user-1', iat: now, exp: now + 300, nonce: 'nonce' };
+        await expect(validateIdToken(provider, issuer.sign(valid), 'nonce')).resolves.toEqual(valid);
+        await expect(validateIdToken(provider, issuer.sign({ ...valid, aud: ['pizzago', 'other'], azp: 'pizzago' }), 'nonce')).resolves.toBeTruthy();
+
+        const invalid = [
+            [{ ...valid, iss: 'https://other.example.com' }, 'ID token is from another issuer'],
+            [{ ...valid, aud: 'other' }, 'ID token is for another client'],
+            [{ ...valid, aud: ['pizzago', 'other'] }, 'ID token is for another client'],
+            [{ ...valid, exp: now - 120 }, 'ID token has expired'],
+            [{ ...valid, iat: now + 600 }, 'ID token is issued in the future'],
+            [{ ...valid, nonce: 'other' }, 'ID token is for another login'],
+            [{ ...valid, nonce: undefined }, 'ID token is for another login'],
+            [{ ...valid, sub: '' }, 'ID token has no subject']
+        ];
+        for (const [claims, message] of invalid) {
+            await expect(validateIdToken(provider, issuer.sign(claims), 'nonce')).rejects.toThrow(message);
+        }
+    });
+
+    it('should reject ID tokens that are not signed by the issuer', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const [header, payload] = issuer.sign({ iss: issuer.url, aud: 'pizzago', sub: 'user-1', iat: now, exp: now + 300, nonce: 'nonce' }).split('.');
+        const forged = Buffer.from(JSON.stringify({ iss: issuer.url, aud: 'pizzago', sub: 'admin', iat: now, exp: now + 300, nonce: 'nonce' })).toString('base64url');
+        const signature = issuer.sign({ other: true }).split('.')[2];
+        const none = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+
+        await expect(validateIdToken(provider, `${header}.${forged}.${signature}`, 'nonce')).rejects.toThrow('Invalid ID token signature');
+        await expect(validateIdToken(provider, `${none}.${payload}.`, 'nonce')).rejects.toThrow('Unsupported ID token algorithm: none');
+        await expect(validateIdToken(provider, 'token', 'nonce')).rejects.toThrow('Malformed ID token');
+    });
+
+    describe('Accounts', () => {
+        const identity = { subject: 'user-1', email: 'a@b.com', emailVerified: true };
+
+        it('should find the user of a known identity', async () => {
+            const user = { id: 1, email: 'a@b.com' };
+            prisma.userIdentity.findUnique.mockResolvedValue({ id: 3, userId: 1, user });
+            await expect(findOrCreateOidcUser(provider, identity)).resolves.toBe(user);
+            expect(prisma.userIdentity.findUnique).toHaveBeenCalledWith({
+                where: { provider_subject: { provider: 'mock', subject: 'user-1' } },
+                include: { user: true }
+            });
+            expect(prisma.userIdentity.create).not.toHaveBeenCalled();
+        });
+
+        it('should link the identity to the account with the verified email', async () => {
+            const user = { id: 1, email: 'a@b.com', verified: true, password: 'hashed' };
+            prisma.userIdentity.findUnique.mockResolvedValue(null);
+            prisma.user.findUnique.mockResolvedValue(user);
+            prisma.user.update.mockResolvedValue(user);
+            await expect(findOrCreateOidcUser(provider, identity)).resolves.toBe(user);
+            expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 1 }, data: {} });
+            expect(prisma.userIdentity.create).toHaveBeenCalledWith({ data: { provider: 'mock', subject: 'user-1', email: 'a@b.com', userId: 1 } });
+        });
+
+        it('should take over unconfirmed registrations without their password', async () => {
+            prisma.userIdentity.findUnique.mockResolvedValue(null);
+            prisma.user.findUnique.mockResolvedValue({ id: 1, email: 'a@b.com', verified: false, password: 'hashed' });
+            await findOrCreateOidcUser(provider, identity);
+            expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { verified: true, password: null } });
+        });
+
+        it('should create an account, with the email only if it is verified', async () => {
+            prisma.userIdentity.findUnique.mockResolvedValue(null);
+            prisma.user.findUnique.mockResolvedValue(null);
+            await findOrCreateOidcUser(provider, identity);
+            expect(prisma.user.create).toHaveBeenCalledWith({
+                data: { email: 'a@b.com', password: null, verified: true, identities: { create: { provider: 'mock', subject: 'user-1', email: 'a@b.com' } } }
+            });
+
+            await findOrCreateOidcUser(provider, { ...identity, emailVerified: false });
+            expect(prisma.user.findUnique).toHaveBeenCalledTimes(1);
+            expect(prisma.user.create).toHaveBeenLastCalledWith({
+                data: { email: null, password: null, verified: false, identities: { create: { provider: 'mock', subject: 'user-1', email: 'a@b.com' } } }
+            });
+        });
+    });
+});
@@ -0,0 +1,49 @@
+const redisClient = require('../src/redis_client.js');
+const { publishOrderEvent, subscribeToOrder } = require('../src/order_events.js');
+
+const subscriber = {
+    on: jest.fn(),
+    connect: jest.fn(),
+    subscribe: jest.fn(),
+    unsubscribe: jest.fn(),
+};
+
+jest.mock('../src/redis_client.js', () => ({
+    publish: jest.fn(),
+    duplicate: jest.fn(),
+}));
+
+describe('Order events', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        redisClient.duplicate.mockReturnValue(subscriber);
+        subscriber.connect.mockResolvedValue();
+        subscriber.subscribe.mockResolvedValue();
+        subscriber.unsubscribe.mockResolvedValue();
+    });
+
+    it('should publish events as JSON on the order channel', async () => {
+        redisClient.publish.mockResolvedValue(1);
+        await publishOrderEvent(10, { orderId: 10, status: 'baking' });
+        expect(redisClient.publish).toHaveBeenCalledWith('pizzago_order_events:10', '{"orderId":10,"status":"baking"}');
+    });
+
+    it('should share one subscriber connection and deliver parsed events', async () => {
+        const first = jest.fn();
+        const second = jest.fn();
+        const unsubscribe = await subscribeToOrder(10, first);
+        await subscribeToOrder(11, second);
+
+        expect(redisClient.duplicate).toHaveBeenCalledTimes(1);
+        expect(subscriber.connect).toHaveBeenCalledTimes(1);
+        expect(subscriber.subscribe).toHaveBeenCalledWith('pizzago_order_events:10', expect.any(Function));
+
+        const handleMessage = subscriber.subscribe.mock.calls[0][1];
+        handleMessage('{"orderId":10,"status":"delivered"}');
+        expect(first).toHaveBeenCalledWith({ orderId: 10, status: 'delivered' });
+        expect(second).not.toHaveBeenCalled();
+
+        await unsubscribe();
+        expect(subscriber.unsubscribe).toHaveBeenCalledWith('pizzago_order_events:10', handleMessage);
+    });
+});
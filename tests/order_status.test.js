@@ -0,0 +1,46 @@
+const {
+    ORDER_STATUSES,
+    isOrderStatus,
+    getAllowedTransitions,
+    canTransition,
+    isFinalStatus
+} = require('../src/order_status.js');
+
+describe('Order status lifecycle', () => {
+    it('should know all statuses', () => {
+        expect(ORDER_STATUSES).toEqual([
+            'pending', 'accepted', 'preparing', 'baking', 'out_for_delivery', 'delivered', 'cancelled', 'rejected'
+        ]);
+        expect(isOrderStatus('baking')).toBe(true);
+        expect(isOrderStatus('lost')).toBe(false);
+    });
+
+    it('should allow the happy path', () => {
+        expect(canTransition('pending', 'accepted')).toBe(true);
+        expect(canTransition('accepted', 'preparing')).toBe(true);
+        expect(canTransition('preparing', 'baking')).toBe(true);
+        expect(canTransition('baking', 'out_for_delivery')).toBe(true);
+        expect(canTransition('out_for_delivery', 'delivered')).toBe(true);
+    });
+
+    it('should reject skipping or going back', () => {
+        expect(canTransition('pending', 'delivered')).toBe(false);
+        expect(canTransition('baking', 'preparing')).toBe(false);
+        expect(canTransition('baking', 'cancelled')).toBe(false);
+        expect(canTransition('unknown', 'accepted')).toBe(false);
+    });
+
+    it('should only reject or cancel before baking', () => {
+        expect(canTransition('pending', 'rejected')).toBe(true);
+        expect(canTransition('accepted', 'rejected')).toBe(false);
+        expect(getAllowedTransitions('preparing')).toContain('cancelled');
+    });
+
+    it('should treat delivered, cancelled and rejected as final', () => {
+        expect(isFinalStatus('delivered')).toBe(true);
+        expect(isFinalStatus('cancelled')).toBe(true);
+        expect(isFinalStatus('rejected')).toBe(true);
+        expect(isFinalStatus('pending')).toBe(false);
+        expect(getAllowedTransitions('delivered')).toEqual([]);
+    });
+});
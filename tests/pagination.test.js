@@ -0,0 +1,112 @@
+const { encodeCursor, decodeCursor, parsePageQuery, findPage, paginateKeys, pageLinks } = require('../src/pagination.js');
+
+// A model with rows 1..10, answering findMany like Prisma's cursor pagination
+function fakeModel(ids) {
+    return {
+        findMany: jest.fn(({ cursor, skip = 0, take }) => {
+            let start = 0;
+            if (cursor) {
+                start = ids.indexOf(cursor.id);
+            }
+            const rows = take > 0
+                ? ids.slice(start + skip, start + skip + take)
+                : ids.slice(Math.max(0, start - skip + take + 1), start - skip + 1);
+            return Promise.resolve(rows.map(id => ({ id })));
+        }),
+        count: jest.fn(() => Promise.resolve(ids.length)),
+    };
+}
+
+const ids = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+describe('Pagination', () => {
+    it('should round-trip cursors and reject malformed ones', () => {
+        expect(decodeCursor(encodeCursor({ after: 7 }))).toEqual({ after: 7 });
+        expect(decodeCursor(encodeCursor({ before: 'spicy' }))).toEqual({ before: 'spicy' });
+        expect(decodeCursor('not-a-cursor')).toBeNull();
+        expect(decodeCursor(encodeCursor({ after: 1, before: 2 }))).toBeNull();
+        expect(decodeCursor(encodeCursor({ after: { id: 1 } }))).toBeNull();
+        expect(decodeCursor(encodeCursor({ after: 1, order: 'price:asc' }))).toEqual({ after: 1, order: 'price:asc' });
+        expect(decodeCursor(encodeCursor({ after: 1, order: 2 }))).toBeNull();
+        expect(decodeCursor(encodeCursor({ after: 1, page: 2 }))).toBeNull();
+    });
+
+    it('should only accept cursors of the key type and order of the list', () => {
+        expect(parsePageQuery({ cursor: encodeCursor({ after: 7 }) }).page.cursor).toEqual({ after: 7 });
+        expect(parsePageQuery({ cursor: encodeCursor({ after: 'abc' }) }).error).toMatch(/Invalid cursor/);
+        expect(parsePageQuery({ cursor: encodeCursor({ after: 1.5 }) }).error).toMatch(/Invalid cursor/);
+        expect(parsePageQuery({ cursor: encodeCursor({ after: 'abc' }) }, { keyType: 'string' }).page.cursor).toEqual({ after: 'abc' });
+        expect(parsePageQuery({ cursor: encodeCursor({ after: 7 }) }, { keyType: 'string' }).error).toMatch(/Invalid cursor/);
+
+        const order = 'price:desc';
+        expect(parsePageQuery({ cursor: encodeCursor({ after: 7, order }) }, { order }).page).toEqual({ limit: 20, cursor: { after: 7, order }, order });
+        expect(parsePageQuery({ cursor: encodeCursor({ after: 7, order: 'price:asc' }) }, { order }).error).toMatch(/Invalid cursor/);
+        expect(parsePageQuery({ cursor: encodeCursor({ after: 7 }) }, { order }).error).toMatch(/Invalid cursor/);
+    });
+
+    it('should issue cursors for the order of the page', async () => {
+        const page = await findPage(fakeModel(ids), {}, { limit: 4, cursor: { after: 4 }, order: 'name:asc' });
+        expect(decodeCursor(page.nextCursor)).toEqual({ after: 8, order: 'name:asc' });
+        expect(decodeCursor(page.prevCursor)).toEqual({ before: 5, order: 'name:asc' });
+        expect(decodeCursor(paginateKeys(ids, { limit: 2, cursor: null, order: 'relevance:asc' }).nextCursor)).toEqual({ after: 2, order: 'relevance:asc' });
+    });
+
+    it('should enforce limit bounds', () => {
+        expect(parsePageQuery({})).toEqual({ page: { limit: 20, cursor: null } });
+        expect(parsePageQuery({ limit: '100' }).page.limit).toBe(100);
+        expect(parsePageQuery({ limit: '0' }).error).toMatch(/Limit must be between 1 and 100/);
+        expect(parsePageQuery({ limit: '101' }).error).toMatch(/Limit must be between 1 and 100/);
+        expect(parsePageQuery({ limit: '2.5' }).error).toMatch(/Limit must be between 1 and 100/);
+        expect(parsePageQuery({ cursor: 'abc' }).error).toMatch(/Invalid cursor/);
+    });
+
+    it('should page forwards and backwards through rows', async () => {
+        const model = fakeModel(ids);
+        const first = await findPage(model, { where: { active: true } }, { limit: 4, cursor: null });
+        expect(first.items.map(row => row.id)).toEqual([1, 2, 3, 4]);
+        expect(first.total).toBe(10);
+        expect(first.prevCursor).toBeNull();
+        expect(decodeCursor(first.nextCursor)).toEqual({ after: 4 });
+        expect(model.count).toHaveBeenCalledWith({ where: { active: true } });
+
+        const last = await findPage(model, {}, { limit: 4, cursor: { after: 8 } });
+        expect(last.items.map(row => row.id)).toEqual([9, 10]);
+        expect(last.nextCursor).toBeNull();
+        expect(decodeCursor(last.prevCursor)).toEqual({ before: 9 });
+
+        const back = await findPage(model, {}, { limit: 4, cursor: { before: 9 } });
+        expect(back.items.map(row => row.id)).toEqual([5, 6, 7, 8]);
+        expect(decodeCursor(back.nextCursor)).toEqual({ after: 8 });
+        expect(decodeCursor(back.prevCursor)).toEqual({ before: 5 });
+
+        const start = await findPage(model, {}, { limit: 4, cursor: { before: 4 } });
+        expect(start.items.map(row => row.id)).toEqual([1, 2, 3]);
+        expect(start.prevCursor).toBeNull();
+    });
+
+    it('should page through ordered keys', () => {
+        const keys = [30, 10, 20, 50, 40];
+        let page = paginateKeys(keys, { limit: 2, cursor: null });
+        expect(page.items).toEqual([30, 10]);
+        expect(page.total).toBe(5);
+
+        page = paginateKeys(keys, { limit: 2, cursor: decodeCursor(page.nextCursor) });
+        expect(page.items).toEqual([20, 50]);
+
+        page = paginateKeys(keys, { limit: 2, cursor: decodeCursor(page.prevCursor) });
+        expect(page.items).toEqual([30, 10]);
+        expect(page.prevCursor).toBeNull();
+
+        page = paginateKeys(keys, { limit: 2, cursor: { after: 99 } });
+        expect(page.items).toEqual([]);
+        expect(page.nextCursor).toBeNull();
+    });
+
+    it('should build links with the other query parameters kept', () => {
+        const links = pageLinks('/api/v1/pizzas', { tags: 'vegan', cursor: 'old', limit: '5' }, {
+            nextCursor: 'abc',
+            prevCursor: null
+        });
+        expect(links).toEqual({ next: '/api/v1/pizzas?tags=vegan&limit=5&cursor=abc', prev: null });
+    });
+});
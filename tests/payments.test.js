@@ -0,0 +1,223 @@
+const prisma = require('../src/prisma.js');
+const { MOCK_TOKENS, createPaymentProvider } = require('../src/payment_providers.js');
+const {
+    setPaymentProvider,
+    orderPaymentStatus,
+    signWebhookPayload,
+    verifyWebhookSignature,
+    startPayment,
+    receivePaymentWebhook,
+    completeMockAction,
+    refundOrderPayment,
+    collectCashPayment
+} = require('../src/payments.js');
+
+// Payments and orders kept in memory, answering the queries of payments.js
+jest.mock('../src/prisma.js', () => {
+    const mockPayments = [];
+    const mockOrders = new Map();
+    const matches = (payment, where) => Object.entries(where).every(([key, value]) =>
+        value && value.in ? value.in.includes(payment[key]) : payment[key] === value);
+    const client = {
+        payments: mockPayments,
+        orders: mockOrders,
+        payment: {
+            create: jest.fn(async ({ data }) => {
+                const payment = { id: mockPayments.length + 1, provider: null, providerPaymentId: null, status: 'pending', failureReason: null, ...data };
+                mockPayments.push(payment);
+                return { ...payment };
+            }),
+            findUnique: jest.fn(async ({ where }) => {
+                const payment = mockPayments.find(p => matches(p, where));
+                return payment ? { ...payment } : null;
+            }),
+            findFirst: jest.fn(async ({ where }) => {
+                const payment = mockPayments.find(p => matches(p, where));
+                return payment ? { ...payment } : null;
+            }),
+            update: jest.fn(async ({ where, data }) => Object.assign(mockPayments.find(p => p.id === where.id), data)),
+            updateMany: jest.fn(async ({ where, data }) => {
+                const found = mockPayments.filter(p => matches(p, where));
+                found.forEach(p => Object.assign(p, data));
+                return { count: found.length };
+            }),
+        },
+        order: {
+            update: jest.fn(async ({ where, data }) => Object.assign(mockOrders.get(where.id), data)),
+        },
+        $transaction: jest.fn(callback => callback(client)),
+    };
+    return client;
+});
+
+function createOrder(id, total) {
+    const order = { id, total, paymentStatus: 'unpaid' };
+    prisma.orders.set(id, order);
+    return order;
+}
+
+function webhookCall(event, timestamp) {
+    const body = JSON.stringify(event);
+    return [Buffer.from(body), signWebhookPayload(body, timestamp)];
+}
+
+describe('Payments', () => {
+    let provider;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.payments.length = 0;
+        prisma.orders.clear();
+        provider = createPaymentProvider('mock');
+        setPaymentProvider(provider);
+    });
+
+    describe('Configuration', () => {
+        const env = { ...process.env };
+
+        afterEach(() => {
+            process.env = { ...env };
+        });
+
+        function loadPayments(variables) {
+            Object.assign(process.env, variables);
+            let payments;
+            jest.isolateModules(() => {
+                payments = require('../src/payments.js');
+            });
+            return payments;
+        }
+
+        it('should only enable the mock provider when chosen outside production', () => {
+            expect(loadPayments({ PAYMENT_PROVIDER: 'mock', NODE_ENV: 'test' }).MOCK_PROVIDER_ENABLED).toBe(true);
+            delete process.env.PAYMENT_PROVIDER;
+            expect(loadPayments({ NODE_ENV: 'test' }).MOCK_PROVIDER_ENABLED).toBe(false);
+        });
+
+        it('should refuse to start in production without a webhook secret or with the mock provider', () => {
+            delete process.env.PAYMENT_WEBHOOK_SECRET;
+            delete process.env.PAYMENT_PROVIDER;
+            expect(() => loadPayments({ NODE_ENV: 'prod' })).toThrow('PAYMENT_WEBHOOK_SECRET must be set in production');
+            expect(() => loadPayments({ NODE_ENV: 'prod', PAYMENT_WEBHOOK_SECRET: 'secret', PAYMENT_PROVIDER: 'mock' }))
+                .toThrow('The mock payment provider can\'t be used in production');
+            expect(loadPayments({ NODE_ENV: 'prod', PAYMENT_PROVIDER: 'other' }).MOCK_PROVIDER_ENABLED).toBe(false);
+        });
+    });
+
+    describe('Webhook signatures', () => {
+        it('should accept correctly signed bodies only', () => {
+            const now = Math.floor(Date.now() / 1000);
+            const signature = signWebhookPayload('{"a":1}', now);
+            expect(verifyWebhookSignature('{"a":1}', signature, now)).toBe(true);
+            expect(verifyWebhookSignature(Buffer.from('{"a":1}'), signature, now)).toBe(true);
+            expect(verifyWebhookSignature('{"a":2}', signature, now)).toBe(false);
+            const tampered = signature.slice(0, -1) + (signature.endsWith('0') ? '1' : '0');
+            expect(verifyWebhookSignature('{"a":1}', tampered, now)).toBe(false);
+            expect(verifyWebhookSignature('{"a":1}', 'garbage', now)).toBe(false);
+            expect(verifyWebhookSignature('{"a":1}', undefined, now)).toBe(false);
+        });
+
+        it('should reject old signatures', () => {
+            const now = Math.floor(Date.now() / 1000);
+            const signature = signWebhookPayload('{"a":1}', now - 10 * 60);
+            expect(verifyWebhookSignature('{"a":1}', signature, now)).toBe(false);
+        });
+    });
+
+    describe('Card payments', () => {
+        it('should capture authorized payments right away', async () => {
+            const order = createOrder(1, 24.5);
+            const { payment, nextAction } = await startPayment(order, 'card', MOCK_TOKENS.success);
+            expect(payment).toEqual(expect.objectContaining({ orderId: 1, method: 'card', provider: 'mock', status: 'captured', amount: 24.5 }));
+            expect(nextAction).toBeNull();
+            expect(orderPaymentStatus(payment)).toBe('paid');
+            expect(prisma.orders.get(1).paymentStatus).toBe('paid');
+            expect(provider.intents.get(payment.providerPaymentId)).toEqual(expect.objectContaining({
+                amount: 2450, currency: 'EUR', orderId: 1, status: 'captured'
+            }));
+        });
+
+        it('should record declined cards', async () => {
+            const order = createOrder(2, 10);
+            const { payment } = await startPayment(order, 'card', MOCK_TOKENS.decline);
+            expect(payment.status).toBe('failed');
+            expect(payment.failureReason).toBe('Card declined');
+            expect(prisma.orders.get(2).paymentStatus).toBe('failed');
+        });
+
+        it('should fail payments when the provider is unavailable', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            provider.createIntent = jest.fn().mockRejectedValue(new Error('timeout'));
+            const { payment } = await startPayment(createOrder(3, 10), 'card', MOCK_TOKENS.success);
+            expect(payment.status).toBe('failed');
+            expect(payment.failureReason).toBe('Payment provider unavailable');
+            console.error.mockRestore();
+        });
+
+        it('should capture after 3-D Secure, reported through the webhook', async () => {
+            const order = createOrder(4, 10);
+            const { payment, nextAction } = await startPayment(order, 'card', MOCK_TOKENS.threeDSecure);
+            expect(payment.status).toBe('requires_action');
+            expect(nextAction).toEqual({ type: 'redirect', url: `/api/v1/payments/mock/3ds/${payment.providerPaymentId}` });
+            expect(prisma.orders.get(4).paymentStatus).toBe('unpaid');
+
+            await completeMockAction(payment.providerPaymentId, true);
+            expect(prisma.payments[0].status).toBe('captured');
+            expect(prisma.orders.get(4).paymentStatus).toBe('paid');
+        });
+
+        it('should fail payments when 3-D Secure is denied', async () => {
+            const { payment } = await startPayment(createOrder(5, 10), 'card', MOCK_TOKENS.threeDSecure);
+            await completeMockAction(payment.providerPaymentId, false);
+            expect(prisma.payments[0]).toEqual(expect.objectContaining({
+                status: 'failed', failureReason: '3-D Secure authentication failed'
+            }));
+            expect(prisma.orders.get(5).paymentStatus).toBe('failed');
+        });
+
+        it('should handle repeated webhook events once', async () => {
+            const { payment } = await startPayment(createOrder(6, 10), 'card', MOCK_TOKENS.threeDSecure);
+            const intentId = payment.providerPaymentId;
+            provider.intents.get(intentId).status = 'authorized';
+            const event = { type: 'payment.authorized', data: { intentId } };
+
+            await expect(receivePaymentWebhook(...webhookCall(event))).resolves.toBe(true);
+            await expect(receivePaymentWebhook(...webhookCall(event))).resolves.toBe(true);
+            expect(prisma.payments[0].status).toBe('captured');
+            expect(prisma.order.update).toHaveBeenCalledTimes(1);
+
+            // A late failure doesn't undo the payment
+            await receivePaymentWebhook(...webhookCall({ type: 'payment.failed', data: { intentId } }));
+            expect(prisma.payments[0].status).toBe('captured');
+        });
+
+        it('should ignore unsigned events and unknown payments', async () => {
+            const { payment } = await startPayment(createOrder(7, 10), 'card', MOCK_TOKENS.threeDSecure);
+            const body = Buffer.from(JSON.stringify({ type: 'payment.failed', data: { intentId: payment.providerPaymentId } }));
+            await expect(receivePaymentWebhook(body, 't=1,v1=00')).resolves.toBe(false);
+            await expect(receivePaymentWebhook(undefined, undefined)).resolves.toBe(false);
+            await expect(receivePaymentWebhook(...webhookCall({ type: 'payment.failed', data: { intentId: 'other' } }))).resolves.toBe(true);
+            expect(prisma.payments[0].status).toBe('requires_action');
+        });
+
+        it('should refund captured payments', async () => {
+            const { payment } = await startPayment(createOrder(8, 10), 'card', MOCK_TOKENS.success);
+            await refundOrderPayment(8);
+            expect(prisma.payments[0].status).toBe('refunded');
+            expect(provider.intents.get(payment.providerPaymentId).status).toBe('refunded');
+            expect(prisma.orders.get(8).paymentStatus).toBe('refunded');
+        });
+    });
+
+    describe('Cash on delivery', () => {
+        it('should be paid once delivered', async () => {
+            const { payment, nextAction } = await startPayment(createOrder(9, 15), 'cash');
+            expect(payment).toEqual(expect.objectContaining({ method: 'cash', provider: null, status: 'pending' }));
+            expect(nextAction).toBeNull();
+
+            await collectCashPayment(9);
+            expect(prisma.payments[0].status).toBe('captured');
+            expect(prisma.orders.get(9).paymentStatus).toBe('paid');
+        });
+    });
+});
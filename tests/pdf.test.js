@@ -0,0 +1,45 @@
+const { renderTextPdf } = require('../src/pdf.js');
+
+// Checks that every cross-reference entry points to its object
+function expectValidXref(pdf) {
+    const text = pdf.toString('latin1');
+    const startxref = parseInt(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    expect(text.slice(startxref, startxref + 4)).toBe('xref');
+    const offsets = text.slice(startxref).match(/^\d{10} 00000 n $/gm).map(entry => parseInt(entry));
+    offsets.forEach((offset, index) => {
+        const header = `${index + 1} 0 obj\n`;
+        expect(text.slice(offset, offset + header.length)).toBe(header);
+    });
+    return text;
+}
+
+describe('PDF', () => {
+    it('should write the lines as text of a valid PDF', () => {
+        const pdf = renderTextPdf(['Receipt 000001', 'Total        24.99'], 'Receipt 000001');
+        expect(Buffer.isBuffer(pdf)).toBe(true);
+        const text = expectValidXref(pdf);
+        expect(text.startsWith('%PDF-1.4\n')).toBe(true);
+        expect(text).toContain('(Receipt 000001) Tj T*');
+        expect(text).toContain('(Total        24.99) Tj T*');
+        expect(text).toContain('/Count 1');
+        expect(text).toContain('/Title (Receipt 000001)');
+    });
+
+    it('should escape text and replace characters outside of Latin-1', () => {
+        const text = renderTextPdf(['(a) \\ b', 'Käse 🍕'], 'T').toString('latin1');
+        expect(text).toContain('(\\(a\\) \\\\ b) Tj');
+        expect(text).toContain('(Käse ??) Tj');
+    });
+
+    it('should continue on new pages', () => {
+        const lines = Array.from({ length: 130 }, (_, i) => `Line ${i}`);
+        const text = expectValidXref(renderTextPdf(lines, 'Long'));
+        expect(text).toContain('/Count 3');
+        expect(text).toContain('(Line 129) Tj');
+    });
+
+    it('should write an empty page without lines', () => {
+        const text = expectValidXref(renderTextPdf([], 'Empty'));
+        expect(text).toContain('/Count 1');
+    });
+});
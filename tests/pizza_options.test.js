@@ -0,0 +1,112 @@
+const prisma = require('../src/prisma.js');
+const { normalizeCartLine, cartLineKey, resolvePizzaOptions, priceCartLine, describeOptions } = require('../src/pizza_options.js');
+
+jest.mock('../src/prisma.js', () => ({
+    pizzaOption: { findMany: jest.fn() },
+    topping: { findMany: jest.fn() },
+}));
+
+const options = [
+    { id: 1, type: 'size', name: 'Small', priceModifier: -2, isDefault: false, available: true },
+    { id: 2, type: 'size', name: 'Medium', priceModifier: 0, isDefault: true, available: true },
+    { id: 3, type: 'crust', name: 'Thin', priceModifier: 0, isDefault: false, available: true },
+    { id: 4, type: 'crust', name: 'Stuffed', priceModifier: 2.5, isDefault: false, available: false },
+];
+
+const toppings = [
+    { id: 10, name: 'Onions', price: 1, available: true },
+    { id: 11, name: 'Olives', price: 1.5, available: true },
+    { id: 12, name: 'Truffle', price: 5, available: false },
+];
+
+const pizza = {
+    id: 1,
+    name: 'Margherita',
+    price: 10,
+    archivedAt: null,
+    toppings: [{ toppingId: 10, removable: true }, { toppingId: 13, removable: false }]
+};
+
+function line(fields) {
+    return normalizeCartLine({ pizzaId: 1, quantity: 1, ...fields });
+}
+
+describe('Pizza options', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.pizzaOption.findMany.mockResolvedValue(options.filter(option => option.available));
+    });
+
+    it('should give lines created before options existed their pizza ID as line ID', () => {
+        expect(normalizeCartLine({ pizzaId: 3, quantity: 2 })).toEqual({
+            lineId: '3', pizzaId: 3, quantity: 2, sizeId: null, crustId: null, removedToppingIds: [], extraToppingIds: []
+        });
+    });
+
+    it('should use the same key regardless of topping order', () => {
+        expect(cartLineKey(line({ extraToppingIds: [11, 10] }))).toBe(cartLineKey(line({ extraToppingIds: [10, 11] })));
+        expect(cartLineKey(line({ sizeId: 1 }))).not.toBe(cartLineKey(line({ sizeId: 2 })));
+    });
+
+    it('should fill in the default size and the first crust', async () => {
+        const result = await resolvePizzaOptions(pizza, {});
+        expect(result).toEqual({
+            options: { sizeId: 2, crustId: 3, removedToppingIds: [], extraToppingIds: [] }
+        });
+    });
+
+    it('should reject unknown or unavailable options', async () => {
+        expect(await resolvePizzaOptions(pizza, { sizeId: 9 })).toEqual({ error: 'Size not found' });
+        expect(await resolvePizzaOptions(pizza, { crustId: 4 })).toEqual({ error: 'Crust not found' });
+    });
+
+    it('should only remove removable toppings of the pizza', async () => {
+        let result = await resolvePizzaOptions(pizza, { removeToppings: [10] });
+        expect(result.options.removedToppingIds).toEqual([10]);
+
+        result = await resolvePizzaOptions(pizza, { removeToppings: [13] });
+        expect(result.error).toMatch(/Topping with ID 13 can't be removed/);
+
+        result = await resolvePizzaOptions(pizza, { removeToppings: [11] });
+        expect(result.error).toMatch(/Topping with ID 11 can't be removed/);
+    });
+
+    it('should only add available toppings', async () => {
+        prisma.topping.findMany.mockResolvedValue([toppings[1]]);
+        let result = await resolvePizzaOptions(pizza, { extraToppings: [11, '11'] });
+        expect(result.options.extraToppingIds).toEqual([11]);
+
+        result = await resolvePizzaOptions(pizza, { extraToppings: [11, 12] });
+        expect(result.error).toMatch(/Topping with ID 12 is not available/);
+
+        result = await resolvePizzaOptions(pizza, { extraToppings: 'olives' });
+        expect(result.error).toMatch(/Toppings must be arrays/);
+    });
+
+    it('should price a line with its options', () => {
+        const catalog = { pizzas: [pizza], options, toppings };
+        const priced = priceCartLine(line({ sizeId: 1, crustId: 3, removedToppingIds: [10], extraToppingIds: [11] }), catalog);
+        expect(priced.unitPrice).toBe(9.5);
+        expect(priced.options).toEqual({
+            size: { id: 1, name: 'Small', priceModifier: -2 },
+            crust: { id: 3, name: 'Thin', priceModifier: 0 },
+            removedToppings: [{ id: 10, name: 'Onions' }],
+            extraToppings: [{ id: 11, name: 'Olives', price: 1.5 }]
+        });
+    });
+
+    it('should not price lines with an unavailable option or pizza', () => {
+        const catalog = { pizzas: [pizza], options, toppings };
+        expect(priceCartLine(line({ crustId: 4 }), catalog)).toBeNull();
+        expect(priceCartLine(line({ extraToppingIds: [12] }), catalog)).toBeNull();
+        expect(priceCartLine(line({ pizzaId: 2 }), catalog)).toBeNull();
+        expect(priceCartLine(line({}), { ...catalog, pizzas: [{ ...pizza, archivedAt: new Date() }] })).toBeNull();
+    });
+
+    it('should describe the options of a line', () => {
+        const catalog = { pizzas: [pizza], options, toppings };
+        const priced = priceCartLine(line({ sizeId: 1, removedToppingIds: [10], extraToppingIds: [11] }), catalog);
+        expect(describeOptions(priced.options)).toBe('Small, no Onions, extra Olives');
+        expect(describeOptions(null)).toBe('');
+    });
+});
@@ -0,0 +1,66 @@
+const { parsePizzaSearch, describeSortOrder } = require('../src/pizza_search.js');
+
+jest.mock('../src/prisma.js', () => ({}));
+
+describe('Pizza search parameters', () => {
+    it('should default to no filters', () => {
+        expect(parsePizzaSearch({})).toEqual({
+            params: {
+                search: null,
+                categoryId: null,
+                tags: [],
+                excludedTags: [],
+                minPrice: null,
+                maxPrice: null,
+                sort: null,
+                order: 'asc'
+            }
+        });
+    });
+
+    it('should split included and excluded tags', () => {
+        const { params } = parsePizzaSearch({ tags: ' Vegetarian, -SPICY,,cheese,vegetarian ' });
+        expect(params.tags).toEqual(['vegetarian', 'cheese']);
+        expect(params.excludedTags).toEqual(['spicy']);
+    });
+
+    it('should reject invalid tags', () => {
+        expect(parsePizzaSearch({ tags: 'a b' })).toEqual({ error: 'Invalid tag: a b' });
+        expect(parsePizzaSearch({ tags: '--spicy' })).toEqual({ error: 'Invalid tag: -spicy' });
+    });
+
+    it('should parse and check prices', () => {
+        expect(parsePizzaSearch({ minPrice: '7.5', maxPrice: '12' }).params).toEqual(expect.objectContaining({
+            minPrice: 7.5,
+            maxPrice: 12
+        }));
+        expect(parsePizzaSearch({ minPrice: 'cheap' }).error).toMatch(/Prices must be non-negative numbers/);
+        expect(parsePizzaSearch({ maxPrice: '-1' }).error).toMatch(/Prices must be non-negative numbers/);
+        expect(parsePizzaSearch({ minPrice: '10', maxPrice: '5' }).error).toMatch(/Minimum price/);
+    });
+
+    it('should sort the most popular pizzas first by default', () => {
+        expect(parsePizzaSearch({ sort: 'popularity' }).params.order).toBe('desc');
+        expect(parsePizzaSearch({ sort: 'price' }).params.order).toBe('asc');
+        expect(parsePizzaSearch({ sort: 'price', order: 'desc' }).params.order).toBe('desc');
+        expect(parsePizzaSearch({ sort: 'price', order: 'up' }).error).toMatch(/Order must be one of: asc, desc/);
+    });
+
+    it('should tell sort orders apart', () => {
+        expect(describeSortOrder(parsePizzaSearch({}).params)).toBe('menu:asc');
+        expect(describeSortOrder(parsePizzaSearch({ q: 'ham' }).params)).toBe('relevance:asc');
+        expect(describeSortOrder(parsePizzaSearch({ q: 'ham', sort: 'price' }).params)).toBe('price:asc');
+        expect(describeSortOrder(parsePizzaSearch({ sort: 'price', order: 'desc' }).params)).toBe('price:desc');
+    });
+
+    it('should parse the category', () => {
+        expect(parsePizzaSearch({ category: '3' }).params.categoryId).toBe(3);
+        expect(parsePizzaSearch({ category: '0' }).error).toMatch(/Invalid category ID/);
+        expect(parsePizzaSearch({ category: 'lunch' }).error).toMatch(/Invalid category ID/);
+    });
+
+    it('should limit the length of the search text', () => {
+        expect(parsePizzaSearch({ q: '  margherita ' }).params.search).toBe('margherita');
+        expect(parsePizzaSearch({ q: 'x'.repeat(101) }).error).toMatch(/at most 100 characters/);
+    });
+});
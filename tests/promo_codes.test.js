@@ -0,0 +1,143 @@
+const prisma = require('../src/prisma.js');
+const { PromoCodeError, normalizePromoCode, findPromoCode, checkPromoCode, redeemPromoCode, releasePromoCode, calculateDiscount } = require('../src/promo_codes.js');
+
+jest.mock('../src/prisma.js', () => ({
+    promoCode: { findUnique: jest.fn() },
+    order: { count: jest.fn() },
+}));
+
+const basePromo = {
+    id: 1,
+    code: 'PROMO',
+    type: 'percent',
+    value: 10,
+    freePizzaId: null,
+    freeExtraId: null,
+    minSpend: null,
+    validFrom: null,
+    validUntil: null,
+    maxUses: null,
+    maxUsesPerUser: null,
+    uses: 0,
+    active: true
+};
+
+const cart = {
+    pizzas: [{ pizzaId: 1, unitPrice: 12.5, totalPrice: 25 }],
+    extras: [{ itemId: 7, unitPrice: 2, totalPrice: 2 }],
+    subtotal: 27
+};
+
+describe('Promo codes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should normalize codes to uppercase', () => {
+        expect(normalizePromoCode(' summer-10 ')).toBe('SUMMER-10');
+    });
+
+    it('should not find inactive codes', async () => {
+        prisma.promoCode.findUnique.mockResolvedValue({ ...basePromo, active: false });
+        expect(await findPromoCode('promo')).toBeNull();
+        expect(prisma.promoCode.findUnique).toHaveBeenCalledWith({ where: { code: 'PROMO' } });
+    });
+
+    describe('checkPromoCode', () => {
+        it('should check the validity window', async () => {
+            const now = new Date('2025-06-15T12:00:00Z');
+            const summer = { ...basePromo, validFrom: new Date('2025-06-01'), validUntil: new Date('2025-09-01') };
+            expect(await checkPromoCode(summer, cart, null, now)).toBeNull();
+            expect(await checkPromoCode(summer, cart, null, new Date('2025-05-31'))).toMatch(/not valid yet/);
+            expect(await checkPromoCode(summer, cart, null, new Date('2025-09-02'))).toMatch(/expired/);
+        });
+
+        it('should check the minimum spend', async () => {
+            expect(await checkPromoCode({ ...basePromo, minSpend: 30 }, cart, null)).toMatch(/minimum spend of 30.00/);
+            expect(await checkPromoCode({ ...basePromo, minSpend: 27 }, cart, null)).toBeNull();
+        });
+
+        it('should require the free item in the cart', async () => {
+            const freeCola = { ...basePromo, type: 'free_item', value: null, freeExtraId: 7 };
+            expect(await checkPromoCode(freeCola, cart, null)).toBeNull();
+            expect(await checkPromoCode({ ...freeCola, freeExtraId: 8 }, cart, null)).toMatch(/free item/);
+        });
+
+        it('should check the uses of the code', async () => {
+            expect(await checkPromoCode({ ...basePromo, maxUses: 5, uses: 5 }, cart, null)).toMatch(/usage limit/);
+            expect(await checkPromoCode({ ...basePromo, maxUses: 6, uses: 5 }, cart, null)).toBeNull();
+            expect(prisma.order.count).not.toHaveBeenCalled();
+        });
+
+        it('should limit uses per user and require a login for it', async () => {
+            const oncePerUser = { ...basePromo, maxUsesPerUser: 1 };
+            expect(await checkPromoCode(oncePerUser, cart, null)).toMatch(/Log in/);
+
+            prisma.order.count.mockResolvedValue(1);
+            expect(await checkPromoCode(oncePerUser, cart, 3)).toMatch(/already used/);
+            expect(prisma.order.count).toHaveBeenCalledWith({
+                where: { promoCodeId: 1, userId: 3, status: { notIn: ['cancelled', 'rejected'] } }
+            });
+
+            prisma.order.count.mockResolvedValue(0);
+            expect(await checkPromoCode(oncePerUser, cart, 3)).toBeNull();
+        });
+    });
+
+    describe('redeemPromoCode', () => {
+        const tx = {
+            promoCode: { updateMany: jest.fn(), update: jest.fn() },
+            order: { count: jest.fn() },
+        };
+
+        it('should count the use only if the code has uses left', async () => {
+            tx.promoCode.updateMany.mockResolvedValueOnce({ count: 1 });
+            await redeemPromoCode(tx, { ...basePromo, maxUses: 5 }, null);
+            expect(tx.promoCode.updateMany).toHaveBeenCalledWith({
+                where: { id: 1, uses: { lt: 5 } },
+                data: { uses: { increment: 1 } }
+            });
+
+            tx.promoCode.updateMany.mockResolvedValueOnce({ count: 1 });
+            await redeemPromoCode(tx, basePromo, null);
+            expect(tx.promoCode.updateMany).toHaveBeenLastCalledWith({ where: { id: 1 }, data: { uses: { increment: 1 } } });
+
+            tx.promoCode.updateMany.mockResolvedValueOnce({ count: 0 });
+            await expect(redeemPromoCode(tx, { ...basePromo, maxUses: 5 }, null)).rejects.toThrow(PromoCodeError);
+        });
+
+        it('should count the orders of the user in the transaction', async () => {
+            const oncePerUser = { ...basePromo, maxUsesPerUser: 1 };
+            tx.promoCode.updateMany.mockResolvedValue({ count: 1 });
+            tx.order.count.mockResolvedValueOnce(0);
+            await redeemPromoCode(tx, oncePerUser, 3);
+            expect(tx.order.count).toHaveBeenCalledWith({
+                where: { promoCodeId: 1, userId: 3, status: { notIn: ['cancelled', 'rejected'] } }
+            });
+
+            tx.order.count.mockResolvedValueOnce(1);
+            await expect(redeemPromoCode(tx, oncePerUser, 3)).rejects.toThrow('You have already used this promo code');
+            expect(prisma.order.count).not.toHaveBeenCalled();
+        });
+
+        it('should give back uses', async () => {
+            await releasePromoCode(tx, 1);
+            expect(tx.promoCode.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { uses: { decrement: 1 } } });
+        });
+    });
+
+    describe('calculateDiscount', () => {
+        it('should take a percentage off the subtotal', () => {
+            expect(calculateDiscount({ ...basePromo, value: 15 }, cart)).toBe(4.05);
+        });
+
+        it('should take a fixed amount off, at most the subtotal', () => {
+            expect(calculateDiscount({ ...basePromo, type: 'fixed', value: 5 }, cart)).toBe(5);
+            expect(calculateDiscount({ ...basePromo, type: 'fixed', value: 50 }, cart)).toBe(27);
+        });
+
+        it('should make one unit of the free item free', () => {
+            expect(calculateDiscount({ ...basePromo, type: 'free_item', value: null, freePizzaId: 1 }, cart)).toBe(12.5);
+        });
+    });
+});
@@ -0,0 +1,208 @@
+const prisma = require('../src/prisma.js');
+const { canIssueReceipt, issueReceipt, buildReceipt, renderReceiptText, renderReceiptHtml, renderReceiptPdf } = require('../src/receipts.js');
+
+jest.mock('../src/prisma.js', () => {
+    const client = {
+        counter: {
+            upsert: jest.fn(),
+        },
+        order: {
+            updateMany: jest.fn(),
+            findUnique: jest.fn(),
+        },
+        $transaction: jest.fn(callback => callback(client)),
+    };
+    return client;
+});
+
+// Margherita with 7% and a cola with 19% included, 10% off, delivery with 19% included
+const order = {
+    id: 1001,
+    createdAt: new Date('2025-05-26T13:45:00Z'),
+    status: 'delivered',
+    total: '19.00',
+    netTotal: '17.33',
+    taxTotal: '1.67',
+    discount: '2.00',
+    deliveryFee: '2.50',
+    deliveryTaxRate: '19.00',
+    deliveryNet: '2.10',
+    deliveryTax: '0.40',
+    deliveryAddress: { recipient: 'Ann <Smith>', street: 'Main St 1', city: 'Berlin', postcode: '10115' },
+    paymentMethod: 'card',
+    paymentStatus: 'paid',
+    receiptNumber: 42,
+    receiptIssuedAt: new Date('2025-05-26T14:00:00Z'),
+    items: [{
+        pizzaId: 1,
+        pizza: { name: 'Margherita' },
+        options: { size: { id: 1, name: 'Large', priceModifier: 2 }, crust: null, removedToppings: [], extraToppings: [] },
+        quantity: 2,
+        unitPrice: '8.00',
+        totalPrice: '16.00',
+        taxRate: '7.00',
+        netPrice: '13.46',
+        taxAmount: '0.94',
+        grossPrice: '14.40'
+    }],
+    extras: [{
+        extraId: 7,
+        extra: { name: 'Cola' },
+        quantity: 1,
+        unitPrice: '2.50',
+        totalPrice: '2.50',
+        taxRate: '19.00',
+        netPrice: '1.77',
+        taxAmount: '0.33',
+        grossPrice: '2.10'
+    }]
+};
+
+describe('Receipts', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should issue the next receipt number', async () => {
+        prisma.counter.upsert.mockResolvedValue({ name: 'receipt', value: 7 });
+        prisma.order.updateMany.mockResolvedValue({ count: 1 });
+        await expect(issueReceipt(1001)).resolves.toEqual({ receiptNumber: 7, receiptIssuedAt: expect.any(Date) });
+        expect(prisma.counter.upsert).toHaveBeenCalledWith({
+            where: { name: 'receipt' },
+            create: { name: 'receipt', value: 1 },
+            update: { value: { increment: 1 } }
+        });
+        expect(prisma.order.updateMany).toHaveBeenCalledWith({
+            where: { id: 1001, receiptNumber: null },
+            data: { receiptNumber: 7, receiptIssuedAt: expect.any(Date) }
+        });
+    });
+
+    it('should roll back the number if the order got one in the meantime', async () => {
+        const issued = { receiptNumber: 6, receiptIssuedAt: new Date() };
+        prisma.counter.upsert.mockResolvedValue({ name: 'receipt', value: 7 });
+        prisma.order.updateMany.mockResolvedValue({ count: 0 });
+        prisma.order.findUnique.mockResolvedValue(issued);
+        await expect(issueReceipt(1001)).resolves.toBe(issued);
+        await expect(prisma.$transaction.mock.results[0].value).rejects.toThrow();
+    });
+
+    it('should only issue receipts to paid or confirmed orders', () => {
+        expect(canIssueReceipt({ status: 'accepted', paymentMethod: 'card', paymentStatus: 'paid' })).toBe(true);
+        expect(canIssueReceipt({ status: 'accepted', paymentMethod: 'cash', paymentStatus: 'unpaid' })).toBe(true);
+        expect(canIssueReceipt({ status: 'delivered', paymentMethod: 'cash', paymentStatus: 'paid' })).toBe(true);
+        expect(canIssueReceipt({ status: 'pending', paymentMethod: 'cash', paymentStatus: 'unpaid' })).toBe(false);
+        expect(canIssueReceipt({ status: 'pending', paymentMethod: 'card', paymentStatus: 'unpaid' })).toBe(false);
+        expect(canIssueReceipt({ status: 'accepted', paymentMethod: 'card', paymentStatus: 'failed' })).toBe(false);
+        expect(canIssueReceipt({ status: 'cancelled', paymentMethod: 'card', paymentStatus: 'refunded' })).toBe(false);
+    });
+
+    it('should list the items, the taxes per rate and the totals', () => {
+        const receipt = buildReceipt(order);
+        expect(receipt).toEqual(expect.objectContaining({
+            number: '000042',
+            orderId: 1001,
+            currency: 'EUR',
+            subtotal: 18.5,
+            discount: 2,
+            deliveryFee: 2.5,
+            deliveryTaxRate: 19,
+            addedTax: 0,
+            total: 19,
+            payment: 'Card (paid)'
+        }));
+        expect(receipt.lines).toEqual([
+            { quantity: 2, name: 'Margherita', description: 'Large', unitPrice: 8, totalPrice: 16, taxRate: 7 },
+            { quantity: 1, name: 'Cola', description: '', unitPrice: 2.5, totalPrice: 2.5, taxRate: 19 }
+        ]);
+        expect(receipt.taxes).toEqual([
+            { rate: 7, net: 13.46, tax: 0.94, gross: 14.4 },
+            { rate: 19, net: 3.87, tax: 0.73, gross: 4.6 }
+        ]);
+    });
+
+    it('should show the tax added by exclusive rates', () => {
+        const receipt = buildReceipt({
+            ...order,
+            total: '17.32',
+            discount: '0',
+            deliveryFee: '0',
+            deliveryNet: '0',
+            deliveryTax: '0',
+            extras: [],
+            items: [{ ...order.items[0], taxRate: '8.25', netPrice: '16.00', taxAmount: '1.32', grossPrice: '17.32' }]
+        });
+        expect(receipt.addedTax).toBe(1.32);
+        expect(receipt.taxes).toEqual([{ rate: 8.25, net: 16, tax: 1.32, gross: 17.32 }]);
+        expect(renderReceiptText(receipt)).toContain('Tax added                                           1.32');
+    });
+
+    it('should count orders placed before taxes were recorded as untaxed', () => {
+        const untaxedItem = { taxRate: null, netPrice: null, taxAmount: null, grossPrice: null };
+        const receipt = buildReceipt({
+            ...order,
+            netTotal: null,
+            taxTotal: null,
+            deliveryTaxRate: null,
+            deliveryNet: null,
+            deliveryTax: null,
+            items: [{ ...order.items[0], ...untaxedItem }],
+            extras: [{ ...order.extras[0], ...untaxedItem }]
+        });
+        expect(receipt.lines.map(line => line.taxRate)).toEqual([null, null]);
+        expect(receipt.deliveryTaxRate).toBeNull();
+        expect(receipt.taxes).toEqual([{ rate: 0, net: 19, tax: 0, gross: 19 }]);
+    });
+
+    it('should print the receipt as aligned text', () => {
+        const lines = renderReceiptText(buildReceipt(order));
+        expect(lines.slice(0, 8)).toEqual([
+            'PizzaGo',
+            '',
+            'Receipt 000042',
+            'Issued: 2025-05-26 14:00 UTC',
+            'Order #1001 of 2025-05-26 13:45 UTC',
+            'Ann <Smith>',
+            'Main St 1',
+            '10115 Berlin'
+        ]);
+        expect(lines.slice(9, 18)).toEqual([
+            '                                                     EUR     Tax',
+            '-'.repeat(64),
+            '2 x Margherita @ 8.00                              16.00      7%',
+            '    Large',
+            '1 x Cola @ 2.50                                     2.50     19%',
+            'Discount                                           -2.00',
+            'Delivery                                            2.50     19%',
+            '-'.repeat(64),
+            'Total                                              19.00'
+        ]);
+        expect(lines.slice(19, 22)).toEqual([
+            'Tax rate                                 Net       Tax     Gross',
+            '7%                                     13.46      0.94     14.40',
+            '19%                                     3.87      0.73      4.60'
+        ]);
+        expect(lines[lines.length - 1]).toBe('Payment: Card (paid)');
+        expect(lines.every(line => line.length <= 64)).toBe(true);
+    });
+
+    it('should cut long names to fit the line', () => {
+        const receipt = buildReceipt({ ...order, items: [{ ...order.items[0], pizza: { name: 'Quattro Formaggi '.repeat(4) } }] });
+        const line = renderReceiptText(receipt).find(line => line.startsWith('2 x Quattro'));
+        expect(line).toHaveLength(64);
+        expect(line).toMatch(/Quattr~ {6}16\.00 {6}7%$/);
+    });
+
+    it('should render HTML with escaped content and a PDF', () => {
+        const receipt = buildReceipt(order);
+        const html = renderReceiptHtml(receipt);
+        expect(html).toContain('<title>Receipt 000042</title>');
+        expect(html).toContain('Ann &lt;Smith&gt;');
+        expect(html).not.toContain('Ann <Smith>');
+        expect(html).toContain('<td class="amount">19.00</td>');
+
+        const pdf = renderReceiptPdf(receipt).toString('latin1');
+        expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+        expect(pdf).toContain('(Receipt 000042) Tj');
+    });
+});
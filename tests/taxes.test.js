@@ -0,0 +1,80 @@
+const Decimal = require('decimal.js');
+const prisma = require('../src/prisma.js');
+const { loadTaxRates, splitTax, allocateDiscount, calculateTaxes, summarizeTaxes } = require('../src/taxes.js');
+
+jest.mock('../src/prisma.js', () => ({
+    taxRate: {
+        findMany: jest.fn(),
+    },
+}));
+
+// Decimals as strings, to compare them by value
+function strings(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value.toString()]));
+}
+
+const food = { category: 'pizza', rate: '7', inclusive: true };
+const drinks = { category: 'drink', rate: '19', inclusive: true };
+const salesTax = { category: 'pizza', rate: '8.25', inclusive: false };
+
+describe('Taxes', () => {
+    it('should load the rates by category', async () => {
+        prisma.taxRate.findMany.mockResolvedValue([food, drinks]);
+        const rates = await loadTaxRates();
+        expect(rates.get('pizza')).toBe(food);
+        expect(rates.get('side')).toBeUndefined();
+    });
+
+    it('should take the tax out of inclusive prices', () => {
+        expect(strings(splitTax('10.70', food))).toEqual({ rate: '7', net: '10', tax: '0.7', gross: '10.7' });
+        // 2.50 / 1.19 = 2.1008..., the tax is rounded to the cent
+        expect(strings(splitTax(2.5, drinks))).toEqual({ rate: '19', net: '2.1', tax: '0.4', gross: '2.5' });
+    });
+
+    it('should add the tax to exclusive prices', () => {
+        expect(strings(splitTax('20', salesTax))).toEqual({ rate: '8.25', net: '20', tax: '1.65', gross: '21.65' });
+        expect(strings(splitTax('0.06', salesTax))).toEqual({ rate: '8.25', net: '0.06', tax: '0', gross: '0.06' });
+    });
+
+    it('should not tax categories without a rate', () => {
+        expect(strings(splitTax('9.99', undefined))).toEqual({ rate: '0', net: '9.99', tax: '0', gross: '9.99' });
+    });
+
+    it('should spread a discount over the amounts to the cent', () => {
+        const shares = allocateDiscount(['10', '10', '10'], '1');
+        expect(shares.map(String)).toEqual(['0.34', '0.33', '0.33']);
+        expect(allocateDiscount([20, 5], 5).map(String)).toEqual(['4', '1']);
+        expect(allocateDiscount([20, 5], 0).map(String)).toEqual(['0', '0']);
+        // A discount can't be more than the amounts
+        expect(allocateDiscount([3], 5).map(String)).toEqual(['3']);
+        expect(allocateDiscount([], 5)).toEqual([]);
+    });
+
+    it('should tax the lines after the discount', () => {
+        const rates = new Map([['pizza', food], ['drink', drinks]]);
+        const taxes = calculateTaxes([
+            { category: 'pizza', amount: 21.4 },
+            { category: 'drink', amount: new Decimal('4.76') },
+            { category: 'side', amount: '3' }
+        ], '2.92', rates);
+        // The discount is about 10% of every line: 2.14, 0.48 and 0.30
+        expect(taxes.lines.map(strings)).toEqual([
+            { rate: '7', net: '18', tax: '1.26', gross: '19.26' },
+            { rate: '19', net: '3.6', tax: '0.68', gross: '4.28' },
+            { rate: '0', net: '2.7', tax: '0', gross: '2.7' }
+        ]);
+        expect(strings({ net: taxes.net, tax: taxes.tax, gross: taxes.gross })).toEqual({ net: '24.3', tax: '1.94', gross: '26.24' });
+    });
+
+    it('should add up the taxes per rate', () => {
+        const summary = summarizeTaxes([
+            { rate: '19', net: '2.10', tax: '0.40', gross: '2.50' },
+            { rate: '7', net: 10, tax: 0.7, gross: 10.7 },
+            { rate: '19.00', net: '1', tax: '0.19', gross: '1.19' }
+        ]);
+        expect(summary.map(strings)).toEqual([
+            { rate: '7', net: '10', tax: '0.7', gross: '10.7' },
+            { rate: '19', net: '3.1', tax: '0.59', gross: '3.69' }
+        ]);
+    });
+});
@@ -0,0 +1,137 @@
+const prisma = require('../src/prisma.js');
+const redisClient = require('../src/redis_client.js');
+const { hashToken } = require('../src/security.js');
+const {
+    base32Encode,
+    base32Decode,
+    totpUri,
+    generateTotp,
+    verifyTotp,
+    startEnrollment,
+    completeEnrollment,
+    verifyTwoFactorCode,
+    createLoginChallenge,
+    findLoginChallenge,
+    failLoginChallenge,
+    claimLoginChallenge
+} = require('../src/two_factor.js');
+
+jest.mock('../src/redis_client.js', () => ({
+    set: jest.fn(),
+    get: jest.fn(),
+    del: jest.fn(),
+    getDel: jest.fn(),
+}));
+jest.mock('../src/prisma.js', () => ({
+    user: {
+        update: jest.fn(),
+    },
+    recoveryCode: {
+        deleteMany: jest.fn(),
+        createMany: jest.fn(),
+    },
+    $transaction: jest.fn(operations => Promise.all(operations)),
+}));
+
+// The secret of the test vectors of RFC 6238
+const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('Two-factor authentication', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should encode secrets in base32', () => {
+        expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        expect(base32Decode(secret).toString()).toBe('12345678901234567890');
+        expect(base32Decode('gezdgnbv').toString()).toBe('12345');
+        expect(() => base32Decode('GEZ1')).toThrow();
+    });
+
+    it('should generate the codes of RFC 6238', () => {
+        expect(generateTotp(secret, 59)).toBe('287082');
+        expect(generateTotp(secret, 1111111109)).toBe('081804');
+        expect(generateTotp(secret, 2000000000)).toBe('279037');
+    });
+
+    it('should accept the codes of the neighbouring periods', () => {
+        const time = 1111111109;
+        expect(verifyTotp(secret, '081804', time)).toBe(37037036);
+        expect(verifyTotp(secret, generateTotp(secret, time - 30), time)).toBe(37037035);
+        expect(verifyTotp(secret, generateTotp(secret, time + 30), time)).toBe(37037037);
+        expect(verifyTotp(secret, generateTotp(secret, time - 60), time)).toBeNull();
+        expect(verifyTotp(secret, '81804', time)).toBeNull();
+        expect(verifyTotp(secret, undefined, time)).toBeNull();
+    });
+
+    it('should describe the secret for authenticator apps', () => {
+        expect(totpUri('JBSWY3DPEHPK3PXP', 'a@b.com')).toBe(
+            'otpauth://totp/PizzaGo%3Aa%40b.com?secret=JBSWY3DPEHPK3PXP&issuer=PizzaGo&algorithm=SHA1&digits=6&period=30'
+        );
+    });
+
+    it('should enable 2FA with the first code and create recovery codes', async () => {
+        const newSecret = await startEnrollment(1);
+        expect(newSecret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(redisClient.set).toHaveBeenCalledWith('pizzago_2fa_enrollment:1', newSecret, { EX: 600 });
+
+        redisClient.get.mockResolvedValue(newSecret);
+        const wrongCode = String((Number(generateTotp(newSecret)) + 1) % 1000000).padStart(6, '0');
+        await expect(completeEnrollment(1, wrongCode)).resolves.toBeNull();
+        expect(prisma.user.update).not.toHaveBeenCalled();
+
+        const recoveryCodes = await completeEnrollment(1, generateTotp(newSecret));
+        expect(recoveryCodes).toHaveLength(10);
+        expect(new Set(recoveryCodes).size).toBe(10);
+        recoveryCodes.forEach(code => expect(code).toMatch(/^[A-Z2-7]{4}(-[A-Z2-7]{4}){3}$/));
+        expect(prisma.user.update).toHaveBeenCalledWith({
+            where: { id: 1 },
+            data: { twoFactorSecret: newSecret, twoFactorEnabledAt: expect.any(Date) }
+        });
+        expect(prisma.recoveryCode.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+        // Only hashes of the codes are stored
+        expect(prisma.recoveryCode.createMany.mock.calls[0][0].data[0]).toEqual({ userId: 1, codeHash: hashToken(recoveryCodes[0].replace(/-/g, '')) });
+        expect(redisClient.del).toHaveBeenCalledWith('pizzago_2fa_enrollment:1');
+    });
+
+    it('should accept a TOTP code only once', async () => {
+        const user = { id: 1, twoFactorSecret: secret };
+        redisClient.set.mockResolvedValueOnce('OK');
+        await expect(verifyTwoFactorCode(user, generateTotp(secret))).resolves.toBe('totp');
+        expect(redisClient.set).toHaveBeenCalledWith(expect.stringMatching(/^pizzago_2fa_used:1:\d+$/), '1', { NX: true, EX: 90 });
+
+        redisClient.set.mockResolvedValueOnce(null);
+        await expect(verifyTwoFactorCode(user, generateTotp(secret))).resolves.toBeNull();
+        expect(prisma.recoveryCode.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should use up recovery codes', async () => {
+        const user = { id: 1, twoFactorSecret: secret };
+        prisma.recoveryCode.deleteMany.mockResolvedValueOnce({ count: 1 });
+        await expect(verifyTwoFactorCode(user, 'abcd-efgh 2345-6777')).resolves.toBe('recovery');
+        expect(prisma.recoveryCode.deleteMany).toHaveBeenCalledWith({ where: { userId: 1, codeHash: hashToken('ABCDEFGH23456777') } });
+
+        prisma.recoveryCode.deleteMany.mockResolvedValueOnce({ count: 0 });
+        await expect(verifyTwoFactorCode(user, 'ABCD-EFGH-2345-6777')).resolves.toBeNull();
+        await expect(verifyTwoFactorCode({ id: 2, twoFactorSecret: null }, 'ABCD-EFGH-2345-6777')).resolves.toBeNull();
+    });
+
+    it('should keep login challenges for a few attempts', async () => {
+        const challengeToken = await createLoginChallenge(1, 'session-id');
+        const key = `pizzago_2fa_challenge:${hashToken(challengeToken)}`;
+        expect(redisClient.set).toHaveBeenCalledWith(key, JSON.stringify({ userId: 1, sessionId: 'session-id', attempts: 0 }), { EX: 300 });
+
+        redisClient.get.mockResolvedValueOnce(redisClient.set.mock.calls[0][1]);
+        const challenge = await findLoginChallenge(challengeToken);
+        expect(challenge).toEqual({ userId: 1, sessionId: 'session-id', attempts: 0 });
+
+        await failLoginChallenge(challengeToken, challenge);
+        expect(redisClient.set).toHaveBeenLastCalledWith(key, JSON.stringify({ userId: 1, sessionId: 'session-id', attempts: 1 }), { KEEPTTL: true, XX: true });
+        await failLoginChallenge(challengeToken, { ...challenge, attempts: 4 });
+        expect(redisClient.del).toHaveBeenCalledWith(key);
+
+        redisClient.getDel.mockResolvedValueOnce('{}').mockResolvedValueOnce(null);
+        await expect(claimLoginChallenge(challengeToken)).resolves.toBe(true);
+        await expect(claimLoginChallenge(challengeToken)).resolves.toBe(false);
+    });
+});
@@ -0,0 +1,76 @@
+const prisma = require('../src/prisma.js');
+const { loadUserCart, saveUserCart, mergeCarts } = require('../src/user_cart.js');
+
+// Cart line of a pizza without chosen options
+function line(lineId, pizzaId, quantity) {
+    return { lineId, pizzaId, quantity, sizeId: null, crustId: null, removedToppingIds: [], extraToppingIds: [] };
+}
+
+jest.mock('../src/prisma.js', () => ({
+    cart: {
+        findUnique: jest.fn(),
+    },
+    $transaction: jest.fn(),
+}));
+
+describe('User carts', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should load saved cart lines in session format', async () => {
+        prisma.cart.findUnique.mockResolvedValue({
+            id: 3,
+            items: [{ id: 'line-1', cartId: 3, pizzaId: 1, quantity: 2, sizeId: 4, crustId: null, removedToppingIds: [2], extraToppingIds: [] }],
+            extras: [{ cartId: 3, extraId: 7, quantity: 1 }]
+        });
+        await expect(loadUserCart(1)).resolves.toEqual({
+            items: [{ lineId: 'line-1', pizzaId: 1, quantity: 2, sizeId: 4, crustId: null, removedToppingIds: [2], extraToppingIds: [] }],
+            extras: [{ itemId: 7, quantity: 1 }]
+        });
+    });
+
+    it('should return null for users without a saved cart', async () => {
+        prisma.cart.findUnique.mockResolvedValue(null);
+        await expect(loadUserCart(1)).resolves.toBeNull();
+    });
+
+    it('should replace saved cart lines in one transaction', async () => {
+        const tx = {
+            cart: { upsert: jest.fn().mockResolvedValue({ id: 3 }) },
+            cartItem: { deleteMany: jest.fn(), createMany: jest.fn() },
+            cartExtraItem: { deleteMany: jest.fn(), createMany: jest.fn() },
+        };
+        prisma.$transaction.mockImplementation(callback => callback(tx));
+
+        await saveUserCart(1, { items: [line('line-1', 1, 2)], extras: [] });
+
+        expect(tx.cart.upsert).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 1 }, create: { userId: 1 } }));
+        expect(tx.cartItem.deleteMany).toHaveBeenCalledWith({ where: { cartId: 3 } });
+        expect(tx.cartExtraItem.deleteMany).toHaveBeenCalledWith({ where: { cartId: 3 } });
+        expect(tx.cartItem.createMany).toHaveBeenCalledWith({
+            data: [{ id: 'line-1', cartId: 3, pizzaId: 1, quantity: 2, sizeId: null, crustId: null, removedToppingIds: [], extraToppingIds: [] }]
+        });
+        expect(tx.cartExtraItem.createMany).not.toHaveBeenCalled();
+    });
+
+    it('should merge carts keeping the larger quantity', () => {
+        const saved = { items: [line('a', 1, 1), line('b', 2, 4)], extras: [] };
+        const current = { items: [line('c', 1, 3), line('d', 5, 1)], extras: [{ itemId: 7, quantity: 2 }] };
+        expect(mergeCarts(saved, current)).toEqual({
+            items: [line('a', 1, 3), line('b', 2, 4), line('d', 5, 1)],
+            extras: [{ itemId: 7, quantity: 2 }]
+        });
+        // Inputs are left untouched
+        expect(saved.items[0].quantity).toBe(1);
+    });
+
+    it('should keep the same pizza with different options as separate lines', () => {
+        const saved = { items: [{ ...line('a', 1, 1), sizeId: 2 }], extras: [] };
+        const current = { items: [{ ...line('b', 1, 1), sizeId: 3 }, { ...line('c', 1, 2), sizeId: 2 }], extras: [] };
+        expect(mergeCarts(saved, current).items).toEqual([
+            { ...line('a', 1, 2), sizeId: 2 },
+            { ...line('b', 1, 1), sizeId: 3 }
+        ]);
+    });
+});